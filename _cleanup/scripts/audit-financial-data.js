@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/**
+ * Financial data quality audit: checks that the numbers stored in
+ * data/financials agree with each other.
+ *
+ * Rules:
+ *   segments_sum      each revenue split (segment, category, geography) sums to total revenue
+ *   gross_profit      reported gross profit = revenue - cost of revenue
+ *   yoy_growth        stored revenue yoy_growth matches the prior-year quarter on disk
+ *   gross_margin      reported gross margin = gross_profit / revenue
+ *   operating_margin  reported operating margin = operating_income / revenue
+ *   net_margin        reported GAAP net margin = net_income / revenue
+ *
+ * Files that fail to normalize, or that normalize but do not load through
+ * financials.getQuarter (the path the chat tools use), are listed as invalid.
+ *
+ * Usage:
+ *   node _cleanup/scripts/audit-financial-data.js
+ *   node _cleanup/scripts/audit-financial-data.js --ticker=NVDA
+ *   node _cleanup/scripts/audit-financial-data.js --out=reports/financial-audit.json
+ *   node _cleanup/scripts/audit-financial-data.js --json     (report on stdout)
+ *   node _cleanup/scripts/audit-financial-data.js --strict   (exit 1 on any violation)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Relative tolerances are fractions of the expected value; "pp" are percentage points
+const TOLERANCES = {
+  segments_sum: { relative: 0.01 },
+  gross_profit: { relative: 0.005 },
+  yoy_growth: { pp: 1.0 },
+  gross_margin: { pp: 0.5 },
+  operating_margin: { pp: 0.5 },
+  net_margin: { pp: 0.5 }
+};
+
+const RAW_YOY_PATHS = ['revenue', 'net_sales', 'revenues'].flatMap((key) => [
+  `income_statement.${key}.total.yoy_growth`,
+  `income_statement.${key}.total.yoy_change`
+]);
+
+// The normalizer always computes net margin, so the reported figure is read from the raw file
+const RAW_NET_MARGIN_PATHS = [
+  'income_statement.net_income.margin_percentage',
+  'metrics.profitability_metrics.gaap_net_margin.value'
+];
+
+function parseArg(flag, fallback) {
+  const pair = process.argv.find((arg) => arg.startsWith(`${flag}=`));
+  if (!pair) return fallback;
+  return pair.split('=')[1];
+}
+
+function getPath(root, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), root);
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function checkRelative(rule, expected, actual) {
+  const difference = actual - expected;
+  const relative = expected === 0 ? Infinity : Math.abs(difference) / Math.abs(expected);
+  return relative > TOLERANCES[rule].relative
+    ? { expected: round(expected), actual: round(actual), difference: round(difference), relativeDifference: round(relative) }
+    : null;
+}
+
+function checkPoints(rule, expected, actual) {
+  const difference = actual - expected;
+  return Math.abs(difference) > TOLERANCES[rule].pp
+    ? { expected: round(expected), actual: round(actual), difference: round(difference) }
+    : null;
+}
+
+function auditQuarter(entry, priorYear, helpers) {
+  const { readNumber, revenueSegmentGroups, resolveReport } = helpers;
+  const { canonical, json } = entry;
+  const violations = [];
+  const add = (rule, fields, result, message) => {
+    if (!result) return;
+    violations.push({ rule, fields, ...result, tolerance: TOLERANCES[rule], message });
+  };
+
+  const revenue = canonical.income_statement.revenue;
+  const { sources } = canonical;
+
+  for (const [source, segments] of Object.entries(revenueSegmentGroups(json))) {
+    const total = Object.values(segments).reduce((sum, v) => sum + v, 0);
+    add('segments_sum', [source, 'income_statement.revenue'], checkRelative('segments_sum', revenue, total),
+      `${Object.keys(segments).length} entries under ${source} sum to ${round(total, 2)} vs revenue ${revenue}`);
+  }
+
+  const grossProfit = canonical.income_statement.gross_profit;
+  const costOfRevenue = canonical.income_statement.cost_of_revenue;
+  if (grossProfit !== null && costOfRevenue !== null && sources['income_statement.gross_profit'] !== 'computed') {
+    add('gross_profit', ['income_statement.gross_profit', 'income_statement.cost_of_revenue'],
+      checkRelative('gross_profit', revenue - costOfRevenue, grossProfit),
+      `gross_profit ${grossProfit} vs revenue - cost_of_revenue ${round(revenue - costOfRevenue, 2)}`);
+  }
+
+  const report = resolveReport(json, { fiscalYear: entry.fiscalYear, quarter: entry.quarter });
+  const yoyPath = RAW_YOY_PATHS.find((p) => readNumber(getPath(report, p)) !== null);
+  const priorRevenue = priorYear?.canonical?.income_statement.revenue;
+  if (yoyPath && priorRevenue) {
+    const stored = readNumber(getPath(report, yoyPath));
+    const computed = ((revenue - priorRevenue) / priorRevenue) * 100;
+    add('yoy_growth', [yoyPath], checkPoints('yoy_growth', computed, stored),
+      `stored ${stored}% vs ${round(computed, 2)}% from Q${entry.quarter.slice(1)} FY${priorYear.fiscalYear} revenue ${priorRevenue}`);
+  }
+
+  const marginChecks = [
+    ['gross_margin', 'income_statement.gross_profit'],
+    ['operating_margin', 'income_statement.operating_income']
+  ];
+  for (const [rule, component] of marginChecks) {
+    const field = `margins.${rule}`;
+    const reported = getPath(canonical, field);
+    const numerator = getPath(canonical, component);
+    if (reported === null || numerator === null || sources[field] === 'computed') continue;
+    const computed = (numerator / revenue) * 100;
+    add(rule, [field, component], checkPoints(rule, computed, reported),
+      `reported ${round(reported, 2)}% vs ${component.split('.')[1]} / revenue = ${round(computed, 2)}%`);
+  }
+
+  const netIncome = canonical.income_statement.net_income;
+  const netMarginPath = RAW_NET_MARGIN_PATHS.find((p) => readNumber(getPath(report, p) ?? getPath(json, p)) !== null);
+  if (netMarginPath && netIncome !== null) {
+    const reported = readNumber(getPath(report, netMarginPath) ?? getPath(json, netMarginPath));
+    const computed = (netIncome / revenue) * 100;
+    add('net_margin', [netMarginPath, 'income_statement.net_income'], checkPoints('net_margin', computed, reported),
+      `reported ${round(reported, 2)}% vs net_income / revenue = ${round(computed, 2)}%`);
+  }
+
+  return violations;
+}
+
+async function main() {
+  const { financials } = await import('../../src/lib/data/financials.js');
+  const normalizer = await import('../../src/lib/data/financialNormalizer.js');
+
+  const tickerArg = parseArg('--ticker', null);
+  const outPath = parseArg('--out', null);
+  const tickers = tickerArg ? [tickerArg.toUpperCase()] : financials.listAvailable();
+
+  const violations = [];
+  const invalidFiles = [];
+  let filesChecked = 0;
+
+  for (const ticker of tickers) {
+    // Load every quarter first so year-over-year rules can look up the prior year
+    const entries = new Map();
+    for (const { fiscalYear, quarters } of financials.listAvailable(ticker)) {
+      for (const quarter of quarters.filter((q) => /^Q[1-4]$/.test(q))) {
+        const file = financials.getSourcePath(ticker, fiscalYear, quarter);
+        filesChecked += 1;
+        let json;
+        try {
+          json = JSON.parse(fs.readFileSync(path.join(process.cwd(), file), 'utf-8'));
+        } catch (error) {
+          invalidFiles.push({ ticker, fiscalYear, quarter, file, errors: [`Unreadable file: ${error.message}`] });
+          continue;
+        }
+        const { data, report } = normalizer.normalizeFinancialReport(json, { ticker, fiscalYear, quarter, file });
+        if (!data) {
+          invalidFiles.push({ ticker, fiscalYear, quarter, file, errors: report.errors });
+          continue;
+        }
+        const served = await financials.getQuarter(ticker, fiscalYear, quarter);
+        if (served?.revenue == null) {
+          invalidFiles.push({ ticker, fiscalYear, quarter, file, errors: ['Normalizes but does not load through financials.getQuarter'] });
+          continue;
+        }
+        entries.set(`${fiscalYear}-${quarter}`, { ticker, fiscalYear, quarter, file, json, canonical: data });
+      }
+    }
+
+    for (const entry of entries.values()) {
+      const priorYear = entries.get(`${parseInt(entry.fiscalYear, 10) - 1}-${entry.quarter}`);
+      auditQuarter(entry, priorYear, normalizer).forEach((violation) => {
+        violations.push({
+          ticker: entry.ticker,
+          fiscalYear: entry.fiscalYear,
+          quarter: entry.quarter,
+          file: entry.file,
+          ...violation
+        });
+      });
+    }
+  }
+
+  const byRule = Object.fromEntries(Object.keys(TOLERANCES).map((rule) => [rule, 0]));
+  violations.forEach((v) => { byRule[v.rule] += 1; });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    tolerances: TOLERANCES,
+    scope: { tickers },
+    summary: {
+      filesChecked,
+      invalidFiles: invalidFiles.length,
+      violations: violations.length,
+      byRule
+    },
+    invalidFiles,
+    violations
+  };
+
+  if (outPath) {
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(report, null, 2));
+  }
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Checked ${filesChecked} files across ${tickers.length} tickers`);
+    console.log(`Invalid files: ${invalidFiles.length}`);
+    console.log(`Violations: ${violations.length}`);
+    Object.entries(byRule).forEach(([rule, count]) => console.log(`  ${rule.padEnd(18)} ${count}`));
+    if (outPath) console.log(`\nReport written to ${outPath}`);
+  }
+
+  if (process.argv.includes('--strict') && (violations.length || invalidFiles.length)) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('Financial data audit failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Builds the BM25 corpus statistics (document count, average chunk length and
+ * per-token document frequencies) over every transcript chunk the indexer
+ * produces, and writes them to data/bm25-stats.json (BM25_STATS_PATH).
+ *
+ * Rebuild after adding transcripts or changing the chunker or the sparse
+ * tokenizer. Query IDF picks up new stats immediately; re-index documents
+ * with `npm run data:index -- --replace` when the average length moves.
+ *
+ * Usage:
+ *   node _cleanup/scripts/build-bm25-stats.js
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+
+try {
+  const envConfig = dotenv.parse(fs.readFileSync('.env'));
+  for (const k in envConfig) process.env[k] = envConfig[k];
+} catch {
+  dotenv.config();
+}
+
+const TRANSCRIPTS_DIR = path.join(process.cwd(), 'data', 'transcripts');
+
+async function main() {
+  const { listTickers } = await import('../../src/lib/data/companies.js');
+  const { SparseVectorizer } = await import('../../src/lib/rag/sparseVectorizer.js');
+  const { buildCorpusStats, resolveCorpusStatsPath, saveCorpusStats } = await import('../../src/lib/rag/corpusStats.js');
+  const { listTranscriptQuarters, chunkTranscriptQuarter } = await import('../../src/lib/rag/transcriptChunker.js');
+
+  // Stats are counted with the tokenizer only, so don't load the ones being replaced
+  const vectorizer = new SparseVectorizer({ stats: null });
+
+  const texts = [];
+  for (const ticker of listTickers()) {
+    for (const entry of listTranscriptQuarters(TRANSCRIPTS_DIR, ticker)) {
+      chunkTranscriptQuarter(entry).chunks.forEach((chunk) => texts.push(chunk.text));
+    }
+  }
+
+  const stats = buildCorpusStats(texts, (text) => vectorizer.tokenize(text));
+  const outPath = resolveCorpusStatsPath();
+  saveCorpusStats(outPath, stats);
+
+  console.log(`BM25 stats over ${stats.documentCount} chunks: average length ${stats.averageLength.toFixed(1)} tokens, ${Object.keys(stats.documentFrequencies).length} distinct tokens`);
+  console.log(`Written to ${path.relative(process.cwd(), outPath)}`);
+}
+
+main().catch((error) => {
+  console.error('Building BM25 stats failed:', error);
+  process.exit(1);
+});
@@ -3,7 +3,8 @@ import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
-import { COMPANY_NAME_MAP, TARGET_COMPANIES, EMBEDDING_CONFIG } from '../src/config/rag.js';
+import { EMBEDDING_CONFIG } from '../src/config/rag.js';
+import { listTickers, tickerForCompanyName } from '../src/lib/data/companies.js';
 import { SparseVectorizer } from '../src/lib/rag/sparseVectorizer.js';
 
 // Manually load environment variables before other imports might use them
@@ -30,7 +31,7 @@ function getCurrentCompanyName(json) {
   const regex = /\(now\s+([^)]+)\)/i;
   const match = nameField.match(regex);
   let extractedName = match ? match[1].trim() : nameField.split(',')[0].trim();
-  return COMPANY_NAME_MAP[extractedName] || extractedName;
+  return tickerForCompanyName(extractedName) || extractedName;
 }
 
 async function readJsonFile(filePath) {
@@ -628,7 +629,7 @@ async function createAllEmbeddings() {
     let totalVectors = 0;
     
     // Filter for specific companies to speed up initial setup
-    const targetCompanies = TARGET_COMPANIES;
+    const targetCompanies = listTickers();
     const filteredDirs = companyDirs.filter(dir => targetCompanies.includes(path.basename(dir)));
     
     for (const companyDir of filteredDirs) {
@@ -4,7 +4,7 @@
  * 
  * This script embeds ALL transcripts using:
  * - Voyage AI voyage-3.5 (1024 dimensions) - best-in-class retrieval
- * - BM25-style sparse vectors for keyword matching
+ * - BM25 sparse vectors for keyword matching (shared src/lib/rag/sparseVectorizer.js)
  * - Optimized chunking with overlap for context preservation
  * - Rich metadata for filtering (ticker, fiscal_year, quarter, section)
  * 
@@ -13,10 +13,13 @@
  *   node scripts/embed-all-voyage.js TICKER       Embed single ticker
  *   node scripts/embed-all-voyage.js --all        Embed all tickers
  *   node scripts/embed-all-voyage.js --2025       Embed only FY2025 data
+ *
+ * Set VECTOR_STORE=local to write into the file-backed store under
+ * data/vector-store instead of Pinecone (no PINECONE_API_KEY needed), and
+ * EMBEDDING_PROVIDER=local-hash to embed without calling Voyage.
  */
 
 import { Pinecone } from '@pinecone-database/pinecone';
-import crypto from 'crypto';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
@@ -30,6 +33,12 @@ try {
   dotenv.config();
 }
 
+// Dynamic imports so the shared modules see the env loaded above
+const { createEmbedder } = await import('../../src/lib/rag/components.js');
+const { LocalVectorStore, resolveLocalStorePath } = await import('../../src/lib/rag/localVectorStore.js');
+// Same BM25 weighting and tokenizer as index-transcripts.js and the query side
+const { SparseVectorizer } = await import('../../src/lib/rag/sparseVectorizer.js');
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
@@ -37,10 +46,13 @@ try {
 const VOYAGE_API_KEY = process.env.VOYAGE_API_KEY;
 const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
 const PINECONE_INDEX = process.env.PINECONE_INDEX || 'clarity-1024';
+const USE_LOCAL_STORE = (process.env.VECTOR_STORE || '').toLowerCase() === 'local';
 
-// Voyage 3.5 produces 1024-dim vectors optimized for retrieval
-const VOYAGE_MODEL = 'voyage-3.5';
-const VOYAGE_DIMENSIONS = 1024;
+// Embedder comes from the registry (EMBEDDING_PROVIDER); voyage-3.5 by default
+const embedder = createEmbedder();
+const USE_VOYAGE = embedder.name === 'voyage';
+const EMBEDDER_LABEL = `${embedder.name}/${embedder.model}`;
+const EMBEDDING_DIMENSIONS = embedder.dimensions;
 
 // Chunking configuration - optimized for earnings transcripts
 const CHUNK_SIZE = 800;        // Smaller chunks = more precise retrieval
@@ -55,103 +67,30 @@ const PINECONE_DELAY_MS = 100;
 // All supported tickers
 const ALL_TICKERS = ['AAPL', 'AMD', 'AMZN', 'AVGO', 'CRM', 'GOOGL', 'META', 'MSFT', 'NVDA', 'ORCL'];
 
-// Financial domain stopwords for sparse vectors
-const STOPWORDS = new Set([
-  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'will', 'into',
-  'over', 'about', 'their', 'they', 'been', 'were', 'after', 'before', 'are',
-  'was', 'has', 'had', 'its', 'our', 'what', 'how', 'can', 'you', 'your',
-  'which', 'would', 'could', 'should', 'also', 'just', 'more', 'very', 'some',
-  'year', 'quarter', 'said', 'says', 'like', 'going', 'think', 'really'
-]);
-
-if (!VOYAGE_API_KEY) {
-  console.error('❌ VOYAGE_API_KEY is required');
+if (USE_VOYAGE && !VOYAGE_API_KEY) {
+  console.error('❌ VOYAGE_API_KEY is required (or set EMBEDDING_PROVIDER=local-hash)');
   process.exit(1);
 }
-if (!PINECONE_API_KEY) {
-  console.error('❌ PINECONE_API_KEY is required');
+if (!PINECONE_API_KEY && !USE_LOCAL_STORE) {
+  console.error('❌ PINECONE_API_KEY is required (or set VECTOR_STORE=local)');
   process.exit(1);
 }
 
-// =============================================================================
-// SPARSE VECTORIZER (BM25-style for hybrid search)
-// =============================================================================
-
-class SparseVectorizer {
-  tokenize(text) {
-    if (!text) return [];
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9%$\.]+/g, ' ')
-      .split(/\s+/)
-      .filter(Boolean)
-      .filter(token => token.length > 2 && !STOPWORDS.has(token));
-  }
-
-  tokenToIndex(token) {
-    const hash = crypto.createHash('md5').update(token).digest();
-    return hash.readUInt32BE(0);
-  }
-
-  toSparseValues(text) {
-    const tokens = this.tokenize(text);
-    if (tokens.length === 0) return null;
-
-    const counts = new Map();
-    for (const token of tokens) {
-      counts.set(token, (counts.get(token) || 0) + 1);
-    }
-
-    const indices = [];
-    const values = [];
-    for (const [token, count] of counts) {
-      indices.push(this.tokenToIndex(token));
-      // BM25-style TF weighting
-      values.push(1 + Math.log(count));
-    }
-
-    return { indices, values };
-  }
-}
-
 const sparseVectorizer = new SparseVectorizer();
 
 // =============================================================================
-// VOYAGE AI EMBEDDING
+// DENSE EMBEDDING
 // =============================================================================
 
-async function getVoyageEmbedding(text, retries = 3) {
+async function getDenseEmbedding(text, retries = 3) {
   for (let attempt = 0; attempt < retries; attempt++) {
     try {
-      const response = await fetch('https://api.voyageai.com/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${VOYAGE_API_KEY}`
-        },
-        body: JSON.stringify({
-          input: [text],
-          model: VOYAGE_MODEL,
-          input_type: 'document'
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        if (response.status === 429 && attempt < retries - 1) {
-          console.log('  ⏳ Rate limited, waiting 15s...');
-          await new Promise(r => setTimeout(r, 15000));
-          continue;
-        }
-        throw new Error(`Voyage API error: ${response.status} - ${errorText}`);
-      }
-
-      const data = await response.json();
-      return data.data[0].embedding;
+      return await embedder.embed(text, 'document');
     } catch (error) {
       if (attempt === retries - 1) throw error;
-      console.log(`  ⚠️ Retry ${attempt + 1}/${retries}...`);
-      await new Promise(r => setTimeout(r, 3000));
+      const rateLimited = /429/.test(error.message);
+      console.log(rateLimited ? '  ⏳ Rate limited, waiting 15s...' : `  ⚠️ Retry ${attempt + 1}/${retries}...`);
+      await new Promise(r => setTimeout(r, rateLimited ? 15000 : 3000));
     }
   }
 }
@@ -329,8 +268,8 @@ async function processFile(filePath, ticker, index) {
       if (chunk.length < MIN_CHUNK_LENGTH) continue;
 
       try {
-        // Get dense embedding from Voyage
-        const denseVector = await getVoyageEmbedding(chunk);
+        // Get dense embedding from the configured embedder
+        const denseVector = await getDenseEmbedding(chunk);
         
         // Get sparse vector for keyword matching
         const sparseVector = sparseVectorizer.toSparseValues(chunk);
@@ -362,8 +301,8 @@ async function processFile(filePath, ticker, index) {
 
         vectors.push(vectorData);
         
-        // Rate limiting
-        await new Promise(r => setTimeout(r, VOYAGE_DELAY_MS));
+        // Rate limiting (the local embedder has no API to protect)
+        if (USE_VOYAGE) await new Promise(r => setTimeout(r, VOYAGE_DELAY_MS));
         
       } catch (error) {
         console.error(`    ⚠️ Error embedding chunk ${i}: ${error.message}`);
@@ -374,10 +313,24 @@ async function processFile(filePath, ticker, index) {
   return vectors;
 }
 
+let localStore = null;
+
+function openIndex() {
+  if (USE_LOCAL_STORE) {
+    // Persist once per ticker rather than on every batch
+    if (!localStore) {
+      localStore = new LocalVectorStore({ filePath: resolveLocalStorePath(), autoPersist: false });
+    }
+    return localStore;
+  }
+  const pinecone = new Pinecone({ apiKey: PINECONE_API_KEY });
+  return pinecone.index(PINECONE_INDEX);
+}
+
 async function embedTicker(ticker, options = {}) {
   const { onlyYear, deleteExisting = false } = options;
   
-  console.log(`\n🚀 Embedding ${ticker} with Voyage AI (${VOYAGE_MODEL})`);
+  console.log(`\n🚀 Embedding ${ticker} with ${EMBEDDER_LABEL}`);
   if (onlyYear) console.log(`   Filtering to FY${onlyYear} only`);
   
   const transcriptDir = path.join(process.cwd(), 'data', 'transcripts', ticker);
@@ -389,8 +342,7 @@ async function embedTicker(ticker, options = {}) {
     return { ticker, success: false, vectors: 0 };
   }
 
-  const pinecone = new Pinecone({ apiKey: PINECONE_API_KEY });
-  const index = pinecone.index(PINECONE_INDEX);
+  const index = openIndex();
 
   // Optionally delete existing vectors for this ticker
   if (deleteExisting) {
@@ -434,18 +386,21 @@ async function embedTicker(ticker, options = {}) {
     }
   }
 
+  if (USE_LOCAL_STORE) {
+    await localStore.save();
+  }
+
   console.log(`\n   ✅ ${ticker} complete: ${totalVectors} vectors indexed`);
   return { ticker, success: true, vectors: totalVectors };
 }
 
 async function checkStatus() {
   console.log('\n📊 Clarity 3.0 - Embedding Status\n');
-  console.log(`Index: ${PINECONE_INDEX}`);
-  console.log(`Model: ${VOYAGE_MODEL} (${VOYAGE_DIMENSIONS} dims)`);
+  console.log(`Index: ${USE_LOCAL_STORE ? resolveLocalStorePath() : PINECONE_INDEX}`);
+  console.log(`Model: ${EMBEDDER_LABEL} (${EMBEDDING_DIMENSIONS} dims)`);
   console.log('─'.repeat(60));
   
-  const pinecone = new Pinecone({ apiKey: PINECONE_API_KEY });
-  const index = pinecone.index(PINECONE_INDEX);
+  const index = openIndex();
 
   try {
     const stats = await index.describeIndexStats();
@@ -469,7 +424,7 @@ async function checkStatus() {
       let indexedCount = 0;
       try {
         const queryResult = await index.query({
-          vector: new Array(VOYAGE_DIMENSIONS).fill(0),
+          vector: new Array(EMBEDDING_DIMENSIONS).fill(0),
           topK: 1,
           filter: { ticker: { $eq: ticker } },
           includeMetadata: false
@@ -499,9 +454,9 @@ async function checkStatus() {
 }
 
 async function embedAll(options = {}) {
-  console.log('\n🚀 Embedding ALL tickers with Voyage AI\n');
+  console.log(`\n🚀 Embedding ALL tickers with ${EMBEDDER_LABEL}\n`);
   console.log(`Index: ${PINECONE_INDEX}`);
-  console.log(`Model: ${VOYAGE_MODEL}`);
+  console.log(`Model: ${EMBEDDER_LABEL}`);
   if (options.onlyYear) console.log(`Filter: FY${options.onlyYear} only`);
   console.log('─'.repeat(50));
   
@@ -544,7 +499,7 @@ Usage:
 
 Configuration:
   Index:  ${PINECONE_INDEX}
-  Model:  ${VOYAGE_MODEL} (${VOYAGE_DIMENSIONS} dimensions)
+  Model:  ${EMBEDDER_LABEL} (${EMBEDDING_DIMENSIONS} dimensions)
   Chunk:  ${CHUNK_SIZE} chars with ${CHUNK_OVERLAP} overlap
 
 Supported tickers: ${ALL_TICKERS.join(', ')}
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * Indexes earnings call transcripts for every ticker with the speaker-aware
+ * chunker (src/lib/rag/transcriptChunker.js): one vector per prepared-remarks
+ * turn, analyst question or Q&A answer, tagged with speaker, role, topic,
+ * section and the analyst question it answers.
+ *
+ * Replaces the per-company create-<ticker>-embeddings.js scripts.
+ *
+ * Runs are incremental: data/ingestion-manifest.json (INGESTION_MANIFEST_PATH)
+ * records the content hash, chunk ids, embedder and index target of every
+ * source file, so only new or changed quarters are embedded and vectors for
+ * chunks that disappeared are deleted.
+ *
+ * Usage:
+ *   node _cleanup/scripts/index-transcripts.js                      (all tickers)
+ *   node _cleanup/scripts/index-transcripts.js --ticker=NVDA
+ *   node _cleanup/scripts/index-transcripts.js --ticker=NVDA,AMD --year=2025 --quarter=Q3
+ *   node _cleanup/scripts/index-transcripts.js --dry-run             (report planned upserts and deletes)
+ *   node _cleanup/scripts/index-transcripts.js --ticker=NVDA --replace   (re-index regardless of the manifest, deleting the quarter's recorded chunks first)
+ *
+ * Uses the configured embedder (EMBEDDING_PROVIDER) and writes to Pinecone
+ * (PINECONE_INDEX), or to the local file store with VECTOR_STORE=local.
+ */
+
+import { Pinecone } from '@pinecone-database/pinecone';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+
+// Load .env before the shared modules read their configuration
+try {
+  const envConfig = dotenv.parse(fs.readFileSync('.env'));
+  for (const k in envConfig) process.env[k] = envConfig[k];
+} catch {
+  dotenv.config();
+}
+
+const TRANSCRIPTS_DIR = path.join(process.cwd(), 'data', 'transcripts');
+const BATCH_SIZE = 50;
+const VOYAGE_DELAY_MS = 80;
+const UPSERT_DELAY_MS = 100;
+// Pinecone accepts at most 1000 ids per delete request
+const DELETE_BATCH_SIZE = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseArg(flag, fallback) {
+  const pair = process.argv.find((arg) => arg.startsWith(`${flag}=`));
+  if (!pair) return fallback;
+  return pair.split('=')[1];
+}
+
+async function embedWithRetry(embedder, text, retries = 3) {
+  for (let attempt = 0; attempt < retries; attempt++) {
+    try {
+      return await embedder.embed(text, 'document');
+    } catch (error) {
+      if (attempt === retries - 1) throw error;
+      const rateLimited = /429/.test(error.message);
+      console.log(rateLimited ? '  Rate limited, waiting 15s...' : `  Retry ${attempt + 1}/${retries}...`);
+      await sleep(rateLimited ? 15000 : 3000);
+    }
+  }
+}
+
+function relativePath(file) {
+  return path.relative(process.cwd(), file).split(path.sep).join('/');
+}
+
+async function deleteIds(index, ids) {
+  for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+    await index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+  }
+}
+
+function usesLocalStore() {
+  return (process.env.VECTOR_STORE || '').toLowerCase() === 'local';
+}
+
+function openIndex(LocalVectorStore, resolveLocalStorePath) {
+  if (usesLocalStore()) {
+    // Saved once at the end rather than after every batch
+    return new LocalVectorStore({ filePath: resolveLocalStorePath(), autoPersist: false });
+  }
+  if (!process.env.PINECONE_API_KEY) {
+    throw new Error('PINECONE_API_KEY is required (or set VECTOR_STORE=local)');
+  }
+  const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+  return pinecone.index(process.env.PINECONE_INDEX || 'clarity-1024');
+}
+
+async function main() {
+  const { listTickers } = await import('../../src/lib/data/companies.js');
+  const { createEmbedder } = await import('../../src/lib/rag/components.js');
+  const { SparseVectorizer } = await import('../../src/lib/rag/sparseVectorizer.js');
+  const { TOKENIZER_VERSION } = await import('../../src/lib/rag/financialTokenizer.js');
+  const { LocalVectorStore, resolveLocalStorePath } = await import('../../src/lib/rag/localVectorStore.js');
+  const {
+    CHUNKER_VERSION,
+    listTranscriptQuarters,
+    transcriptQuarterFiles,
+    chunkTranscriptQuarter,
+    formatChunkForEmbedding
+  } = await import('../../src/lib/rag/transcriptChunker.js');
+  const {
+    resolveManifestPath,
+    loadManifest,
+    saveManifest,
+    targetFiles,
+    hashContent,
+    diffQuarter,
+    recordQuarter,
+    recordedChunkIds
+  } = await import('../../src/lib/rag/ingestionManifest.js');
+
+  const tickerArg = parseArg('--ticker', null);
+  const fiscalYear = parseArg('--year', null);
+  const quarter = parseArg('--quarter', null)?.toUpperCase() || null;
+  const replace = process.argv.includes('--replace');
+  const dryRun = process.argv.includes('--dry-run');
+  const tickers = tickerArg ? tickerArg.toUpperCase().split(',') : listTickers();
+
+  const unknown = tickers.filter((t) => !fs.existsSync(path.join(TRANSCRIPTS_DIR, t)));
+  if (unknown.length) {
+    console.error(`No transcripts for: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  const embedder = createEmbedder();
+  if (!dryRun && embedder.name === 'voyage' && !process.env.VOYAGE_API_KEY) {
+    throw new Error('VOYAGE_API_KEY is required (or set EMBEDDING_PROVIDER=local-hash)');
+  }
+  const isLocal = usesLocalStore();
+  const target = isLocal
+    ? `local:${relativePath(resolveLocalStorePath())}`
+    : `pinecone:${process.env.PINECONE_INDEX || 'clarity-1024'}`;
+  const embedderInfo = {
+    name: embedder.name,
+    model: embedder.model,
+    dimensions: embedder.dimensions,
+    chunker: CHUNKER_VERSION,
+    // A change of sparse weighting or tokens re-indexes everything
+    sparse: `bm25/tokenizer-${TOKENIZER_VERSION}`
+  };
+
+  const manifestPath = resolveManifestPath();
+  const manifest = loadManifest(manifestPath);
+  const files = targetFiles(manifest, target);
+
+  // Opened only for real runs, so --dry-run needs no credentials
+  const index = dryRun ? null : openIndex(LocalVectorStore, resolveLocalStorePath);
+  const sparseVectorizer = new SparseVectorizer();
+
+  console.log(`${dryRun ? 'Planning' : 'Indexing'} transcripts with ${embedder.name}/${embedder.model} into ${target} (manifest ${relativePath(manifestPath)})`);
+
+  const totals = { quarters: 0, unchanged: 0, chunks: 0, deleted: 0, failed: 0 };
+  const processed = new Set();
+  const quarterKey = (q) => `${q.ticker}|${q.fiscalYear}|${q.quarter}`;
+
+  for (const ticker of tickers) {
+    const quarters = listTranscriptQuarters(TRANSCRIPTS_DIR, ticker, { fiscalYear, quarter });
+    let tickerChunks = 0;
+
+    for (const entry of quarters) {
+      processed.add(quarterKey(entry));
+      const label = `${ticker} FY${entry.fiscalYear} ${entry.quarter}`;
+      const { transcriptFile, qaFile } = transcriptQuarterFiles(entry);
+      const inputs = [transcriptFile, qaFile]
+        .filter(Boolean)
+        .map((file) => ({ path: relativePath(file), hash: hashContent(fs.readFileSync(file)) }));
+
+      const diff = diffQuarter(files, entry, inputs, embedderInfo);
+      if (diff.status === 'unchanged' && !replace) {
+        totals.unchanged += 1;
+        continue;
+      }
+      const reason = replace ? '--replace' : diff.reason || 'new';
+
+      const { chunks } = chunkTranscriptQuarter(entry);
+      const chunkIds = new Set(chunks.map((chunk) => chunk.id));
+      const recordedIds = recordedChunkIds(files, diff.previous);
+      // --replace clears every recorded chunk up front; otherwise only those that went away
+      const staleIds = replace ? recordedIds : recordedIds.filter((id) => !chunkIds.has(id));
+
+      if (dryRun) {
+        console.log(`  ${label} (${reason}): ${chunks.length} upserts, ${staleIds.length} deletes`);
+        totals.quarters += 1;
+        totals.chunks += chunks.length;
+        totals.deleted += staleIds.length;
+        tickerChunks += chunks.length;
+        continue;
+      }
+
+      // By id: serverless indexes cannot delete by metadata filter
+      if (replace) await deleteIds(index, staleIds);
+
+      const vectors = [];
+      let quarterFailed = 0;
+      for (const chunk of chunks) {
+        try {
+          const values = await embedWithRetry(embedder, formatChunkForEmbedding(chunk));
+          const sparseValues = sparseVectorizer.toSparseValues(chunk.text);
+          vectors.push({
+            id: chunk.id,
+            values,
+            ...(sparseValues ? { sparseValues } : {}),
+            metadata: { ...chunk.metadata, indexed_at: new Date().toISOString() }
+          });
+          if (embedder.name === 'voyage') await sleep(VOYAGE_DELAY_MS);
+        } catch (error) {
+          quarterFailed += 1;
+          console.error(`  Failed to embed ${chunk.id}: ${error.message}`);
+        }
+      }
+
+      for (let i = 0; i < vectors.length; i += BATCH_SIZE) {
+        await index.upsert(vectors.slice(i, i + BATCH_SIZE));
+        if (!isLocal) await sleep(UPSERT_DELAY_MS);
+      }
+
+      totals.chunks += vectors.length;
+      tickerChunks += vectors.length;
+      if (quarterFailed) {
+        // Left out of the manifest so the next run retries the whole quarter
+        totals.failed += quarterFailed;
+        console.log(`  ${label}: ${vectors.length} chunks, ${quarterFailed} failed; will retry next run`);
+        continue;
+      }
+
+      if (!replace) await deleteIds(index, staleIds);
+      recordQuarter(files, entry, diff.previous, inputs, chunks, { embedder: embedderInfo, target });
+      // Pinecone writes are durable immediately; the local store is only saved at the end
+      if (!isLocal) saveManifest(manifestPath, manifest);
+
+      const sections = chunks.reduce((acc, c) => ({ ...acc, [c.metadata.section]: (acc[c.metadata.section] || 0) + 1 }), {});
+      console.log(`  ${label} (${reason}): ${vectors.length} chunks (${Object.entries(sections).map(([s, n]) => `${n} ${s}`).join(', ')}), ${staleIds.length} deleted, from ${inputs.map((input) => path.basename(input.path)).join(' + ')}`);
+      totals.quarters += 1;
+      totals.deleted += staleIds.length;
+    }
+
+    console.log(`${ticker}: ${tickerChunks} chunks ${dryRun ? 'to upsert' : 'upserted'}`);
+  }
+
+  // Quarters recorded in the manifest whose folders are gone
+  const inScope = (entry) => tickers.includes(entry.ticker)
+    && (!fiscalYear || entry.fiscalYear === fiscalYear)
+    && (!quarter || entry.quarter === quarter);
+  const removedPaths = Object.keys(files).filter((filePath) => inScope(files[filePath]) && !processed.has(quarterKey(files[filePath])));
+  if (removedPaths.length) {
+    const removedIds = recordedChunkIds(files, removedPaths);
+    console.log(`  Removed sources: ${removedPaths.join(', ')}: ${removedIds.length} deletes`);
+    if (!dryRun) {
+      await deleteIds(index, removedIds);
+      removedPaths.forEach((filePath) => delete files[filePath]);
+    }
+    totals.deleted += removedIds.length;
+  }
+
+  if (dryRun) {
+    console.log(`\nDry run: ${totals.chunks} upserts and ${totals.deleted} deletes across ${totals.quarters} calls; ${totals.unchanged} unchanged. Nothing was written.`);
+    return;
+  }
+
+  if (isLocal) await index.save();
+  saveManifest(manifestPath, manifest);
+
+  console.log(`\nIndexed ${totals.chunks} chunks from ${totals.quarters} calls, deleted ${totals.deleted} stale chunks; ${totals.unchanged} unchanged${totals.failed ? `, ${totals.failed} failed` : ''}`);
+  if (totals.failed) process.exit(1);
+}
+
+main().catch((error) => {
+  console.error('Transcript indexing failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Builds data/financials quarter files from the raw press releases stored next
+ * to the transcripts, and diffs each one against the file already on disk so a
+ * human can review the numbers before anything is replaced.
+ *
+ * Nothing is written without --write, and an existing file is only replaced
+ * with --write --force, never when the release lacks a field the file has
+ * (NVDA releases, for one, give segment revenue only in prose).
+ *
+ * Usage:
+ *   node _cleanup/scripts/ingest-press-release.js --ticker=NVDA --year=2025 --quarter=Q3
+ *   node _cleanup/scripts/ingest-press-release.js --ticker=NVDA              (every release for the ticker)
+ *   node _cleanup/scripts/ingest-press-release.js --ticker=NVDA --write      (create missing quarter files)
+ *   node _cleanup/scripts/ingest-press-release.js --ticker=NVDA --year=2025 --quarter=Q3 --write --force
+ *   node _cleanup/scripts/ingest-press-release.js --ticker=NVDA --out=reports/ingest-nvda.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const TRANSCRIPTS_DIR = path.join(process.cwd(), 'data', 'transcripts');
+const RELEASE_DIRS = ['', 'parsed_earnings'];
+
+// Differences below these are rounding, not disagreements
+const RELATIVE_TOLERANCE = 0.005;
+const PER_SHARE_TOLERANCE = 0.01;
+const PER_SHARE_FIELDS = new Set(['income_statement.eps', 'income_statement.eps_diluted']);
+
+const COMPARED_SECTIONS = ['income_statement', 'margins', 'cash_flow'];
+
+function parseArg(flag, fallback) {
+  const pair = process.argv.find((arg) => arg.startsWith(`${flag}=`));
+  if (!pair) return fallback;
+  return pair.split('=')[1];
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function findReleases(ticker, year, quarter) {
+  const tickerDir = path.join(TRANSCRIPTS_DIR, ticker);
+  if (!fs.existsSync(tickerDir)) return [];
+  const releases = [];
+  for (const fyDir of fs.readdirSync(tickerDir).filter((d) => /^FY_\d{4}$/.test(d)).sort()) {
+    const fiscalYear = fyDir.slice(3);
+    if (year && fiscalYear !== year) continue;
+    for (const qDir of fs.readdirSync(path.join(tickerDir, fyDir)).filter((d) => /^Q[1-4]$/.test(d)).sort()) {
+      if (quarter && qDir !== quarter) continue;
+      // Some quarters keep the release with the other raw files under parsed_earnings/
+      const release = RELEASE_DIRS.map((sub) => path.posix.join(fyDir, qDir, sub))
+        .map((rel) => {
+          const dir = path.join(tickerDir, rel);
+          const file = fs.existsSync(dir) && fs.readdirSync(dir).find((f) => f.endsWith('-press-release.txt'));
+          return file ? path.posix.join('data', 'transcripts', ticker, rel, file) : null;
+        })
+        .find(Boolean);
+      if (release) {
+        releases.push({ ticker, fiscalYear, quarter: qDir, file: release });
+      }
+    }
+  }
+  return releases;
+}
+
+function sameValue(field, a, b) {
+  if (PER_SHARE_FIELDS.has(field)) return Math.abs(a - b) <= PER_SHARE_TOLERANCE;
+  return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * RELATIVE_TOLERANCE;
+}
+
+/**
+ * Field-by-field comparison of two canonical quarters. Computed margins are
+ * compared too, since they change whenever their components do.
+ * @returns {Array<{field: string, status: 'added'|'removed'|'changed'|'match', existing: *, ingested: *}>}
+ */
+function diffCanonical(existing, ingested) {
+  const entries = [];
+  const compare = (field, before, after) => {
+    const hasBefore = before !== null && before !== undefined;
+    const hasAfter = after !== null && after !== undefined;
+    if (!hasBefore && !hasAfter) return;
+    let status = 'match';
+    if (!hasBefore) status = 'added';
+    else if (!hasAfter) status = 'removed';
+    else if (typeof before === 'number' ? !sameValue(field, before, after) : before !== after) status = 'changed';
+    entries.push({ field, status, existing: hasBefore ? before : null, ingested: hasAfter ? after : null });
+  };
+
+  compare('period.fiscalEndDate', existing?.period.fiscalEndDate, ingested.period.fiscalEndDate);
+  for (const section of COMPARED_SECTIONS) {
+    for (const key of Object.keys(ingested[section])) {
+      compare(`${section}.${key}`, existing?.[section][key], ingested[section][key]);
+    }
+  }
+  const segmentKeys = new Set([...Object.keys(existing?.revenue_segments || {}), ...Object.keys(ingested.revenue_segments)]);
+  for (const key of segmentKeys) {
+    compare(`revenue_segments.${key}`, existing?.revenue_segments[key], ingested.revenue_segments[key]);
+  }
+  return entries;
+}
+
+function formatValue(value) {
+  return typeof value === 'number' ? String(round(value, 2)) : JSON.stringify(value);
+}
+
+function printQuarter(result) {
+  const header = `${result.ticker} ${result.quarter} FY${result.fiscalYear}`;
+  console.log(`\n${header}  ${result.release}`);
+  result.warnings.forEach((warning) => console.log(`  ! ${warning}`));
+  if (!result.valid) {
+    console.log(`  ✗ Ingested data failed validation: ${result.errors.join('; ')}`);
+    return;
+  }
+  console.log(`  ${result.existingFile ? `vs ${result.target}` : `new file ${result.target}`}`);
+
+  const symbols = { added: '+', removed: '-', changed: '~' };
+  result.diff
+    .filter((entry) => entry.status !== 'match')
+    .forEach((entry) => {
+      const detail = entry.status === 'changed'
+        ? `${formatValue(entry.existing)} -> ${formatValue(entry.ingested)}`
+        : formatValue(entry.status === 'added' ? entry.ingested : entry.existing);
+      console.log(`  ${symbols[entry.status]} ${entry.field.padEnd(38)} ${detail}`);
+    });
+  const matches = result.diff.filter((entry) => entry.status === 'match').length;
+  console.log(`  ${matches} field(s) match`);
+  if (result.missingFields.length) console.log(`  Not found in release: ${result.missingFields.join(', ')}`);
+  if (result.written) console.log(`  Wrote ${result.target}`);
+}
+
+async function main() {
+  const { parsePressRelease } = await import('../../src/lib/data/pressReleaseParser.js');
+  const { normalizeFinancialReport, normalizeFinancialFile } = await import('../../src/lib/data/financialNormalizer.js');
+  const { financials } = await import('../../src/lib/data/financials.js');
+
+  const ticker = parseArg('--ticker', '').toUpperCase();
+  const year = parseArg('--year', null);
+  const quarter = parseArg('--quarter', null)?.toUpperCase() || null;
+  const outPath = parseArg('--out', null);
+  const write = process.argv.includes('--write');
+  const force = process.argv.includes('--force');
+
+  if (!ticker) {
+    console.error('Usage: ingest-press-release.js --ticker=NVDA [--year=2025] [--quarter=Q3] [--write [--force]] [--out=file] [--json]');
+    process.exit(1);
+  }
+
+  const releases = findReleases(ticker, year, quarter);
+  if (!releases.length) {
+    console.error(`No press releases found for ${ticker}${year ? ` FY${year}` : ''}${quarter ? ` ${quarter}` : ''}`);
+    process.exit(1);
+  }
+
+  const results = [];
+  for (const release of releases) {
+    const meta = { ticker, fiscalYear: release.fiscalYear, quarter: release.quarter };
+    const target = financials.getSourcePath(ticker, release.fiscalYear, release.quarter);
+    const targetPath = path.join(process.cwd(), target);
+    const existingFile = fs.existsSync(targetPath);
+
+    const text = fs.readFileSync(path.join(process.cwd(), release.file), 'utf-8');
+    const parsed = parsePressRelease(text, { ...meta, file: release.file });
+    const { data, report } = normalizeFinancialReport(parsed.document, { ...meta, file: target });
+    const existing = existingFile ? normalizeFinancialFile(targetPath, { ...meta, file: target }) : null;
+    if (existing && !existing.data) {
+      parsed.warnings.push(`Existing file fails validation: ${existing.report.errors.join('; ')}`);
+    }
+
+    const result = {
+      ticker,
+      fiscalYear: release.fiscalYear,
+      quarter: release.quarter,
+      release: release.file,
+      target,
+      existingFile,
+      valid: Boolean(data),
+      errors: report.errors,
+      warnings: parsed.warnings,
+      missingFields: parsed.missingFields,
+      sources: Object.fromEntries(Object.entries(parsed.fields).map(([field, f]) => [field, { label: f.label, line: f.line }])),
+      diff: data ? diffCanonical(existing?.data || null, data) : [],
+      written: false
+    };
+
+    // Never write a release that announces a different quarter than its folder,
+    // or one that would drop values the existing file has
+    const { reportedPeriod } = parsed;
+    const periodMismatch = reportedPeriod
+      && (reportedPeriod.quarter !== release.quarter || reportedPeriod.fiscalYear !== release.fiscalYear);
+    const dropped = result.diff.filter((entry) => entry.status === 'removed').map((entry) => entry.field);
+    if (write && periodMismatch) {
+      result.warnings.push(`Not writing ${target}: the release is for ${reportedPeriod.quarter} FY${reportedPeriod.fiscalYear}`);
+    }
+    if (write && force && existingFile && dropped.length) {
+      result.warnings.push(`Not replacing ${target}: the release has no value for ${dropped.join(', ')}`);
+    }
+    if (write && data && !periodMismatch && (!existingFile || (force && !dropped.length))) {
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.writeFileSync(targetPath, `${JSON.stringify(parsed.document, null, 2)}\n`);
+      result.written = true;
+    }
+    results.push(result);
+  }
+
+  const summary = {
+    releases: results.length,
+    invalid: results.filter((r) => !r.valid).length,
+    newFiles: results.filter((r) => r.valid && !r.existingFile).length,
+    withChanges: results.filter((r) => r.diff.some((e) => e.status === 'changed' || e.status === 'removed')).length,
+    written: results.filter((r) => r.written).length
+  };
+  const reviewReport = { generatedAt: new Date().toISOString(), ticker, summary, quarters: results };
+
+  if (outPath) {
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(reviewReport, null, 2));
+  }
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(reviewReport, null, 2));
+  } else {
+    results.forEach(printQuarter);
+    console.log(`\n${summary.releases} release(s): ${summary.newFiles} new, ${summary.withChanges} disagree with the file on disk, ${summary.invalid} invalid, ${summary.written} written`);
+    if (!write && summary.newFiles) console.log('Re-run with --write to create the new files (add --force to replace existing ones).');
+    if (outPath) console.log(`Review report written to ${outPath}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Press release ingestion failed:', error);
+  process.exit(1);
+});
@@ -6,12 +6,13 @@
  *   node scripts/run-evals.js --strategy baseline
  *   node scripts/run-evals.js --smoke            (short delay, capped cases)
  *   node scripts/run-evals.js --dataset data/evaluation/dataset.json --limit 5
+ *   node scripts/run-evals.js --retrieval=dense-only,multi-query   (one run per retrieval strategy, compared against the first)
+ *   RERANKER=none node scripts/run-evals.js --strategy baseline   (compare reranker choices: lexical, llm, none)
  */
 
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
-import { Pinecone } from '@pinecone-database/pinecone';
 
 dotenv.config();
 
@@ -82,24 +83,24 @@ function percentile(values = [], p = 50) {
 
 // Dynamic imports to ensure env vars are loaded first
 const {
-  VoyageEmbedder,
+  createEmbedder,
   PineconeRetriever,
   QueryIntentAnalyzer,
   EnhancedFinancialAnalyst,
   KeywordTranscriptRetriever,
-} = await import('../src/lib/rag/components.js');
+} = await import('../../src/lib/rag/components.js');
 
-const { ExtendedRAGPipeline } = await import('../src/lib/rag/pipeline.js');
-const { RAGEvaluator } = await import('../src/lib/evaluation/evaluator.js');
+const { ExtendedRAGPipeline, PIPELINE_STRATEGIES } = await import('../../src/lib/rag/pipeline.js');
+const { RAGEvaluator } = await import('../../src/lib/evaluation/evaluator.js');
+const { getVectorIndex } = await import('../../src/lib/rag/retriever.js');
 
-function createPipeline() {
-  const pineconeClient = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-  const indexName = process.env.PINECONE_INDEX || 'clarity-1024';
-  const pineconeIndex = pineconeClient.index(indexName);
+function createPipeline(retrievalStrategy) {
+  // Pinecone by default; VECTOR_STORE=local runs against data/vector-store offline
+  const vectorIndex = getVectorIndex();
 
-  // Use Voyage AI exclusively for embeddings (1024-dimensional vectors)
-  const embedder = new VoyageEmbedder();
-  const pineRetriever = new PineconeRetriever(pineconeIndex, embedder, {
+  // EMBEDDING_PROVIDER selects the embedder (voyage by default, local-hash offline)
+  const embedder = createEmbedder();
+  const pineRetriever = new PineconeRetriever(vectorIndex, embedder, {
     hybridAlpha: 0.6,
   });
   const intentAnalyzer = new QueryIntentAnalyzer();
@@ -112,43 +113,20 @@ function createPipeline() {
     pineRetriever,
     analyzer,
     intentAnalyzer,
-    keywordRetriever
+    keywordRetriever,
+    { strategy: retrievalStrategy }
   );
 }
 
-async function run() {
-  const strategyId = parseArg('--strategy', process.env.RAG_STRATEGY_ID || 'baseline');
-  const datasetPath = parseArg('--dataset', DEFAULT_DATASET);
-  const limitArg = parseInt(parseArg('--limit', ''), 10);
-  const smoke = process.argv.includes('--smoke');
-  const effectiveLimit = smoke ? Math.min(limitArg || 8, 8) : Number.isFinite(limitArg) ? limitArg : null;
-  const delayMs = parseInt(parseArg('--delay', smoke ? '3000' : '25000'), 10);
-
-  if (!fs.existsSync(datasetPath)) {
-    throw new Error(`Dataset not found at ${datasetPath}`);
-  }
-
-  const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
-  const testCases = effectiveLimit ? dataset.slice(0, effectiveLimit) : dataset;
-
-  ensureDir(REPORTS_BASE);
-  const strategyDir = path.join(REPORTS_BASE, strategyId);
+async function evaluateStrategy({ retrievalStrategy, reportId, testCases, datasetPath, runId, runTimestamp, delayMs }) {
+  const strategyDir = path.join(REPORTS_BASE, reportId);
   ensureDir(strategyDir);
-
-  const runTimestamp = new Date().toISOString();
-  const runId = sanitizeRunId(runTimestamp);
   const runDir = path.join(strategyDir, runId);
   ensureDir(runDir);
 
-  console.log(`🔎 Strategy: ${strategyId}`);
-  console.log(`🧪 Dataset: ${datasetPath}`);
-  console.log(`🧪 Cases: ${testCases.length}${effectiveLimit ? ` (capped from ${dataset.length})` : ''}`);
-  console.log(`⏱️ Delay between judge calls: ${delayMs}ms`);
-  if (smoke) {
-    console.log('⚡ Smoke mode enabled (short delay, capped cases).');
-  }
+  console.log(`\n🔀 Retrieval: ${retrievalStrategy} (reports under ${path.relative(process.cwd(), runDir)})`);
 
-  const pipeline = createPipeline();
+  const pipeline = createPipeline(retrievalStrategy);
   const evaluator = new RAGEvaluator();
 
   const results = [];
@@ -215,7 +193,8 @@ async function run() {
 
     results.push({
       id: item.id,
-      strategy_id: strategyId,
+      strategy_id: reportId,
+      retrieval_strategy: retrievalStrategy,
       question: item.question,
       ground_truth: item.ground_truth,
       generated_answer: answer,
@@ -232,7 +211,8 @@ async function run() {
     const caseData = {
       id: item.id,
       run_id: runId,
-      strategy_id: strategyId,
+      strategy_id: reportId,
+      retrieval_strategy: retrievalStrategy,
       question: item.question,
       ground_truth: item.ground_truth,
       generated_answer: answer,
@@ -331,8 +311,21 @@ async function run() {
     avgLlmUsage[key] = sum / results.length;
   });
 
+  // Multi-query: how much each variant added beyond the original query
+  const variantStats = results.flatMap((r) =>
+    (r.pipeline_metrics?.multiQuery?.stages || []).map((stage) => stage.variants.slice(1))
+  );
+  const multiQuerySummary = variantStats.length
+    ? {
+        avg_variants: avg(variantStats, (variants) => variants.length),
+        avg_variant_hits: avg(variantStats.flat(), (v) => v.hits),
+        avg_variant_fused_hits: avg(variantStats.flat(), (v) => v.fusedHits),
+        avg_variant_unique_hits: avg(variantStats.flat(), (v) => v.uniqueHits),
+      }
+    : null;
+
   console.log('\n==================================================');
-  console.log('EVALUATION SUMMARY');
+  console.log(`EVALUATION SUMMARY (${retrievalStrategy})`);
   console.log('==================================================');
   console.log(`Total Samples:      ${results.length}`);
   console.log(`Avg Relevance:      ${avgRelevance.toFixed(2)}`);
@@ -352,11 +345,15 @@ async function run() {
   if (avgTimings.totalMs) {
     console.log(`Avg Total Latency:  ${avgTimings.totalMs.toFixed(2)} ms`);
   }
+  if (multiQuerySummary) {
+    console.log(`Variant Hits:       ${multiQuerySummary.avg_variant_hits.toFixed(1)} per variant, ${multiQuerySummary.avg_variant_unique_hits.toFixed(1)} kept that no other query found`);
+  }
   console.log('==================================================');
 
   const runSummary = {
     run_id: runId,
-    strategy_id: strategyId,
+    strategy_id: reportId,
+    retrieval_strategy: retrievalStrategy,
     created_at: runTimestamp,
     dataset: path.relative(process.cwd(), datasetPath),
     total_cases: results.length,
@@ -378,29 +375,121 @@ async function run() {
         cases: unanswerableCases.length,
         pass_rate: unanswerablePassRate,
       },
+      multi_query: multiQuerySummary,
     },
     cases: caseSummaries,
   };
 
   fs.writeFileSync(path.join(runDir, 'run.json'), JSON.stringify(runSummary, null, 2));
+  console.log(`Run artifacts saved to ${runDir}`);
+
+  return { runSummary, results };
+}
+
+async function run() {
+  const strategyId = parseArg('--strategy', process.env.RAG_STRATEGY_ID || 'baseline');
+  const datasetPath = parseArg('--dataset', DEFAULT_DATASET);
+  const limitArg = parseInt(parseArg('--limit', ''), 10);
+  const smoke = process.argv.includes('--smoke');
+  const effectiveLimit = smoke ? Math.min(limitArg || 8, 8) : Number.isFinite(limitArg) ? limitArg : null;
+  const delayMs = parseInt(parseArg('--delay', smoke ? '3000' : '25000'), 10);
+  // Retrieval strategies to run the dataset under; the first is the baseline the others are compared to
+  const retrievalStrategies = parseArg('--retrieval', 'hybrid-bm25')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const unknown = retrievalStrategies.filter((s) => !PIPELINE_STRATEGIES.includes(s));
+  if (unknown.length) {
+    throw new Error(`Unknown retrieval strategy ${unknown.join(', ')}. Available: ${PIPELINE_STRATEGIES.join(', ')}`);
+  }
+  if (!fs.existsSync(datasetPath)) {
+    throw new Error(`Dataset not found at ${datasetPath}`);
+  }
+
+  const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+  const testCases = effectiveLimit ? dataset.slice(0, effectiveLimit) : dataset;
+
+  ensureDir(REPORTS_BASE);
+
+  const runTimestamp = new Date().toISOString();
+  const runId = sanitizeRunId(runTimestamp);
 
+  console.log(`🔎 Strategy: ${strategyId}`);
+  console.log(`🔀 Retrieval: ${retrievalStrategies.join(' vs ')}`);
+  console.log(`🧪 Dataset: ${datasetPath}`);
+  console.log(`🧪 Cases: ${testCases.length}${effectiveLimit ? ` (capped from ${dataset.length})` : ''}`);
+  console.log(`⏱️ Delay between judge calls: ${delayMs}ms`);
+  if (smoke) {
+    console.log('⚡ Smoke mode enabled (short delay, capped cases).');
+  }
+
+  const runs = [];
+  for (const retrievalStrategy of retrievalStrategies) {
+    // One report folder per retrieval strategy, so each run.json stays a single-strategy run
+    const reportId = retrievalStrategies.length > 1 ? `${strategyId}-${retrievalStrategy}` : strategyId;
+    runs.push(
+      await evaluateStrategy({ retrievalStrategy, reportId, testCases, datasetPath, runId, runTimestamp, delayMs })
+    );
+  }
+
+  const comparison = runs.map(({ runSummary }) => ({
+    retrieval_strategy: runSummary.retrieval_strategy,
+    strategy_id: runSummary.strategy_id,
+    pass_rate: runSummary.pass_rate,
+    avg_relevance: runSummary.summary.avg_relevance,
+    avg_faithfulness: runSummary.summary.avg_faithfulness,
+    avg_accuracy: runSummary.summary.avg_accuracy,
+    latency_p50_ms: runSummary.summary.latency_ms.p50,
+    multi_query: runSummary.summary.multi_query,
+  }));
+
+  if (runs.length > 1) {
+    console.log('\n==================================================');
+    console.log('RETRIEVAL STRATEGY COMPARISON');
+    console.log('==================================================');
+    console.log('Strategy        Pass   Relev  Faith  Accur  P50 ms');
+    comparison.forEach((c) => {
+      console.log(
+        [
+          c.retrieval_strategy.padEnd(14),
+          `${(c.pass_rate * 100).toFixed(0)}%`.padStart(5),
+          c.avg_relevance.toFixed(2).padStart(6),
+          c.avg_faithfulness.toFixed(2).padStart(6),
+          c.avg_accuracy.toFixed(2).padStart(6),
+          (c.latency_p50_ms ?? 0).toFixed(0).padStart(7),
+        ].join(' ')
+      );
+    });
+    const comparisonDir = path.join(REPORTS_BASE, 'comparisons');
+    ensureDir(comparisonDir);
+    fs.writeFileSync(
+      path.join(comparisonDir, `${runId}.json`),
+      JSON.stringify({ run_id: runId, strategy_id: strategyId, created_at: runTimestamp, comparison }, null, 2)
+    );
+    console.log(`Comparison saved to ${path.join(comparisonDir, `${runId}.json`)}`);
+  }
+
+  // The dashboard reads one run's cases; keep the baseline's and attach the comparison
+  const [{ runSummary: baseline, results }] = runs;
   fs.writeFileSync(
     path.join(process.cwd(), 'evaluation_report.json'),
     JSON.stringify(
       {
         run_id: runId,
-        strategy_id: strategyId,
-        dataset: runSummary.dataset,
+        strategy_id: baseline.strategy_id,
+        retrieval_strategy: baseline.retrieval_strategy,
+        dataset: baseline.dataset,
         timestamp: runTimestamp,
-        summary: runSummary.summary,
+        summary: baseline.summary,
         details: results,
+        ...(runs.length > 1 ? { comparison } : {}),
       },
       null,
       2
     )
   );
 
-  console.log(`Run artifacts saved to ${runDir}`);
   console.log('Latest summary written to evaluation_report.json');
 }
 
@@ -408,4 +497,3 @@ run().catch((err) => {
   console.error('Evaluation failed:', err);
   process.exit(1);
 });
-
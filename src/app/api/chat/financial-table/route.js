@@ -4,6 +4,8 @@ import { NextResponse } from 'next/server';
 import fs from 'fs';
 import path from 'path';
 import { financials } from '../../../../lib/data/financials.js';
+import { detectTickerInText, getCompany } from '../../../../lib/data/companies.js';
+import { resolveReport } from '../../../../lib/data/financialNormalizer.js';
 
 export async function POST(req) {
   try {
@@ -135,27 +137,8 @@ function parseQueryDetails(prompt) {
     });
   }
   
-  // Parse company mentions - improved detection
-  const companyKeywords = {
-    apple: ['apple', 'aapl'],
-    amazon: ['amazon', 'amzn'],
-    microsoft: ['microsoft', 'msft'],
-    google: ['google', 'alphabet', 'googl'],
-    meta: ['meta', 'facebook', 'fb'],
-    nvidia: ['nvidia', 'nvda'],
-    amd: ['amd'],
-    salesforce: ['salesforce', 'crm'],
-    oracle: ['oracle', 'orcl'],
-    broadcom: ['broadcom', 'avgo']
-  };
-  
-  let detectedCompany = null;
-  for (const [company, keywords] of Object.entries(companyKeywords)) {
-    if (keywords.some(keyword => promptLower.includes(keyword))) {
-      detectedCompany = company;
-      break;
-    }
-  }
+  // Parse company mentions (ticker, name or alias from the company registry)
+  const detectedCompany = detectTickerInText(promptLower);
   
   // Find year if associated with quarter
   const quarterTimeframe = timeframes.find(t => t.type === 'quarter');
@@ -217,71 +200,14 @@ async function generateFinancialTable(query = '') {
     let companyName = "Tech Company";
     let companyData = null;
     
-    const companyMap = {
-      apple: {
-        name: "Apple",
-        symbol: "AAPL",
-        fullName: "Apple Inc.",
-        sector: "Consumer Electronics & Technology"
-      },
-      amazon: {
-        name: "Amazon",
-        symbol: "AMZN", 
-        fullName: "Amazon.com Inc.",
-        sector: "E-commerce & Cloud Computing"
-      },
-      microsoft: {
-        name: "Microsoft",
-        symbol: "MSFT",
-        fullName: "Microsoft Corporation", 
-        sector: "Software & Cloud Services"
-      },
-      google: {
-        name: "Alphabet",
-        symbol: "GOOGL",
-        fullName: "Alphabet Inc.",
-        sector: "Digital Advertising & Technology"
-      },
-      meta: {
-        name: "Meta",
-        symbol: "META",
-        fullName: "Meta Platforms Inc.",
-        sector: "Social Media & Digital Advertising"
-      },
-      nvidia: {
-        name: "NVIDIA",
-        symbol: "NVDA",
-        fullName: "NVIDIA Corporation",
-        sector: "Semiconductors & AI"
-      },
-      amd: {
-        name: "AMD",
-        symbol: "AMD",
-        fullName: "Advanced Micro Devices Inc.",
-        sector: "Semiconductors"
-      },
-      salesforce: {
-        name: "Salesforce",
-        symbol: "CRM",
-        fullName: "Salesforce Inc.",
-        sector: "Enterprise Software & CRM"
-      },
-      oracle: {
-        name: "Oracle",
-        symbol: "ORCL",
-        fullName: "Oracle Corporation",
-        sector: "Enterprise Software & Database"
-      },
-      broadcom: {
-        name: "Broadcom",
-        symbol: "AVGO",
-        fullName: "Broadcom Inc.",
-        sector: "Semiconductors & Infrastructure Software"
-      }
-    };
-    
-    if (queryDetails.company && companyMap[queryDetails.company]) {
-      companyData = companyMap[queryDetails.company];
+    const company = queryDetails.company ? getCompany(queryDetails.company) : null;
+    if (company) {
+      companyData = {
+        name: company.name,
+        symbol: company.ticker,
+        fullName: company.legalName,
+        sector: company.sector
+      };
       companyName = companyData.name;
       console.log(`[generateFinancialTable] Company detected: ${companyName} (${companyData.symbol})`);
     } else {
@@ -452,7 +378,7 @@ async function getSpecificQuarterData(symbol, fiscalYear, quarter) {
     
     console.log(`[getSpecificQuarterData] Found file, reading data...`);
     const rawData = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-    const metrics = extractFinancialMetrics(rawData);
+    const metrics = extractFinancialMetrics(rawData, { fiscalYear: String(fiscalYear), quarter });
     
     if (metrics) {
       console.log(`[getSpecificQuarterData] Successfully extracted metrics for ${symbol} FY${fiscalYear} ${quarter}:`, {
@@ -1295,9 +1221,9 @@ async function getRealFinancialData(symbol, fiscalYear) {
 }
 
 // Helper function to extract key metrics from financial JSON
-function extractFinancialMetrics(jsonData) {
+function extractFinancialMetrics(jsonData, period = {}) {
   try {
-    const report = jsonData.financial_report || jsonData.financial_reports?.[0];
+    const report = resolveReport(jsonData, period);
     if (!report) return null;
     
     const incomeStatement = report.income_statement;
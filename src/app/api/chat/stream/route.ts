@@ -3,9 +3,18 @@ import crypto from 'crypto';
 import { FINANCIAL_TOOLS, TOOL_SYSTEM_PROMPT } from '../../../../lib/tools/index.js';
 import { executeToolCallWithTracing } from '../../../../lib/tools/instrumented-executor.js';
 import { createTrace, flush } from '../../../../lib/observability/langfuse.js';
-import { StreamChatRequestSchema, formatValidationError, type ChatMessage } from '../../../../lib/schemas/api';
+import { StreamChatRequestSchema, formatValidationError, type ChatMessage, type ConversationState } from '../../../../lib/schemas/api';
+import {
+  formatPeriod,
+  isFollowUp,
+  resolveFollowUpPeriods,
+  summarizeConversationState,
+  updateConversationState
+} from '../../../../lib/conversations/state.js';
 import { sanitizeText, summarizeViolations } from '../../../../lib/prompts/guardrails.js';
 import { getDataFreshness } from '../../../../lib/data/freshness.js';
+import { detectTickerInText } from '../../../../lib/data/companies.js';
+import { findExecutive } from '../../../../lib/data/executives.js';
 import { withRetry } from '../../../../lib/utils/resilience';
 
 // =============================================================================
@@ -177,14 +186,15 @@ async function* streamAnthropicResponse(payload: Record<string, unknown>): Async
   }
 }
 
-function toAnthropicMessages(chatHistory: ChatMessage[], userMessage: string): AnthropicMessage[] {
+function toAnthropicMessages(chatHistory: ChatMessage[], userMessage: string, stateContext = ''): AnthropicMessage[] {
   const msgs: AnthropicMessage[] = [];
   
   (chatHistory || []).forEach((m) => {
     msgs.push({ role: m.role, content: m.content });
   });
   
-  msgs.push({ role: 'user', content: userMessage });
+  // Earlier tickers, periods and tool results ride along with the question so follow-ups resolve
+  msgs.push({ role: 'user', content: stateContext ? `${stateContext}\n\nQuestion: ${userMessage}` : userMessage });
   return msgs;
 }
 
@@ -192,34 +202,26 @@ function streamData(controller: ReadableStreamDefaultController, data: StreamDat
   controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(data)}\n\n`));
 }
 
-function detectTickerFromMessage(msg: string): string | null {
-  const text = msg.toLowerCase();
-  const tickers = [
-    { key: 'nvda', aliases: ['nvda', 'nvidia'] },
-    { key: 'aapl', aliases: ['aapl', 'apple'] },
-    { key: 'amd', aliases: ['amd', 'advanced micro devices'] },
-    { key: 'amzn', aliases: ['amzn', 'amazon', 'aws'] },
-    { key: 'msft', aliases: ['msft', 'microsoft', 'azure'] },
-    { key: 'meta', aliases: ['meta', 'facebook', 'fb'] },
-    { key: 'googl', aliases: ['googl', 'google', 'alphabet', 'goog'] },
-    { key: 'avgo', aliases: ['avgo', 'broadcom'] },
-    { key: 'crm', aliases: ['crm', 'salesforce'] },
-    { key: 'orcl', aliases: ['orcl', 'oracle'] }
-  ];
-  for (const t of tickers) {
-    if (t.aliases.some((a) => text.includes(a))) return t.key.toUpperCase();
-  }
-  return null;
+function detectTickerFromMessage(msg: string, state?: ConversationState | null): string | null {
+  const named = detectTickerInText(msg);
+  if (named) return named;
+  // "What did Jensen say about Blackwell?" names the company through its executive
+  const executive = findExecutive(msg, { ticker: state?.tickers[0] });
+  if (executive) return executive.ticker;
+  // "what about their margins?" / "and the quarter before?" — the company the thread is about
+  return isFollowUp(msg, state) ? state!.tickers[0] : null;
 }
 
-function isLikelyFinancial(msg: string): boolean {
+function isLikelyFinancial(msg: string, state?: ConversationState | null): boolean {
   const text = msg.toLowerCase();
-  return ['revenue', 'growth', 'margin', 'guidance', 'data center', 'datacenter', 'earnings'].some((k) =>
+  const named = ['revenue', 'growth', 'margin', 'guidance', 'data center', 'datacenter', 'earnings'].some((k) =>
     text.includes(k)
   );
+  // A follow-up to a numbers answer ("the quarter before?") is a numbers question too
+  return named || (isFollowUp(msg, state) && !!state?.metrics.length);
 }
 
-function detectRequestedFinancialMetrics(msg: string): string[] {
+function detectRequestedFinancialMetrics(msg: string, state?: ConversationState | null): string[] {
   const text = msg.toLowerCase();
   const metrics = new Set<string>();
   if (text.includes('gross margin') || text.includes('gross_margin')) metrics.add('gross_margin');
@@ -240,6 +242,11 @@ function detectRequestedFinancialMetrics(msg: string): string[] {
     metrics.add('gross_margin');
   }
 
+  // Elliptical follow-ups keep asking about the metrics already on the table
+  if (metrics.size === 0 && isFollowUp(msg, state)) {
+    (state?.metrics || []).forEach((m) => metrics.add(m));
+  }
+
   // Always include revenue for context when we have margin asks.
   if ((metrics.has('gross_margin') || metrics.has('operating_margin') || metrics.has('net_margin')) && !metrics.has('revenue')) {
     metrics.add('revenue');
@@ -282,12 +289,17 @@ ${TOOL_SYSTEM_PROMPT}
 - Most other companies (AMD, AVGO, etc.) are on FY2025
 - When users ask for "recent", "latest", or "current" data, use fiscalYear: "latest" to auto-detect
 - The system will automatically find the most recent available data for each ticker
-- For comparisons across companies, use fiscalYear: "latest" for each to ensure you get their most recent data
+- For comparisons across companies, use compare_companies: it aligns every ticker on the same calendar quarter in a single call
 
 ## CRITICAL: Tool Usage Limits
 - Use AT MOST 2-3 tool calls per question
 - Prefer get_multi_quarter_metrics over multiple get_financial_metrics calls
+- Prefer one compare_companies call over per-ticker calls when 2+ companies are involved
+- Request derived metrics (rd_intensity, opex_ratio, fcf_margin, cash_conversion, incremental_operating_margin, ttm_*) instead of computing ratios or TTM sums yourself; cite the returned formula
+- For fiscal-year or trailing-twelve-month totals, call get_financial_metrics with periodType "annual" or "ttm" rather than adding quarters yourself
 - For qualitative questions, use search_earnings_transcript with topK: 10-15 for comprehensive coverage
+- For "did they beat guidance" questions, call get_guidance_vs_actual once; rows it marks not_comparable (non-GAAP, segment, constant currency) must not be scored by hand
+- For "when did they start talking about X" or "how has the emphasis on X changed", call get_theme_timeline once with every theme named; compare per-10k-word rates, not raw mentions
 - Combine related queries rather than making separate calls
 - If you have enough data, STOP calling tools and provide your answer
 
@@ -313,9 +325,18 @@ export async function POST(request: NextRequest): Promise<Response> {
       );
     }
 
-    const { message, chatHistory } = validation.data;
+    const { message, chatHistory, strategy, conversationState } = validation.data;
+    // A named executive becomes the default speaker filter for that company's transcript searches
+    const executive = findExecutive(message, { ticker: conversationState?.tickers[0] });
+    const speaker = executive ? { ticker: executive.ticker, name: executive.name } : null;
+    const toolContext = { strategy, speaker };
     const requestId = crypto.randomUUID();
     const trace = createTrace({ requestId, userId: null, query: message });
+    // Follow-ups resolve against the state the client sent back from the previous turn
+    const followUp = isFollowUp(message, conversationState);
+    const detectedTicker = detectTickerFromMessage(message, conversationState);
+    const tickerFromState = followUp && !detectTickerFromMessage(message) ? detectedTicker : null;
+    const followUpPeriods = followUp ? resolveFollowUpPeriods(message, conversationState) : null;
 
     const stream = new ReadableStream({
       async start(controller) {
@@ -327,6 +348,11 @@ export async function POST(request: NextRequest): Promise<Response> {
           toolCalls: [] as { tool: string; latencyMs: number; success: boolean }[],
           retrievalResults: 0,
           avgRetrievalScore: 0,
+          // Strategies transcript search actually ran, which can differ from the request ('auto', fallbacks)
+          strategiesUsed: [] as string[],
+          autoSelected: false,
+          hypotheticalDocument: null as string | null,
+          queryVariations: null as string[] | null,
           llmCalls: 0,
           totalTokensEstimate: 0
         };
@@ -338,21 +364,33 @@ export async function POST(request: NextRequest): Promise<Response> {
           // Immediate acknowledgment for better perceived latency
           streamData(controller, { type: 'status', message: 'Analyzing your question...' });
 
-          let messages: AnthropicMessage[] = toAnthropicMessages(chatHistory, message);
+          const speakerContext = executive
+            ? `The question refers to ${executive.name} (${executive.title || executive.role}, ${executive.ticker}); transcript searches for ${executive.ticker} default to speaker "${executive.name}".`
+            : '';
+          const stateContext = [
+            summarizeConversationState(conversationState, { ticker: tickerFromState, periods: followUpPeriods }),
+            speakerContext
+          ].filter(Boolean).join('\n');
+          // Every tool call this turn, folded into the next conversation state
+          const turnToolCalls: { tool: string; input: Record<string, unknown>; success: boolean; result: unknown }[] = [];
+
+          let messages: AnthropicMessage[] = toAnthropicMessages(chatHistory, message, stateContext);
           let loopCount = 0;
           let totalToolCalls = 0;
 
           // Proactive financial fetch for numeric intents (prevents empty context)
-          const detectedTicker = detectTickerFromMessage(message);
-          const wantsFinancials = isLikelyFinancial(message);
+          const wantsFinancials = isLikelyFinancial(message, conversationState);
           if (detectedTicker && wantsFinancials) {
+            const followUpMetrics = followUp ? detectRequestedFinancialMetrics(message, conversationState) : [];
+            const periodLabel = followUpPeriods ? followUpPeriods.map(formatPeriod).join(', ') : 'latest';
             const autoInput = {
               ticker: detectedTicker,
-              periods: [{ fiscalYear: 'latest' }],
-              metrics: ['revenue', 'revenue_segments', 'operating_income', 'net_income']
+              periods: followUpPeriods || [{ fiscalYear: 'latest' }],
+              metrics: followUpMetrics.length ? followUpMetrics : ['revenue', 'revenue_segments', 'operating_income', 'net_income']
             };
-            streamData(controller, { type: 'status', message: `Fetching latest ${detectedTicker} financials...` });
-            const autoExec = await executeToolCallWithTracing('get_multi_quarter_metrics', autoInput, trace);
+            streamData(controller, { type: 'status', message: `Fetching ${periodLabel} ${detectedTicker} financials...` });
+            const autoExec = await executeToolCallWithTracing('get_multi_quarter_metrics', autoInput, trace, toolContext);
+            turnToolCalls.push({ tool: 'get_multi_quarter_metrics', input: autoInput, success: autoExec.success, result: autoExec.result });
 
             // Stream to client
             streamData(controller, {
@@ -382,7 +420,7 @@ export async function POST(request: NextRequest): Promise<Response> {
             // Feed a plain-text summary back to the model (tool_result blocks must be in user role)
             messages.push({
               role: 'user',
-              content: `Auto-fetched latest financials for ${detectedTicker}: ${safeSummary}`
+              content: `Auto-fetched ${periodLabel} financials for ${detectedTicker}: ${safeSummary}`
             });
           }
 
@@ -472,13 +510,15 @@ export async function POST(request: NextRequest): Promise<Response> {
 
             // Execute all tools concurrently
             const execResults: ToolExecutionResult[] = await Promise.all(
-              toolUses.map((tu) => executeToolCallWithTracing(tu.name!, tu.input || {}, trace))
+              toolUses.map((tu) => executeToolCallWithTracing(tu.name!, tu.input || {}, trace, toolContext))
             );
 
             for (let i = 0; i < toolUses.length; i++) {
               const tu = toolUses[i];
               const execResult = execResults[i];
 
+              turnToolCalls.push({ tool: tu.name!, input: tu.input || {}, success: execResult.success, result: execResult.result });
+
               // Track metrics
               metrics.toolCalls.push({
                 tool: tu.name!,
@@ -488,7 +528,19 @@ export async function POST(request: NextRequest): Promise<Response> {
 
               // Extract retrieval stats if this was a search
               if (tu.name === 'search_earnings_transcript' && execResult.success) {
-                const result = execResult.result as { results?: { score?: number }[] };
+                const result = execResult.result as {
+                  results?: { score?: number }[];
+                  strategy?: string;
+                  autoSelected?: boolean;
+                  hypotheticalDocument?: string;
+                  queryVariations?: string[];
+                };
+                if (result?.strategy && !metrics.strategiesUsed.includes(result.strategy)) {
+                  metrics.strategiesUsed.push(result.strategy);
+                }
+                if (result?.autoSelected) metrics.autoSelected = true;
+                metrics.hypotheticalDocument ||= result?.hypotheticalDocument || null;
+                metrics.queryVariations ||= result?.queryVariations || null;
                 if (result?.results) {
                   metrics.retrievalResults += result.results.length;
                   const scores = result.results.map(r => r.score || 0).filter(s => s > 0);
@@ -552,6 +604,14 @@ export async function POST(request: NextRequest): Promise<Response> {
             }
           }
 
+          streamData(controller, {
+            type: 'conversation_state',
+            state: updateConversationState(conversationState, {
+              tickers: detectedTicker ? [detectedTicker] : [],
+              toolCalls: turnToolCalls
+            })
+          });
+
           // Send final metrics
           metrics.endTime = Date.now() - metrics.startTime;
           streamData(controller, { 
@@ -564,6 +624,11 @@ export async function POST(request: NextRequest): Promise<Response> {
               toolBreakdown: metrics.toolCalls,
               retrievalResults: metrics.retrievalResults,
               avgRetrievalScore: metrics.avgRetrievalScore > 0 ? parseFloat(metrics.avgRetrievalScore.toFixed(3)) : null,
+              requestedStrategy: strategy,
+              strategiesUsed: metrics.strategiesUsed,
+              autoSelected: metrics.autoSelected,
+              hypotheticalDocument: metrics.hypotheticalDocument,
+              queryVariations: metrics.queryVariations,
               estimatedTokens: metrics.totalTokensEstimate
             }
           });
@@ -580,21 +645,22 @@ export async function POST(request: NextRequest): Promise<Response> {
           // directly from the structured financial dataset, so the UI still gets a response.
           if (isOverloaded) {
             try {
-              const detectedTicker = detectTickerFromMessage(message);
-              const wantsFinancials = isLikelyFinancial(message);
-              const requestedMetrics = detectRequestedFinancialMetrics(message);
+              const wantsFinancials = isLikelyFinancial(message, conversationState);
+              const requestedMetrics = detectRequestedFinancialMetrics(message, conversationState);
 
               if (detectedTicker && wantsFinancials && requestedMetrics.length) {
                 console.warn(`[stream] Anthropic overloaded; generating degraded-mode answer for ${detectedTicker}`);
                 streamData(controller, { type: 'status', message: 'Claude is overloaded — generating an answer from structured financial data…' });
 
+                // A follow-up keeps the thread's ticker and the period it asked for
                 const toolInput = {
                   ticker: detectedTicker,
-                  periods: [{ fiscalYear: 'latest' }],
+                  periods: followUpPeriods || [{ fiscalYear: 'latest' }],
                   metrics: requestedMetrics
                 };
+                const scopeLabel = followUpPeriods ? followUpPeriods.map(formatPeriod).join(', ') : 'last 4 quarters';
 
-                const exec = await executeToolCallWithTracing('get_multi_quarter_metrics', toolInput, trace);
+                const exec = await executeToolCallWithTracing('get_multi_quarter_metrics', toolInput, trace, toolContext);
 
                 // Stream tool result for UI citations/source panel compatibility
                 streamData(controller, {
@@ -613,7 +679,7 @@ export async function POST(request: NextRequest): Promise<Response> {
 
                   // Build a compact, deterministic answer
                   const lines: string[] = [];
-                  lines.push(`**Degraded mode (Claude overloaded):** ${detectedTicker} last 4 quarters`);
+                  lines.push(`**Degraded mode (Claude overloaded):** ${detectedTicker} ${scopeLabel}`);
 
                   for (const p of periods) {
                     const periodLabel = p?.period || 'Unknown period';
@@ -663,7 +729,7 @@ export async function POST(request: NextRequest): Promise<Response> {
                     const lastPct = Number(last) <= 1 ? Number(last) * 100 : Number(last);
                     const delta = lastPct - firstPct;
                     lines.push('');
-                    lines.push(`Trend: gross margin changed by ${delta >= 0 ? '+' : ''}${delta.toFixed(1)}pp over the last 4 quarters.`);
+                    lines.push(`Trend: gross margin changed by ${delta >= 0 ? '+' : ''}${delta.toFixed(1)}pp over the ${scopeLabel}.`);
                   }
 
                   // Stream as content
@@ -0,0 +1,33 @@
+import { NextResponse, type NextRequest } from 'next/server';
+import { getConversationStore } from '../../../../../lib/conversations/store.js';
+import { AppendMessagesSchema, formatValidationError } from '../../../../../lib/schemas/api';
+
+type RouteContext = { params: Promise<{ id: string }> };
+
+// POST /api/conversations/:id/messages — append turns to an existing thread
+export async function POST(request: NextRequest, { params }: RouteContext): Promise<Response> {
+  const { id } = await params;
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const validation = AppendMessagesSchema.safeParse(body);
+  if (!validation.success) {
+    return NextResponse.json(formatValidationError(validation.error), { status: 400 });
+  }
+
+  try {
+    const conversation = await getConversationStore().append(id, validation.data.messages);
+    if (!conversation) {
+      return NextResponse.json({ error: 'Conversation not found' }, { status: 404 });
+    }
+    return NextResponse.json({ conversation });
+  } catch (err) {
+    const error = err as Error;
+    console.error(`[api/conversations] Append to ${id} failed:`, error.message);
+    return NextResponse.json({ error: 'Failed to append messages' }, { status: 500 });
+  }
+}
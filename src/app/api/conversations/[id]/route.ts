@@ -0,0 +1,36 @@
+import { NextResponse, type NextRequest } from 'next/server';
+import { getConversationStore } from '../../../../lib/conversations/store.js';
+
+type RouteContext = { params: Promise<{ id: string }> };
+
+// GET /api/conversations/:id — the full thread, including tool results and citations
+export async function GET(_request: NextRequest, { params }: RouteContext): Promise<Response> {
+  const { id } = await params;
+  try {
+    const conversation = await getConversationStore().get(id);
+    if (!conversation) {
+      return NextResponse.json({ error: 'Conversation not found' }, { status: 404 });
+    }
+    return NextResponse.json({ conversation });
+  } catch (err) {
+    const error = err as Error;
+    console.error(`[api/conversations] Get ${id} failed:`, error.message);
+    return NextResponse.json({ error: 'Failed to load conversation' }, { status: 500 });
+  }
+}
+
+// DELETE /api/conversations/:id
+export async function DELETE(_request: NextRequest, { params }: RouteContext): Promise<Response> {
+  const { id } = await params;
+  try {
+    const deleted = await getConversationStore().delete(id);
+    if (!deleted) {
+      return NextResponse.json({ error: 'Conversation not found' }, { status: 404 });
+    }
+    return NextResponse.json({ deleted: true, id });
+  } catch (err) {
+    const error = err as Error;
+    console.error(`[api/conversations] Delete ${id} failed:`, error.message);
+    return NextResponse.json({ error: 'Failed to delete conversation' }, { status: 500 });
+  }
+}
@@ -0,0 +1,39 @@
+import { NextResponse, type NextRequest } from 'next/server';
+import { getConversationStore } from '../../../lib/conversations/store.js';
+import { CreateConversationSchema, formatValidationError } from '../../../lib/schemas/api';
+
+// GET /api/conversations — thread summaries, most recently updated first
+export async function GET(): Promise<Response> {
+  try {
+    const conversations = await getConversationStore().list();
+    return NextResponse.json({ conversations });
+  } catch (err) {
+    const error = err as Error;
+    console.error('[api/conversations] List failed:', error.message);
+    return NextResponse.json({ error: 'Failed to list conversations' }, { status: 500 });
+  }
+}
+
+// POST /api/conversations — start a thread, optionally with its first messages
+export async function POST(request: NextRequest): Promise<Response> {
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const validation = CreateConversationSchema.safeParse(body);
+  if (!validation.success) {
+    return NextResponse.json(formatValidationError(validation.error), { status: 400 });
+  }
+
+  try {
+    const conversation = await getConversationStore().create(validation.data);
+    return NextResponse.json({ conversation }, { status: 201 });
+  } catch (err) {
+    const error = err as Error;
+    console.error('[api/conversations] Create failed:', error.message);
+    return NextResponse.json({ error: 'Failed to create conversation' }, { status: 500 });
+  }
+}
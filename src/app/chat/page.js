@@ -1,12 +1,11 @@
-'use client';
-
 import { Suspense } from 'react';
 import ChatInterface from '../components/Chatbox';
+import { listTickers } from '../../lib/data/companies.js';
 
 export default function ChatPage() {
   return (
     <Suspense fallback={<div>Loading...</div>}>
-      <ChatInterface />
+      <ChatInterface tickers={listTickers()} />
     </Suspense>
   );
 }
@@ -4,14 +4,62 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useSearchParams } from 'next/navigation';
 import ChatResponse from './ChatResponse';
 import OnboardingModal from './OnboardingModal';
+import StrategySelector from './StrategySelector';
+import ConversationHistory from './ConversationHistory';
+import ThemeTimelineChart from './ThemeTimelineChart';
+import StrategyCompare, {
+  CompareStrategyPicker, DEFAULT_COMPARE_STRATEGIES, createCompareRun, streamStrategyRun, threadRunOf
+} from './StrategyCompare';
 import { 
   AlertCircle, Loader2, Bot, Send, FileText, 
   ChevronRight, ChevronDown, Activity, HelpCircle, 
   FlaskConical, Search, Building2, Calendar, TrendingUp,
-  Clock, Zap, Database, BarChart3
+  Clock, Zap, Database, BarChart3, GitCompare
 } from 'lucide-react';
 import Link from 'next/link';
 
+// Prior messages sent with each question, so follow-ups in a thread keep context
+const MAX_HISTORY_MESSAGES = 10;
+
+// Earlier turn of the current thread, shown above the latest answer
+function PastTurn({ turn }) {
+  const [showSources, setShowSources] = useState(false);
+  const sources = turn.citations || [];
+
+  return (
+    <div className="mb-6 pb-6 border-b border-slate-200">
+      <div className="flex justify-end mb-3">
+        <div className="max-w-xl px-4 py-2 rounded-2xl bg-blue-600 text-white text-sm">{turn.question}</div>
+      </div>
+      <ChatResponse content={turn.content} isStreaming={false} />
+      {sources.length > 0 && (
+        <div className="max-w-3xl mt-2">
+          <button
+            onClick={() => setShowSources(!showSources)}
+            className="flex items-center gap-1 text-xs text-slate-500 hover:text-blue-600 transition-colors"
+          >
+            {showSources ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+            {sources.length} source{sources.length === 1 ? '' : 's'}
+          </button>
+          {showSources && (
+            <ul className="mt-2 space-y-1">
+              {sources.map((source, i) => (
+                <li key={source._key || i} className="text-xs text-slate-600">
+                  <span className="font-medium text-slate-700">{source.source}</span>
+                  {(source.quarter || source.fiscalYear) && (
+                    <span className="text-slate-400"> · {[source.quarter, source.fiscalYear && `FY${source.fiscalYear}`].filter(Boolean).join(' ')}</span>
+                  )}
+                  <span className="block truncate text-slate-400">{source.text}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Pipeline Stages Component - Shows progress through RAG pipeline
 function PipelineStages({ stage, activeTools, totalVectors = 11929 }) {
   const stages = [
@@ -387,7 +435,7 @@ function ContextPanel({ citations, loading, detectedTickers, strategy }) {
           <div className="flex items-center gap-2 mt-2">
             <FlaskConical className="w-3 h-3 text-slate-400" />
             <span className="text-xs px-2 py-0.5 bg-violet-100 text-violet-700 rounded capitalize">
-              {strategy.replace('-', ' ').replace('bm25', '')}
+              {strategy.replace(/-/g, ' ').replace(/bm25/g, '')}
             </span>
           </div>
         )}
@@ -460,7 +508,10 @@ function ToolIndicator({ tool, status }) {
     get_financial_metrics: { icon: '📊', label: 'Fetching financial data', color: 'emerald' },
     get_multi_quarter_metrics: { icon: '📈', label: 'Loading quarterly trends', color: 'blue' },
     compute_growth_rate: { icon: '📉', label: 'Calculating growth', color: 'violet' },
+    compare_companies: { icon: '⚖️', label: 'Comparing companies', color: 'blue' },
     search_earnings_transcript: { icon: '🔍', label: 'Searching transcripts', color: 'amber' },
+    get_guidance_vs_actual: { icon: '🎯', label: 'Checking guidance vs. actuals', color: 'violet' },
+    get_theme_timeline: { icon: '🗓️', label: 'Tracking themes across calls', color: 'blue' },
     list_available_data: { icon: '📁', label: 'Checking available data', color: 'slate' }
   };
   
@@ -490,10 +541,11 @@ function ToolIndicator({ tool, status }) {
   );
 }
 
-export default function Chatbox() {
+export default function Chatbox({ tickers = [] }) {
   const searchParams = useSearchParams();
   const initialQuery = searchParams.get('q');
   const initialStrategy = searchParams.get('strategy');
+  const initialConversationId = searchParams.get('conversation');
   
   const [query, setQuery] = useState('');
   const [loading, setLoading] = useState(false);
@@ -503,9 +555,18 @@ export default function Chatbox() {
   const [currentMetadata, setCurrentMetadata] = useState(null);
   const [currentMetrics, setCurrentMetrics] = useState(null);
   const [selectedStrategy, setSelectedStrategy] = useState(initialStrategy || 'auto');
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareStrategies, setCompareStrategies] = useState(DEFAULT_COMPARE_STRATEGIES);
+  const [compareRuns, setCompareRuns] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [pastTurns, setPastTurns] = useState([]);
+  const [currentQuestion, setCurrentQuestion] = useState(null);
+  // Tickers, periods and tool results from earlier turns, echoed back so follow-ups resolve
+  const [conversationState, setConversationState] = useState(null);
   const [isFirstQuery, setIsFirstQuery] = useState(true);
   const [activeTools, setActiveTools] = useState([]);
   const [dataSources, setDataSources] = useState([]);
+  const [themeTimelines, setThemeTimelines] = useState([]);
   const [ragMetrics, setRagMetrics] = useState(null);
 const [dataFreshness, setDataFreshness] = useState(null);
   const [showBehindScenes, setShowBehindScenes] = useState(false);
@@ -514,6 +575,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
   const inputRef = useRef(null);
   const responseAreaRef = useRef(null);
   const hasHandledInitialQuery = useRef(false);
+  const hasHandledInitialConversation = useRef(false);
   
   // Auto-scroll to bottom when response updates
   useEffect(() => {
@@ -533,6 +595,82 @@ const [dataFreshness, setDataFreshness] = useState(null);
     }
   }, [loading, currentResponse]);
   
+  // Keep the thread id in the URL so a refresh reopens it
+  const setThreadInUrl = (id) => {
+    const url = new URL(window.location.href);
+    if (id) url.searchParams.set('conversation', id); else url.searchParams.delete('conversation');
+    window.history.replaceState(null, '', url);
+  };
+
+  // Saving is best-effort: a store failure should never cost the user the answer on screen
+  const saveTurn = useCallback(async (messages) => {
+    try {
+      const res = conversationId
+        ? await fetch(`/api/conversations/${conversationId}/messages`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ messages })
+        })
+        : await fetch('/api/conversations', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ messages })
+        });
+      if (!res.ok) throw new Error(`Request failed: ${await res.text()}`);
+      const { conversation } = await res.json();
+      if (conversation.id !== conversationId) {
+        setConversationId(conversation.id);
+        setThreadInUrl(conversation.id);
+      }
+    } catch (err) {
+      console.error('[Chatbox] Failed to save conversation turn:', err);
+    }
+  }, [conversationId]);
+
+  const loadConversation = useCallback(async (id) => {
+    try {
+      const res = await fetch(`/api/conversations/${id}`);
+      if (!res.ok) throw new Error(res.status === 404 ? 'That conversation no longer exists.' : `Request failed: ${await res.text()}`);
+      const { conversation } = await res.json();
+
+      const turns = [];
+      let restoredState = null;
+      conversation.messages.forEach((message) => {
+        if (message.role === 'user') {
+          turns.push({ question: message.content, content: '', citations: [], metrics: null });
+        } else if (turns.length) {
+          Object.assign(turns[turns.length - 1], {
+            content: message.content,
+            citations: message.citations || [],
+            metrics: message.metrics || null
+          });
+          restoredState = message.conversationState || restoredState;
+        }
+      });
+      const latest = turns.pop();
+
+      setConversationId(conversation.id);
+      setThreadInUrl(conversation.id);
+      setConversationState(restoredState);
+      setPastTurns(turns);
+      setCurrentQuestion(latest?.question || null);
+      setCurrentResponse(latest?.content || null);
+      setCurrentCitations(latest?.citations || []);
+      setCurrentMetrics(latest?.metrics || null);
+      setRagMetrics(latest?.metrics || null);
+      setCurrentMetadata(null);
+      setDataSources([]);
+      setThemeTimelines([]);
+      setCompareRuns([]);
+      setActiveTools([]);
+      setError(null);
+      setIsFirstQuery(!latest);
+    } catch (err) {
+      console.error('[Chatbox] Failed to load conversation:', err);
+      setError(err?.message || String(err));
+    }
+  }, []);
+
   const handleSubmit = useCallback(async (e, customQuery = null) => {
     try {
       e?.preventDefault?.();
@@ -544,6 +682,22 @@ const [dataFreshness, setDataFreshness] = useState(null);
         return;
       }
       
+      // The answer on screen becomes part of the thread above the new one; a
+      // compare turn contributes the run it was saved as
+      const keptRun = currentResponse ? null : threadRunOf(compareRuns);
+      const currentTurn = currentResponse
+        ? { question: currentQuestion, content: currentResponse, citations: currentCitations, metrics: ragMetrics }
+        : keptRun && { question: currentQuestion, content: keptRun.content, citations: [], metrics: keptRun.metrics };
+      const priorTurns = currentTurn && currentQuestion ? [...pastTurns, currentTurn] : pastTurns;
+      const chatHistory = priorTurns
+        .flatMap((turn) => [
+          { role: 'user', content: turn.question },
+          { role: 'assistant', content: turn.content }
+        ])
+        .slice(-MAX_HISTORY_MESSAGES);
+      setPastTurns(priorTurns);
+      setCurrentQuestion(queryToSubmit);
+
       setLoading(true);
       setError(null);
       setCurrentResponse(null);
@@ -553,9 +707,41 @@ const [dataFreshness, setDataFreshness] = useState(null);
       setIsFirstQuery(false);
       setActiveTools([]);
       setDataSources([]);
+      setThemeTimelines([]);
       setRagMetrics(null);
       setShowBehindScenes(false);
       setStatusMessage('');
+      setCompareRuns([]);
+
+      if (compareMode) {
+        // One request per strategy, in parallel; each pane updates independently
+        const runs = compareStrategies.map(createCompareRun);
+        setCompareRuns(runs);
+        await Promise.all(compareStrategies.map((strategy, i) =>
+          streamStrategyRun(queryToSubmit, strategy, (update) => {
+            runs[i] = update(runs[i]);
+            setCompareRuns([...runs]);
+          }, { chatHistory, conversationState })
+        ));
+        setQuery('');
+
+        // Only one answer joins the thread, so later turns build on a single reply
+        const kept = threadRunOf(runs);
+        if (kept) {
+          if (kept.conversationState) setConversationState(kept.conversationState);
+          void saveTurn([
+            { role: 'user', content: queryToSubmit },
+            {
+              role: 'assistant',
+              content: kept.content,
+              strategy: kept.strategy,
+              metrics: kept.metrics,
+              conversationState: kept.conversationState
+            }
+          ]);
+        }
+        return;
+      }
 
       console.log('[Chatbox] Sending request to /api/chat/stream');
       const response = await fetch('/api/chat/stream', {
@@ -563,7 +749,9 @@ const [dataFreshness, setDataFreshness] = useState(null);
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           message: queryToSubmit,
-          chatHistory: []
+          chatHistory,
+          strategy: selectedStrategy,
+          conversationState
         }),
       });
       
@@ -582,6 +770,18 @@ const [dataFreshness, setDataFreshness] = useState(null);
       let metrics = null;
       let buffer = '';
       let encounteredStreamError = null;
+      let nextConversationState = null;
+      // Kept alongside state so the finished turn can be saved to the thread
+      const toolResults = [];
+      const turnCitations = [];
+      const addCitation = (citation) => {
+        if (turnCitations.some(c => c._key === citation._key)) return;
+        turnCitations.push(citation);
+        setCurrentCitations(prev => {
+          if (prev.some(c => c._key === citation._key)) return prev;
+          return [...prev, citation];
+        });
+      };
       
       while (true) {
         const { done, value } = await reader.read();
@@ -610,6 +810,10 @@ const [dataFreshness, setDataFreshness] = useState(null);
                   analysis += data.content;
                   setCurrentResponse(analysis);
                   break;
+                case 'conversation_state':
+                  nextConversationState = data.state;
+                  setConversationState(data.state);
+                  break;
                 case 'metrics':
                   metrics = data.metrics;
                   setCurrentMetrics(metrics);
@@ -618,10 +822,11 @@ const [dataFreshness, setDataFreshness] = useState(null);
                 case 'tool_start':
                   setActiveTools((prev) => [...prev, { id: data.id, name: data.tool, status: 'running' }]);
                   // Extract ticker from tool input if available
-                  if (data.input?.ticker) {
+                  if (data.input?.ticker || data.input?.tickers?.length) {
+                    const inputTickers = data.input.tickers || [data.input.ticker];
                     setCurrentMetadata(prev => ({
                       ...prev,
-                      detectedTickers: [...new Set([...(prev?.detectedTickers || []), data.input.ticker])]
+                      detectedTickers: [...new Set([...(prev?.detectedTickers || []), ...inputTickers])]
                     }));
                   }
                   break;
@@ -629,16 +834,18 @@ const [dataFreshness, setDataFreshness] = useState(null);
                   setActiveTools((prev) =>
                     prev.map((t) => t.id === data.id ? { ...t, status: 'complete' } : t)
                   );
+                  toolResults.push({ tool: data.tool, id: data.id, success: data.success, result: data.result, error: data.error });
                   // Extract source citations from tool results
                   if (data.success && data.result) {
                     const result = typeof data.result === 'string' ? JSON.parse(data.result) : data.result;
                     const actualResult = result.result || result;
                     
                     // Extract detected ticker from result
-                    if (actualResult.ticker) {
+                    if (actualResult.ticker || actualResult.tickers?.length) {
+                      const resultTickers = actualResult.tickers || [actualResult.ticker];
                       setCurrentMetadata(prev => ({
                         ...prev,
-                        detectedTickers: [...new Set([...(prev?.detectedTickers || []), actualResult.ticker])]
+                        detectedTickers: [...new Set([...(prev?.detectedTickers || []), ...resultTickers])]
                       }));
                     }
                     
@@ -653,10 +860,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
                         type: 'financial',
                         _key: `fin-${actualResult.ticker}-${actualResult.period}`
                       };
-                      setCurrentCitations(prev => {
-                        if (prev.some(c => c._key === newCitation._key)) return prev;
-                        return [...prev, newCitation];
-                      });
+                      addCitation(newCitation);
                       setDataSources(prev => [...prev, {
                         type: 'financial',
                         ticker: actualResult.ticker,
@@ -678,10 +882,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
                             type: 'financial',
                             _key: `fin-${actualResult.ticker}-${p.period}`
                           };
-                          setCurrentCitations(prev => {
-                            if (prev.some(c => c._key === newCitation._key)) return prev;
-                            return [...prev, newCitation];
-                          });
+                          addCitation(newCitation);
                         });
                         setDataSources(prev => [...prev, {
                           type: 'financial',
@@ -703,13 +904,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
                           // Unique key for deduplication
                           _key: `${actualResult.ticker}-${r.fiscalYear}-${r.quarter}-${(r.text || '').slice(0, 50)}`
                         };
-                        setCurrentCitations(prev => {
-                          // Check for duplicates
-                          if (prev.some(c => c._key === newCitation._key)) {
-                            return prev;
-                          }
-                          return [...prev, newCitation];
-                        });
+                        addCitation(newCitation);
                       });
                       const uniqueSources = [...new Set(actualResult.results.slice(0, 5).map(r => 
                         `${r.quarter || ''} FY${r.fiscalYear || ''}`
@@ -722,6 +917,38 @@ const [dataFreshness, setDataFreshness] = useState(null);
                           source: 'Earnings Call Transcripts'
                         }]);
                       }
+                    } else if (data.tool === 'compare_companies' && actualResult.rows?.length) {
+                      // One citation per ticker/period, pointing at the statement file the cell came from
+                      const cellsByFile = new Map();
+                      actualResult.rows.forEach(row => {
+                        row.cells.filter(c => c.status === 'ok').forEach(c => {
+                          const key = c.provenance?.file || `${row.ticker}-${c.fiscalPeriod}`;
+                          const entry = cellsByFile.get(key) || { ticker: row.ticker, cell: c, values: [] };
+                          entry.values.push(`${row.metric}: ${c.value}`);
+                          cellsByFile.set(key, entry);
+                        });
+                      });
+                      cellsByFile.forEach(({ ticker, cell, values }, key) => {
+                        const newCitation = {
+                          source: `${ticker} Financial Data`,
+                          fiscalYear: cell.fiscalPeriod?.split(' ')[1]?.replace('FY', ''),
+                          quarter: cell.fiscalPeriod?.split(' ')[0],
+                          text: `${cell.calendarPeriod} comparison: ${values.join(', ')}`,
+                          score: '1.0',
+                          type: 'financial',
+                          _key: `cmp-${key}`
+                        };
+                        addCitation(newCitation);
+                      });
+                      if (cellsByFile.size > 0) {
+                        setDataSources(prev => [...prev, {
+                          type: 'financial',
+                          ticker: actualResult.tickers.join(' vs '),
+                          periods: actualResult.periods,
+                          metrics: actualResult.metrics,
+                          source: 'Peer Comparison (calendar-aligned)'
+                        }]);
+                      }
                     } else if (data.tool === 'compute_growth_rate' && actualResult.success) {
                       const newCitation = {
                         source: `${actualResult.ticker} Growth Calculation`,
@@ -732,10 +959,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
                         type: 'computed',
                         _key: `growth-${actualResult.ticker}-${actualResult.metric}-${actualResult.comparisonPeriod?.period}`
                       };
-                      setCurrentCitations(prev => {
-                        if (prev.some(c => c._key === newCitation._key)) return prev;
-                        return [...prev, newCitation];
-                      });
+                      addCitation(newCitation);
                       setDataSources(prev => [...prev, {
                         type: 'computed',
                         ticker: actualResult.ticker,
@@ -743,6 +967,50 @@ const [dataFreshness, setDataFreshness] = useState(null);
                         periods: [actualResult.basePeriod?.period, actualResult.comparisonPeriod?.period].filter(Boolean),
                         source: 'Computed Metrics'
                       }]);
+                    } else if (data.tool === 'get_guidance_vs_actual' && actualResult.comparisons?.length) {
+                      // Cite the sentence each guided number was read from
+                      actualResult.comparisons.forEach(c => {
+                        const issued = c.guidance.issued || '';
+                        const newCitation = {
+                          source: `${actualResult.ticker} ${c.guidance.source.type === 'press_release' ? 'Press Release' : 'Earnings Transcript'}`,
+                          fiscalYear: issued.split(' ')[1]?.replace('FY', ''),
+                          quarter: issued.split(' ')[0],
+                          text: c.guidance.source.text,
+                          score: '1.0',
+                          type: c.guidance.source.type === 'press_release' ? 'financial' : 'transcript',
+                          _key: `guide-${actualResult.ticker}-${c.guidance.source.file}-${c.guidance.source.start}`
+                        };
+                        addCitation(newCitation);
+                      });
+                      setDataSources(prev => [...prev, {
+                        type: 'computed',
+                        ticker: actualResult.ticker,
+                        metrics: [...new Set(actualResult.comparisons.map(c => c.metric))],
+                        periods: [actualResult.period],
+                        source: 'Guidance vs. Actuals'
+                      }]);
+                    } else if (data.tool === 'get_theme_timeline' && actualResult.themes?.length) {
+                      // Cite where each theme first came up; the counts themselves are charted below the answer
+                      actualResult.themes.filter(t => t.firstMention?.text).forEach(t => {
+                        const newCitation = {
+                          source: `${actualResult.ticker} Earnings Transcript`,
+                          fiscalYear: t.firstMention.period.split(' ')[1]?.replace('FY', ''),
+                          quarter: t.firstMention.period.split(' ')[0],
+                          text: `First mention of ${t.label}${t.firstMention.speaker ? ` (${t.firstMention.speaker})` : ''}: ${t.firstMention.text}`,
+                          score: '1.0',
+                          type: 'transcript',
+                          _key: `theme-${actualResult.ticker}-${t.id}`
+                        };
+                        addCitation(newCitation);
+                      });
+                      setThemeTimelines(prev => [...prev, actualResult]);
+                      setDataSources(prev => [...prev, {
+                        type: 'computed',
+                        ticker: actualResult.ticker,
+                        metrics: actualResult.themes.map(t => t.label),
+                        periods: [actualResult.periods[0], actualResult.periods[actualResult.periods.length - 1]],
+                        source: 'Theme Timeline'
+                      }]);
                     }
                   }
                   break;
@@ -773,6 +1041,18 @@ const [dataFreshness, setDataFreshness] = useState(null);
       // Clear the input only on success; keep the query on error so the user can retry/edit quickly.
       if (!encounteredStreamError) {
         setQuery('');
+        void saveTurn([
+          { role: 'user', content: queryToSubmit },
+          {
+            role: 'assistant',
+            content: analysis,
+            strategy: selectedStrategy,
+            toolResults,
+            citations: turnCitations,
+            metrics,
+            conversationState: nextConversationState
+          }
+        ]);
       }
     } catch (err) {
       // Ensure non-Error rejections (e.g., Event) don't show up as blank/undefined.
@@ -782,7 +1062,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
     } finally {
       setLoading(false);
     }
-  }, [query, setError, setLoading, setCurrentResponse, setCurrentCitations, setCurrentMetadata, setCurrentMetrics, setIsFirstQuery, setActiveTools, setDataSources, setRagMetrics, setShowBehindScenes, setStatusMessage]);
+  }, [query, selectedStrategy, conversationState, compareMode, compareStrategies, compareRuns, currentQuestion, currentResponse, currentCitations, ragMetrics, pastTurns, saveTurn, setError, setLoading, setCurrentResponse, setCurrentCitations, setCurrentMetadata, setCurrentMetrics, setIsFirstQuery, setActiveTools, setDataSources, setRagMetrics, setShowBehindScenes, setStatusMessage]);
   
   // Handle initial query from URL
   useEffect(() => {
@@ -797,6 +1077,14 @@ const [dataFreshness, setDataFreshness] = useState(null);
       }, 100);
     }
   }, [initialQuery, handleSubmit]);
+
+  // Reopen the thread named in the URL (?conversation=<id>)
+  useEffect(() => {
+    if (initialConversationId && !initialQuery && !hasHandledInitialConversation.current) {
+      hasHandledInitialConversation.current = true;
+      void loadConversation(initialConversationId);
+    }
+  }, [initialConversationId, initialQuery, loadConversation]);
   
   const handleFollowUpQuestion = (question) => {
     setQuery(question);
@@ -808,10 +1096,17 @@ const [dataFreshness, setDataFreshness] = useState(null);
   };
 
   const handleReset = () => {
+    setConversationId(null);
+    setThreadInUrl(null);
+    setPastTurns([]);
+    setCurrentQuestion(null);
+    setConversationState(null);
     setCurrentResponse(null);
     setCurrentCitations([]);
     setCurrentMetadata(null);
     setCurrentMetrics(null);
+    setCompareRuns([]);
+    setThemeTimelines([]);
     setIsFirstQuery(true);
     setError(null);
     setQuery('');
@@ -837,6 +1132,11 @@ const [dataFreshness, setDataFreshness] = useState(null);
         </Link>
         
         <div className="flex items-center gap-4">
+          <ConversationHistory
+            activeId={conversationId}
+            onSelect={(id) => { void loadConversation(id); }}
+            onDeleted={(id) => { if (id === conversationId) handleReset(); }}
+          />
           <Link 
             href="/how-it-works"
             className="flex items-center gap-1.5 text-sm text-slate-500 hover:text-blue-600 transition-colors"
@@ -855,7 +1155,8 @@ const [dataFreshness, setDataFreshness] = useState(null);
             citations={currentCitations}
             loading={loading && currentCitations.length === 0 && activeTools.length > 0}
             detectedTickers={currentMetadata?.detectedTickers}
-            strategy={selectedStrategy}
+            // Once a response is in, show the strategy the server actually ran
+            strategy={ragMetrics?.strategiesUsed?.length ? ragMetrics.strategiesUsed.join(' + ') : selectedStrategy}
           />
         </div>
         
@@ -874,7 +1175,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
             )}
             
             {/* Empty state - Enhanced welcome */}
-            {!currentResponse && !loading && isFirstQuery && (
+            {!currentResponse && !compareRuns.length && !pastTurns.length && !loading && isFirstQuery && (
               <div className="h-full flex flex-col items-center justify-center max-w-2xl mx-auto px-4">
                 {/* Logo and title */}
                 <div className="w-16 h-16 rounded-2xl bg-gradient-to-br from-blue-500 to-blue-600 flex items-center justify-center shadow-lg mb-4">
@@ -889,7 +1190,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
                 
                 {/* Available tickers */}
                 <div className="flex flex-wrap justify-center gap-2 mb-6">
-                  {['AAPL', 'AMD', 'NVDA', 'GOOGL', 'META', 'MSFT', 'AMZN', 'AVGO', 'CRM', 'ORCL'].map(ticker => (
+                  {tickers.map(ticker => (
                     <span 
                       key={ticker}
                       className="px-3 py-1 text-xs font-mono font-semibold bg-slate-100 text-slate-700 rounded-full"
@@ -923,7 +1224,7 @@ const [dataFreshness, setDataFreshness] = useState(null);
             )}
             
             {/* Loading state with pipeline stages */}
-            {loading && !currentResponse && (
+            {loading && !currentResponse && !compareMode && (
               <div className="max-w-md">
                 {/* Progress header */}
                 <div className="flex items-center gap-3 mb-4 pb-3 border-b border-slate-100">
@@ -970,7 +1271,20 @@ const [dataFreshness, setDataFreshness] = useState(null);
               </div>
             )}
             
+            {/* Earlier turns of the thread */}
+            {pastTurns.map((turn, i) => (
+              <PastTurn key={i} turn={turn} />
+            ))}
+
+            {/* Strategy comparison */}
+            {compareRuns.length > 0 && <StrategyCompare runs={compareRuns} />}
+
             {/* Response */}
+            {currentResponse && pastTurns.length > 0 && currentQuestion && (
+              <div className="flex justify-end mb-3">
+                <div className="max-w-xl px-4 py-2 rounded-2xl bg-blue-600 text-white text-sm">{currentQuestion}</div>
+              </div>
+            )}
             {currentResponse && (
               <>
                 {/* Confidence indicator - show after streaming */}
@@ -988,6 +1302,10 @@ const [dataFreshness, setDataFreshness] = useState(null);
                   onReset={handleReset}
                   sources={dataSources}
                 />
+
+                {themeTimelines.map((timeline, i) => (
+                  <ThemeTimelineChart key={`${timeline.ticker}-${i}`} timeline={timeline} />
+                ))}
                 
                 {/* RAG Metrics - show after streaming completes */}
                 <RAGMetricsPanel metrics={ragMetrics} isVisible={!loading && ragMetrics} />
@@ -1007,6 +1325,37 @@ const [dataFreshness, setDataFreshness] = useState(null);
           
           {/* Query Input - fixed at bottom */}
           <div className="p-4 bg-white border-t border-slate-200 flex-shrink-0">
+            <div className="mb-3 flex items-start gap-2">
+              <div className="flex-1">
+                {compareMode ? (
+                  <CompareStrategyPicker
+                    selected={compareStrategies}
+                    onChange={setCompareStrategies}
+                    disabled={loading}
+                  />
+                ) : (
+                  <StrategySelector
+                    selectedStrategy={selectedStrategy}
+                    onStrategyChange={setSelectedStrategy}
+                    compact
+                  />
+                )}
+              </div>
+              <button
+                type="button"
+                onClick={() => setCompareMode(!compareMode)}
+                disabled={loading}
+                className={`flex items-center gap-1.5 px-3 py-2.5 rounded-lg border text-sm transition-colors disabled:opacity-50 ${
+                  compareMode
+                    ? 'bg-violet-100 text-violet-700 border-violet-300'
+                    : 'bg-white text-slate-500 border-slate-200 hover:border-slate-300'
+                }`}
+                title="Run the same question under several strategies side by side"
+              >
+                <GitCompare className="w-4 h-4" />
+                <span>Compare</span>
+              </button>
+            </div>
             <form onSubmit={handleSubmit} className="flex gap-3">
               <div className="flex-1 relative">
                 <input
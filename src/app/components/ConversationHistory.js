@@ -0,0 +1,122 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { History, Trash2, Loader2, MessageSquare } from 'lucide-react';
+
+function formatUpdated(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Header dropdown listing saved threads from /api/conversations. The list is
+ * fetched each time the menu opens, so threads saved since stay current.
+ */
+export default function ConversationHistory({ activeId, onSelect, onDeleted }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetch('/api/conversations')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`Request failed: ${res.status}`))))
+      .then((data) => { if (!cancelled) setConversations(data.conversations || []); })
+      .catch((err) => {
+        console.error('[ConversationHistory] Failed to load threads:', err);
+        if (!cancelled) setError('Could not load past threads');
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [isOpen]);
+
+  // Close when clicking outside the menu
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleDelete = async (id) => {
+    try {
+      const res = await fetch(`/api/conversations/${id}`, { method: 'DELETE' });
+      if (!res.ok && res.status !== 404) throw new Error(`Request failed: ${res.status}`);
+      setConversations((prev) => prev.filter((c) => c.id !== id));
+      onDeleted?.(id);
+    } catch (err) {
+      console.error('[ConversationHistory] Failed to delete thread:', err);
+      setError('Could not delete that thread');
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-1.5 text-sm text-slate-500 hover:text-blue-600 transition-colors"
+      >
+        <History className="w-4 h-4" />
+        <span>History</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white rounded-xl border border-slate-200 shadow-lg z-50">
+          {loading ? (
+            <div className="flex items-center gap-2 p-4 text-sm text-slate-400">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Loading threads…
+            </div>
+          ) : error ? (
+            <p className="p-4 text-sm text-rose-600">{error}</p>
+          ) : conversations.length === 0 ? (
+            <p className="p-4 text-sm text-slate-400">No saved threads yet</p>
+          ) : (
+            <ul className="divide-y divide-slate-100">
+              {conversations.map((conversation) => (
+                <li
+                  key={conversation.id}
+                  className={`flex items-start gap-2 px-3 py-2.5 hover:bg-slate-50 ${
+                    conversation.id === activeId ? 'bg-blue-50' : ''
+                  }`}
+                >
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setIsOpen(false);
+                      onSelect(conversation.id);
+                    }}
+                    className="flex-1 min-w-0 text-left"
+                  >
+                    <span className="block truncate text-sm font-medium text-slate-800">{conversation.title}</span>
+                    <span className="flex items-center gap-1.5 text-[11px] text-slate-400">
+                      <MessageSquare className="w-3 h-3" />
+                      {conversation.messageCount} messages · {formatUpdated(conversation.updatedAt)}
+                    </span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(conversation.id)}
+                    className="p-1 text-slate-300 hover:text-rose-500 transition-colors"
+                    title="Delete thread"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
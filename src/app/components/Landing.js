@@ -49,7 +49,7 @@ const RippleCircle = ({ index, mounted }) => (
   />
 );
 
-const LandingPage = () => {
+const LandingPage = ({ tickers = [] }) => {
   const [mounted, setMounted] = useState(false);
   const [query, setQuery] = useState('');
   const router = useRouter();
@@ -142,7 +142,7 @@ const LandingPage = () => {
         <div className={`flex flex-wrap justify-center gap-2 mb-8 transition-all duration-1000 delay-250 ${
           mounted ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'
         }`}>
-          {['AAPL', 'AMD', 'NVDA', 'GOOGL', 'META', 'MSFT', 'AMZN', 'AVGO', 'CRM', 'ORCL'].map(ticker => (
+          {tickers.map(ticker => (
             <span 
               key={ticker}
               className="px-3 py-1 text-xs font-mono font-bold bg-white/80 text-slate-700 rounded-full border border-slate-200 shadow-sm"
@@ -0,0 +1,346 @@
+'use client';
+
+import { useMemo } from 'react';
+import { CheckCircle2, Clock, Database, Activity, Hash, AlertCircle, GitCompare } from 'lucide-react';
+import ChatResponse from './ChatResponse';
+import { STRATEGIES, AVAILABLE_STRATEGIES } from './StrategySelector';
+
+// 'auto' is left out: it resolves to one of the others, so comparing against it says little
+const COMPARABLE_STRATEGIES = AVAILABLE_STRATEGIES.filter((strategy) => strategy.id !== 'auto');
+
+export const DEFAULT_COMPARE_STRATEGIES = COMPARABLE_STRATEGIES.slice(0, 2).map((strategy) => strategy.id);
+
+const strategyName = (id) => STRATEGIES[id]?.name || id;
+
+/**
+ * Empty run state for one strategy pane.
+ * @param {string} strategy
+ */
+export function createCompareRun(strategy) {
+  return {
+    strategy,
+    status: 'running',
+    content: '',
+    sources: [],
+    metrics: null,
+    conversationState: null,
+    error: null,
+    latencyMs: null
+  };
+}
+
+/**
+ * The run a compare turn is kept as in the conversation: the first strategy,
+ * in the order picked, that finished with an answer.
+ * @param {object[]} runs
+ * @returns {object|null}
+ */
+export function threadRunOf(runs) {
+  return runs.find((run) => run.status === 'done' && run.content) || null;
+}
+
+/**
+ * Streams one /api/chat/stream request and reports progress through `onUpdate`,
+ * which receives a function from the previous run state to the next one.
+ * Only transcript search results count as sources: the financial-data tools
+ * return the same rows whatever the retrieval strategy.
+ * @param {string} message
+ * @param {string} strategy
+ * @param {(update: (run: object) => object) => void} onUpdate
+ * @param {{chatHistory?: object[], conversationState?: object|null}} [thread] - Earlier turns
+ *   and their state, sent as on a normal turn so follow-ups resolve the same way.
+ */
+export async function streamStrategyRun(message, strategy, onUpdate, { chatHistory = [], conversationState = null } = {}) {
+  const startedAt = Date.now();
+  try {
+    const response = await fetch('/api/chat/stream', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, chatHistory, strategy, conversationState })
+    });
+    if (!response.ok) {
+      throw new Error(`Request failed: ${await response.text()}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        let data;
+        try {
+          data = JSON.parse(line.slice(6));
+        } catch (parseError) {
+          console.error('[StrategyCompare] Parse error:', parseError);
+          continue;
+        }
+
+        if (data.type === 'content') {
+          onUpdate((run) => ({ ...run, content: run.content + data.content }));
+        } else if (data.type === 'metrics') {
+          onUpdate((run) => ({ ...run, metrics: data.metrics }));
+        } else if (data.type === 'conversation_state') {
+          onUpdate((run) => ({ ...run, conversationState: data.state }));
+        } else if (data.type === 'tool_result' && data.tool === 'search_earnings_transcript' && data.success) {
+          const result = data.result?.result || data.result;
+          const found = (result?.results || []).map((r) => ({
+            key: `${result.ticker}-${r.fiscalYear}-${r.quarter}-${(r.text || '').slice(0, 50)}`,
+            label: [result.ticker, r.quarter, r.fiscalYear && `FY${r.fiscalYear}`].filter(Boolean).join(' '),
+            speaker: r.speaker,
+            text: r.text || '',
+            score: typeof r.score === 'number' ? r.score : null
+          }));
+          onUpdate((run) => {
+            const seen = new Set(run.sources.map((s) => s.key));
+            return { ...run, sources: [...run.sources, ...found.filter((s) => !seen.has(s.key))] };
+          });
+        } else if (data.type === 'error') {
+          throw new Error(typeof data.error === 'string' ? data.error : 'Unknown error');
+        }
+      }
+    }
+    onUpdate((run) => ({ ...run, status: 'done', latencyMs: Date.now() - startedAt }));
+  } catch (err) {
+    const message = err?.message || String(err);
+    console.error(`[StrategyCompare] ${strategy} run failed:`, err);
+    onUpdate((run) => ({ ...run, status: 'error', error: message, latencyMs: Date.now() - startedAt }));
+  }
+}
+
+/**
+ * Chips for choosing which strategies to run side by side (at least two).
+ */
+export function CompareStrategyPicker({ selected, onChange, disabled = false }) {
+  const toggle = (id) => {
+    if (selected.includes(id)) {
+      if (selected.length > 2) onChange(selected.filter((s) => s !== id));
+      return;
+    }
+    onChange(COMPARABLE_STRATEGIES.map((s) => s.id).filter((s) => s === id || selected.includes(s)));
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-4 py-2.5 bg-white/80 rounded-lg border border-slate-200 shadow-sm">
+      <GitCompare className="w-4 h-4 text-slate-400" />
+      <span className="text-sm text-slate-500">Compare:</span>
+      {COMPARABLE_STRATEGIES.map((strategy) => {
+        const isSelected = selected.includes(strategy.id);
+        return (
+          <button
+            key={strategy.id}
+            type="button"
+            disabled={disabled}
+            onClick={() => toggle(strategy.id)}
+            className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-semibold border transition-colors disabled:opacity-50 ${
+              isSelected
+                ? 'bg-violet-100 text-violet-700 border-violet-300'
+                : 'bg-white text-slate-500 border-slate-200 hover:border-slate-300'
+            }`}
+          >
+            {isSelected && <CheckCircle2 className="w-3 h-3" />}
+            {strategy.name}
+          </button>
+        );
+      })}
+      <span className="text-[11px] text-slate-400 ml-auto">Pick two or more</span>
+    </div>
+  );
+}
+
+function formatScore(score) {
+  if (typeof score !== 'number') return '—';
+  return score > 1 ? score.toFixed(2) : `${(score * 100).toFixed(0)}%`;
+}
+
+function RunStat({ icon: Icon, label, value }) {
+  return (
+    <div className="bg-white rounded-lg px-2.5 py-2 border border-slate-100">
+      <div className="flex items-center gap-1.5 text-[11px] text-slate-500">
+        <Icon className="w-3 h-3" />
+        {label}
+      </div>
+      <div className="text-sm font-bold text-slate-800">{value}</div>
+    </div>
+  );
+}
+
+function ComparePane({ run }) {
+  const { metrics } = run;
+  const used = metrics?.strategiesUsed?.length ? metrics.strategiesUsed.join(' + ') : null;
+  const fellBack = used && used !== run.strategy;
+
+  return (
+    <div className="flex-1 min-w-[280px] flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-sm text-slate-800">{strategyName(run.strategy)}</span>
+        {used && (
+          <span
+            className={`text-[11px] px-2 py-0.5 rounded ${fellBack ? 'bg-amber-100 text-amber-700' : 'bg-slate-100 text-slate-600'}`}
+            title="Strategy the server actually ran"
+          >
+            ran: {used}
+          </span>
+        )}
+      </div>
+
+      {run.status === 'error' ? (
+        <div className="rounded-xl bg-rose-50 border border-rose-200 p-3 flex items-start gap-2 text-sm text-rose-700">
+          <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          {run.error}
+        </div>
+      ) : run.content ? (
+        <ChatResponse content={run.content} isStreaming={run.status === 'running'} />
+      ) : (
+        <div className="text-sm text-slate-400 p-4 bg-white rounded-xl border border-slate-200">Waiting for the answer…</div>
+      )}
+
+      {metrics && (
+        <div className="grid grid-cols-2 gap-2">
+          <RunStat
+            icon={Clock}
+            label="Latency"
+            value={`${((metrics.totalTimeMs || run.latencyMs || 0) / 1000).toFixed(1)}s`}
+          />
+          <RunStat icon={Hash} label="Tokens (est.)" value={metrics.estimatedTokens ?? '—'} />
+          <RunStat icon={Database} label="Retrieved" value={`${metrics.retrievalResults || 0} chunks`} />
+          <RunStat icon={Activity} label="Avg score" value={formatScore(metrics.avgRetrievalScore)} />
+        </div>
+      )}
+
+      {run.sources.length > 0 && (
+        <div className="bg-white rounded-xl border border-slate-200 p-3">
+          <div className="text-xs font-medium text-slate-500 mb-2">Citations</div>
+          <ol className="space-y-1.5">
+            {run.sources.map((source, i) => (
+              <li key={source.key} className="text-xs text-slate-600 flex gap-2">
+                <span className="font-mono text-slate-400">{i + 1}.</span>
+                <span className="flex-1 min-w-0">
+                  <span className="font-medium text-slate-700">{source.label}</span>
+                  {source.speaker && <span className="text-slate-400"> · {source.speaker}</span>}
+                  <span className="block truncate text-slate-400">{source.text}</span>
+                </span>
+                <span className="font-mono text-slate-500">{formatScore(source.score)}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Which transcript chunks each strategy retrieved: one row per chunk, one
+ * column per strategy holding the chunk's rank in that run. Chunks every
+ * strategy found come first, then by best rank.
+ */
+function SourceDiff({ runs }) {
+  const rows = useMemo(() => {
+    const byKey = new Map();
+    runs.forEach((run, col) => {
+      run.sources.forEach((source, rank) => {
+        const row = byKey.get(source.key) || { ...source, ranks: runs.map(() => null) };
+        row.ranks[col] = rank + 1;
+        byKey.set(source.key, row);
+      });
+    });
+    const foundBy = (row) => row.ranks.filter(Boolean).length;
+    const bestRank = (row) => Math.min(...row.ranks.filter(Boolean));
+    return [...byKey.values()].sort((a, b) => foundBy(b) - foundBy(a) || bestRank(a) - bestRank(b));
+  }, [runs]);
+
+  if (!rows.length) return null;
+
+  const shared = rows.filter((row) => row.ranks.every(Boolean)).length;
+
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 p-4">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mb-3">
+        <span className="font-semibold text-sm text-slate-700">Source diff</span>
+        <span className="text-xs text-slate-500">{shared} shared by all</span>
+        {runs.map((run, col) => (
+          <span key={run.strategy} className="text-xs text-slate-500">
+            {rows.filter((row) => row.ranks[col] && row.ranks.filter(Boolean).length === 1).length} only in {strategyName(run.strategy)}
+          </span>
+        ))}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500 border-b border-slate-100">
+              <th className="py-1.5 pr-3 font-medium">Transcript chunk</th>
+              {runs.map((run) => (
+                <th key={run.strategy} className="py-1.5 px-2 font-medium text-center whitespace-nowrap">
+                  {strategyName(run.strategy)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => {
+              const onlyOne = row.ranks.filter(Boolean).length === 1;
+              return (
+                <tr key={row.key} className="border-b border-slate-50 align-top">
+                  <td className="py-1.5 pr-3 max-w-md">
+                    <span className="font-medium text-slate-700">{row.label}</span>
+                    {row.speaker && <span className="text-slate-400"> · {row.speaker}</span>}
+                    <span className="block truncate text-slate-400">{row.text}</span>
+                  </td>
+                  {row.ranks.map((rank, col) => (
+                    <td key={runs[col].strategy} className="py-1.5 px-2 text-center font-mono">
+                      {rank ? (
+                        <span className={onlyOne ? 'px-1.5 py-0.5 rounded bg-amber-100 text-amber-700' : 'text-slate-700'}>
+                          #{rank}
+                        </span>
+                      ) : (
+                        <span className="text-slate-300">—</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Split-pane view of the same question answered under several strategies,
+ * with the source diff underneath once any pane has retrieved something.
+ */
+export default function StrategyCompare({ runs }) {
+  if (!runs?.length) return null;
+
+  const finished = runs.every((run) => run.status !== 'running');
+  const kept = finished ? threadRunOf(runs) : null;
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex gap-4 overflow-x-auto pb-1">
+        {runs.map((run) => (
+          <ComparePane key={run.strategy} run={run} />
+        ))}
+      </div>
+      <SourceDiff runs={runs} />
+      {finished && (
+        <p className="text-xs text-slate-500">
+          {kept
+            ? `The ${strategyName(kept.strategy)} answer is saved to the conversation; the others are not.`
+            : 'No strategy answered, so this turn is not saved to the conversation.'}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import {
   ChevronDown, CheckCircle2, Settings2, Hash, MessageSquare,
   ArrowRight
 } from 'lucide-react';
+import { RETRIEVAL_STRATEGIES } from '../../lib/rag/strategies/config.js';
 
 // Icon mapping
 const IconMap = {
@@ -19,7 +20,7 @@ const IconMap = {
 };
 
 // Strategy data - FOCUSED ON USE CASES for financial professionals
-const STRATEGIES = {
+export const STRATEGIES = {
   'auto': {
     id: 'auto',
     name: 'Smart Mode',
@@ -68,6 +69,11 @@ const STRATEGIES = {
   },
 };
 
+// Only offer strategies the retrieval layer has enabled ('auto' picks among them)
+export const AVAILABLE_STRATEGIES = Object.values(STRATEGIES).filter(
+  (strategy) => strategy.id === 'auto' || RETRIEVAL_STRATEGIES[strategy.id]?.enabled
+);
+
 const colorClasses = {
   blue: {
     bg: 'bg-blue-50',
@@ -210,7 +216,7 @@ export default function StrategySelector({
         {isExpanded && (
           <div className="bg-white/95 backdrop-blur-sm rounded-b-lg border border-t-0 border-slate-200 shadow-lg p-3 animate-slideDown">
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-              {Object.values(STRATEGIES).map((strategy) => (
+              {AVAILABLE_STRATEGIES.map((strategy) => (
                 <StrategyOption
                   key={strategy.id}
                   strategy={strategy}
@@ -268,7 +274,7 @@ export default function StrategySelector({
       </div>
       
       <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-        {Object.values(STRATEGIES).map((strategy) => (
+        {AVAILABLE_STRATEGIES.map((strategy) => (
           <StrategyOption
             key={strategy.id}
             strategy={strategy}
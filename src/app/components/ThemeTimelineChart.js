@@ -0,0 +1,76 @@
+'use client';
+
+import { useMemo } from 'react';
+import FinancialChart from './FinancialChart';
+
+const THEME_COLORS = ['#2563eb', '#7c3aed', '#059669', '#d97706', '#dc2626', '#0891b2', '#db2777', '#4b5563'];
+
+const TREND_STYLES = {
+  rising: 'bg-emerald-50 text-emerald-700',
+  new: 'bg-emerald-50 text-emerald-700',
+  falling: 'bg-rose-50 text-rose-700',
+  steady: 'bg-slate-100 text-slate-600',
+  absent: 'bg-slate-100 text-slate-400'
+};
+
+/**
+ * Line chart of a get_theme_timeline result: mentions per 10k words of each
+ * call, one line per theme, with raw mentions and Q&A topics in the tooltip.
+ * @param {{timeline: object}} props
+ */
+export default function ThemeTimelineChart({ timeline }) {
+  const chartData = useMemo(() => {
+    const themes = timeline?.themes || [];
+    if (!themes.length) return null;
+    return {
+      data: {
+        labels: timeline.periods,
+        datasets: themes.map((theme, i) => ({
+          label: theme.label,
+          data: theme.quarters.map((q) => q.perTenThousandWords),
+          borderColor: THEME_COLORS[i % THEME_COLORS.length],
+          backgroundColor: THEME_COLORS[i % THEME_COLORS.length],
+          tension: 0.25,
+          pointRadius: 3
+        }))
+      },
+      options: {
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          y: { beginAtZero: true, title: { display: true, text: 'Mentions per 10k words' } }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (ctx) => {
+                const q = themes[ctx.datasetIndex].quarters[ctx.dataIndex];
+                return `${ctx.dataset.label}: ${q.perTenThousandWords} per 10k words (${q.mentions} mentions)`;
+              },
+              afterBody: (items) => {
+                const topics = items.flatMap((item) => themes[item.datasetIndex].quarters[item.dataIndex].topics);
+                return topics.length ? [`Q&A topics: ${[...new Set(topics)].join('; ')}`] : [];
+              }
+            }
+          }
+        }
+      }
+    };
+  }, [timeline]);
+
+  if (!chartData) return null;
+
+  return (
+    <div className="mt-4 space-y-2">
+      <FinancialChart chartData={chartData} title={`${timeline.ticker} themes on earnings calls`} height="320px" />
+      <div className="flex flex-wrap gap-2">
+        {timeline.themes.map((theme) => (
+          <span key={theme.id} className={`text-xs px-2 py-1 rounded ${TREND_STYLES[theme.trend] || TREND_STYLES.steady}`}>
+            {theme.label}: {theme.trend}
+            {theme.firstMention ? `, first ${theme.firstMention.period}` : ''}
+          </span>
+        ))}
+      </div>
+      {timeline.note && <p className="text-xs text-slate-500">{timeline.note}</p>}
+    </div>
+  );
+}
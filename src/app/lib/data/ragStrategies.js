@@ -6,7 +6,7 @@ export const ragStrategies = [
     summary:
       'Hybrid retrieval + deterministic financial lookups built around Voyage embeddings, Pinecone hybrid search, and Anthropic synthesis.',
     howItWorks:
-      'The API route instantiates ExtendedRAGPipeline with VoyageEmbedder, PineconeRetriever, QueryIntentAnalyzer, FinancialJSONRetriever, and KeywordTranscriptRetriever. The pipeline classifies the query, normalizes tickers via COMPANY_ALIASES, applies Pinecone filters, blends dense/sparse scores, fetches JSON ledgers when metrics are requested, pulls keyword-matched transcript snippets, and hands the combined context to EnhancedFinancialAnalyst for tightly scoped answers.',
+      'The API route instantiates ExtendedRAGPipeline with VoyageEmbedder, PineconeRetriever, QueryIntentAnalyzer, FinancialJSONRetriever, and KeywordTranscriptRetriever. The pipeline classifies the query, normalizes tickers via the company registry (data/companies.json), applies Pinecone filters, blends dense/sparse scores, fetches JSON ledgers when metrics are requested, pulls keyword-matched transcript snippets, and hands the combined context to EnhancedFinancialAnalyst for tightly scoped answers.',
     goals:
       'Deliver accurate, reference-backed earnings analysis for Big Tech tickers while keeping the codebase debuggable and deterministic enough for investors.',
     codeRefs: [
@@ -22,6 +22,10 @@ export const ragStrategies = [
         path: 'src/lib/rag/components.js',
         description: 'Implements VoyageEmbedder, PineconeRetriever (hybrid rerank), FinancialJSONRetriever, KeywordTranscriptRetriever, and EnhancedFinancialAnalyst prompts.'
       },
+      {
+        path: 'src/lib/rag/rerankers.js',
+        description: 'Pluggable reranking stage (lexical overlap/proximity or LLM-judged) run after filtering and dedup; selected with RERANKER.'
+      },
       {
         path: 'src/config/rag.js',
         description: 'Ticker alias map and embedding configuration used by the pipeline.'
@@ -32,7 +36,7 @@ export const ragStrategies = [
       }
     ],
     iterationIdeas: [
-      'Swap the ad-hoc reranker with Cohere Rerank or bge-m3 for higher precision.',
+      'Register a Cohere Rerank or bge-m3 cross-encoder next to the lexical and LLM rerankers and compare traces.',
       'Add streaming responses to /api/chat for better UX.',
       'Instrument tracing (LangSmith/Phoenix) and wire the evaluator script into CI smoke tests.'
     ],
@@ -59,6 +63,45 @@ export const ragStrategies = [
       ],
       logPath: '_cleanup/evals/evaluation_reports/baseline/2025-11-26T23-51-11-174Z/run.json',
       command: 'RAG_STRATEGY_ID=baseline node _cleanup/scripts/evaluate-rag.js'
+    },
+    // Shape of metrics.retrievalTrace.rerank[] — paste a stage from an eval case file to refresh
+    rerankTrace: {
+      stage: 'primary',
+      reranker: 'lexical',
+      query: 'Blackwell supply constraints and gross margin',
+      capturedWith: 'VECTOR_STORE=local EMBEDDING_PROVIDER=local-hash, NVDA transcripts only',
+      matches: [
+        {
+          id: 'NVDA-2025-Q3-prepared-3',
+          label: 'NVDA 2025 Q3 transcript Colette Kress',
+          scores: { retrieval: 0.374, hybrid: 0.468, rerank: 0.712, final: 0.541 },
+          ranks: { retrieval: 1, hybrid: 1, filtered: 1, reranked: 1 }
+        },
+        {
+          id: 'NVDA-2025-Q4-qa-9',
+          label: 'NVDA 2025 Q4 transcript Colette Kress',
+          scores: { retrieval: 0.331, hybrid: 0.416, rerank: 0.645, final: 0.485 },
+          ranks: { retrieval: 2, hybrid: 2, filtered: 2, reranked: 2 }
+        },
+        {
+          id: 'NVDA-2026-Q2-prepared-3',
+          label: 'NVDA 2026 Q2 transcript Colette Kress',
+          scores: { retrieval: 0.239, hybrid: 0.353, rerank: 0.564, final: 0.417 },
+          ranks: { retrieval: 16, hybrid: 8, filtered: 4, reranked: 3 }
+        },
+        {
+          id: 'NVDA-2025-Q2-qa-17',
+          label: 'NVDA 2025 Q2 transcript Colette Kress',
+          scores: { retrieval: 0.273, hybrid: 0.367, rerank: 0.467, final: 0.397 },
+          ranks: { retrieval: 8, hybrid: 5, filtered: 3, reranked: 4 }
+        },
+        {
+          id: 'NVDA-2026-Q3-prepared-3',
+          label: 'NVDA 2026 Q3 transcript Colette Kress',
+          scores: { retrieval: 0.214, hybrid: 0.332, rerank: 0.428, final: 0.361 },
+          ranks: { retrieval: 21, hybrid: 11, filtered: 5, reranked: 5 }
+        }
+      ]
     }
   }
 ];
@@ -1,5 +1,6 @@
 import LandingPage from './components/Landing';
+import { listTickers } from '../lib/data/companies.js';
 
 export default function Home() {
-  return <LandingPage />;
+  return <LandingPage tickers={listTickers()} />;
 }
\ No newline at end of file
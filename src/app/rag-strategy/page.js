@@ -154,6 +154,65 @@ function LessonCallout({ lesson, index }) {
   );
 }
 
+// Before/after view of one reranking stage from metrics.retrievalTrace.rerank
+function RerankTrace({ trace }) {
+  const score = (value) => (typeof value === 'number' ? value.toFixed(3) : '—');
+
+  return (
+    <div className="space-y-3 rounded-xl border border-indigo-200 bg-indigo-50 p-5">
+      <div className="space-y-1">
+        <p className="text-sm font-semibold text-indigo-900">
+          Reranking trace <span className="font-mono text-xs text-indigo-500">({trace.reranker})</span>
+        </p>
+        <p className="text-sm text-indigo-800">&ldquo;{trace.query}&rdquo;</p>
+        {trace.capturedWith && (
+          <p className="text-xs font-mono text-indigo-500">{trace.capturedWith}</p>
+        )}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left font-mono uppercase tracking-wider text-indigo-400">
+              <th className="py-1 pr-3">Rank</th>
+              <th className="py-1 pr-3">Chunk</th>
+              <th className="py-1 pr-3 text-right">Retrieval</th>
+              <th className="py-1 pr-3 text-right">Hybrid</th>
+              <th className="py-1 pr-3 text-right">Rerank</th>
+              <th className="py-1 text-right">Final</th>
+            </tr>
+          </thead>
+          <tbody>
+            {trace.matches.map((match) => {
+              const moved = (match.ranks.filtered ?? match.ranks.reranked) - match.ranks.reranked;
+              return (
+                <tr key={match.id} className="border-t border-indigo-100 text-slate-700">
+                  <td className="py-1.5 pr-3 font-mono whitespace-nowrap">
+                    #{match.ranks.reranked}
+                    {moved !== 0 && (
+                      <span className={moved > 0 ? 'ml-1 text-emerald-600' : 'ml-1 text-rose-600'}>
+                        {moved > 0 ? `▲${moved}` : `▼${-moved}`}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-1.5 pr-3">
+                    <span className="block">{match.label || match.id}</span>
+                    <span className="block font-mono text-[10px] text-slate-400">
+                      retrieved #{match.ranks.retrieval ?? '—'} · hybrid #{match.ranks.hybrid ?? '—'} · filtered #{match.ranks.filtered ?? '—'}
+                    </span>
+                  </td>
+                  <td className="py-1.5 pr-3 text-right font-mono">{score(match.scores.retrieval)}</td>
+                  <td className="py-1.5 pr-3 text-right font-mono">{score(match.scores.hybrid)}</td>
+                  <td className="py-1.5 pr-3 text-right font-mono">{score(match.scores.rerank)}</td>
+                  <td className="py-1.5 text-right font-mono font-semibold">{score(match.scores.final)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
 // Strategy card component with light theme
 function StrategyCard({ strategy, isLast }) {
@@ -271,6 +330,8 @@ function StrategyCard({ strategy, isLast }) {
               )}
             </div>
           )}
+
+          {strategy.rerankTrace && <RerankTrace trace={strategy.rerankTrace} />}
         </div>
       )}
 
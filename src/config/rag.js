@@ -1,57 +1,15 @@
 // RAG System Configuration
 
-/**
- * Maps company names and variations to their standard ticker symbol.
- */
-export const COMPANY_NAME_MAP = {
-  'Facebook, Inc. (now Meta Platforms, Inc.)': 'Meta',
-  'Meta Platforms, Inc.': 'Meta',
-  'Facebook': 'Meta',
-  'NVIDIA Corp.': 'NVDA',
-  'Microsoft Corporation': 'MSFT',
-  'Oracle Corporation': 'ORCL',
-  'Amazon.com, Inc.': 'AMZN',
-  'Apple Inc.': 'AAPL',
-  'Advanced Micro Devices, Inc.': 'AMD',
-  'Alphabet Inc.': 'GOOGL',
-  'Salesforce, Inc.': 'CRM',
-  'Broadcom Inc.': 'AVGO',
-};
-
-/**
- * Maps common company aliases to their ticker symbol.
- * Used for query intent analysis.
- */
-export const COMPANY_ALIASES = {
-  apple: 'AAPL',
-  aapl: 'AAPL',
-  meta: 'META',
-  facebook: 'META',
-  fb: 'META',
-  nvidia: 'NVDA',
-  nvda: 'NVDA',
-  google: 'GOOGL',
-  googl: 'GOOGL',
-  goog: 'GOOGL',
-  amazon: 'AMZN',
-  amzn: 'AMZN',
-  amd: 'AMD',
-  avago: 'AVGO',
-  broadcom: 'AVGO',
-  avgo: 'AVGO',
-  salesforce: 'CRM',
-  crm: 'CRM',
-  microsoft: 'MSFT',
-  msft: 'MSFT',
-  oracle: 'ORCL',
-  orcl: 'ORCL',
-};
+// Covered companies (tickers, aliases, fiscal years) live in data/companies.json;
+// see src/lib/data/companies.js.
 
 /**
  * Configuration for embedding generation.
  */
 export const EMBEDDING_CONFIG = {
+  provider: 'voyage', // registry key; override with EMBEDDING_PROVIDER (e.g. 'local-hash')
   model: 'voyage-3.5',
+  dimensions: 1024, // must match the clarity-1024 index
   batchSize: 10,
   chunkSize: 1500,
   overlap: 200,
@@ -59,18 +17,11 @@ export const EMBEDDING_CONFIG = {
 };
 
 /**
- * List of companies to target for initial ingestion/testing.
+ * Reranking stage run by PineconeRetriever after filtering and dedup.
  */
-export const TARGET_COMPANIES = [
-  'AAPL',
-  'AMD',
-  'AMZN',
-  'AVGO',
-  'CRM',
-  'GOOGL',
-  'META',
-  'MSFT',
-  'NVDA',
-  'ORCL',
-];
-
+export const RERANK_CONFIG = {
+  provider: 'lexical', // registry key: 'lexical', 'llm' or 'none'; override with RERANKER
+  lexicalWeight: 0.3, // share of the final score taken by the lexical overlap/proximity score
+  llmWeight: 0.5, // share taken by the judged relevance
+  llmModel: 'claude-sonnet-4-20250514', // override with ANTHROPIC_RERANK_MODEL
+};
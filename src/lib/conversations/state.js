@@ -0,0 +1,270 @@
+/**
+ * Conversation state carried between chat turns.
+ *
+ * The server returns it at the end of each answer (`conversation_state` SSE
+ * event) and the client sends it back with the next question, so follow-ups
+ * like "and the quarter before?" or "what about their margins?" can be
+ * resolved against the tickers, periods and metrics the thread is about.
+ *
+ * Shape (lists are most recent first and capped by STATE_LIMITS):
+ *   tickers      ['NVDA']
+ *   periods      [{fiscalYear: '2025', quarter: 'Q3'}]
+ *   metrics      ['gross_margin', 'revenue']
+ *   toolResults  [{tool, input, summary}]   one-line summaries of earlier tool output
+ *   citations    [{source, fiscalYear, quarter, text}]   earlier transcript excerpts
+ */
+
+import { detectTickersInText } from '../data/companies.js';
+
+export const STATE_LIMITS = { tickers: 5, periods: 8, metrics: 10, toolResults: 6, citations: 10 };
+
+const SUMMARY_CHARS = 600;
+const CITATION_CHARS = 300;
+
+export function createConversationState() {
+  return { tickers: [], periods: [], metrics: [], toolResults: [], citations: [] };
+}
+
+// ----------------------------------------------------------------
+// Periods
+// ----------------------------------------------------------------
+
+/**
+ * Parses the period labels tools return ("Q3 FY2025", "FY2025").
+ * @param {string} label
+ * @returns {{fiscalYear: string, quarter?: string}|null}
+ */
+export function parsePeriodLabel(label) {
+  const match = /^(?:(Q[1-4])\s+)?FY\s?(\d{4})$/i.exec(String(label || '').trim());
+  if (!match) return null;
+  return match[1] ? { fiscalYear: match[2], quarter: match[1].toUpperCase() } : { fiscalYear: match[2] };
+}
+
+export function formatPeriod(period) {
+  return period.quarter ? `${period.quarter} FY${period.fiscalYear}` : `FY${period.fiscalYear}`;
+}
+
+/**
+ * Moves a quarterly period by `delta` quarters across fiscal-year boundaries.
+ * @param {{fiscalYear: string, quarter: string}} period
+ * @param {number} delta
+ */
+export function shiftQuarter(period, delta) {
+  const index = Number(period.fiscalYear) * 4 + Number(period.quarter.slice(1)) - 1 + delta;
+  return { fiscalYear: String(Math.floor(index / 4)), quarter: `Q${(index % 4) + 1}` };
+}
+
+function comparePeriodsDesc(a, b) {
+  const rank = (p) => Number(p.fiscalYear) * 10 + (p.quarter ? Number(p.quarter.slice(1)) : 5);
+  return rank(b) - rank(a);
+}
+
+function concretePeriod(period) {
+  if (!period || !/^\d{4}$/.test(String(period.fiscalYear || ''))) return null;
+  const quarter = /^Q[1-4]$/i.test(String(period.quarter || '')) ? period.quarter.toUpperCase() : null;
+  return quarter ? { fiscalYear: String(period.fiscalYear), quarter } : { fiscalYear: String(period.fiscalYear) };
+}
+
+// ----------------------------------------------------------------
+// Follow-up resolution
+// ----------------------------------------------------------------
+
+// Pronouns and elliptical openers that lean on the previous turn
+const FOLLOW_UP_CUE = /\b(it|its|it's|they|them|their|theirs|that company|the company|this company|same company)\b|^\s*(and|also|what about|how about|and what about|versus|vs\.?)\b/i;
+// "last quarter" usually means the latest one, so it is not a shift
+const PREVIOUS_QUARTER = /\b(quarter|period) (before|prior)\b|\b(previous|prior|preceding) (quarter|period)\b/i;
+const NEXT_QUARTER = /\b(quarter|period) after\b|\b(next|following) (quarter|period)\b/i;
+const SAME_QUARTER_LAST_YEAR = /\b(same|that) (quarter|period) (a|last|the previous|the prior) year\b|\ba year (earlier|before)\b/i;
+const MAX_ELLIPTICAL_WORDS = 5;
+
+/**
+ * Whether a message continues the thread: it names no company the thread has
+ * not covered, and it uses a pronoun or follow-up opener, shifts the period
+ * ("the quarter before"), or is short enough to be elliptical ("gross margin?").
+ * @param {string} message
+ * @param {object|null} [state]
+ * @returns {boolean}
+ */
+export function isFollowUp(message, state) {
+  if (!state?.tickers?.length) return false;
+  const text = String(message || '');
+  // "What about AMD?" after an NVDA answer starts a new topic
+  if (detectTickersInText(text).some((ticker) => !state.tickers.includes(ticker))) return false;
+  return (
+    FOLLOW_UP_CUE.test(text) ||
+    PREVIOUS_QUARTER.test(text) ||
+    NEXT_QUARTER.test(text) ||
+    SAME_QUARTER_LAST_YEAR.test(text) ||
+    text.trim().split(/\s+/).length <= MAX_ELLIPTICAL_WORDS
+  );
+}
+
+/**
+ * Resolves relative period references against the most recent period in the
+ * thread, e.g. "the quarter before" after a Q3 FY2025 answer → Q2 FY2025.
+ * @param {string} message
+ * @param {object|null} [state]
+ * @returns {Array<{fiscalYear: string, quarter: string}>|null} Null when the message names no shift.
+ */
+export function resolveFollowUpPeriods(message, state) {
+  const anchor = state?.periods?.find((p) => p.quarter);
+  if (!anchor) return null;
+  if (PREVIOUS_QUARTER.test(message)) return [shiftQuarter(anchor, -1)];
+  if (NEXT_QUARTER.test(message)) return [shiftQuarter(anchor, 1)];
+  if (SAME_QUARTER_LAST_YEAR.test(message)) return [shiftQuarter(anchor, -4)];
+  return null;
+}
+
+// ----------------------------------------------------------------
+// State updates
+// ----------------------------------------------------------------
+
+// Most recent first, without duplicates, capped
+function mergeRecent(incoming, existing, limit, key = (x) => x) {
+  const seen = new Set();
+  return [...incoming, ...existing]
+    .filter((item) => {
+      const k = key(item);
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    })
+    .slice(0, limit);
+}
+
+function truncate(text, max) {
+  const s = String(text ?? '');
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function formatMetrics(metrics = {}) {
+  return Object.entries(metrics)
+    .map(([name, value]) => `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+}
+
+function summarizeToolResult(tool, input, result) {
+  if (!result || typeof result !== 'object') return truncate(result ?? 'No data.', SUMMARY_CHARS);
+  if (result.error && !result.found && !result.success) return truncate(`${tool} failed: ${result.error}`, SUMMARY_CHARS);
+  switch (tool) {
+    case 'get_financial_metrics':
+      return truncate(`${result.ticker} ${result.period}: ${formatMetrics(result.metrics)}`, SUMMARY_CHARS);
+    case 'get_multi_quarter_metrics':
+      return truncate(
+        `${result.ticker} ${(result.periods || []).map((p) => `${p.period}: ${formatMetrics(p.metrics)}`).join(' | ')}`,
+        SUMMARY_CHARS
+      );
+    case 'compute_growth_rate':
+      return truncate(
+        `${result.ticker} ${result.metric} growth ${result.growthRate} (${result.basePeriod?.period} → ${result.comparisonPeriod?.period})`,
+        SUMMARY_CHARS
+      );
+    case 'search_earnings_transcript':
+      return `${(result.results || []).length} ${result.ticker} transcript excerpts for "${truncate(input?.query, 120)}"`;
+    case 'get_guidance_vs_actual':
+      return truncate(
+        `${result.ticker} guidance vs actual ${result.period}: ${(result.summaries || []).join(' | ') || `${result.comparisons?.length || 0} guided lines, none scored`}`,
+        SUMMARY_CHARS
+      );
+    case 'get_theme_timeline':
+      return truncate(
+        `${result.ticker} theme timeline ${result.periods?.[0] || ''}–${result.periods?.[result.periods.length - 1] || ''}: ${(result.summaries || []).join(' | ')}`,
+        SUMMARY_CHARS
+      );
+    default:
+      return truncate(result.summary || JSON.stringify(result), SUMMARY_CHARS);
+  }
+}
+
+function periodsFromToolCall(input = {}, result = {}) {
+  const found = [];
+  const add = (p) => {
+    const period = concretePeriod(p);
+    if (period) found.push(period);
+  };
+  // Results name the actual periods even when the input said "latest"
+  if (result?.period) add(parsePeriodLabel(result.period));
+  (result?.periods || []).forEach((p) => add(typeof p === 'string' ? parsePeriodLabel(p) : parsePeriodLabel(p?.period)));
+  if (result?.basePeriod?.period) add(parsePeriodLabel(result.basePeriod.period));
+  if (result?.comparisonPeriod?.period) add(parsePeriodLabel(result.comparisonPeriod.period));
+  // Transcript hits span whatever periods matched, so only the searched period counts
+  if (!found.length) {
+    add(input);
+    (input.periods || []).forEach(add);
+  }
+  return found;
+}
+
+/**
+ * Folds one turn into the state: the tickers named in the message and every
+ * tool call made while answering it.
+ * @param {object|null} [state]
+ * @param {{tickers?: string[], toolCalls?: Array<{tool: string, input: object, success: boolean, result: any}>}} turn
+ * @returns {object} A new state.
+ */
+export function updateConversationState(state, { tickers = [], toolCalls = [] } = {}) {
+  const prev = { ...createConversationState(), ...(state || {}) };
+  const turnTickers = [...tickers];
+  const turnPeriods = [];
+  const turnMetrics = [];
+  const turnResults = [];
+  const turnCitations = [];
+
+  toolCalls.forEach(({ tool, input = {}, success, result }) => {
+    if (!success) return;
+    [input.ticker, ...(input.tickers || []), result?.ticker, ...(result?.tickers || [])]
+      .map((t) => String(t).toUpperCase())
+      .filter((t) => /^[A-Z.]{1,6}$/.test(t))
+      .forEach((t) => turnTickers.push(t));
+    turnPeriods.push(...periodsFromToolCall(input, result));
+    turnMetrics.push(...(input.metrics || []), ...(input.metric ? [input.metric] : []));
+    turnResults.push({ tool, input, summary: summarizeToolResult(tool, input, result) });
+    if (tool === 'search_earnings_transcript') {
+      (result?.results || []).slice(0, 3).forEach((r) => {
+        turnCitations.push({
+          source: `${result.ticker} Earnings Transcript`,
+          ...(r.fiscalYear ? { fiscalYear: String(r.fiscalYear) } : {}),
+          ...(r.quarter ? { quarter: r.quarter } : {}),
+          text: truncate(r.text, CITATION_CHARS)
+        });
+      });
+    }
+  });
+
+  return {
+    tickers: mergeRecent(turnTickers, prev.tickers, STATE_LIMITS.tickers),
+    periods: mergeRecent(turnPeriods.sort(comparePeriodsDesc), prev.periods, STATE_LIMITS.periods, formatPeriod),
+    metrics: mergeRecent(turnMetrics, prev.metrics, STATE_LIMITS.metrics),
+    toolResults: [...turnResults.reverse(), ...prev.toolResults].slice(0, STATE_LIMITS.toolResults),
+    citations: mergeRecent(turnCitations, prev.citations, STATE_LIMITS.citations, (c) => `${c.source}-${c.text.slice(0, 50)}`)
+  };
+}
+
+/**
+ * Plain-text digest of the state for the model, prepended to the new
+ * question. Empty when there is nothing to carry over.
+ * @param {object|null} [state]
+ * @param {{ticker?: string|null, periods?: Array|null}} [resolved] - What the follow-up was resolved to.
+ * @returns {string}
+ */
+export function summarizeConversationState(state, resolved = {}) {
+  if (!state?.tickers?.length && !state?.toolResults?.length) return '';
+  const lines = ['Context from earlier in this conversation:'];
+  if (state.tickers.length) lines.push(`- Companies discussed: ${state.tickers.join(', ')}`);
+  if (state.periods.length) lines.push(`- Periods discussed: ${state.periods.map(formatPeriod).join(', ')}`);
+  if (state.metrics.length) lines.push(`- Metrics discussed: ${state.metrics.join(', ')}`);
+  state.toolResults.forEach((r) => lines.push(`- Earlier ${r.tool} result: ${r.summary}`));
+  state.citations.forEach((c) => {
+    const period = [c.quarter, c.fiscalYear && `FY${c.fiscalYear}`].filter(Boolean).join(' ');
+    lines.push(`- Earlier excerpt (${c.source}${period ? `, ${period}` : ''}): "${c.text}"`);
+  });
+  if (resolved.ticker || resolved.periods?.length) {
+    const parts = [
+      resolved.ticker && `company ${resolved.ticker}`,
+      resolved.periods?.length && `period ${resolved.periods.map(formatPeriod).join(', ')}`
+    ].filter(Boolean);
+    lines.push(`This question is a follow-up; it refers to ${parts.join(' and ')}.`);
+  }
+  lines.push('Earlier results may be stale for new periods; call tools again for any number you report.');
+  return lines.join('\n');
+}
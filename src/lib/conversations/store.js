@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const STORE_VERSION = 1;
+
+/**
+ * Conversation threads for /api/conversations.
+ *
+ * A conversation is `{id, title, createdAt, updatedAt, messages}`; each
+ * message is `{id, role, content, createdAt}` and assistant messages may also
+ * carry the `toolResults`, `citations` and `metrics` the UI needs to redraw
+ * the answer when a thread is reopened.
+ */
+
+/**
+ * Where the JSON store lives. Read lazily so CLI scripts that load `.env`
+ * after their imports still pick up overrides.
+ * @returns {string}
+ */
+export function resolveConversationStorePath() {
+  if (process.env.CONVERSATION_STORE_PATH) {
+    return path.resolve(process.env.CONVERSATION_STORE_PATH);
+  }
+  return path.join(process.cwd(), 'data', 'conversations.json');
+}
+
+function summarize(conversation) {
+  const { messages, ...rest } = conversation;
+  return { ...rest, messageCount: messages.length };
+}
+
+function toMessage(message) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    ...message
+  };
+}
+
+// ----------------------------------------------------------------
+// Base Class
+// ----------------------------------------------------------------
+
+/**
+ * Abstract base class for conversation backends. Every method is async so
+ * remote backends (SQLite, Postgres, KV) fit the same contract.
+ * @abstract
+ */
+export class BaseConversationStore {
+  /**
+   * @returns {Promise<Array<Object>>} Summaries without messages, most recently updated first.
+   */
+  async list() {
+    throw new Error('Must implement list method');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} The full conversation, or null when unknown.
+   */
+  async get(id) {
+    throw new Error('Must implement get method');
+  }
+
+  /**
+   * @param {{title?: string, messages?: Array<Object>}} input
+   * @returns {Promise<Object>} The created conversation.
+   */
+  async create(input) {
+    throw new Error('Must implement create method');
+  }
+
+  /**
+   * @param {string} id
+   * @param {Array<Object>} messages
+   * @returns {Promise<Object|null>} The updated conversation, or null when unknown.
+   */
+  async append(id, messages) {
+    throw new Error('Must implement append method');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a conversation was deleted.
+   */
+  async delete(id) {
+    throw new Error('Must implement delete method');
+  }
+}
+
+// ----------------------------------------------------------------
+// Implementations
+// ----------------------------------------------------------------
+
+/**
+ * Keeps conversations in process memory. For tests and read-only deploys
+ * where the filesystem cannot be written.
+ */
+export class MemoryConversationStore extends BaseConversationStore {
+  constructor() {
+    super();
+    this.name = 'memory';
+    /** @type {Map<string, Object>} */
+    this.conversations = new Map();
+  }
+
+  async load() {}
+
+  async persist() {}
+
+  async list() {
+    await this.load();
+    return [...this.conversations.values()]
+      .map(summarize)
+      .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0));
+  }
+
+  async get(id) {
+    await this.load();
+    return this.conversations.get(id) || null;
+  }
+
+  async create({ title, messages = [] } = {}) {
+    await this.load();
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomUUID(),
+      title: title || messages.find((m) => m.role === 'user')?.content?.slice(0, 80) || 'New conversation',
+      createdAt: now,
+      updatedAt: now,
+      messages: messages.map(toMessage)
+    };
+    this.conversations.set(conversation.id, conversation);
+    await this.persist();
+    return conversation;
+  }
+
+  async append(id, messages) {
+    await this.load();
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+    conversation.messages.push(...messages.map(toMessage));
+    conversation.updatedAt = new Date().toISOString();
+    await this.persist();
+    return conversation;
+  }
+
+  async delete(id) {
+    await this.load();
+    const deleted = this.conversations.delete(id);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+}
+
+/**
+ * Default backend: every conversation in one JSON file, rewritten on each
+ * change. Writes are serialized so concurrent requests in one process never
+ * interleave; it is not meant for multiple server processes sharing a file.
+ */
+export class JsonFileConversationStore extends MemoryConversationStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Defaults to CONVERSATION_STORE_PATH or data/conversations.json.
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'json';
+    this.filePath = options.filePath || resolveConversationStorePath();
+    this.loaded = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.loaded) return;
+    try {
+      const parsed = JSON.parse(await fs.promises.readFile(this.filePath, 'utf-8'));
+      if (parsed.version !== STORE_VERSION) {
+        throw new Error(`Unsupported conversation store version ${parsed.version} in ${this.filePath}`);
+      }
+      (parsed.conversations || []).forEach((c) => this.conversations.set(c.id, c));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[JsonFileConversationStore] Failed to load ${this.filePath}:`, error.message);
+        throw error;
+      }
+    }
+    this.loaded = true;
+  }
+
+  async persist() {
+    const payload = JSON.stringify({ version: STORE_VERSION, conversations: [...this.conversations.values()] });
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      // Write to a temp file first so an interrupted write never leaves a truncated store
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, payload);
+      await fs.promises.rename(tmpPath, this.filePath);
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    await this.writeQueue;
+  }
+}
+
+// ----------------------------------------------------------------
+// Store registry
+// ----------------------------------------------------------------
+
+/** @type {Map<string, (options: Object) => BaseConversationStore>} */
+const CONVERSATION_STORE_FACTORIES = new Map([
+  ['json', (options) => new JsonFileConversationStore(options)],
+  ['memory', () => new MemoryConversationStore()]
+]);
+
+/**
+ * Registers a backend factory under a name usable in CONVERSATION_STORE.
+ * @param {string} name
+ * @param {(options: Object) => BaseConversationStore} factory
+ */
+export function registerConversationStore(name, factory) {
+  CONVERSATION_STORE_FACTORIES.set(name, factory);
+}
+
+export function listConversationStores() {
+  return [...CONVERSATION_STORE_FACTORIES.keys()];
+}
+
+/**
+ * Creates a store by registry name. Defaults to CONVERSATION_STORE, then 'json'.
+ * @param {string} [name]
+ * @param {Object} [options] - Passed through to the factory.
+ * @returns {BaseConversationStore}
+ */
+export function createConversationStore(name, options = {}) {
+  const key = name || process.env.CONVERSATION_STORE || 'json';
+  const factory = CONVERSATION_STORE_FACTORIES.get(key);
+  if (!factory) {
+    throw new Error(`Unknown conversation store "${key}". Available: ${listConversationStores().join(', ')}`);
+  }
+  return factory(options);
+}
+
+let sharedStore = null;
+
+/**
+ * Process-wide store used by the API routes, created on first use.
+ * @returns {BaseConversationStore}
+ */
+export function getConversationStore() {
+  if (!sharedStore) sharedStore = createConversationStore();
+  return sharedStore;
+}
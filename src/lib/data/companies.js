@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+
+const REGISTRY_VERSION = 1;
+
+/**
+ * Company registry: the single list of covered tickers. Tool schemas, request
+ * validation, ticker detection, the fiscal calendar and the ingestion scripts
+ * all derive from data/companies.json, so covering a new company means adding
+ * its financials/transcripts under data/ plus one entry there.
+ *
+ * An entry is:
+ *   ticker              'NVDA'
+ *   name                'NVIDIA'                 short name; also the Pinecone `company_name` metadata
+ *   legalName           'NVIDIA Corporation'
+ *   aliases             ['nvidia']               lowercase words that name the company in a question
+ *   sector              'Semiconductors & AI'
+ *   fiscalYearEndMonth  1                        month (1-12) the fiscal year effectively ends in
+ *   executives          [{name, title}]          current CEO/CFO and other regular call speakers
+ *   segments            ['Data Center', ...]     reported segments or revenue lines
+ *
+ * fiscalYearEndMonth is only used when a ticker's filings carry no period
+ * dates (e.g. ORCL). AVGO's year ends on the Sunday closest to Oct 31, so
+ * October is the right bucket.
+ */
+
+/**
+ * Where the registry file lives. Read lazily so CLI scripts that load `.env`
+ * after their imports still pick up overrides.
+ * @returns {string}
+ */
+export function resolveCompanyRegistryPath() {
+  if (process.env.COMPANY_REGISTRY_PATH) {
+    return path.resolve(process.env.COMPANY_REGISTRY_PATH);
+  }
+  return path.join(process.cwd(), 'data', 'companies.json');
+}
+
+function validateCompany(entry, index, filePath) {
+  const where = `${filePath} entry ${index}`;
+  if (!/^[A-Z.]{1,6}$/.test(String(entry?.ticker || ''))) {
+    throw new Error(`Invalid ticker ${JSON.stringify(entry?.ticker)} in ${where}`);
+  }
+  const month = Number(entry.fiscalYearEndMonth);
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new Error(`Invalid fiscalYearEndMonth for ${entry.ticker} in ${where}`);
+  }
+  return {
+    ticker: entry.ticker,
+    name: entry.name || entry.ticker,
+    legalName: entry.legalName || entry.name || entry.ticker,
+    aliases: (entry.aliases || []).map((alias) => String(alias).toLowerCase()),
+    sector: entry.sector || null,
+    fiscalYearEndMonth: month,
+    executives: entry.executives || [],
+    segments: entry.segments || []
+  };
+}
+
+// Loaded once per process; the file only changes when a company is added
+let registry = null;
+
+function loadRegistry() {
+  if (registry) return registry;
+  const filePath = resolveCompanyRegistryPath();
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (parsed.version !== REGISTRY_VERSION) {
+    throw new Error(`Unsupported company registry version ${parsed.version} in ${filePath}`);
+  }
+
+  const companies = (parsed.companies || []).map((entry, i) => validateCompany(entry, i, filePath));
+  const byTicker = new Map();
+  const aliases = new Map();
+  companies.forEach((company) => {
+    if (byTicker.has(company.ticker)) {
+      throw new Error(`Duplicate ticker ${company.ticker} in ${filePath}`);
+    }
+    byTicker.set(company.ticker, company);
+    [company.ticker.toLowerCase(), ...company.aliases].forEach((alias) => {
+      const owner = aliases.get(alias);
+      if (owner && owner !== company.ticker) {
+        throw new Error(`Alias "${alias}" is claimed by both ${owner} and ${company.ticker} in ${filePath}`);
+      }
+      aliases.set(alias, company.ticker);
+    });
+  });
+
+  registry = { companies, byTicker, aliases };
+  return registry;
+}
+
+// ----------------------------------------------------------------
+// Lookups
+// ----------------------------------------------------------------
+
+/**
+ * @returns {string[]} Every covered ticker, in registry order.
+ */
+export function listTickers() {
+  return loadRegistry().companies.map((company) => company.ticker);
+}
+
+/**
+ * @returns {Array<Object>} Every registry entry, in registry order.
+ */
+export function listCompanies() {
+  return [...loadRegistry().companies];
+}
+
+/**
+ * @param {string} ticker - Case-insensitive.
+ * @returns {Object|null} The registry entry, or null when the ticker is not covered.
+ */
+export function getCompany(ticker) {
+  return loadRegistry().byTicker.get(String(ticker || '').toUpperCase()) || null;
+}
+
+export function isSupportedTicker(ticker) {
+  return getCompany(ticker) !== null;
+}
+
+/**
+ * Ticker named by a single lowercase word or phrase: an alias or the ticker
+ * itself ("nvidia" → NVDA, "nvda" → NVDA).
+ * @param {string} alias
+ * @returns {string|null}
+ */
+export function tickerForAlias(alias) {
+  return loadRegistry().aliases.get(String(alias || '').toLowerCase()) || null;
+}
+
+function normalizeCompanyName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[,.]/g, ' ')
+    .replace(/\b(inc|corp|corporation|co|company|ltd|plc)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Resolves a company name as filings write it ("NVIDIA Corp.", "Meta
+ * Platforms, Inc.", "Facebook") to its ticker.
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function tickerForCompanyName(name) {
+  const target = normalizeCompanyName(name);
+  if (!target) return null;
+  const { companies, aliases } = loadRegistry();
+  const match = companies.find(
+    (company) => normalizeCompanyName(company.legalName) === target || normalizeCompanyName(company.name) === target
+  );
+  return match?.ticker || aliases.get(target) || null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Every company named in free text, by ticker or alias as a whole word, in
+ * order of first mention ("Nvidia or AMD?" → ['NVDA', 'AMD']).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function detectTickersInText(text) {
+  const lower = String(text || '').toLowerCase();
+  const firstMention = new Map();
+  for (const [alias, ticker] of loadRegistry().aliases) {
+    const match = new RegExp(`(?<![a-z0-9])${escapeRegExp(alias)}(?![a-z0-9])`).exec(lower);
+    if (match && (firstMention.get(ticker) ?? Infinity) > match.index) firstMention.set(ticker, match.index);
+  }
+  return [...firstMention].sort((a, b) => a[1] - b[1]).map(([ticker]) => ticker);
+}
+
+/**
+ * First company named in free text ("How did Nvidia's data center do?" →
+ * NVDA). When several are named the earliest mention wins.
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function detectTickerInText(text) {
+  return detectTickersInText(text)[0] || null;
+}
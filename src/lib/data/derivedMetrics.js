@@ -0,0 +1,180 @@
+import { financials } from './financials.js';
+
+/**
+ * Metrics computed from stored quarterly fields rather than read from the JSON.
+ *
+ * Each definition declares its formula and the inputs it reads. An input is a
+ * field name, optionally suffixed with a quarter offset: `revenue[t-4]` is
+ * revenue for the same fiscal quarter a year earlier. Every input must resolve
+ * to a usable value or the metric is reported missing with a reason. The
+ * `ttm_*` metrics are read from financials.getTTM instead.
+ */
+export const DERIVED_METRICS = {
+  rd_intensity: {
+    label: 'R&D intensity',
+    formula: 'rd_expense / revenue * 100',
+    inputs: ['rd_expense', 'revenue'],
+    unit: 'percent',
+    compute: ({ rd_expense, revenue }) => (rd_expense / revenue) * 100
+  },
+  opex_ratio: {
+    label: 'Operating expense ratio',
+    formula: '(gross_profit - operating_income) / revenue * 100',
+    inputs: ['gross_profit', 'operating_income', 'revenue'],
+    unit: 'percent',
+    // Derived from gross profit rather than the reported expense total, whose
+    // scope (with or without cost of revenue) differs between filers.
+    compute: ({ gross_profit, operating_income, revenue }) => ((gross_profit - operating_income) / revenue) * 100
+  },
+  fcf_margin: {
+    label: 'Free cash flow margin',
+    formula: 'free_cash_flow / revenue * 100',
+    inputs: ['free_cash_flow', 'revenue'],
+    unit: 'percent',
+    compute: ({ free_cash_flow, revenue }) => (free_cash_flow / revenue) * 100
+  },
+  cash_conversion: {
+    label: 'Cash conversion',
+    formula: 'free_cash_flow / net_income',
+    inputs: ['free_cash_flow', 'net_income'],
+    unit: 'ratio',
+    compute: ({ free_cash_flow, net_income }) => free_cash_flow / net_income
+  },
+  incremental_operating_margin: {
+    label: 'Incremental operating margin (YoY)',
+    formula: '(operating_income - operating_income[t-4]) / (revenue - revenue[t-4]) * 100',
+    inputs: ['operating_income', 'operating_income[t-4]', 'revenue', 'revenue[t-4]'],
+    unit: 'percent',
+    compute: (v) => {
+      const revenueDelta = v.revenue - v['revenue[t-4]'];
+      if (revenueDelta === 0) return null;
+      return ((v.operating_income - v['operating_income[t-4]']) / revenueDelta) * 100;
+    }
+  },
+  ttm_revenue: ttmSum('revenue', 'TTM revenue'),
+  ttm_operating_income: ttmSum('operating_income', 'TTM operating income'),
+  ttm_net_income: ttmSum('net_income', 'TTM net income'),
+  ttm_free_cash_flow: ttmSum('free_cash_flow', 'TTM free cash flow')
+};
+
+export const DERIVED_METRIC_NAMES = Object.keys(DERIVED_METRICS);
+
+// Trailing sums come from financials.getTTM, so they share its completeness rules
+function ttmSum(field, label) {
+  return {
+    label,
+    formula: [field, `${field}[t-1]`, `${field}[t-2]`, `${field}[t-3]`].join(' + '),
+    ttm: field,
+    unit: 'usd_millions'
+  };
+}
+
+export function isDerivedMetric(metric) {
+  return Object.prototype.hasOwnProperty.call(DERIVED_METRICS, metric);
+}
+
+function parseInput(input) {
+  const match = input.match(/^(\w+)(?:\[t-(\d+)\])?$/);
+  if (!match) throw new Error(`Invalid derived metric input: ${input}`);
+  return { key: input, field: match[1], lag: match[2] ? parseInt(match[2], 10) : 0 };
+}
+
+function shiftQuarter(fiscalYear, quarter, lag) {
+  const index = parseInt(fiscalYear, 10) * 4 + (parseInt(String(quarter).replace('Q', ''), 10) - 1) - lag;
+  return { fiscalYear: String(Math.floor(index / 4)), quarter: `Q${(index % 4) + 1}` };
+}
+
+// extractFinancialMetrics falls back to 0 when a field is absent, so a zero
+// input is treated as missing rather than silently producing 0% or a divide-by-zero.
+function usable(value) {
+  return value !== undefined && value !== null && Number.isFinite(Number(value)) && Number(value) !== 0;
+}
+
+/**
+ * Computes one derived metric for a fiscal quarter.
+ * @param {string} ticker
+ * @param {string} fiscalYear
+ * @param {string} quarter
+ * @param {string} metric - Key of DERIVED_METRICS.
+ * @param {Object} [options]
+ * @param {Map<string, Promise<Object|null>>} [options.quarterCache] - Shared quarter reads across calls.
+ * @returns {Promise<{metric: string, value: number|null, unit: string, formula: string, inputs: Object, reason?: string}>}
+ */
+export async function computeDerivedMetric(ticker, fiscalYear, quarter, metric, options = {}) {
+  const definition = DERIVED_METRICS[metric];
+  if (!definition) throw new Error(`Unknown derived metric: ${metric}`);
+  if (definition.ttm) return computeTTMMetric(ticker, fiscalYear, quarter, metric, definition);
+  const quarterCache = options.quarterCache || new Map();
+
+  const loadQuarter = (period) => {
+    const key = `${period.fiscalYear}|${period.quarter}`;
+    if (!quarterCache.has(key)) {
+      quarterCache.set(key, financials.getQuarter(ticker, period.fiscalYear, period.quarter));
+    }
+    return quarterCache.get(key);
+  };
+
+  const parsed = definition.inputs.map(parseInput);
+  const resolved = await Promise.all(
+    parsed.map(async ({ key, field, lag }) => {
+      const period = shiftQuarter(fiscalYear, quarter, lag);
+      const data = await loadQuarter(period);
+      const raw = data?.[field];
+      return {
+        key,
+        period: `${period.quarter} FY${period.fiscalYear}`,
+        value: usable(raw) ? Number(raw) : null,
+        status: !data ? 'missing_period' : usable(raw) ? 'ok' : 'missing_field'
+      };
+    })
+  );
+
+  const inputs = Object.fromEntries(resolved.map(({ key, ...rest }) => [key, rest]));
+  const result = { metric, value: null, unit: definition.unit, formula: definition.formula, inputs };
+
+  const missing = resolved.filter((r) => r.status !== 'ok');
+  if (missing.length) {
+    result.reason = `Missing inputs: ${missing.map((r) => `${r.key} (${r.period}, ${r.status})`).join(', ')}`;
+    return result;
+  }
+
+  const value = definition.compute(Object.fromEntries(resolved.map((r) => [r.key, r.value])));
+  if (value === null || !Number.isFinite(value)) {
+    result.reason = 'Formula is undefined for these inputs';
+    return result;
+  }
+  result.value = value;
+  return result;
+}
+
+async function computeTTMMetric(ticker, fiscalYear, quarter, metric, definition) {
+  const field = definition.ttm;
+  const ttm = await financials.getTTM(ticker, { fiscalYear, quarter });
+  const value = ttm?.metrics?.[field] ?? null;
+  const status = !ttm?.complete ? 'missing_period' : value === null ? 'missing_field' : 'ok';
+  const result = {
+    metric,
+    value,
+    unit: definition.unit,
+    formula: definition.formula,
+    inputs: { [field]: { period: ttm?.period || `TTM ${quarter} FY${fiscalYear}`, value, status } }
+  };
+  if (status === 'missing_period') {
+    result.reason = ttm?.error || `No quarters on disk for ${ticker}`;
+  } else if (status === 'missing_field') {
+    result.reason = `Missing inputs: ${field} is not reported for every quarter of ${ttm.period}`;
+  }
+  return result;
+}
+
+/**
+ * Computes several derived metrics for one quarter, sharing quarter reads.
+ * @returns {Promise<Object<string, Object>>} Results keyed by metric name.
+ */
+export async function computeDerivedMetrics(ticker, fiscalYear, quarter, metrics) {
+  const quarterCache = new Map();
+  const results = await Promise.all(
+    metrics.map((metric) => computeDerivedMetric(ticker, fiscalYear, quarter, metric, { quarterCache }))
+  );
+  return Object.fromEntries(results.map((r) => [r.metric, r]));
+}
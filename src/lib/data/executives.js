@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import { getCompany, listTickers } from './companies.js';
+import {
+  isExecutiveTitle,
+  listTranscriptQuarters,
+  readQaSpeakers,
+  speakerKey,
+  transcriptQuarterFiles
+} from '../rag/transcriptChunker.js';
+
+/**
+ * Executive directory: who spoke for each company on its earnings calls, and
+ * in which role over which fiscal periods. Built from the `speakers` keys of
+ * the parsed `*_qa.json` transcripts, merged with the executives listed in
+ * the company registry (whose spelling wins, e.g. "Andy Jassy" over
+ * "Andrew Jassy").
+ *
+ * People are keyed per ticker by `speaker_key` (lowercase surname, as on
+ * transcript chunks), so "Hock E Tan" and "Hock Tan" are one person and a
+ * resolved executive can be used directly as a transcript speaker filter.
+ */
+
+// Single first names or surnames this short ("Su", "Li") are too ambiguous to match alone
+const MIN_SINGLE_NAME_CHARS = 3;
+// A lone first name matches lowercase from this length ("jensen", "satya"); shorter ones
+// and lone surnames ("Cook", "Hood", "Block") need the capital a name would carry
+const MIN_LOWERCASE_NAME_CHARS = 5;
+
+const directoryCache = new Map();
+
+function transcriptsDir() {
+  return path.join(process.cwd(), 'data', 'transcripts');
+}
+
+function periodIndex(period) {
+  return Number(period.fiscalYear) * 4 + Number(period.quarter.slice(1)) - 1;
+}
+
+function periodLabel(period) {
+  return `${period.quarter} FY${period.fiscalYear}`;
+}
+
+function nameTokens(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z\s_-]/g, '')
+    .split(/[\s_-]+/)
+    .filter(Boolean);
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    console.warn(`[executives] Skipping unreadable ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+// Consecutive appearances in the same role collapse into one tenure
+function buildTenures(appearances) {
+  const tenures = [];
+  appearances.forEach(({ period, role, title }) => {
+    const last = tenures[tenures.length - 1];
+    if (last && last.role === role) {
+      last.to = period;
+      last.title = title || last.title;
+      last.quarters += 1;
+    } else {
+      tenures.push({ role, title, from: period, to: period, quarters: 1 });
+    }
+  });
+  return tenures.map((t) => ({ ...t, label: `${periodLabel(t.from)} – ${periodLabel(t.to)}` }));
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+/**
+ * @typedef {{fiscalYear: string, quarter: string}} FiscalPeriod
+ * @typedef {{role: string, title: string|null, from: FiscalPeriod, to: FiscalPeriod, quarters: number, label: string}} Tenure
+ * @typedef {{ticker: string, key: string, name: string, names: string[], role: string, title: string|null,
+ *   current: boolean, firstPeriod: FiscalPeriod|null, lastPeriod: FiscalPeriod|null, appearances: number,
+ *   tenures: Tenure[]}} Executive
+ */
+
+/**
+ * The directory for one ticker, most recent speakers first.
+ * @param {string} ticker
+ * @returns {Executive[]}
+ */
+export function getExecutiveDirectory(ticker) {
+  const symbol = String(ticker || '').toUpperCase();
+  if (directoryCache.has(symbol)) return directoryCache.get(symbol);
+
+  const people = new Map();
+  const personFor = (key) => {
+    if (!people.has(key)) people.set(key, { key, names: [], appearances: [], listed: null });
+    return people.get(key);
+  };
+
+  let latestIndex = -1;
+  for (const entry of listTranscriptQuarters(transcriptsDir(), symbol)) {
+    const { qaFile } = transcriptQuarterFiles(entry);
+    const json = qaFile ? readJson(qaFile) : null;
+    if (!json) continue;
+    // Folder names are authoritative; a few parsed files carry a mislabelled fiscal year
+    const period = { fiscalYear: entry.fiscalYear, quarter: entry.quarter };
+    latestIndex = Math.max(latestIndex, periodIndex(period));
+
+    readQaSpeakers(json)
+      .filter((s) => s.role === 'CEO' || s.role === 'CFO' || (s.role === 'executive' && isExecutiveTitle(s.title)))
+      .forEach((speaker) => {
+        const key = speakerKey(speaker.name);
+        if (!key) return;
+        const person = personFor(key);
+        person.names.push(speaker.name);
+        person.appearances.push({ period, role: speaker.role, title: speaker.title });
+      });
+  }
+
+  (getCompany(symbol)?.executives || []).forEach((executive) => {
+    const key = speakerKey(executive.name);
+    if (key) personFor(key).listed = executive;
+  });
+
+  const directory = [...people.values()].map((person) => {
+    const appearances = person.appearances.sort((a, b) => periodIndex(a.period) - periodIndex(b.period));
+    const last = appearances[appearances.length - 1];
+    const names = [...new Set([person.listed?.name, ...person.names].filter(Boolean))];
+    return {
+      ticker: symbol,
+      key: person.key,
+      name: person.listed?.name || mostCommon(person.names),
+      names,
+      role: last?.role || 'executive',
+      title: person.listed?.title || last?.title || null,
+      // Listed in the registry, or on the latest call we have
+      current: Boolean(person.listed) || (last ? periodIndex(last.period) === latestIndex : false),
+      firstPeriod: appearances[0]?.period || null,
+      lastPeriod: last?.period || null,
+      appearances: appearances.length,
+      tenures: buildTenures(appearances)
+    };
+  });
+
+  directory.sort(
+    (a, b) =>
+      (b.lastPeriod ? periodIndex(b.lastPeriod) : Infinity) - (a.lastPeriod ? periodIndex(a.lastPeriod) : Infinity) ||
+      b.appearances - a.appearances
+  );
+  directoryCache.set(symbol, directory);
+  return directory;
+}
+
+/**
+ * Every ticker's directory, flattened.
+ * @returns {Executive[]}
+ */
+export function listExecutives() {
+  return listTickers().flatMap((ticker) => getExecutiveDirectory(ticker));
+}
+
+// ----------------------------------------------------------------
+// Resolving people named in questions
+// ----------------------------------------------------------------
+
+function wordPattern(words) {
+  return new RegExp(`(?<![a-z])${words.join('\\s+')}(?![a-z])`, 'i');
+}
+
+function findWord(text, word, caseSensitive) {
+  const pattern = wordPattern([word]);
+  if (!caseSensitive) return pattern.exec(text);
+  // Require the capital a name would carry ("Cook", not "cook")
+  const capitalized = word.charAt(0).toUpperCase() + word.slice(1);
+  return new RegExp(`(?<![A-Za-z])${capitalized}(?![a-z])`).exec(text);
+}
+
+/**
+ * The executive a question names, if any: "Lisa Su" and "Amy Hood" match on
+ * first name plus surname; "Jensen" or "Satya" match on a single first name
+ * or surname that only one person in the directory carries (scoped to
+ * `ticker` first, so "Mark" in a META thread is Zuckerberg).
+ * @param {string} text
+ * @param {{ticker?: string|null}} [options] - The company already in play, if known.
+ * @returns {Executive|null}
+ */
+export function findExecutive(text, { ticker = null } = {}) {
+  const message = String(text || '');
+  if (!message.trim()) return null;
+  const everyone = listExecutives();
+  const matches = [];
+
+  // Full names first: any known first name followed by the surname
+  everyone.forEach((person) => {
+    const firstNames = new Set(person.names.map((n) => nameTokens(n)[0]).filter(Boolean));
+    firstNames.forEach((first) => {
+      const match = wordPattern([first, person.key]).exec(message);
+      if (match) matches.push({ person, index: match.index });
+    });
+  });
+
+  if (!matches.length) {
+    // Single names, unambiguous within the scoped ticker or across everyone
+    const owners = new Map();
+    everyone.forEach((person) => {
+      person.names.forEach((n) => {
+        const parts = nameTokens(n);
+        [[parts[0], 'first'], [parts[parts.length - 1], 'last']].forEach(([token, kind]) => {
+          if (!token || token.length < MIN_SINGLE_NAME_CHARS) return;
+          const owner = owners.get(token) || { people: new Set(), surname: false };
+          owner.people.add(person);
+          owner.surname = owner.surname || kind === 'last';
+          owners.set(token, owner);
+        });
+      });
+    });
+    owners.forEach(({ people, surname }, token) => {
+      const candidates = [...people];
+      const scoped = ticker ? candidates.filter((p) => p.ticker === String(ticker).toUpperCase()) : [];
+      const pool = scoped.length ? scoped : candidates;
+      if (pool.length !== 1) return;
+      const match = findWord(message, token, surname || token.length < MIN_LOWERCASE_NAME_CHARS);
+      if (match) matches.push({ person: pool[0], index: match.index });
+    });
+  }
+
+  matches.sort((a, b) => a.index - b.index);
+  return matches[0]?.person || null;
+}
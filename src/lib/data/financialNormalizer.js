@@ -0,0 +1,381 @@
+import fs from 'fs';
+import {
+  CanonicalFinancialQuarterSchema,
+  EXPECTED_FINANCIAL_FIELDS
+} from '../schemas/financial-data.js';
+
+// ----------------------------------------------------------------
+// Source mappings
+// ----------------------------------------------------------------
+// Candidate paths per canonical field, tried in order; the first one holding a
+// number wins. Paths are relative to the financial report
+// (`financial_report`, `financial_reports[0]` or the quarter entry under
+// `financial_report.quarters`); a leading "/" means the document root, where
+// some filers keep cash_flow and metrics.
+
+const onReportOrRoot = (paths) => paths.flatMap((p) => [p, `/${p}`]);
+const epsPaths = (leaf) => ['earnings_per_share', 'eps'].flatMap((key) => leaf(`income_statement.${key}`));
+
+const FIELD_SOURCES = {
+  'income_statement.revenue': [
+    'income_statement.revenue.total.value',
+    'income_statement.net_sales.total.value',
+    'income_statement.revenues.total.value',
+    'income_statement.revenue.total',
+    'income_statement.net_sales.total',
+    'income_statement.revenues.total'
+  ],
+  'income_statement.cost_of_revenue': [
+    'income_statement.cost_of_revenue.total.value',
+    'income_statement.cost_of_revenue.total',
+    'income_statement.cost_of_revenue.gaap.value',
+    'income_statement.cost_of_revenue.value',
+    'income_statement.cost_of_revenues.total',
+    'income_statement.cost_of_revenues.value',
+    'income_statement.cost_of_sales.total.value',
+    'income_statement.cost_of_sales.total',
+    'income_statement.operating_expenses.cost_of_revenue.value',
+    'income_statement.operating_expenses.cost_of_sales.value'
+  ],
+  'income_statement.gross_profit': [
+    'income_statement.margins.gross_margin.gross_profit',
+    'income_statement.margins.gross_margin.gaap.gross_profit',
+    'income_statement.gross_profit.value',
+    'income_statement.gross_profit.gaap.value',
+    'income_statement.gross_margin.value'
+  ],
+  'income_statement.rd_expense': [
+    'income_statement.operating_expenses.research_and_development',
+    'income_statement.operating_expenses.research_and_development.value',
+    'income_statement.operating_expenses.research_and_development.gaap.value',
+    'income_statement.operating_expenses.research_and_development.gaap',
+    'income_statement.operating_expenses.breakdown.research_and_development',
+    'income_statement.operating_expenses.breakdown.research_and_development.value',
+    // Amazon reports its R&D spend as technology and content
+    'income_statement.operating_expenses.technology_and_content.value'
+  ],
+  'income_statement.operating_income': [
+    'income_statement.operating_income',
+    'income_statement.operating_income.total',
+    'income_statement.operating_income.value',
+    'income_statement.operating_income.gaap.value',
+    'income_statement.operating_income.gaap',
+    'income_statement.operating_income.non_gaap.value',
+    'income_statement.operating_income.non_gaap',
+    'income_statement.margins.operating_margin.gaap.operating_income',
+    'income_statement.margins.operating_margin.non_gaap.operating_income'
+  ],
+  'income_statement.net_income': [
+    'income_statement.net_income',
+    'income_statement.net_income.gaap.value',
+    'income_statement.net_income.gaap',
+    'income_statement.net_income.reported.value',
+    'income_statement.net_income.value',
+    'income_statement.net_income.non_gaap.value',
+    'income_statement.net_income.non_gaap'
+  ],
+  'income_statement.eps': epsPaths((base) => [
+    `${base}.basic.value`,
+    `${base}.basic`,
+    `${base}.gaap.basic`,
+    `${base}.basic.reported.value`,
+    `${base}.gaap.value`
+  ]),
+  'income_statement.eps_diluted': epsPaths((base) => [
+    `${base}.diluted.value`,
+    `${base}.diluted`,
+    `${base}.gaap.diluted`,
+    `${base}.diluted.reported.value`,
+    `${base}.gaap`
+  ]),
+  'margins.gross_margin': [
+    'income_statement.margins.gross_margin.current_value',
+    'income_statement.margins.gross_margin.gaap.value',
+    'income_statement.margins.gross_margin.non_gaap.value',
+    'income_statement.margins.gross_margin.value',
+    'income_statement.gross_margin.margin_percentage',
+    'income_statement.gross_profit.margin_percent',
+    'income_statement.gross_profit.gaap.margin'
+  ],
+  'margins.operating_margin': [
+    'income_statement.operating_income.margin_percentage',
+    'income_statement.margins.operating_margin.current_value',
+    'income_statement.margins.operating_margin.gaap.value',
+    'income_statement.margins.operating_margin.non_gaap.value',
+    'income_statement.operating_margin.current_value',
+    'income_statement.operating_margin.value'
+  ],
+  'margins.net_margin': [],
+  'cash_flow.operating_cash_flow': onReportOrRoot([
+    'cash_flow.cash_flow_from_operations.total_operating_cash_flow.value',
+    'cash_flow.operating_cash_flow',
+    'cash_flow.operating_cash_flow.value',
+    'cash_flow.cash_flow_statement.operating_activities.net_cash_from_operating_activities.value',
+    'metrics.key_metrics.operating_cash_flow_margin.components.operating_cash_flow'
+  ]),
+  'cash_flow.capital_expenditures': onReportOrRoot([
+    'cash_flow.capital_expenditures',
+    'cash_flow.capital_expenditures.value',
+    'cash_flow.cash_flow_from_investing.capital_expenditures.value',
+    'cash_flow.cash_flow_from_investing.capital_expenditure.value',
+    'cash_flow.investing_cash_flow.components.capital_expenditures',
+    'cash_flow.cash_flow_statement.investing_activities.property_and_equipment.purchases.value'
+  ]),
+  'cash_flow.free_cash_flow': [
+    ...onReportOrRoot(['cash_flow.free_cash_flow', 'cash_flow.free_cash_flow.value']),
+    'free_cash_flow.value',
+    'key_metrics.free_cash_flow.value',
+    ...onReportOrRoot(['metrics.key_metrics.free_cash_flow.value'])
+  ]
+};
+
+// Components used when a filing omits a value that is fully determined by others
+const COMPUTED_FIELDS = {
+  'income_statement.gross_profit': {
+    inputs: ['income_statement.revenue', 'income_statement.cost_of_revenue'],
+    compute: (revenue, cost) => revenue - cost
+  },
+  'margins.gross_margin': {
+    inputs: ['income_statement.gross_profit', 'income_statement.revenue'],
+    compute: (profit, revenue) => (profit / revenue) * 100
+  },
+  'margins.operating_margin': {
+    inputs: ['income_statement.operating_income', 'income_statement.revenue'],
+    compute: (profit, revenue) => (profit / revenue) * 100
+  },
+  'margins.net_margin': {
+    inputs: ['income_statement.net_income', 'income_statement.revenue'],
+    compute: (profit, revenue) => (profit / revenue) * 100
+  },
+  'cash_flow.free_cash_flow': {
+    inputs: ['cash_flow.operating_cash_flow', 'cash_flow.capital_expenditures'],
+    compute: (ocf, capex) => ocf - capex
+  }
+};
+
+// Keys feeding revenue_segments rather than a scalar field
+const SEGMENT_SOURCES = ['sales_by_category', 'sales_by_segment', 'segment_information', 'segments'];
+const NON_SEGMENT_KEYS = new Set(['total', 'components', 'constant_currency_growth', 'yoy_growth', 'qoq_growth']);
+
+// Statement sections whose numeric leaves are checked for coverage
+const AUDITED_SECTIONS = ['income_statement', 'cash_flow'];
+
+// Every source path, relative to its own root; a leaf counts as reached when one
+// of these names it or a sibling (the siblings of a value are its growth rates,
+// non-GAAP variant and the like)
+const SOURCE_PATHS = new Set(Object.values(FIELD_SOURCES).flat().map((p) => p.replace(/^\//, '')));
+
+// ----------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------
+
+function getPath(root, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), root);
+}
+
+// Accepts numbers and numeric strings such as "75.0%" or "$1,234"; objects never match
+export function readNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') {
+    const cleaned = value.replace(/[%$,\s]/g, '');
+    if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+    return parseFloat(cleaned);
+  }
+  return null;
+}
+
+function setField(target, field, value) {
+  const [group, key] = field.split('.');
+  target[group][key] = value;
+}
+
+function collectSegments(node) {
+  const segments = {};
+  if (!node || typeof node !== 'object') return segments;
+  for (const [key, value] of Object.entries(node)) {
+    if (NON_SEGMENT_KEYS.has(key)) continue;
+    const amount = readNumber(value) ?? readNumber(value?.value);
+    if (amount !== null) segments[key] = amount;
+  }
+  return segments;
+}
+
+// Numeric leaves under `node` that no source path reaches, skipping the
+// subtrees revenue segments are read from
+function unmappedLeaves(node, path, segmentPaths) {
+  if (!node || typeof node !== 'object' || segmentPaths.includes(path)) return [];
+  const entries = Object.entries(node);
+  const leaves = entries.filter(([, value]) => readNumber(value) !== null).map(([key]) => `${path}.${key}`);
+  const unmapped = leaves.some((leaf) => SOURCE_PATHS.has(leaf)) ? [] : leaves;
+  return entries.reduce(
+    (acc, [key, value]) => acc.concat(unmappedLeaves(value, `${path}.${key}`, segmentPaths)),
+    unmapped
+  );
+}
+
+/**
+ * Each way a filing splits revenue (business segment, product category,
+ * geography, ...), keyed by the raw path it came from. Every group is meant to
+ * partition total revenue on its own; groups must not be mixed.
+ * @returns {Object<string, Object<string, number>>}
+ */
+export function revenueSegmentGroups(json) {
+  const statement = resolveReport(json)?.income_statement || {};
+  const revenueKey = ['revenue', 'net_sales', 'revenues'].find((key) => statement[key]);
+  const revenueNode = revenueKey ? statement[revenueKey] : null;
+  const candidates = {
+    [`income_statement.${revenueKey}.by_segment`]: revenueNode?.by_segment,
+    'income_statement.sales_by_category': statement.sales_by_category,
+    [`income_statement.${revenueKey}`]: revenueNode,
+    'income_statement.sales_by_segment': statement.sales_by_segment
+  };
+  const groups = {};
+  for (const [source, node] of Object.entries(candidates)) {
+    const segments = collectSegments(node);
+    if (Object.keys(segments).length > 1) groups[source] = segments;
+  }
+  return groups;
+}
+
+/**
+ * The statement node of a filing. MSFT files nest it one level further, as
+ * `financial_report.quarters.<Q2_2024>`; the entry for the requested quarter
+ * is used, or the only one when no period is given.
+ * @param {Object} json
+ * @param {{fiscalYear?: string, quarter?: string}} [period]
+ * @returns {Object|null}
+ */
+export function resolveReport(json, { fiscalYear, quarter } = {}) {
+  const report = json?.financial_report || json?.financial_reports?.[0] || null;
+  const quarters = report?.quarters;
+  if (!quarters || typeof quarters !== 'object' || report.income_statement) return report;
+  const entries = Object.entries(quarters);
+  const match = entries.find(([key]) => key === `${quarter}_${fiscalYear}`);
+  return match?.[1] || (entries.length === 1 ? entries[0][1] : null);
+}
+
+// ----------------------------------------------------------------
+// Normalization
+// ----------------------------------------------------------------
+
+/**
+ * Maps one raw quarterly filing into the canonical schema.
+ * @param {Object} json - Parsed file contents.
+ * @param {{ticker: string, fiscalYear: string, quarter: string, file?: string}} meta
+ * @returns {{data: Object|null, report: Object}} Canonical data (null when it fails
+ *   validation) and the file's validation report.
+ */
+export function normalizeFinancialReport(json, meta) {
+  const { ticker, fiscalYear, quarter, file = null } = meta;
+  const report = resolveReport(json, { fiscalYear: String(fiscalYear), quarter });
+  const validation = {
+    ticker,
+    fiscalYear: String(fiscalYear),
+    quarter,
+    file,
+    valid: false,
+    errors: [],
+    missingFields: [],
+    unmappedFields: []
+  };
+
+  if (!report) {
+    validation.errors.push('No financial_report, financial_reports[0] or financial_report.quarters entry for this period');
+    return { data: null, report: validation };
+  }
+
+  const data = {
+    ticker,
+    fiscalYear: String(fiscalYear),
+    quarter,
+    period: {
+      fiscalEndDate: report.period?.fiscal_end_date || report.fiscal_end_date || null,
+      calendarQuarter: report.period?.calendar_quarter || null
+    },
+    income_statement: {},
+    margins: {},
+    cash_flow: {},
+    revenue_segments: {},
+    sources: {}
+  };
+
+  for (const [field, paths] of Object.entries(FIELD_SOURCES)) {
+    let value = null;
+    for (const p of paths) {
+      const fromRoot = p.startsWith('/');
+      value = readNumber(getPath(fromRoot ? json : report, fromRoot ? p.slice(1) : p));
+      if (value !== null) {
+        data.sources[field] = p;
+        break;
+      }
+    }
+    setField(data, field, value);
+  }
+
+  if (data.cash_flow.capital_expenditures !== null) {
+    data.cash_flow.capital_expenditures = Math.abs(data.cash_flow.capital_expenditures);
+  }
+
+  // Order matters: gross margin may use a gross profit computed just before it
+  for (const [field, { inputs, compute }] of Object.entries(COMPUTED_FIELDS)) {
+    if (getPath(data, field) !== null) continue;
+    const values = inputs.map((input) => getPath(data, input));
+    if (values.some((v) => v === null)) continue;
+    const value = compute(...values);
+    if (Number.isFinite(value)) {
+      setField(data, field, value);
+      data.sources[field] = 'computed';
+    }
+  }
+
+  // Canonical segments use the most specific split only, so values never double count
+  const [segmentSource, segments] = Object.entries(revenueSegmentGroups(json))[0] || [];
+  if (segments) {
+    data.revenue_segments = segments;
+    data.sources.revenue_segments = segmentSource;
+  }
+
+  const segmentPaths = Object.keys(revenueSegmentGroups(json));
+  AUDITED_SECTIONS.forEach((section) => {
+    const node = report[section] || json[section];
+    validation.unmappedFields.push(...unmappedLeaves(node, section, segmentPaths));
+  });
+
+  validation.missingFields = EXPECTED_FINANCIAL_FIELDS.filter((field) => getPath(data, field) === null);
+
+  const parsed = CanonicalFinancialQuarterSchema.safeParse(data);
+  if (!parsed.success) {
+    validation.errors = parsed.error.errors.map((e) => `${e.path.join('.')}: ${e.message}`);
+    return { data: null, report: validation };
+  }
+
+  validation.valid = true;
+  return { data: parsed.data, report: validation };
+}
+
+/**
+ * Reads and normalizes a quarterly file from disk. `meta.file` overrides the
+ * path shown in the report (e.g. a repo-relative one).
+ * @returns {{data: Object|null, report: Object}}
+ */
+export function normalizeFinancialFile(filePath, meta) {
+  const file = meta.file ?? filePath;
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return {
+      data: null,
+      report: {
+        ...meta,
+        fiscalYear: String(meta.fiscalYear),
+        file,
+        valid: false,
+        errors: [`Unreadable file: ${error.message}`],
+        missingFields: [],
+        unmappedFields: []
+      }
+    };
+  }
+  return normalizeFinancialReport(json, { ...meta, file });
+}
@@ -2,6 +2,8 @@ import fs from 'fs';
 import path from 'path';
 import { financialDataCache } from '../../utils/financialDataCache.js';
 import { FinancialDataProcessor } from '../../utils/financialDataProcessor.js';
+import { fiscalCalendar } from './fiscalCalendar.js';
+import { normalizeFinancialFile } from './financialNormalizer.js';
 
 const BASE_DIR = path.join(process.cwd(), 'data', 'financials');
 const processor = new FinancialDataProcessor(BASE_DIR);
@@ -11,6 +13,81 @@ function normalizeQuarterName(q) {
   return q.startsWith('Q') ? q : `Q${q}`;
 }
 
+// Flow metrics cover a period, so a year or TTM value is the sum of its quarters.
+// EPS is summed too, which matches reported annual EPS only up to share-count drift.
+const FLOW_METRICS = [
+  'revenue', 'gross_profit', 'operating_income', 'net_income',
+  'operating_cash_flow', 'free_cash_flow', 'rd_expense', 'eps', 'eps_diluted'
+];
+
+// Ratios are never averaged across quarters; they are recomputed from summed components
+const RATIO_METRICS = {
+  gross_margin: { numerator: 'gross_profit', denominator: 'revenue' },
+  operating_margin: { numerator: 'operating_income', denominator: 'revenue' },
+  net_margin: { numerator: 'net_income', denominator: 'revenue' }
+};
+
+// The extractor defaults absent fields to 0, so zero is not a usable quarter value
+function hasValue(value) {
+  return value !== undefined && value !== null && Number.isFinite(Number(value)) && Number(value) !== 0;
+}
+
+// Quarters between a comparison period and its auto-derived base
+const GROWTH_LAGS = { qoq: 1, yoy: 4 };
+
+function quarterSpan(fiscalYear, quarter, count) {
+  const end = parseInt(fiscalYear, 10) * 4 + (parseInt(String(quarter).replace('Q', ''), 10) - 1);
+  const span = [];
+  for (let index = end - count + 1; index <= end; index++) {
+    span.push({ fiscalYear: String(Math.floor(index / 4)), quarter: `Q${(index % 4) + 1}` });
+  }
+  return span;
+}
+
+/**
+ * Sums flow metrics and recomputes ratios over a fixed set of quarters.
+ * Refuses (complete: false, no metrics) unless every quarter is on disk; a
+ * metric missing from any single quarter is reported rather than partially summed.
+ */
+async function rollup(ticker, basis, label, span, loader) {
+  const dataList = await Promise.all(span.map((p) => loader(ticker, p.fiscalYear, p.quarter)));
+  const quarters = span.map((p) => `${p.quarter} FY${p.fiscalYear}`);
+  const missingQuarters = quarters.filter((_, i) => !dataList[i]);
+
+  const result = { ticker, basis, period: label, quarters, complete: missingQuarters.length === 0 };
+  if (!result.complete) {
+    return {
+      ...result,
+      metrics: null,
+      missingQuarters,
+      error: `Cannot compute ${label}: missing ${missingQuarters.join(', ')}`
+    };
+  }
+
+  const metrics = {};
+  const methods = {};
+  const missingMetrics = [];
+  for (const metric of FLOW_METRICS) {
+    if (dataList.every((data) => hasValue(data[metric]))) {
+      const total = dataList.reduce((sum, data) => sum + Number(data[metric]), 0);
+      metrics[metric] = metric.startsWith('eps') ? Math.round(total * 100) / 100 : total;
+      methods[metric] = 'sum';
+    } else {
+      missingMetrics.push(metric);
+    }
+  }
+  for (const [metric, { numerator, denominator }] of Object.entries(RATIO_METRICS)) {
+    if (metrics[numerator] !== undefined && metrics[denominator]) {
+      metrics[metric] = (metrics[numerator] / metrics[denominator]) * 100;
+      methods[metric] = `${numerator} / ${denominator} * 100`;
+    } else {
+      missingMetrics.push(metric);
+    }
+  }
+
+  return { ...result, metrics, methods, missingMetrics };
+}
+
 async function loadQuarter(ticker, fiscalYear, quarter) {
   const qName = normalizeQuarterName(quarter || 'Q1');
   const data = await financialDataCache.loadFromFile?.(ticker, fiscalYear, qName);
@@ -22,9 +99,77 @@ async function loadQuarter(ticker, fiscalYear, quarter) {
 }
 
 export const financials = {
-  async getQuarter(ticker, fiscalYear, quarter) {
-    const data = await loadQuarter(ticker, fiscalYear, quarter);
-    return data || null;
+  /**
+   * Loads one quarter of normalized metrics, tagged with the calendar quarter it covers.
+   * Pass `{ basis: 'calendar' }` to address the quarter by calendar year/quarter
+   * instead (e.g. calendar Q3 2024 resolves to NVDA's Q3 FY2025).
+   */
+  async getQuarter(ticker, fiscalYear, quarter, options = {}) {
+    let fy = fiscalYear;
+    let q = normalizeQuarterName(quarter || 'Q1');
+    if (options.basis === 'calendar') {
+      const fiscal = fiscalCalendar.toFiscal(ticker, fiscalYear, q);
+      if (!fiscal) return null;
+      fy = fiscal.fiscalYear;
+      q = fiscal.quarter;
+    }
+
+    const data = await loadQuarter(ticker, fy, q);
+    if (!data) return null;
+
+    const period = fiscalCalendar.toCalendar(ticker, fy, q);
+    return {
+      ...data,
+      calendarPeriod: period
+        ? {
+            fiscalYear: period.fiscalYear,
+            quarter: period.quarter,
+            calendarYear: period.calendarYear,
+            calendarQuarter: period.calendarQuarter,
+            label: period.calendarLabel,
+            fiscalEndDate: period.fiscalEndDate
+          }
+        : null
+    };
+  },
+
+  /**
+   * Fiscal-year totals from the four quarters of `fiscalYear`.
+   * Pass "latest" for the most recent fiscal year with all four quarters on disk.
+   * @returns {Promise<Object|null>} Rollup, `complete: false` when quarters are missing, or null if no year resolves.
+   */
+  async getAnnual(ticker, fiscalYear) {
+    let fy = fiscalYear;
+    if (!fy || String(fy).toLowerCase() === 'latest') {
+      const fullYears = this.listAvailable(ticker)
+        .filter((y) => ['Q1', 'Q2', 'Q3', 'Q4'].every((q) => y.quarters.includes(q)))
+        .map((y) => y.fiscalYear)
+        .sort((a, b) => parseInt(b) - parseInt(a));
+      fy = fullYears[0];
+      if (!fy) return null;
+    }
+    return rollup(ticker, 'annual', `FY${fy}`, quarterSpan(fy, 'Q4', 4), this.getQuarter.bind(this));
+  },
+
+  /**
+   * Trailing-twelve-month totals for the four fiscal quarters ending at `asOfPeriod`
+   * (defaults to the most recent quarter on disk).
+   * @param {string} ticker
+   * @param {{fiscalYear: string, quarter: string}} [asOfPeriod]
+   * @returns {Promise<Object|null>}
+   */
+  async getTTM(ticker, asOfPeriod) {
+    const asOf = asOfPeriod?.fiscalYear && asOfPeriod?.quarter
+      ? { fiscalYear: asOfPeriod.fiscalYear, quarter: normalizeQuarterName(asOfPeriod.quarter) }
+      : this.getMostRecentQuarter(ticker);
+    if (!asOf) return null;
+    return rollup(
+      ticker,
+      'ttm',
+      `TTM ${asOf.quarter} FY${asOf.fiscalYear}`,
+      quarterSpan(asOf.fiscalYear, asOf.quarter, 4),
+      this.getQuarter.bind(this)
+    );
   },
 
   async getMultipleQuarters(ticker, periodsOrFiscalYear) {
@@ -50,15 +195,77 @@ export const financials = {
     return allData.flat();
   },
 
-  async computeGrowth(ticker, metric, basePeriod, comparisonPeriod) {
-    const base = await this.getQuarter(ticker, basePeriod.fiscalYear, basePeriod.quarter);
-    const cmp = await this.getQuarter(ticker, comparisonPeriod.fiscalYear, comparisonPeriod.quarter);
-    if (!base || !cmp) return null;
+  /**
+   * Resolves the base period for an auto-derived comparison against `anchor`:
+   * the prior fiscal quarter (qoq), the same quarter a year earlier (yoy), or
+   * the same quarter `years` years earlier (cagr).
+   * @returns {{basePeriod: Object, comparisonPeriod: Object}|null} Null for an unknown mode or bad anchor.
+   */
+  resolveGrowthPeriods(mode, anchor, years = 3) {
+    const lag = mode === 'cagr' ? years * 4 : GROWTH_LAGS[mode];
+    const quarter = normalizeQuarterName(anchor?.quarter);
+    if (!lag || !/^\d{4}$/.test(String(anchor?.fiscalYear)) || !/^Q[1-4]$/.test(quarter || '')) return null;
+    const [basePeriod] = quarterSpan(anchor.fiscalYear, quarter, lag + 1);
+    return { basePeriod, comparisonPeriod: { fiscalYear: String(anchor.fiscalYear), quarter } };
+  },
+
+  /**
+   * Growth in `metric` from `basePeriod` to `comparisonPeriod`, as a percent.
+   * With `{ mode: 'cagr', years }` the result is the compound annual rate.
+   * Never returns a bare null: failures carry a `failure.reason` of
+   * missing_period, missing_metric or undefined_for_sign plus a message.
+   */
+  async computeGrowth(ticker, metric, basePeriod, comparisonPeriod, options = {}) {
+    const { mode = 'custom', years = null } = options;
+
+    const describe = async ({ fiscalYear, quarter }) => {
+      const q = normalizeQuarterName(quarter);
+      const data = await this.getQuarter(ticker, fiscalYear, q);
+      const calendar = fiscalCalendar.toCalendar(ticker, fiscalYear, q);
+      const raw = data?.[metric];
+      return {
+        period: `${q} FY${fiscalYear}`,
+        calendarPeriod: calendar?.calendarLabel ?? null,
+        value: hasValue(raw) ? Number(raw) : null,
+        loaded: Boolean(data),
+        onDisk: Boolean(calendar?.available)
+      };
+    };
+
+    const [base, cmp] = await Promise.all([describe(basePeriod), describe(comparisonPeriod)]);
+    const result = {
+      success: false,
+      mode,
+      metric,
+      ...(mode === 'cagr' ? { years } : {}),
+      basePeriod: { period: base.period, calendarPeriod: base.calendarPeriod, value: base.value },
+      comparisonPeriod: { period: cmp.period, calendarPeriod: cmp.calendarPeriod, value: cmp.value },
+      growthRate: null
+    };
+    const fail = (reason, message) => ({ ...result, failure: { reason, message } });
+
+    for (const side of [base, cmp]) {
+      if (!side.loaded) {
+        return fail('missing_period', side.onDisk
+          ? `${ticker} ${side.period} exists but failed validation`
+          : `No ${ticker} filing for ${side.period}`);
+      }
+    }
+    for (const side of [base, cmp]) {
+      if (side.value === null) {
+        return fail('missing_metric', `${metric} is not reported for ${ticker} ${side.period}`);
+      }
+    }
 
-    const baseVal = base[metric];
-    const cmpVal = cmp[metric];
-    if (!baseVal || !cmpVal || baseVal === 0) return null;
-    return ((cmpVal - baseVal) / baseVal) * 100;
+    if (mode === 'cagr') {
+      if (base.value <= 0 || cmp.value <= 0) {
+        return fail('undefined_for_sign', `CAGR needs positive values at both ends (${base.value} -> ${cmp.value})`);
+      }
+      const rate = (Math.pow(cmp.value / base.value, 1 / years) - 1) * 100;
+      return { ...result, success: true, growthRate: rate };
+    }
+    // Dividing by |base| keeps the direction right when the base period is a loss
+    return { ...result, success: true, growthRate: ((cmp.value - base.value) / Math.abs(base.value)) * 100 };
   },
 
   async getTimeSeries(ticker, metric, periods) {
@@ -81,6 +288,31 @@ export const financials = {
     })) || [];
   },
 
+  // Repo-relative path of the statement file backing a quarter, for provenance
+  getSourcePath(ticker, fiscalYear, quarter) {
+    const qName = normalizeQuarterName(quarter);
+    return path.posix.join('data', 'financials', ticker, `FY_${fiscalYear}`, qName, `${ticker}_FY_${fiscalYear}_${qName}.json`);
+  },
+
+  /**
+   * Normalizes every quarterly file for a ticker (or all tickers) and returns one
+   * validation report per ticker/FY/quarter: schema errors, expected fields that
+   * could not be resolved, and statement keys the normalizer has no mapping for.
+   */
+  getValidationReports(ticker) {
+    const tickers = ticker ? [ticker] : this.listAvailable();
+    return tickers.flatMap((t) =>
+      this.listAvailable(t).flatMap(({ fiscalYear, quarters }) =>
+        quarters
+          .filter((q) => /^Q[1-4]$/.test(q))
+          .map((quarter) => {
+            const file = this.getSourcePath(t, fiscalYear, quarter);
+            return normalizeFinancialFile(path.join(process.cwd(), file), { ticker: t, fiscalYear, quarter, file }).report;
+          })
+      )
+    );
+  },
+
   listAvailable(ticker) {
     if (!ticker) {
       if (!fs.existsSync(BASE_DIR)) return [];
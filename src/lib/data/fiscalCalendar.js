@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+import { getCompany } from './companies.js';
+
+const BASE_DIR = path.join(process.cwd(), 'data', 'financials');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-ticker calendars are built from disk once and reused
+const calendarCache = new Map();
+
+function normalizeQuarterNumber(quarter) {
+  const match = String(quarter ?? '').match(/([1-4])/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Quarters are mapped onto a single integer axis so offsets are simple subtraction
+function toIndex(year, quarterNumber) {
+  return parseInt(year, 10) * 4 + (quarterNumber - 1);
+}
+
+function fromIndex(index) {
+  return { year: String(Math.floor(index / 4)), quarter: `Q${(index % 4) + 1}` };
+}
+
+function formatIsoDate(date) {
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * A fiscal quarter belongs to the calendar quarter holding most of its days,
+ * i.e. the one containing its midpoint. This puts NVDA's Aug-Oct quarter in
+ * calendar Q3 and AAPL's quarter ending Sep 28 in calendar Q3.
+ */
+function calendarIndexFromEndDate(endDate) {
+  const midpoint = new Date(endDate.getTime() - 45 * DAY_MS);
+  return toIndex(midpoint.getFullYear(), Math.floor(midpoint.getMonth() / 3) + 1);
+}
+
+function parseReportedCalendarIndex(period) {
+  const calendarMatch = String(period.calendar_quarter || '').match(/Q([1-4])\s*(\d{4})/i);
+  if (calendarMatch) {
+    return toIndex(calendarMatch[2], parseInt(calendarMatch[1], 10));
+  }
+  if (period.fiscal_end_date) {
+    const endDate = new Date(period.fiscal_end_date);
+    if (!Number.isNaN(endDate.getTime())) {
+      return calendarIndexFromEndDate(endDate);
+    }
+  }
+  return null;
+}
+
+function readPeriod(ticker, fiscalYear, quarter) {
+  const dir = path.join(BASE_DIR, ticker, `FY_${fiscalYear}`, quarter);
+  const canonical = path.join(dir, `${ticker}_FY_${fiscalYear}_${quarter}.json`);
+  let candidates = [canonical];
+  if (!fs.existsSync(canonical)) {
+    try {
+      candidates = fs.readdirSync(dir).filter((f) => f.endsWith('.json')).map((f) => path.join(dir, f));
+    } catch {
+      return null;
+    }
+  }
+
+  for (const file of candidates) {
+    try {
+      const json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const report = json.financial_report || json.financial_reports?.[0] || {};
+      return report.period || {};
+    } catch {
+      // Malformed files are reported by the data-quality tooling; treat as undated here
+    }
+  }
+  return candidates.length ? {} : null;
+}
+
+function offsetFromFiscalYearEnd(ticker) {
+  const month = getCompany(ticker)?.fiscalYearEndMonth;
+  if (!month) return null;
+  // Fiscal years are named for the calendar year they end in (FY2025 for NVDA ends Jan 2025)
+  const referenceYear = 2024;
+  const q4End = new Date(referenceYear, month, 0);
+  return calendarIndexFromEndDate(q4End) - toIndex(referenceYear, 4);
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+function buildCalendar(ticker) {
+  const tickerDir = path.join(BASE_DIR, ticker);
+  const entries = [];
+
+  if (fs.existsSync(tickerDir)) {
+    for (const fyDir of fs.readdirSync(tickerDir).filter((d) => d.startsWith('FY_'))) {
+      const fiscalYear = fyDir.replace('FY_', '');
+      const fyPath = path.join(tickerDir, fyDir);
+      if (!fs.statSync(fyPath).isDirectory()) continue;
+
+      for (const quarter of fs.readdirSync(fyPath).filter((q) => /^Q[1-4]$/.test(q))) {
+        const period = readPeriod(ticker, fiscalYear, quarter);
+        if (period === null) continue;
+
+        const reportedIndex = parseReportedCalendarIndex(period);
+        const endDate = period.fiscal_end_date ? new Date(period.fiscal_end_date) : null;
+        entries.push({
+          fiscalYear,
+          quarter,
+          fiscalIndex: toIndex(fiscalYear, normalizeQuarterNumber(quarter)),
+          reportedIndex,
+          fiscalEndDate: endDate && !Number.isNaN(endDate.getTime()) ? formatIsoDate(endDate) : null
+        });
+      }
+    }
+  }
+
+  const reportedOffsets = entries
+    .filter((e) => e.reportedIndex !== null)
+    .map((e) => e.reportedIndex - e.fiscalIndex);
+  const reportedOffset = mostCommon(reportedOffsets);
+  const configuredOffset = offsetFromFiscalYearEnd(ticker);
+
+  // The configured fiscal year end wins when present: some filings carry dates
+  // from the wrong year (CRM), which can outvote the correct ones.
+  let offset;
+  let source;
+  if (configuredOffset !== null) {
+    offset = configuredOffset;
+    source = reportedOffset === configuredOffset ? 'reported' : 'fiscal_year_end';
+  } else if (reportedOffset !== null) {
+    offset = reportedOffset;
+    source = 'reported';
+  } else {
+    offset = 0;
+    source = 'assumed_calendar';
+  }
+
+  // A single ticker keeps one offset so conversions stay invertible; files that
+  // disagree (wrong-year dates, mislabeled folders) are surfaced rather than trusted.
+  const anomalies = entries
+    .filter((e) => e.reportedIndex !== null && e.reportedIndex - e.fiscalIndex !== offset)
+    .map((e) => ({
+      fiscalYear: e.fiscalYear,
+      quarter: e.quarter,
+      fiscalEndDate: e.fiscalEndDate,
+      reportedCalendar: fromIndex(e.reportedIndex),
+      expectedCalendar: fromIndex(e.fiscalIndex + offset)
+    }));
+
+  const periods = new Map(entries.map((e) => [e.fiscalIndex, e]));
+  return { ticker, offset, source, reportedOffset, periods, anomalies };
+}
+
+function describe(ticker, calendar, fiscalIndex) {
+  const fiscal = fromIndex(fiscalIndex);
+  const calendarPeriod = fromIndex(fiscalIndex + calendar.offset);
+  const entry = calendar.periods.get(fiscalIndex);
+  return {
+    ticker,
+    fiscalYear: fiscal.year,
+    quarter: fiscal.quarter,
+    calendarYear: calendarPeriod.year,
+    calendarQuarter: calendarPeriod.quarter,
+    fiscalLabel: `${fiscal.quarter} FY${fiscal.year}`,
+    calendarLabel: `${calendarPeriod.quarter} CY${calendarPeriod.year}`,
+    fiscalEndDate: entry?.fiscalEndDate || null,
+    available: Boolean(entry),
+    source: calendar.source
+  };
+}
+
+export const fiscalCalendar = {
+  /**
+   * Returns the ticker's fiscal→calendar offset (in quarters), how it was
+   * determined, and any filings whose dates disagree with it.
+   */
+  getCalendar(ticker) {
+    const key = (ticker || '').toUpperCase();
+    if (!calendarCache.has(key)) {
+      calendarCache.set(key, buildCalendar(key));
+    }
+    return calendarCache.get(key);
+  },
+
+  /**
+   * Maps a fiscal quarter to the calendar quarter it mostly covers.
+   * @returns {Object|null} Period descriptor, or null for unparseable input.
+   */
+  toCalendar(ticker, fiscalYear, quarter) {
+    const quarterNumber = normalizeQuarterNumber(quarter);
+    if (!fiscalYear || !quarterNumber) return null;
+    const calendar = this.getCalendar(ticker);
+    return describe(calendar.ticker, calendar, toIndex(fiscalYear, quarterNumber));
+  },
+
+  /**
+   * Maps a calendar quarter to the ticker's fiscal quarter covering it.
+   * @returns {Object|null} Period descriptor, or null for unparseable input.
+   */
+  toFiscal(ticker, calendarYear, calendarQuarter) {
+    const quarterNumber = normalizeQuarterNumber(calendarQuarter);
+    if (!calendarYear || !quarterNumber) return null;
+    const calendar = this.getCalendar(ticker);
+    return describe(calendar.ticker, calendar, toIndex(calendarYear, quarterNumber) - calendar.offset);
+  },
+
+  /**
+   * Resolves one calendar quarter to each ticker's own fiscal quarter.
+   */
+  alignTickers(tickers, { calendarYear, calendarQuarter }) {
+    return tickers.map((ticker) => this.toFiscal(ticker, calendarYear, calendarQuarter)).filter(Boolean);
+  },
+
+  /**
+   * Latest calendar quarter for which every ticker has a filing on disk.
+   * @returns {{calendarYear: string, calendarQuarter: string, calendarLabel: string}|null}
+   */
+  latestCommonCalendarQuarter(tickers) {
+    const latestIndexes = tickers.map((ticker) => {
+      const calendar = this.getCalendar(ticker);
+      const fiscalIndexes = [...calendar.periods.keys()];
+      return fiscalIndexes.length ? Math.max(...fiscalIndexes) + calendar.offset : null;
+    });
+    if (!latestIndexes.length || latestIndexes.some((idx) => idx === null)) return null;
+
+    const common = fromIndex(Math.min(...latestIndexes));
+    return {
+      calendarYear: common.year,
+      calendarQuarter: common.quarter,
+      calendarLabel: `${common.quarter} CY${common.year}`
+    };
+  },
+
+  /**
+   * The `count` most recent calendar quarters every ticker has reported,
+   * oldest first. Empty when any ticker has no filings.
+   */
+  recentCommonCalendarQuarters(tickers, count = 4) {
+    const latest = this.latestCommonCalendarQuarter(tickers);
+    if (!latest) return [];
+    const latestIndex = toIndex(latest.calendarYear, normalizeQuarterNumber(latest.calendarQuarter));
+    const quarters = [];
+    for (let i = count - 1; i >= 0; i--) {
+      const { year, quarter } = fromIndex(latestIndex - i);
+      quarters.push({ calendarYear: year, calendarQuarter: quarter, calendarLabel: `${quarter} CY${year}` });
+    }
+    return quarters;
+  },
+
+  /**
+   * Detects an explicitly calendar-based period ("calendar Q3 2024", "CQ3 2024",
+   * "Q3 CY2024", "CY2024 Q3") in free text.
+   * @returns {{calendarYear: string, calendarQuarter: string}|null}
+   */
+  parseCalendarPeriod(text) {
+    const value = String(text || '');
+    const patterns = [
+      /\bcalendar(?:\s+year)?\s+q([1-4])\s*(?:of\s*)?(\d{4})\b/i,
+      /\bcq([1-4])\s*'?(\d{4})\b/i,
+      /\bq([1-4])\s*(?:of\s*)?(?:cy|calendar\s*(?:year)?)\s*(\d{4})\b/i
+    ];
+    for (const pattern of patterns) {
+      const match = value.match(pattern);
+      if (match) return { calendarYear: match[2], calendarQuarter: `Q${match[1]}` };
+    }
+    const yearFirst = value.match(/\b(?:cy|calendar\s*(?:year)?)\s*(\d{4})\s*q([1-4])\b/i);
+    if (yearFirst) return { calendarYear: yearFirst[1], calendarQuarter: `Q${yearFirst[2]}` };
+    return null;
+  },
+
+  clearCache() {
+    calendarCache.clear();
+  }
+};
@@ -0,0 +1,847 @@
+import fs from 'fs';
+import path from 'path';
+import { financials } from './financials.js';
+import { chunkTranscriptQuarter, listTranscriptQuarters, transcriptQuarterFiles } from '../rag/transcriptChunker.js';
+
+/**
+ * Guidance tracker: the numbers management guides to, parsed from the outlook
+ * section of each press release and the prepared remarks of each earnings
+ * call, and scored against what the company later reported.
+ *
+ * Extraction is rule-based. A guidance statement is a sentence or bullet with
+ * a guidance cue ("expected to be", "outlook", "guidance") that names a metric
+ * and gives a value: a range ("between $159.0 billion and $164.0 billion",
+ * "$56-59 billion"), a point with a band ("$37.5 billion, plus or minus 2%"),
+ * a floor ("at least 66 percent") or a point ("approximately $15.8 billion").
+ * "GAAP and non-GAAP gross margins are expected to be 73.0% and 73.5%,
+ * respectively" yields one record per basis. Qualitative guidance ("in the
+ * mid-70% range", "high single digits") is skipped.
+ *
+ * A record is:
+ *   ticker, metric      'NVDA', 'revenue'          growth guidance is '<metric>_growth', in percent
+ *   basis               'gaap' | 'non_gaap' | null (not stated)
+ *   segment             'Intelligent Cloud' | null (company level)
+ *   period              {fiscalYear, quarter?}     no quarter means the full fiscal year
+ *   low, high, midpoint in `unit`; a floor leaves high null, a ceiling low
+ *   unit                'usd_millions' | 'percent' | 'usd_per_share'
+ *   form                'range' | 'plus_minus' | 'approximately' | 'point' | 'at_least' | 'at_most'
+ *   issued              {fiscalYear, quarter} of the call or press release that gave it
+ *   source              {type, file, start, end, text}; start/end are character offsets into file
+ */
+
+// Metric names as outlook sentences write them; earlier entries win where phrases overlap
+// ("cost of revenue" is not also revenue)
+const METRIC_PATTERNS = [
+  ['gross_margin', /\bgross margins?\b/gi],
+  ['operating_margin', /\boperating margins?\b/gi],
+  ['operating_income', /\boperating income\b/gi],
+  ['operating_expenses', /\boperating expenses\b|\bopex\b/gi],
+  ['total_expenses', /\btotal expenses\b/gi],
+  ['cost_of_revenue', /\bCOGS\b|\bcost of (?:revenue|sales)\b/gi],
+  ['capex', /\bcapital expenditures\b|\bcapex\b/gi],
+  ['tax_rate', /\btax rates?\b/gi],
+  ['adjusted_ebitda', /\bEBITDA\b/gi],
+  ['other_income', /\bother income and expense\b/gi],
+  ['eps', /\b(?:net income|earnings) per share\b|\bEPS\b/gi],
+  ['operating_cash_flow', /\boperating cash flow\b/gi],
+  ['free_cash_flow', /\bfree cash flow\b/gi],
+  ['revenue', /\brevenues?\b|\bnet sales\b/gi]
+];
+
+/** Metrics guidance can be requested for; growth and margin variants match their base name. */
+export const GUIDANCE_METRICS = METRIC_PATTERNS.map(([metric]) => metric);
+
+const PERCENT_METRICS = new Set(['gross_margin', 'operating_margin', 'tax_rate']);
+
+const GUIDANCE_CUE = /\b(?:expect\w*|guidance|outlook|anticipat\w*|forecast\w*|projected)\b/i;
+// Only these introduce a block of guidance ("Second Quarter 2025 Guidance", "turning to the outlook
+// for Q3", "Now let's turn to guidance. Starting with full fiscal year '26.")
+const HEADING_CUE = /\b(?:guidance|outlook|starting with|turning to|moving to)\b/i;
+// "decrease operating income by approximately $700 million" is an effect, not a level
+const DELTA_LEAD = /\b(?:by|impact of)\s+(?:approximately\s+|about\s+|roughly\s+)?$/i;
+// "a loss in H20 revenue of approximately $8.0 billion", "a $2 billion annual run rate"
+const EFFECT_CUE = /\b(?:loss|impact|headwind|tailwind)\b/i;
+const RUN_RATE = /^\s*(?:annual(?:ized)?\s+)?run[\s-]rate\b/i;
+// "in the mid- to upper 40% range" is a direction, not a figure
+const QUALITATIVE_LEAD = /\b(?:low|mid|high|upper|lower)(?:-|\s)*(?:to\s+(?:low|mid|high|upper|lower)(?:-|\s)*)?$/i;
+// Results being recapped ("above our outlook of $32.5 billion") rather than guided
+const REPORTED_CUE =
+  /\b(?:was|were|been|had|used|said|came in|exceed\w*|delivered|reported|grew|increased|decreased|rose|fell|declined|ahead of|above|below|beat)\b/i;
+// Guidance says what is expected before it gives the figure ("Revenue is expected to be $37.5 billion")
+const FORWARD_CUE = /\b(?:expect\w*|guidance|outlook|anticipat\w*|forecast\w*|projected|will|to be)\b/i;
+const GROWTH_CUE = /\b(?:grow\w*|growth|increase|decline|up|down|Y\/Y|year[\s-]over[\s-]year)\b/i;
+const CONSTANT_CURRENCY = /\bconstant currency\b|\bin CC\b/i;
+// Everything after "compared with $14.7 billion in..." or "from our prior outlook of..." is history
+const COMPARISON_TAIL = /,?\s+(?:compared\s+(?:with|to)|versus|vs\.|(?:\w+\s+)?from\s+(?:our|the)\s+(?:prior|previous))\b/i;
+// Words that can sit in front of a metric without making it a segment or product line
+const GENERIC_QUALIFIERS = new Set([
+  'a', 'adjusted', 'and', 'annual', 'are', 'base', 'be', 'both', 'cash', 'company', 'consolidated', 'diluted',
+  'effective', 'end', 'expect', 'expected', 'expects', 'fiscal', 'for', 'forecast', 'full', 'gaap', 'guidance', 'in',
+  'initiates', 'is', 'its', 'long-term', 'lowers', 'maintains', 'narrows', 'net', 'non-gaap', 'nongaap', 'of', 'on',
+  'our', 'outlook', 'overall', 'projected', 'quarter', 'quarterly', 'raises', 'reiterates', 'sequential', 'that',
+  'the', 'to', 'total', 'updates', 'we', 'with', 'year'
+]);
+// "In Azure, we expect..." / "For Intelligent Cloud, we expect..."
+const SEGMENT_LEAD = /^(?:and\s+)?(?:[Ii]n|[Ff]or|[Aa]t|[Ww]ithin)\s+([A-Z][\w&'’ -]*?),\s/;
+// ...but not "In Q3," / "For fiscal 2026," / "In summary,"
+const NOT_A_SEGMENT = /^(?:Q[1-4]|FY|fiscal|the|this|our|summary|addition|total|closing)\b/i;
+
+const NUMBER = String.raw`(\d[\d,]*(?:\.\d+)?)`;
+const SCALE = String.raw`(?:\s*(billion|million)\b)?`;
+const MONEY = String.raw`(?:\$|USD\s?)\s?${NUMBER}${SCALE}`;
+const MONEY_END = String.raw`(?:\$|USD\s?)?\s?${NUMBER}${SCALE}`;
+const PERCENT = String.raw`${NUMBER}\s*(?:%|percent\b)`;
+const PERCENT_START = String.raw`(?<![\w.-])${NUMBER}\s*(?:%|percent\b)?`;
+
+// Value shapes, tried together; the earliest match wins and the longest breaks ties
+const VALUE_PATTERNS = [
+  { form: 'respectively', kind: 'money', pattern: new RegExp(String.raw`${MONEY},?\s+and\s+${MONEY},?\s+respectively`, 'i') },
+  { form: 'respectively', kind: 'percent', pattern: new RegExp(String.raw`(?<![\w.-])${PERCENT}\s+and\s+${PERCENT},?\s+respectively`, 'i') },
+  { form: 'range', kind: 'money', pattern: new RegExp(String.raw`(?:between\s+${MONEY}\s+and|${MONEY}\s*(?:-|–|to))\s*${MONEY_END}`, 'i') },
+  { form: 'range', kind: 'percent', pattern: new RegExp(String.raw`(?:between\s+${PERCENT_START}\s+and|${PERCENT_START}\s*(?:-|–|to))\s*${PERCENT}`, 'i') },
+  { form: 'point', kind: 'money', pattern: new RegExp(MONEY, 'i') },
+  { form: 'point', kind: 'percent', pattern: new RegExp(String.raw`(?<![\w.-])${PERCENT}`, 'i') }
+];
+const PLUS_MINUS = /^,?\s*(?:respectively,?\s*)?plus or minus\s+(?:\$|USD\s?)?(\d[\d,]*(?:\.\d+)?)\s*(%|percent|basis points|bps|billion|million)?/i;
+const ANY_VALUE = /(?:\$|USD\s?)\s?\d|\d\s*(?:%|percent\b)/i;
+
+const ORDINAL_QUARTERS = { first: 'Q1', second: 'Q2', third: 'Q3', fourth: 'Q4' };
+const YEAR_SUFFIX = String.raw`(?:\s+(?:of\s+)?(?:(?:fiscal(?:\s+year)?|FY)\s*'?(\d{4}|\d{2})|(20\d{2}))\b)?`;
+const QUARTER_MENTION = new RegExp(String.raw`\b(?:(first|second|third|fourth)\s+quarter|Q([1-4]))${YEAR_SUFFIX}`, 'gi');
+const YEAR_MENTION = /\b(?:full[\s-]year\s+)?(?:fiscal(?:\s+year)?|FY)\s*'?(\d{4}|\d{2})\b|\bfull[\s-]year\s+(20\d{2})\b/gi;
+const FULL_YEAR_MENTION = /\b(?:full[\s-]year|for the year|(?:this|the) (?:fiscal )?year(?![\s-]ago)|annual (?:guidance|outlook))\b/gi;
+// A bare year, but not the end of a date ("ending May 4, 2025")
+const BARE_YEAR_MENTION = /(?<!\d,\s?)\b(20\d{2})\b/g;
+
+// Guidance further out than this is a long-range target, not an outlook
+const MAX_QUARTERS_AHEAD = 8;
+// Longer "sentences" are tables and slide text run together, where values can't be tied to labels
+const MAX_SEGMENT_CHARS = 400;
+const MAX_SEGMENT_VALUES = 6;
+// A dollar range wider than this is a misparse ("$56 million to $59 billion"), not guidance
+const MAX_RANGE_RATIO = 2;
+
+const guidanceCache = new Map();
+
+function transcriptsDir() {
+  return path.join(process.cwd(), 'data', 'transcripts');
+}
+
+function relativePath(file) {
+  return path.relative(process.cwd(), file).split(path.sep).join('/');
+}
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function toNumber(text) {
+  return Number(String(text).replace(/,/g, ''));
+}
+
+// ----------------------------------------------------------------
+// Periods
+// ----------------------------------------------------------------
+
+function quarterIndex(period) {
+  return Number(period.fiscalYear) * 4 + Number(period.quarter.slice(1)) - 1;
+}
+
+function fromQuarterIndex(index) {
+  return { fiscalYear: String(Math.floor(index / 4)), quarter: `Q${(index % 4) + 1}` };
+}
+
+/**
+ * "Q4 FY2025" or "FY2026".
+ * @param {{fiscalYear: string, quarter?: string}} period
+ * @returns {string}
+ */
+export function formatGuidancePeriod(period) {
+  return period.quarter ? `${period.quarter} FY${period.fiscalYear}` : `FY${period.fiscalYear}`;
+}
+
+function fullYear(year) {
+  return year.length === 2 ? `20${year}` : year;
+}
+
+// Every period a segment mentions, with where it sits; quarters shadow the years inside them
+function periodMentions(text, issued) {
+  const next = fromQuarterIndex(quarterIndex(issued) + 1);
+  const mentions = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+  const add = (match, period) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (overlaps(start, end)) return;
+    taken.push([start, end]);
+    mentions.push({ index: start, end, period });
+  };
+
+  for (const match of text.matchAll(QUARTER_MENTION)) {
+    const quarter = match[1] ? ORDINAL_QUARTERS[match[1].toLowerCase()] : `Q${match[2]}`;
+    const year = match[3] || match[4];
+    if (year) {
+      add(match, { fiscalYear: fullYear(year), quarter });
+    } else {
+      // "Q4" alone is the next Q4 after the call
+      let index = quarterIndex(issued) + 1;
+      while (fromQuarterIndex(index).quarter !== quarter) index += 1;
+      add(match, fromQuarterIndex(index));
+    }
+  }
+  for (const match of text.matchAll(YEAR_MENTION)) add(match, { fiscalYear: fullYear(match[1] || match[2]) });
+  // "For the full year" with no year is the fiscal year the next quarter falls in
+  for (const match of text.matchAll(FULL_YEAR_MENTION)) add(match, { fiscalYear: next.fiscalYear });
+  if (!mentions.length) {
+    for (const match of text.matchAll(BARE_YEAR_MENTION)) add(match, { fiscalYear: match[1] });
+  }
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+// The period named closest before the metric, else one named right after the figure
+// ("$5 billion in Q3"); periods later in the sentence belong to other clauses
+function periodFor(mentions, index, until) {
+  const before = mentions.filter((m) => m.index <= index);
+  return (before[before.length - 1] || mentions.find((m) => m.index > index && m.index <= until))?.period || null;
+}
+
+function isForwardOf(period, issued) {
+  if (period.quarter) {
+    const ahead = quarterIndex(period) - quarterIndex(issued);
+    return ahead > 0 && ahead <= MAX_QUARTERS_AHEAD;
+  }
+  const ahead = Number(period.fiscalYear) - Number(issued.fiscalYear);
+  return ahead >= 0 && ahead <= 1;
+}
+
+// ----------------------------------------------------------------
+// Extraction
+// ----------------------------------------------------------------
+
+// Sentences and bullets, with offsets into the original text
+const SEGMENT_BREAK = /[.!?;](?=\s+["“(]?[A-Z$\d])|:(?=\s+[A-Z])|•|\n\s*\n/g;
+
+function splitSegments(text, from, to) {
+  const segments = [];
+  const push = (start, end) => {
+    const raw = text.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) segments.push({ start: start + lead, end: start + lead + trimmed.length });
+  };
+  let start = from;
+  SEGMENT_BREAK.lastIndex = from;
+  let match;
+  while ((match = SEGMENT_BREAK.exec(text)) && match.index < to) {
+    const keepsMark = /^[.!?;]$/.test(match[0]);
+    push(start, match.index + (keepsMark ? 1 : 0));
+    start = match.index + match[0].length;
+  }
+  push(start, to);
+  return segments;
+}
+
+const MAX_HEADING_CHARS = 160;
+// How close the period must sit to "outlook"/"guidance" ("Q3 outlook", "outlook for the second
+// quarter of fiscal 2024"), so "Our outlook has the trends we saw in Q2..." is not a Q2 heading
+const HEADING_PERIOD_GAP = 20;
+
+function headingPeriod(text, issued) {
+  const cue = HEADING_CUE.exec(text);
+  if (!cue) return null;
+  const cueEnd = cue.index + cue[0].length;
+  const near = periodMentions(text, issued).filter(
+    (m) => (m.index >= cueEnd && m.index - cueEnd <= HEADING_PERIOD_GAP) || (m.end <= cue.index && cue.index - m.end <= HEADING_PERIOD_GAP)
+  );
+  return near[0]?.period || null;
+}
+
+// Heading lines that name a period ("NVIDIA's outlook for the second quarter of fiscal 2024 is
+// as follows:"). Press releases hard-wrap their prose, so a heading often shares a segment with
+// the table row above it and is only found line by line.
+function headingLines(text, from, to, issued) {
+  const headings = [];
+  const pattern = /[^\n]+/g;
+  pattern.lastIndex = from;
+  let match;
+  while ((match = pattern.exec(text)) && match.index < to) {
+    const line = match[0].trim();
+    if (line.length > MAX_HEADING_CHARS || !HEADING_CUE.test(line) || ANY_VALUE.test(line)) continue;
+    const period = headingPeriod(line, issued);
+    if (period) headings.push({ index: match.index, period });
+  }
+  return headings;
+}
+
+function metricMentions(text) {
+  const mentions = [];
+  for (const [metric, pattern] of METRIC_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (mentions.some((m) => start < m.end && end > m.start)) continue;
+      mentions.push({ metric, start, end });
+    }
+  }
+  return mentions.sort((a, b) => a.start - b.start);
+}
+
+// "AI semiconductor revenue" and "Windows OEM revenue" are product lines, not the company total
+function qualifierBefore(text) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const qualifier = [];
+  for (let i = words.length - 1; i >= 0 && qualifier.length < 4; i -= 1) {
+    const raw = words[i];
+    if (/[,;:]$/.test(raw)) break;
+    const word = raw.toLowerCase().replace(/[^\w&-]/g, '');
+    if (!word || GENERIC_QUALIFIERS.has(word) || /^(q[1-4]|fy\d{2,4}|\d{2}|\d{4})$/.test(word) || /['’]s$/.test(raw)) break;
+    qualifier.unshift(raw);
+  }
+  return qualifier.length ? qualifier.join(' ') : null;
+}
+
+function firstValue(window) {
+  let best = null;
+  for (const spec of VALUE_PATTERNS) {
+    const match = spec.pattern.exec(window);
+    if (!match) continue;
+    if (!best || match.index < best.match.index || (match.index === best.match.index && match[0].length > best.match[0].length)) {
+      best = { ...spec, match };
+    }
+  }
+  return best;
+}
+
+function scaled(number, scale, fallbackScale) {
+  const unit = (scale || fallbackScale || '').toLowerCase();
+  if (unit === 'billion') return number * 1000;
+  if (unit === 'million') return number;
+  return null;
+}
+
+// Turns the matched text into [low, high] pairs in the record's unit, one per basis for "respectively"
+function readValues(value, unit) {
+  const m = value.match;
+  if (value.kind === 'percent') {
+    // "between A% and B%" fills group 1, "A-B%" group 2; the high end is group 3
+    if (value.form === 'range') return [[toNumber(m[1] ?? m[2]), toNumber(m[3])]];
+    if (value.form === 'respectively') return [[toNumber(m[1])], [toNumber(m[2])]];
+    return [[toNumber(m[1])]];
+  }
+  const money = (number, scale, fallbackScale) => {
+    if (unit === 'usd_per_share') return scale ? null : toNumber(number);
+    return scaled(toNumber(number), scale, fallbackScale);
+  };
+  if (value.form === 'range') {
+    // "between $A and $B" fills groups 1-2 and 5-6; "$A-B billion" fills 3-4 and 5-6
+    const [lowNumber, lowScale] = m[1] ? [m[1], m[2]] : [m[3], m[4]];
+    return [[money(lowNumber, lowScale, m[6]), money(m[5], m[6])]];
+  }
+  if (value.form === 'respectively') return [[money(m[1], m[2])], [money(m[3], m[4])]];
+  return [[money(m[1], m[2])]];
+}
+
+function applyBand(mid, band, unit) {
+  const amount = toNumber(band[1]);
+  const kind = (band[2] || '').toLowerCase();
+  let delta = null;
+  if (unit === 'percent') {
+    if (kind === '%' || kind === 'percent') delta = amount;
+    else if (kind === 'basis points' || kind === 'bps') delta = amount / 100;
+  } else if (kind === '%' || kind === 'percent') {
+    delta = Math.abs(mid) * amount / 100;
+  } else if (unit === 'usd_millions') {
+    delta = scaled(amount, kind);
+  }
+  return delta === null ? null : [round(mid - delta), round(mid + delta)];
+}
+
+function boundForm(before) {
+  if (/at least\s*$/i.test(before)) return 'at_least';
+  if (/(?:up to|no more than|at most)\s*$/i.test(before)) return 'at_most';
+  if (/(?:approximately|about|around|roughly)\s*$/i.test(before)) return 'approximately';
+  return 'point';
+}
+
+function basesIn(lead) {
+  const nonGaap = /\bnon-?GAAP\b|\badjusted\b/i.test(lead);
+  const gaap = /(?<!non-)\bGAAP\b/i.test(lead);
+  if (gaap && nonGaap) return ['gaap', 'non_gaap'];
+  if (nonGaap) return ['non_gaap'];
+  if (gaap) return ['gaap'];
+  return [null];
+}
+
+function recordsFromSegment(text, segment, context) {
+  const { ticker, issued, sourceType, file } = context;
+  // Same length as the original slice, so match indexes stay valid offsets
+  const flat = text.slice(segment.start, segment.end).replace(/\s/g, ' ');
+  const tail = COMPARISON_TAIL.exec(flat);
+  const body = tail ? flat.slice(0, tail.index) : flat;
+  const periods = periodMentions(body, issued);
+
+  // A heading like "Second Quarter 2025 Guidance" sets the period for the bullets under it
+  if (!ANY_VALUE.test(body)) return { records: [], heading: headingPeriod(body, issued) };
+  if (!GUIDANCE_CUE.test(body) || body.length > MAX_SEGMENT_CHARS) return { records: [] };
+  if ((body.match(ANY_VALUE) || []).length > MAX_SEGMENT_VALUES) return { records: [] };
+
+  const lead = SEGMENT_LEAD.exec(body)?.[1];
+  const leadSegment = lead && !NOT_A_SEGMENT.test(lead) ? lead : null;
+  const mentions = metricMentions(body);
+  const records = [];
+  let stated = null;
+  mentions.forEach((mention, i) => {
+    const leadStart = i ? mentions[i - 1].end : 0;
+    const windowEnd = mentions[i + 1]?.start ?? body.length;
+    const lead = body.slice(leadStart, mention.end);
+    let windowStart = mention.end;
+    let value = firstValue(body.slice(windowStart, windowEnd));
+    // "we expect to invest approximately $75 billion in capital expenditures"
+    if (!value && /\b(?:invest|spend)\b/i.test(lead)) {
+      windowStart = leadStart;
+      value = firstValue(body.slice(leadStart, mention.start));
+      if (value?.kind !== 'money') value = null;
+    }
+    if (!value) return;
+    const valueStart = windowStart + value.match.index;
+    const valueEnd = valueStart + value.match[0].length;
+    // Judge tense on the metric's own clause: "AI revenue was $4.1 billion, and we expect Q2 AI
+    // revenue to grow to $4.4 billion" keeps the second figure; "$9.8 billion was up 37%" drops it
+    const clauseStart = leadStart + body.slice(leadStart, mention.start).lastIndexOf(',') + 1;
+    const after = /^[^,.;]{0,40}/.exec(body.slice(valueEnd))[0];
+    if (REPORTED_CUE.test(body.slice(clauseStart, valueEnd) + after)) return;
+    const statement = body.slice(body.slice(0, mention.start).lastIndexOf(',') + 1, valueStart);
+    if (!FORWARD_CUE.test(statement) || EFFECT_CUE.test(statement) || RUN_RATE.test(body.slice(valueEnd))) return;
+
+    let metric = mention.metric;
+    let unit;
+    if (value.kind === 'percent') {
+      if (PERCENT_METRICS.has(metric)) {
+        unit = 'percent';
+      } else if (GROWTH_CUE.test(body.slice(mention.end, Math.min(body.length, valueEnd + 40)))) {
+        metric = `${metric}_growth`;
+        unit = 'percent';
+      } else if (/^\s*of\s+(?:projected\s+|total\s+)?revenue/i.test(body.slice(valueEnd))) {
+        metric = `${metric}_margin`;
+        unit = 'percent';
+      } else {
+        return;
+      }
+    } else {
+      if (PERCENT_METRICS.has(metric)) return;
+      unit = metric === 'eps' ? 'usd_per_share' : 'usd_millions';
+    }
+
+    const bases = basesIn(lead);
+    const valueSets = readValues(value, unit);
+    if (valueSets.some((set) => set.some((v) => v === null || !Number.isFinite(v)))) return;
+    if (unit === 'usd_millions' && valueSets.some(([low, high]) => high !== undefined && high > low * MAX_RANGE_RATIO)) return;
+    const band = PLUS_MINUS.exec(body.slice(valueEnd));
+    const before = body.slice(Math.max(0, valueStart - 20), valueStart);
+    if (QUALITATIVE_LEAD.test(before) || DELTA_LEAD.test(before)) return;
+    const bound = boundForm(before);
+    const sign = /\bnegative\s*$/i.test(before) ? -1 : 1;
+    const named = periodFor(periods, mention.start, Math.max(valueEnd, mention.end) + 12);
+    if (named) stated = named;
+    const period = named || context.carried || context.period || fromQuarterIndex(quarterIndex(issued) + 1);
+    if (!isForwardOf(period, issued)) return;
+    const segmentName = leadSegment || qualifierBefore(body.slice(leadStart, mention.start));
+
+    valueSets.forEach((set, k) => {
+      let [low, high] = (set.length === 2 ? set : [set[0], set[0]]).map((v) => v * sign);
+      if (sign < 0) [low, high] = [high, low];
+      let form = set.length === 2 ? 'range' : bound;
+      if (band && set.length === 1) {
+        const banded = applyBand(low, band, unit);
+        if (banded) {
+          [low, high] = banded;
+          form = 'plus_minus';
+        }
+      }
+      if (form === 'at_least') high = null;
+      if (form === 'at_most') low = null;
+      const midpoint = low !== null && high !== null ? round((low + high) / 2) : low ?? high;
+      const basis = value.form === 'respectively' ? (bases.length === 2 ? bases[k] : bases[0]) : null;
+      const recordBases = value.form === 'respectively' ? [basis] : bases;
+      recordBases.forEach((recordBasis) => {
+        records.push({
+          ticker,
+          metric,
+          basis: recordBasis,
+          segment: segmentName,
+          period,
+          low: low === null ? null : round(low),
+          high: high === null ? null : round(high),
+          midpoint,
+          unit,
+          form,
+          // Dollar figures are stated in dollars; "in constant currency" qualifies the growth rate next to them
+          ...(unit === 'percent' && CONSTANT_CURRENCY.test(body.slice(mention.start, Math.min(body.length, valueEnd + 60)))
+            ? { constantCurrency: true }
+            : {}),
+          issued,
+          source: {
+            type: sourceType,
+            file,
+            start: segment.start,
+            end: segment.end,
+            text: flat.replace(/\s+/g, ' ').trim()
+          }
+        });
+      });
+    });
+  });
+  return { records, stated };
+}
+
+/**
+ * Parses the guidance statements in one document.
+ * @param {string} text - Press release or transcript text.
+ * @param {{ticker: string, issued: {fiscalYear: string, quarter: string}, sourceType?: string, file?: string|null,
+ *   range?: {start: number, end: number}}} context - `issued` is the quarter the document reports on;
+ *   `range` limits parsing to part of the text (e.g. the prepared remarks).
+ * @returns {Array<Object>} Guidance records, in document order.
+ */
+export function extractGuidance(text, { ticker, issued, sourceType = 'press_release', file = null, range = null }) {
+  const source = String(text || '');
+  const from = range?.start ?? 0;
+  const to = range?.end ?? source.length;
+  // Statements without a period of their own take the one named by the previous statement
+  // ("We expect fiscal year '26 GAAP EPS of... Non-GAAP EPS is expected to be...") or else by
+  // the last heading ("Second Quarter 2025 Guidance")
+  const context = { ticker: String(ticker || '').toUpperCase(), issued, sourceType, file, period: null, carried: null };
+  const records = [];
+  const headings = headingLines(source, from, to, issued);
+  splitSegments(source, from, to).forEach((segment) => {
+    while (headings.length && headings[0].index < segment.start) context.period = headings.shift().period;
+    const result = recordsFromSegment(source, segment, context);
+    // A heading naming a past period means the file is mislabelled; its records are then dropped
+    if (result.heading) context.period = result.heading;
+    context.carried = result.stated || null;
+    records.push(...result.records);
+  });
+  return records;
+}
+
+// Where the prepared remarks sit in the verbatim transcript: from the first prepared-remarks
+// turn to the first Q&A turn
+function preparedRemarksRange(entry, text) {
+  const { chunks } = chunkTranscriptQuarter(entry);
+  const locate = (chunk, from = 0) => {
+    const firstLine = chunk.text.split('\n').find((line) => line.trim())?.trim().slice(0, 80);
+    return firstLine ? text.indexOf(firstLine, from) : -1;
+  };
+  const prepared = chunks.find((chunk) => chunk.metadata.section === 'prepared' && locate(chunk) !== -1);
+  if (!prepared) return null;
+  const start = locate(prepared);
+  const qa = chunks.find((chunk) => chunk.metadata.section === 'qa' && locate(chunk, start) !== -1);
+  return { start, end: qa ? locate(qa, start) : text.length };
+}
+
+const FORM_SPECIFICITY = { range: 3, plus_minus: 3, at_least: 2, at_most: 2, approximately: 1, point: 1 };
+
+function recordKey(record) {
+  return [record.metric, record.basis, record.segment, formatGuidancePeriod(record.period), formatGuidancePeriod(record.issued)].join('|');
+}
+
+/**
+ * Every guidance record for a ticker, from each quarter's press release and
+ * prepared remarks. A figure stated more than once in the same quarter (the
+ * headline, the outlook section, the CFO's remarks) is kept once, in its most
+ * specific form ("$37.5 billion, plus or minus 2%" over "$37.5 billion").
+ * @param {string} ticker
+ * @returns {Array<Object>} Sorted by guided period, then metric, then issue date.
+ */
+export function loadGuidance(ticker) {
+  const symbol = String(ticker || '').toUpperCase();
+  if (guidanceCache.has(symbol)) return guidanceCache.get(symbol);
+
+  const byKey = new Map();
+  const keep = (record) => {
+    const key = recordKey(record);
+    const existing = byKey.get(key);
+    if (!existing || FORM_SPECIFICITY[record.form] > FORM_SPECIFICITY[existing.form]) byKey.set(key, record);
+  };
+
+  for (const entry of listTranscriptQuarters(transcriptsDir(), symbol)) {
+    // Folder names are authoritative for the issuing quarter
+    const issued = { fiscalYear: entry.fiscalYear, quarter: entry.quarter };
+    const { transcriptFile, pressReleaseFile } = transcriptQuarterFiles(entry);
+    try {
+      if (pressReleaseFile) {
+        const text = fs.readFileSync(pressReleaseFile, 'utf-8');
+        extractGuidance(text, { ticker: symbol, issued, sourceType: 'press_release', file: relativePath(pressReleaseFile) }).forEach(keep);
+      }
+      if (transcriptFile) {
+        const text = fs.readFileSync(transcriptFile, 'utf-8');
+        const range = preparedRemarksRange(entry, text);
+        if (range) {
+          extractGuidance(text, { ticker: symbol, issued, sourceType: 'transcript', file: relativePath(transcriptFile), range }).forEach(keep);
+        }
+      }
+    } catch (error) {
+      console.warn(`[guidance] Skipping ${symbol} ${formatGuidancePeriod(issued)}:`, error.message);
+    }
+  }
+
+  const periodRank = (p) => Number(p.fiscalYear) * 10 + (p.quarter ? Number(p.quarter.slice(1)) : 5);
+  const records = [...byKey.values()].sort(
+    (a, b) =>
+      periodRank(a.period) - periodRank(b.period) ||
+      a.metric.localeCompare(b.metric) ||
+      periodRank(a.issued) - periodRank(b.issued)
+  );
+  guidanceCache.set(symbol, records);
+  return records;
+}
+
+// ----------------------------------------------------------------
+// Guidance vs. actuals
+// ----------------------------------------------------------------
+
+function difference(a, b) {
+  return a === null || a === undefined || b === null || b === undefined ? null : a - b;
+}
+
+// How each guided metric is read from the stored statements
+const ACTUAL_METRICS = {
+  revenue: { formula: 'revenue', value: (d) => d.revenue },
+  gross_margin: { formula: 'gross_margin', value: (d) => d.gross_margin },
+  operating_income: { formula: 'operating_income', value: (d) => d.operating_income },
+  operating_margin: { formula: 'operating_margin', value: (d) => d.operating_margin },
+  eps: { formula: 'eps_diluted', value: (d) => d.eps_diluted ?? d.eps },
+  operating_expenses: { formula: 'gross_profit - operating_income', value: (d) => difference(d.gross_profit, d.operating_income) },
+  total_expenses: { formula: 'revenue - operating_income', value: (d) => difference(d.revenue, d.operating_income) },
+  cost_of_revenue: { formula: 'revenue - gross_profit', value: (d) => difference(d.revenue, d.gross_profit) },
+  capex: { formula: 'operating_cash_flow - free_cash_flow', value: (d) => difference(d.operating_cash_flow, d.free_cash_flow) },
+  operating_cash_flow: { formula: 'operating_cash_flow', value: (d) => d.operating_cash_flow },
+  free_cash_flow: { formula: 'free_cash_flow', value: (d) => d.free_cash_flow }
+};
+// A dollar actual this far from the guided midpoint means the statement was read against the
+// wrong period or scope (a full-year figure taken as a quarter), not that the company missed
+const MAX_PLAUSIBLE_DEVIATION = 0.5;
+// Lines where coming in under guidance is the good outcome
+const COST_METRICS = new Set(['operating_expenses', 'total_expenses', 'cost_of_revenue', 'capex']);
+
+async function periodData(ticker, period) {
+  if (period.quarter) return financials.getQuarter(ticker, period.fiscalYear, period.quarter);
+  const annual = await financials.getAnnual(ticker, period.fiscalYear);
+  return annual?.complete ? annual.metrics : null;
+}
+
+function priorPeriod(period) {
+  return period.quarter
+    ? fromQuarterIndex(quarterIndex(period) - 4)
+    : { fiscalYear: String(Number(period.fiscalYear) - 1) };
+}
+
+async function actualFor(ticker, record, loadPeriod) {
+  const growth = record.metric.endsWith('_growth');
+  const base = growth ? record.metric.slice(0, -'_growth'.length) : record.metric;
+  const spec = ACTUAL_METRICS[base];
+  if (!spec) return { status: 'not_comparable', reason: `No reported figure for ${record.metric}` };
+
+  const data = await loadPeriod(record.period);
+  if (!data) return { status: 'not_reported', reason: `No reported results for ${formatGuidancePeriod(record.period)}` };
+  const current = spec.value(data);
+  if (current === null || current === undefined || !Number.isFinite(Number(current))) {
+    return { status: 'not_reported', reason: `${spec.formula} is not reported for ${formatGuidancePeriod(record.period)}` };
+  }
+  const file = record.period.quarter ? financials.getSourcePath(ticker, record.period.fiscalYear, record.period.quarter) ?? null : null;
+  if (!growth) return { value: Number(current), formula: spec.formula, file };
+
+  const prior = priorPeriod(record.period);
+  const priorData = await loadPeriod(prior);
+  const previous = priorData ? spec.value(priorData) : null;
+  if (!previous || !Number.isFinite(Number(previous))) {
+    return { status: 'not_reported', reason: `${spec.formula} is not reported for ${formatGuidancePeriod(prior)}` };
+  }
+  return {
+    value: round((Number(current) / Number(previous) - 1) * 100, 2),
+    formula: `(${spec.formula} / ${spec.formula} ${formatGuidancePeriod(prior)} - 1) * 100`,
+    file
+  };
+}
+
+function comparabilityIssue(record) {
+  if (record.segment) return `Guidance for ${record.segment}; stored actuals are company-level`;
+  if (record.basis === 'non_gaap') return 'Non-GAAP guidance; stored actuals are GAAP';
+  if (record.constantCurrency) return 'Constant-currency guidance; stored actuals are in reported currency';
+  return null;
+}
+
+/**
+ * Where an actual landed against a guided range, and whether that is a beat:
+ * above the high end (below it, for cost lines) beats, inside the range is
+ * inline. A point guide counts as a range of one value.
+ * @param {Object} record - Guidance record.
+ * @param {number} actual
+ */
+export function scoreGuidance(record, actual) {
+  const base = record.metric.replace(/_growth$/, '');
+  const above = record.high !== null && actual > record.high;
+  const below = record.low !== null && actual < record.low;
+  const position = above ? 'above' : below ? 'below' : 'within';
+  const outcome = position === 'within' ? 'inline' : above !== COST_METRICS.has(base) ? 'beat' : 'miss';
+  const outsideRange = above ? actual - record.high : below ? actual - record.low : 0;
+  return {
+    position,
+    outcome,
+    difference: {
+      vsMidpoint: round(actual - record.midpoint),
+      vsMidpointPct: record.unit !== 'percent' && record.midpoint ? round(((actual - record.midpoint) / Math.abs(record.midpoint)) * 100, 2) : null,
+      outsideRange: round(outsideRange),
+      unit: record.unit === 'percent' ? 'percentage_points' : record.unit
+    }
+  };
+}
+
+function formatValue(value, unit) {
+  if (value === null || value === undefined) return 'n/a';
+  if (unit === 'percent') return `${round(value, 2)}%`;
+  if (unit === 'usd_per_share') return `$${value.toFixed(2)}`;
+  return Math.abs(value) >= 1000 ? `$${(value / 1000).toFixed(2)}B` : `$${value.toFixed(1)}M`;
+}
+
+function formatGuide(record) {
+  if (record.form === 'at_least') return `at least ${formatValue(record.low, record.unit)}`;
+  if (record.form === 'at_most') return `at most ${formatValue(record.high, record.unit)}`;
+  if (record.low === record.high) return formatValue(record.low, record.unit);
+  return `${formatValue(record.low, record.unit)}–${formatValue(record.high, record.unit)}`;
+}
+
+function formatDifference(score, unit) {
+  const { vsMidpoint, vsMidpointPct } = score.difference;
+  const sign = vsMidpoint >= 0 ? '+' : '-';
+  const amount = unit === 'percent' ? `${Math.abs(round(vsMidpoint, 2))} pts` : formatValue(Math.abs(vsMidpoint), unit);
+  return `${sign}${amount}${vsMidpointPct !== null ? ` (${vsMidpointPct >= 0 ? '+' : ''}${vsMidpointPct}%)` : ''} vs midpoint`;
+}
+
+function guidanceLine(record) {
+  return [record.metric, record.basis, record.segment].filter(Boolean).join('|');
+}
+
+/**
+ * Joins a ticker's guidance for one period with its reported results. When
+ * the same line was guided more than once (initiated, then raised), the
+ * latest guidance is scored and the earlier ones are listed as revisions.
+ * @param {string} ticker
+ * @param {{fiscalYear?: string, quarter?: string|null, metrics?: string[]}} [options] - No fiscalYear (or
+ *   "latest") picks the most recent guided period with reported results; a fiscalYear without a quarter
+ *   means full-year guidance.
+ * @returns {Promise<Object>}
+ */
+export async function compareGuidance(ticker, { fiscalYear = null, quarter = null, metrics = [] } = {}) {
+  const symbol = String(ticker || '').toUpperCase();
+  const wanted = (metrics || []).filter(Boolean);
+  const records = loadGuidance(symbol).filter(
+    (r) => !wanted.length || wanted.some((m) => r.metric === m || r.metric.startsWith(`${m}_`))
+  );
+  const dataCache = new Map();
+  const loadPeriod = (period) => {
+    const key = formatGuidancePeriod(period);
+    if (!dataCache.has(key)) dataCache.set(key, periodData(symbol, period));
+    return dataCache.get(key);
+  };
+
+  let period = null;
+  const latest = !fiscalYear || String(fiscalYear).toLowerCase() === 'latest';
+  if (latest) {
+    const candidates = [...new Map(records.map((r) => [formatGuidancePeriod(r.period), r.period])).values()].reverse();
+    for (const candidate of candidates) {
+      if (await loadPeriod(candidate)) {
+        period = candidate;
+        break;
+      }
+    }
+    period = period || candidates[0] || null;
+  } else {
+    const fy = String(fiscalYear).replace(/[^0-9]/g, '');
+    period = quarter ? { fiscalYear: fullYear(fy), quarter: quarter.startsWith('Q') ? quarter : `Q${quarter}` } : { fiscalYear: fullYear(fy) };
+  }
+
+  const guidedPeriods = [...new Set(records.map((r) => formatGuidancePeriod(r.period)))];
+  if (!period) {
+    return { ticker: symbol, period: null, comparisons: [], availablePeriods: [], error: `No guidance found for ${symbol}` };
+  }
+  const label = formatGuidancePeriod(period);
+  const forPeriod = records.filter((r) => formatGuidancePeriod(r.period) === label);
+  if (!forPeriod.length) {
+    return {
+      ticker: symbol,
+      period: label,
+      comparisons: [],
+      availablePeriods: guidedPeriods.slice(-8).reverse(),
+      error: `No ${symbol} guidance found for ${label}`
+    };
+  }
+
+  const lines = new Map();
+  forPeriod.forEach((r) => lines.set(guidanceLine(r), [...(lines.get(guidanceLine(r)) || []), r]));
+
+  const comparisons = [];
+  for (const issues of lines.values()) {
+    const record = issues[issues.length - 1];
+    const row = {
+      metric: record.metric,
+      basis: record.basis,
+      segment: record.segment,
+      period: label,
+      guidance: {
+        low: record.low,
+        high: record.high,
+        midpoint: record.midpoint,
+        unit: record.unit,
+        form: record.form,
+        issued: formatGuidancePeriod(record.issued),
+        source: record.source
+      },
+      revisions: issues.slice(0, -1).map((r) => ({
+        issued: formatGuidancePeriod(r.issued),
+        low: r.low,
+        high: r.high,
+        midpoint: r.midpoint
+      }))
+    };
+    const issue = comparabilityIssue(record);
+    const actual = issue ? { status: 'not_comparable', reason: issue } : await actualFor(symbol, record, loadPeriod);
+    if (
+      !actual.status &&
+      record.unit === 'usd_millions' &&
+      record.midpoint &&
+      Math.abs(actual.value / record.midpoint - 1) > MAX_PLAUSIBLE_DEVIATION
+    ) {
+      actual.status = 'not_comparable';
+      actual.reason = `Reported ${formatValue(actual.value, record.unit)} is too far from the guided ${formatGuide(record)} to be the same line; the statement is probably about another period or scope`;
+    }
+    if (actual.status) {
+      comparisons.push({ ...row, actual: null, status: actual.status, reason: actual.reason });
+      continue;
+    }
+    comparisons.push({
+      ...row,
+      actual: { value: actual.value, formula: actual.formula, file: actual.file },
+      status: 'scored',
+      ...scoreGuidance(record, actual.value)
+    });
+  }
+
+  const summaries = comparisons
+    .filter((c) => c.status === 'scored')
+    .map((c) => {
+      const name = [c.basis === 'gaap' ? 'GAAP' : null, c.metric].filter(Boolean).join(' ');
+      const guide = formatGuide({ ...c.guidance, metric: c.metric });
+      return `${name} ${label}: guided ${guide} (${c.guidance.issued} ${c.guidance.source.type.replace('_', ' ')}), ` +
+        `actual ${formatValue(c.actual.value, c.guidance.unit)} → ${c.outcome} (${formatDifference(c, c.guidance.unit)})`;
+    });
+
+  return {
+    ticker: symbol,
+    period: label,
+    comparisons,
+    summaries,
+    scored: comparisons.filter((c) => c.status === 'scored').length
+  };
+}
@@ -0,0 +1,469 @@
+/**
+ * Extracts quarterly financial statements from a raw earnings press release
+ * (data/transcripts/<T>/FY_<yyyy>/Q<n>/<T>-Q<n>-<yyyy>-press-release.txt).
+ *
+ * Releases are plain-text dumps of HTML tables in one of three layouts: cells
+ * separated by tabs, by spaces, or one cell per line. All three are reduced to
+ * rows of `{label, values, column}`, where `column` is the index of the
+ * quarter being ingested, read from the nearest period header above the row
+ * (filers differ on whether the current or prior period comes first). Each
+ * field is taken from the first row whose label matches one of its patterns.
+ *
+ * The result is a `financial_report` document in the layout the normalizer
+ * reads, so an ingested quarter goes through the same validation as
+ * hand-authored ones.
+ */
+
+// Patterns are tried in order; within a pattern the first row in the document wins.
+// `{section, label}` patterns also match the heading row the value sits under.
+const FIELD_PATTERNS = {
+  revenue: [/^(total )?(net )?(revenues?|sales)$/],
+  cost_of_revenue: [/^total cost of (revenues?|sales)$/, /^cost of (revenues?|sales)$/],
+  gross_profit: [/^gross (profit|margin)$/],
+  rd_expense: [/^research and development$/, /^technology and (content|infrastructure)$/],
+  operating_income: [/^(total )?(operating income|income from operations)( \(loss\))?$/],
+  net_income: [/^net income( \(loss\))?$/],
+  eps_diluted: [
+    /^diluted( (earnings|net income)( \(loss\))? per (common )?share| eps)?( \(eps\))?$/,
+    { section: /^diluted (income|earnings)( \(loss\))? per share$/, label: /^net income( \(loss\))? per share$/ }
+  ],
+  eps: [
+    /^basic( (earnings|net income)( \(loss\))? per (common )?share)?$/,
+    { section: /^basic (income|earnings)( \(loss\))? per share$/, label: /^net income( \(loss\))? per share$/ }
+  ],
+  operating_cash_flow: [
+    /^net cash (provided by|from) (\(used in\) )?(operating activities|operations)( of continuing operations)?$/
+  ],
+  capital_expenditures: [
+    /^(purchases|additions) (of|to|related to) property(,)? (plant )?and equipment( and intangible assets)?$/,
+    /^capital expenditures$/
+  ],
+  free_cash_flow: [/^free cash flow$/]
+};
+
+// Share counts sit next to EPS rows under the same "Basic"/"Diluted" labels
+const PER_SHARE_FIELDS = new Set(['eps', 'eps_diluted']);
+const MAX_PER_SHARE = 1000;
+
+// Rows closing a revenue breakdown, and how closely its parts must add up
+const TOTAL_ROW = /^total (net )?(revenues?|sales)$/;
+const SEGMENT_SUM_TOLERANCE = 0.005;
+
+// Column headings for year-to-date or trailing figures, which are not quarterly
+const CUMULATIVE_SCOPE = /\b(six|nine|twelve) months ended\b|\byear ended\b|\btrailing\b|\bTTM\b/i;
+const QUARTER_SCOPE = /\b(three months|quarters?) ended\b/i;
+
+const QUARTER_WORDS = { first: 'Q1', second: 'Q2', third: 'Q3', fourth: 'Q4' };
+
+const NUMBER_CELL = /^[+-]?\(?\$?\(?[+-]?\d[\d,]*(\.\d+)?\)?$/;
+const FOOTNOTE_CELL = /^\(\d\)$/;
+const DASH_CELL = /^[—–-]$/;
+const MONTH_CELL = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?$/i;
+const PERIOD_TOKEN = /\bQ([1-4])\s*(?:FY\s*|fiscal\s+(?:year\s+)?)?[’']?(\d{4}|\d{2})?\b|\b((?:19|20)\d{2})\b/gi;
+
+function parseNumberCell(cell) {
+  const negative = cell.includes('(') || cell.includes('-');
+  const value = parseFloat(cell.replace(/[()$,+-]/g, ''));
+  return negative ? -value : value;
+}
+
+// "Research and development (1):" -> "research and development"
+function normalizeLabel(text) {
+  return text
+    .toLowerCase()
+    .replace(/\(\$m\)|\(in millions\)|\(\d\)/g, '')
+    .replace(/[:*]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function splitCells(line) {
+  return line.includes('\t')
+    ? line.split('\t').flatMap((cell) => cell.trim().split(/\s+(?=[$(]?\d)/))
+    : line.trim().split(/\s+/);
+}
+
+/**
+ * Reads cells left to right into a label and its numbers. "$" and ")" cells
+ * are layout (`(813\t)`), a "%" cell turns the number before it into a
+ * percentage, which is dropped, and a dash stands for zero.
+ * Day numbers after a month name belong to the label, and guidance ranges
+ * ("$1.80 - $1.82") are flagged so they are never read as results.
+ * @returns {{label: string, values: number[], hasText: boolean, isRange: boolean}}
+ */
+function readCells(cells) {
+  const labelParts = [];
+  const values = [];
+  let hasText = false;
+  let isRange = false;
+  const trimmed = cells.map((cell) => cell.trim()).filter((cell) => cell && cell !== ')');
+  trimmed.forEach((cell, index) => {
+    const previous = trimmed[index - 1];
+    if (cell === '$') return;
+    if (cell === '%') {
+      values.pop();
+    } else if (cell.endsWith('%')) {
+      // percentage columns are not amounts
+    } else if (FOOTNOTE_CELL.test(cell) && labelParts.length && !values.length) {
+      labelParts.push(cell);
+    } else if (NUMBER_CELL.test(cell) && !(previous && MONTH_CELL.test(previous))) {
+      values.push(parseNumberCell(cell));
+    } else if (DASH_CELL.test(cell) && values.length && /^\$\d/.test(trimmed[index + 1] || '')) {
+      isRange = true;
+    } else if (DASH_CELL.test(cell)) {
+      values.push(0);
+    } else {
+      hasText = true;
+      if (!values.length) labelParts.push(cell);
+    }
+  });
+  return { label: labelParts.join(' '), values, hasText, isRange };
+}
+
+/**
+ * Period columns named on a header line: "Q3 FY25", "Q2’25", "Q2 2025", or
+ * bare years. Returns null for lines that carry data rather than headings.
+ */
+function readPeriods(raw) {
+  if (/\$|%|\d,\d{3}|\d\.\d/.test(raw)) return null;
+  const periods = [];
+  for (const match of raw.matchAll(PERIOD_TOKEN)) {
+    if (match[1]) {
+      const year = match[2] ? parseInt(match[2].slice(-2), 10) : null;
+      periods.push({ quarter: `Q${match[1]}`, year });
+    } else {
+      periods.push({ quarter: null, year: parseInt(match[3].slice(-2), 10) });
+    }
+  }
+  return periods.length ? periods : null;
+}
+
+const isBarePeriod = (raw) => /^\s*(Q[1-4]\s*(FY\s*)?[’']?\d{2,4}|\d{4})\s*$/.test(raw);
+
+/**
+ * Index of the ingested quarter among a header's columns, or null when the
+ * header names periods without identifying it. Quarter headers are matched on
+ * quarter and fiscal year; year-only headers (dates ending in 2025, 2024, ...)
+ * put the current quarter in the first column of the latest year.
+ */
+function resolveColumn(periods, target) {
+  if (periods.some((p) => p.quarter)) {
+    const index = periods.findIndex((p) => p.quarter === target.quarter && p.year === target.year);
+    return index === -1 ? null : index;
+  }
+  const years = periods.map((p) => p.year);
+  return years.indexOf(Math.max(...years));
+}
+
+function formatPeriods(periods) {
+  return periods
+    .map((p) => [p.quarter, p.year === null ? null : `FY${String(p.year).padStart(2, '0')}`].filter(Boolean).join(' '))
+    .join(', ');
+}
+
+/**
+ * Header spanning one line ("2025 2024", "Q2 2025 Q2 2024 Y/Y") or a run of
+ * lines holding one period each.
+ */
+function readHeader(lines, start) {
+  const periods = readPeriods(lines[start].raw);
+  if (!periods) return null;
+  if (periods.length > 1) return { periods, end: start };
+  if (!isBarePeriod(lines[start].raw)) return null;
+
+  const run = [...periods];
+  let end = start;
+  for (let j = start + 1; j < lines.length; j++) {
+    if (!lines[j].raw.trim()) continue;
+    if (!isBarePeriod(lines[j].raw)) break;
+    run.push(...readPeriods(lines[j].raw));
+    end = j;
+  }
+  return run.length > 1 ? { periods: run, end } : null;
+}
+
+/**
+ * Reduces a release to table rows. A line with a label but no numbers takes
+ * them from the lines directly below it when those hold nothing but numbers
+ * and layout cells, which covers the one-cell-per-line layout. Prose lines
+ * quoting amounts in millions or billions are not table rows and are skipped.
+ * @param {string} text
+ * @param {{quarter: string, fiscalYear: string}} target - Quarter being ingested.
+ * Rows under a quarter header that lacks the ingested quarter keep that
+ * header's periods in `otherPeriods`, so a skipped field can say why.
+ * @returns {Array<{label: string, values: number[], column: number|null, section: string|null, line: number,
+ *   otherPeriods?: string}>}
+ */
+export function extractRows(text, target) {
+  const targetPeriod = { quarter: target.quarter, year: parseInt(String(target.fiscalYear).slice(-2), 10) };
+  const lines = text.split(/\r?\n/).map((raw, index) => ({ raw, cells: splitCells(raw), line: index + 1 }));
+  const rows = [];
+  let column = 0;
+  let otherPeriods = null;
+  let section = null;
+  // Scope wording seen since the last header: a header under only "Nine
+  // Months Ended" holds no quarterly column
+  const scope = { quarter: false, cumulative: false };
+
+  for (let i = 0; i < lines.length; i++) {
+    const { raw, cells, line } = lines[i];
+    if (!raw.trim()) continue;
+    if (QUARTER_SCOPE.test(raw)) scope.quarter = true;
+    if (CUMULATIVE_SCOPE.test(raw)) scope.cumulative = true;
+
+    const header = readHeader(lines, i);
+    if (header) {
+      column = scope.cumulative && !scope.quarter ? null : resolveColumn(header.periods, targetPeriod);
+      otherPeriods = column === null && !scope.cumulative ? formatPeriods(header.periods) : null;
+      scope.quarter = false;
+      scope.cumulative = false;
+      i = header.end;
+      continue;
+    }
+
+    let parsed = readCells(cells);
+    if (!parsed.label) continue;
+
+    if (!parsed.values.length) {
+      const continuation = [];
+      let j = i + 1;
+      while (j < lines.length && !readHeader(lines, j)) {
+        const next = readCells(lines[j].cells);
+        if (next.hasText) break;
+        continuation.push(...lines[j].cells);
+        j++;
+      }
+      const merged = readCells([...cells, ...continuation]);
+      if (merged.values.length) {
+        parsed = merged;
+        i = j - 1;
+      }
+    }
+
+    if (parsed.isRange || /\b(billion|million)\b/i.test(raw)) continue;
+    const label = normalizeLabel(parsed.label);
+    rows.push({ label, values: parsed.values, column, section, line, ...(otherPeriods && { otherPeriods }) });
+    // Headings such as "Diluted income per share:" scope the rows below them
+    if (!parsed.values.length && parsed.label.trim().endsWith(':')) section = label;
+  }
+  return rows;
+}
+
+function valueAt(row) {
+  if (row.column === null) return null;
+  const value = row.values[row.column];
+  return Number.isFinite(value) ? value : null;
+}
+
+function matchesPattern(row, pattern) {
+  if (pattern instanceof RegExp) return pattern.test(row.label);
+  return pattern.label.test(row.label) && pattern.section.test(row.section || '');
+}
+
+function findField(rows, field) {
+  for (const pattern of FIELD_PATTERNS[field]) {
+    for (const row of rows) {
+      if (!row.values.length || !matchesPattern(row, pattern)) continue;
+      const value = valueAt(row);
+      if (value === null || (PER_SHARE_FIELDS.has(field) && Math.abs(value) >= MAX_PER_SHARE)) continue;
+      return { value, label: row.label, line: row.line };
+    }
+  }
+  return null;
+}
+
+/** First row a missing field would have come from, had its table carried the ingested quarter. */
+function findSkippedRow(rows, field) {
+  return FIELD_PATTERNS[field]
+    .map((pattern) => rows.find((row) => row.otherPeriods && row.values.length && matchesPattern(row, pattern)))
+    .find(Boolean) || null;
+}
+
+function segmentKey(label) {
+  return label
+    .replace(/^(total |net )+/, '')
+    .replace(/ (segment|revenues?)$/, '')
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Collapses subtotals: a row equal to the sum of the rows just before it
+ * replaces them, so nested breakdowns (Client + Gaming -> Client and Gaming)
+ * keep only their top level.
+ */
+function collapseSubtotals(parts) {
+  const stack = [];
+  for (const part of parts) {
+    let collapsed = false;
+    for (let k = 2; k <= stack.length && !collapsed; k++) {
+      const sum = stack.slice(-k).reduce((acc, p) => acc + p.value, 0);
+      if (Math.abs(sum - part.value) <= Math.max(1, Math.abs(part.value) * SEGMENT_SUM_TOLERANCE)) {
+        stack.splice(-k, k, part);
+        collapsed = true;
+      }
+    }
+    if (!collapsed) stack.push(part);
+  }
+  return stack;
+}
+
+/**
+ * Revenue breakdown closed by a "Total revenue" row equal to reported revenue.
+ * Tables introduced as segment information win over other breakdowns (such
+ * as product vs. service on the income statement).
+ */
+function findSegments(rows, revenue) {
+  if (revenue === null) return null;
+  const candidates = [];
+
+  rows.forEach((row, index) => {
+    const total = TOTAL_ROW.test(row.label) ? valueAt(row) : null;
+    if (total === null || Math.abs(total - revenue) > Math.abs(revenue) * SEGMENT_SUM_TOLERANCE) return;
+
+    // Walk up to the table heading: two label-only rows in a row end the block
+    const parts = [];
+    let k = index - 1;
+    let labelOnly = 0;
+    for (; k >= 0 && labelOnly < 2; k--) {
+      if (TOTAL_ROW.test(rows[k].label)) break;
+      const value = valueAt(rows[k]);
+      if (value === null) {
+        // "Family of Apps" above a bare "Revenue" row names it
+        if (!labelOnly && /^revenues?$/.test(parts[0]?.label)) parts[0].label = rows[k].label;
+        labelOnly += 1;
+        continue;
+      }
+      labelOnly = 0;
+      parts.unshift({ label: rows[k].label, value });
+    }
+
+    const segments = collapseSubtotals(parts);
+    if (segments.length < 2) return;
+    const sum = segments.reduce((acc, p) => acc + p.value, 0);
+    if (Math.abs(sum - total) > Math.abs(total) * SEGMENT_SUM_TOLERANCE) return;
+
+    const heading = rows.slice(Math.max(0, k - 2), k + 3).map((r) => r.label).join(' ');
+    candidates.push({ segments, line: row.line, isSegmentTable: /segment/.test(heading) });
+  });
+
+  const chosen = candidates.find((c) => c.isSegmentTable) || candidates[0];
+  if (!chosen) return null;
+  return {
+    line: chosen.line,
+    segments: Object.fromEntries(chosen.segments.map((part) => [segmentKey(part.label), part.value]))
+  };
+}
+
+function readFiscalEndDate(text) {
+  const match = text.match(/(?:quarter|three months|fiscal year)(?: fiscal \d{4})? ended,? ([A-Z][a-z]+\.? \d{1,2},? \d{4})/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Quarter the release announces, from its headline ("Third Quarter Fiscal
+ * 2025", "Fourth Quarter and Fiscal Year 2024", "FY25 Q2"). A headline without
+ * a year ("Second Quarter Results") takes it from the quarter-end date that
+ * follows, ahead of the prior-year comparisons further down.
+ * @returns {{quarter: string, fiscalYear: string}|null}
+ */
+export function readReportedPeriod(text) {
+  const worded = text.match(
+    /\b(first|second|third|fourth) quarter (?:(?:and (?:full )?(?:fiscal )?(?:year )?)?(?:of )?(?:fiscal )?(?:year )?(\d{4})|ended,? [A-Z][a-z]+\.? \d{1,2},? (\d{4}))\b/i
+  );
+  if (worded) return { quarter: QUARTER_WORDS[worded[1].toLowerCase()], fiscalYear: worded[2] || worded[3] };
+  const short = text.match(/\bFY(\d{2}) Q([1-4])\b/);
+  if (short) return { quarter: `Q${short[2]}`, fiscalYear: `20${short[1]}` };
+  return null;
+}
+
+const withValue = (field) => (field ? { value: field.value } : undefined);
+
+/**
+ * Parses a press release into a `financial_report` document plus the row each
+ * value came from.
+ * @param {string} text - Raw release text.
+ * @param {{ticker: string, fiscalYear: string, quarter: string, file?: string}} meta
+ * @returns {{document: Object, fields: Object<string, {value: *, label: string, line: number}>,
+ *   missingFields: string[], reportedPeriod: {quarter: string, fiscalYear: string}|null, warnings: string[]}}
+ */
+export function parsePressRelease(text, meta) {
+  const fiscalYear = String(meta.fiscalYear);
+  const rows = extractRows(text, { quarter: meta.quarter, fiscalYear });
+  const fields = {};
+  for (const field of Object.keys(FIELD_PATTERNS)) {
+    const found = findField(rows, field);
+    if (found) fields[field] = found;
+  }
+
+  const segmentTable = findSegments(rows, fields.revenue?.value ?? null);
+  if (segmentTable) {
+    fields.revenue_segments = { value: segmentTable.segments, label: 'revenue breakdown', line: segmentTable.line };
+  }
+
+  const warnings = [];
+  const reportedPeriod = readReportedPeriod(text);
+  if (!reportedPeriod) {
+    warnings.push('Could not read the reported quarter from the release headline');
+  } else if (reportedPeriod.quarter !== meta.quarter || reportedPeriod.fiscalYear !== fiscalYear) {
+    warnings.push(
+      `Release announces ${reportedPeriod.quarter} FY${reportedPeriod.fiscalYear}, not ${meta.quarter} FY${fiscalYear}`
+    );
+  }
+
+  const missingFields = Object.keys(FIELD_PATTERNS).filter((field) => !fields[field]);
+  for (const field of missingFields) {
+    const skipped = findSkippedRow(rows, field);
+    if (skipped) {
+      warnings.push(
+        `Skipped ${field} ("${skipped.label}", line ${skipped.line}): its table covers ${skipped.otherPeriods}, not ${meta.quarter} FY${fiscalYear}`
+      );
+    }
+  }
+
+  const capex = fields.capital_expenditures ? Math.abs(fields.capital_expenditures.value) : null;
+  const document = {
+    financial_report: {
+      period: {
+        fiscal_quarter: `${meta.quarter} ${fiscalYear}`,
+        fiscal_end_date: readFiscalEndDate(text)
+      },
+      income_statement: {
+        revenue: {
+          total: withValue(fields.revenue),
+          by_segment: segmentTable
+            ? Object.fromEntries(Object.entries(segmentTable.segments).map(([key, value]) => [key, { value }]))
+            : undefined
+        },
+        cost_of_revenue: { total: withValue(fields.cost_of_revenue) },
+        gross_profit: withValue(fields.gross_profit),
+        operating_expenses: { research_and_development: withValue(fields.rd_expense) },
+        operating_income: withValue(fields.operating_income),
+        net_income: withValue(fields.net_income),
+        earnings_per_share: {
+          basic: withValue(fields.eps),
+          diluted: withValue(fields.eps_diluted)
+        }
+      },
+      cash_flow: {
+        operating_cash_flow: withValue(fields.operating_cash_flow),
+        capital_expenditures: capex === null ? undefined : { value: capex },
+        free_cash_flow: withValue(fields.free_cash_flow)
+      }
+    },
+    source: {
+      type: 'press_release',
+      file: meta.file || null
+    }
+  };
+
+  return {
+    // Round-trip drops the undefined placeholders for fields the release lacks
+    document: JSON.parse(JSON.stringify(document)),
+    fields,
+    missingFields,
+    reportedPeriod,
+    warnings
+  };
+}
@@ -0,0 +1,374 @@
+import fs from 'fs';
+import path from 'path';
+import { getCompany } from './companies.js';
+import {
+  chunkTranscriptQuarter,
+  listTranscriptQuarters,
+  readAnalystQuestions,
+  readQaSpeakers,
+  transcriptQuarterFiles
+} from '../rag/transcriptChunker.js';
+
+const TAXONOMY_VERSION = 1;
+
+/**
+ * Theme tracker: how often each topic ("Blackwell", "sovereign AI", "capex")
+ * comes up on a company's earnings calls, quarter by quarter. Counting is
+ * deterministic: every call is chunked into speaker turns the same way the
+ * index is, each theme's terms are matched as whole words, and the `topic`
+ * labels of the parsed Q&A (answer topics and analyst question topics) that
+ * mention the theme are listed alongside the counts.
+ *
+ * Themes come from data/themes.json:
+ *   id       'blackwell'
+ *   label    'Blackwell'
+ *   terms    ['Blackwell*', 'GB200*']   a trailing * also matches suffixes ("GB200s", "MI300X");
+ *                                       spaces and hyphens are interchangeable
+ *   tickers  ['NVDA']                   optional; themes without it apply to every company
+ *
+ * Terms match as written, except that a word starting with a lowercase letter
+ * also matches it capitalised ("capex" finds "Capex" at the start of a
+ * sentence) while "Threads" or "Bedrock" don't match the ordinary words.
+ * Terms a question names that aren't in the taxonomy are matched as-is,
+ * ignoring case.
+ *
+ * Calls differ a lot in length, and quarters without a verbatim transcript
+ * are counted from the parsed Q&A summaries, so emphasis is compared as
+ * mentions per 10,000 words of the call rather than raw counts.
+ */
+
+// Themes returned when a question names none: the most mentioned for the ticker
+const DEFAULT_THEME_LIMIT = 6;
+const MAX_REQUESTED_THEMES = 8;
+const MAX_TOPICS_PER_QUARTER = 3;
+const EXCERPT_CHARS = 240;
+// Trend compares the average rate over the latest quarters with the ones before them
+const TREND_WINDOW = 4;
+const RISING_RATIO = 1.25;
+const FALLING_RATIO = 0.8;
+
+const corpusCache = new Map();
+
+/**
+ * Where the taxonomy file lives. Read lazily, like the company registry.
+ * @returns {string}
+ */
+export function resolveThemeTaxonomyPath() {
+  if (process.env.THEME_TAXONOMY_PATH) {
+    return path.resolve(process.env.THEME_TAXONOMY_PATH);
+  }
+  return path.join(process.cwd(), 'data', 'themes.json');
+}
+
+function transcriptsDir() {
+  return path.join(process.cwd(), 'data', 'transcripts');
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    console.warn(`[themes] Skipping unreadable ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function lookupKey(text) {
+  return String(text || '').toLowerCase().replace(/\*$/, '').replace(/[^a-z0-9]+/g, '');
+}
+
+function periodLabel(period) {
+  return `${period.quarter} FY${period.fiscalYear}`;
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// ----------------------------------------------------------------
+// Taxonomy
+// ----------------------------------------------------------------
+
+function termPattern(term, ignoreCase) {
+  const wildcard = term.endsWith('*');
+  const words = term
+    .replace(/\*$/, '')
+    .trim()
+    .split(/[\s-]+/)
+    .map((word) =>
+      !ignoreCase && /^[a-z]/.test(word)
+        ? `[${word[0]}${word[0].toUpperCase()}]${escapeRegExp(word.slice(1))}`
+        : escapeRegExp(word)
+    );
+  return `${words.join('[\\s-]+')}${wildcard ? '[A-Za-z0-9]*' : ''}`;
+}
+
+function compileTheme(theme, { ignoreCase = false } = {}) {
+  // Longest first, so "Vera Rubin" is one mention rather than a second "Rubin"
+  const alternatives = [...theme.terms].sort((a, b) => b.length - a.length).map((t) => termPattern(t, ignoreCase));
+  const source = `(?<![A-Za-z0-9])(?:${alternatives.join('|')})(?![A-Za-z0-9])`;
+  return { ...theme, pattern: new RegExp(source, ignoreCase ? 'gi' : 'g') };
+}
+
+function validateTheme(entry, index, filePath) {
+  const where = `${filePath} entry ${index}`;
+  if (!/^[a-z0-9_]+$/.test(String(entry?.id || ''))) {
+    throw new Error(`Invalid theme id ${JSON.stringify(entry?.id)} in ${where}`);
+  }
+  const terms = (entry.terms || []).map((term) => String(term).trim()).filter(Boolean);
+  if (!terms.length) throw new Error(`Theme ${entry.id} has no terms in ${where}`);
+  const tickers = (entry.tickers || []).map((ticker) => String(ticker).toUpperCase());
+  tickers.forEach((ticker) => {
+    if (!getCompany(ticker)) throw new Error(`Theme ${entry.id} names unknown ticker ${ticker} in ${where}`);
+  });
+  return compileTheme({ id: entry.id, label: entry.label || entry.id, terms, tickers, adHoc: false });
+}
+
+// Loaded once per process, like the company registry
+let taxonomy = null;
+
+function loadTaxonomy() {
+  if (taxonomy) return taxonomy;
+  const filePath = resolveThemeTaxonomyPath();
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (parsed.version !== TAXONOMY_VERSION) {
+    throw new Error(`Unsupported theme taxonomy version ${parsed.version} in ${filePath}`);
+  }
+  const themes = (parsed.themes || []).map((entry, i) => validateTheme(entry, i, filePath));
+  const ids = new Set();
+  themes.forEach((theme) => {
+    if (ids.has(theme.id)) throw new Error(`Duplicate theme ${theme.id} in ${filePath}`);
+    ids.add(theme.id);
+  });
+  taxonomy = themes;
+  return taxonomy;
+}
+
+/**
+ * Taxonomy themes that apply to a ticker: the general ones plus its own.
+ * @param {string} ticker
+ * @returns {Array<{id: string, label: string, terms: string[], tickers: string[]}>}
+ */
+export function listThemes(ticker) {
+  const symbol = String(ticker || '').toUpperCase();
+  return loadTaxonomy()
+    .filter((theme) => !theme.tickers.length || theme.tickers.includes(symbol))
+    .map(({ id, label, terms, tickers }) => ({ id, label, terms, tickers }));
+}
+
+/**
+ * Resolves the themes a question names: by id, label or term, the ticker's
+ * own themes first and then any company's ("Blackwell" on an AMD call).
+ * Anything else becomes an ad hoc theme matched as written.
+ * @param {string} ticker
+ * @param {string[]} names
+ * @returns {Array<Object>} Compiled themes, without duplicates.
+ */
+export function resolveThemes(ticker, names = []) {
+  const symbol = String(ticker || '').toUpperCase();
+  const all = loadTaxonomy();
+  const applicable = all.filter((theme) => !theme.tickers.length || theme.tickers.includes(symbol));
+  const matches = (theme, key) =>
+    lookupKey(theme.id) === key || lookupKey(theme.label) === key || theme.terms.some((term) => lookupKey(term) === key);
+
+  const resolved = new Map();
+  names
+    .map((name) => String(name || '').trim())
+    .filter(Boolean)
+    .forEach((name) => {
+      const key = lookupKey(name);
+      const theme =
+        applicable.find((t) => matches(t, key)) ||
+        all.find((t) => matches(t, key)) ||
+        compileTheme({ id: key || name, label: name, terms: [name], tickers: [], adHoc: true }, { ignoreCase: true });
+      resolved.set(theme.id, theme);
+    });
+  return [...resolved.values()];
+}
+
+// ----------------------------------------------------------------
+// Call corpus
+// ----------------------------------------------------------------
+
+function quarterTopics(entry) {
+  const { qaFile } = transcriptQuarterFiles(entry);
+  const json = qaFile ? readJson(qaFile) : null;
+  if (!json) return [];
+  const topics = [
+    ...readQaSpeakers(json).flatMap((speaker) => speaker.responses.map((r) => r.topic)),
+    ...readAnalystQuestions(json).flatMap((question) => question.topics)
+  ];
+  return [...new Set(topics.map((t) => String(t || '').trim()).filter(Boolean))];
+}
+
+// Every call on file for a ticker as speaker turns, oldest first
+function loadCorpus(ticker) {
+  if (corpusCache.has(ticker)) return corpusCache.get(ticker);
+  const quarters = [];
+  for (const entry of listTranscriptQuarters(transcriptsDir(), ticker)) {
+    try {
+      const { chunks } = chunkTranscriptQuarter(entry);
+      if (!chunks.length) continue;
+      const turns = chunks.map((chunk) => ({
+        text: chunk.text,
+        speaker: chunk.metadata.speaker || null,
+        role: chunk.metadata.role || null
+      }));
+      const sources = new Set(chunks.map((chunk) => chunk.metadata.source_type));
+      quarters.push({
+        // Folder names are authoritative; a few parsed files carry a mislabelled fiscal year
+        fiscalYear: entry.fiscalYear,
+        quarter: entry.quarter,
+        period: periodLabel(entry),
+        words: turns.reduce((sum, turn) => sum + turn.text.split(/\s+/).filter(Boolean).length, 0),
+        source: sources.size > 1 ? 'mixed' : [...sources][0],
+        turns,
+        topics: quarterTopics(entry)
+      });
+    } catch (error) {
+      console.warn(`[themes] Skipping ${ticker} ${periodLabel(entry)}:`, error.message);
+    }
+  }
+  corpusCache.set(ticker, quarters);
+  return quarters;
+}
+
+// ----------------------------------------------------------------
+// Timelines
+// ----------------------------------------------------------------
+
+function countMatches(pattern, text) {
+  pattern.lastIndex = 0;
+  return (String(text || '').match(pattern) || []).length;
+}
+
+function excerptAround(text, pattern) {
+  pattern.lastIndex = 0;
+  const match = pattern.exec(text);
+  if (!match) return null;
+  const start = Math.max(0, match.index - EXCERPT_CHARS / 2);
+  const end = Math.min(text.length, match.index + match[0].length + EXCERPT_CHARS / 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+// 'new' when the theme only appears in the recent window, 'absent' when it never does
+function trendOf(rates) {
+  if (!rates.some((rate) => rate > 0)) return 'absent';
+  const window = Math.min(TREND_WINDOW, Math.floor(rates.length / 2));
+  if (window < 1) return 'steady';
+  const recent = average(rates.slice(-window));
+  const before = average(rates.slice(-2 * window, -window));
+  if (before === 0) return recent > 0 ? 'new' : 'falling';
+  const ratio = recent / before;
+  if (ratio >= RISING_RATIO) return 'rising';
+  if (ratio <= FALLING_RATIO) return 'falling';
+  return 'steady';
+}
+
+function themeTimeline(theme, corpus) {
+  const quarters = corpus.map((q) => {
+    let managementMentions = 0;
+    let analystMentions = 0;
+    q.turns.forEach((turn) => {
+      const n = countMatches(theme.pattern, turn.text);
+      if (turn.role === 'analyst') analystMentions += n;
+      else managementMentions += n;
+    });
+    const mentions = managementMentions + analystMentions;
+    return {
+      period: q.period,
+      fiscalYear: q.fiscalYear,
+      quarter: q.quarter,
+      mentions,
+      perTenThousandWords: q.words ? round((mentions / q.words) * 10000) : 0,
+      managementMentions,
+      analystMentions,
+      topics: q.topics.filter((topic) => countMatches(theme.pattern, topic) > 0).slice(0, MAX_TOPICS_PER_QUARTER)
+    };
+  });
+
+  const firstIndex = quarters.findIndex((q) => q.mentions > 0);
+  let firstMention = null;
+  if (firstIndex >= 0) {
+    const turn = corpus[firstIndex].turns.find((t) => countMatches(theme.pattern, t.text) > 0);
+    firstMention = {
+      period: quarters[firstIndex].period,
+      speaker: turn?.speaker || null,
+      text: turn ? excerptAround(turn.text, theme.pattern) : null,
+      // Mentioned on the earliest call on file, so it may well go back further
+      atCoverageStart: firstIndex === 0
+    };
+  }
+  const peak = quarters.reduce((best, q) => (q.mentions > 0 && (!best || q.perTenThousandWords > best.perTenThousandWords) ? q : best), null);
+  const latest = quarters[quarters.length - 1] || null;
+  const trend = trendOf(quarters.map((q) => q.perTenThousandWords));
+  const totalMentions = quarters.reduce((sum, q) => sum + q.mentions, 0);
+
+  const summary = firstMention
+    ? `${theme.label}: first mentioned ${firstMention.period}${firstMention.atCoverageStart ? ' (earliest call on file)' : ''}; ` +
+      `peak ${peak.period} at ${peak.perTenThousandWords} per 10k words; ` +
+      `latest ${latest.period} at ${latest.perTenThousandWords} per 10k words (${latest.mentions} mentions); ${trend}`
+    : `${theme.label}: not mentioned on any call on file`;
+
+  return {
+    id: theme.id,
+    label: theme.label,
+    terms: theme.terms,
+    adHoc: theme.adHoc,
+    totalMentions,
+    firstMention,
+    peak: peak ? { period: peak.period, perTenThousandWords: peak.perTenThousandWords, mentions: peak.mentions } : null,
+    trend,
+    summary,
+    quarters
+  };
+}
+
+/**
+ * Theme timeline for one ticker across every call on file.
+ * @param {string} ticker
+ * @param {{themes?: string[], limit?: number}} [options] - Themes to track; with none, the
+ *   `limit` most mentioned taxonomy themes for the ticker.
+ * @returns {{ticker: string, periods: string[], calls: Array<Object>, themes: Array<Object>,
+ *   summaries: string[], note?: string, error?: string}}
+ */
+export function getThemeTimeline(ticker, { themes = [], limit = DEFAULT_THEME_LIMIT } = {}) {
+  const symbol = String(ticker || '').toUpperCase();
+  const corpus = loadCorpus(symbol);
+  if (!corpus.length) {
+    return { ticker: symbol, periods: [], calls: [], themes: [], summaries: [], error: `No earnings calls on file for ${symbol}` };
+  }
+
+  let timelines;
+  if (themes.length) {
+    timelines = resolveThemes(symbol, themes.slice(0, MAX_REQUESTED_THEMES)).map((theme) => themeTimeline(theme, corpus));
+  } else {
+    const applicable = loadTaxonomy().filter((theme) => !theme.tickers.length || theme.tickers.includes(symbol));
+    timelines = applicable
+      .map((theme) => themeTimeline(theme, corpus))
+      .filter((timeline) => timeline.totalMentions > 0)
+      .sort((a, b) => b.totalMentions - a.totalMentions)
+      .slice(0, limit);
+  }
+
+  const summarized = corpus.some((q) => q.source !== 'transcript_text');
+  return {
+    ticker: symbol,
+    periods: corpus.map((q) => q.period),
+    calls: corpus.map((q) => ({ period: q.period, words: q.words, source: q.source })),
+    themes: timelines,
+    summaries: timelines.map((t) => t.summary),
+    ...(summarized
+      ? { note: 'Calls with source parsed_qa are counted from Q&A summaries rather than verbatim transcripts; compare per-10k-word rates, not raw mentions, across them.' }
+      : {})
+  };
+}
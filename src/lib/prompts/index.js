@@ -242,7 +242,11 @@ export const TOOL_SYSTEM_PROMPT = `You have access to financial data tools. Foll
 |------------|--------------|----------------|
 | Single metric, single quarter | get_financial_metrics | - |
 | Trend/comparison (multi-quarter) | get_multi_quarter_metrics | compute_growth_rate |
+| Peer comparison (2+ companies) | compare_companies | search_earnings_transcript |
+| Ratios not in filings (R&D intensity, FCF margin, TTM) | get_financial_metrics (derived metrics) | get_multi_quarter_metrics |
 | YoY or QoQ growth | compute_growth_rate | get_multi_quarter_metrics |
+| Beat/miss vs. guidance, guided ranges and revisions | get_guidance_vs_actual | search_earnings_transcript |
+| Theme emphasis over time ("when did they start talking about X?") | get_theme_timeline | search_earnings_transcript |
 | Strategy/guidance/commentary | search_earnings_transcript | - |
 | "What data do you have?" | list_available_data | - |
 
@@ -251,7 +255,7 @@ export const TOOL_SYSTEM_PROMPT = `You have access to financial data tools. Foll
 1. **ALWAYS use tools for numbers**: Never estimate or recall metrics from memory.
 
 2. **Chain tools for complex queries**: 
-   - Growth questions → get_multi_quarter_metrics first, then compute_growth_rate
+   - Growth questions → compute_growth_rate with mode yoy/qoq/cagr and one anchor period (it resolves the prior period itself)
    - Trend analysis → fetch all relevant periods before synthesizing
 
 3. **Handle missing data explicitly**:
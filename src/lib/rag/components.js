@@ -1,11 +1,17 @@
 import { Pinecone } from '@pinecone-database/pinecone';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { anthropicCompletion } from '../../app/lib/llm/anthropicClient.js';
 import { embedText } from '../../app/lib/llm/voyageClient.js';
 import { extractAndParseJSON } from '../../app/utils/jsonParser.js';
 import { SparseVectorizer } from './sparseVectorizer.js';
-import { COMPANY_ALIASES } from '../../config/rag.js';
+import { createReranker } from './rerankers.js';
+import { periodLabel, tokenizeFinancial } from './financialTokenizer.js';
+import { chunkParsedQa, matchSpeakerKeys, readAnalystQuestions, speakerKey } from './transcriptChunker.js';
+import { EMBEDDING_CONFIG } from '../../config/rag.js';
+import { detectTickerInText } from '../data/companies.js';
+import { findExecutive } from '../data/executives.js';
 import {
   INTENT_CLASSIFICATION_PROMPT,
   buildAnalystSystemPrompt,
@@ -78,9 +84,11 @@ export class VoyageEmbedder extends BaseEmbedder {
   /**
    * @param {string} [model='voyage-3.5'] - The Voyage model to use.
    */
-  constructor(model = 'voyage-3.5') {
+  constructor(model = EMBEDDING_CONFIG.model) {
     super();
+    this.name = 'voyage';
     this.model = model;
+    this.dimensions = EMBEDDING_CONFIG.dimensions;
     /** @type {Map<string, number[]>} */
     this.cache = new Map();
   }
@@ -92,8 +100,10 @@ export class VoyageEmbedder extends BaseEmbedder {
    * @returns {Promise<number[]>} The embedding vector.
    */
   async embed(text, inputType = 'query') {
-    if (this.cache.has(text)) {
-      return this.cache.get(text);
+    // Voyage embeds queries and documents differently, so the same text gets one entry per input type
+    const cacheKey = `${this.model}:${inputType}:${text}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
     }
 
     try {
@@ -108,7 +118,7 @@ export class VoyageEmbedder extends BaseEmbedder {
         this.cache.delete(firstKey);
       }
 
-      this.cache.set(text, embedding);
+      this.cache.set(cacheKey, embedding);
       return embedding;
     } catch (error) {
       console.error('Voyage embedding error:', error);
@@ -117,6 +127,126 @@ export class VoyageEmbedder extends BaseEmbedder {
   }
 }
 
+/**
+ * Deterministic, network-free embedder using hashed n-gram features.
+ * Word unigrams, word bigrams and in-word character trigrams are hashed into a
+ * fixed number of signed buckets and L2-normalized. Quality is well below
+ * Voyage, but identical text always yields identical vectors, which makes it
+ * suitable for offline demos and for exercising retrieval end to end.
+ */
+export class LocalHashEmbedder extends BaseEmbedder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.dimensions=1024] - Output dimensionality.
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'local-hash';
+    this.model = 'local-hash-ngram';
+    this.dimensions = options.dimensions ?? EMBEDDING_CONFIG.dimensions;
+    /** @type {Map<string, {index: number, sign: number}>} */
+    this.bucketCache = new Map();
+  }
+
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9%$.]+/g, ' ')
+      .split(/\s+/)
+      .map((token) => token.replace(/^\.+|\.+$/g, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Extracts weighted features; word-level features dominate, char trigrams
+   * add robustness to inflections and typos.
+   * @returns {Map<string, number>} feature -> weight
+   */
+  extractFeatures(text) {
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+    const tokens = this.tokenize(text);
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, 1);
+      if (i > 0) add(`b:${tokens[i - 1]}_${token}`, 0.75);
+      const padded = `#${token}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + 3)}`, 0.25);
+      }
+    });
+    return features;
+  }
+
+  bucketFor(feature) {
+    let bucket = this.bucketCache.get(feature);
+    if (!bucket) {
+      const digest = crypto.createHash('md5').update(feature).digest();
+      bucket = {
+        index: digest.readUInt32BE(0) % this.dimensions,
+        sign: digest[4] & 1 ? 1 : -1
+      };
+      if (this.bucketCache.size > 50000) this.bucketCache.clear();
+      this.bucketCache.set(feature, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * @param {string} text - Text to embed.
+   * @returns {Promise<number[]>} L2-normalized vector (all zeros for empty input).
+   */
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, weight] of this.extractFeatures(text)) {
+      const { index, sign } = this.bucketFor(feature);
+      vector[index] += sign * (1 + Math.log(weight + 1));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+  }
+}
+
+// ----------------------------------------------------------------
+// Embedder registry
+// ----------------------------------------------------------------
+
+/** @type {Map<string, (options: Object) => BaseEmbedder>} */
+const EMBEDDER_FACTORIES = new Map([
+  ['voyage', (options) => new VoyageEmbedder(options.model)],
+  ['local-hash', (options) => new LocalHashEmbedder(options)]
+]);
+
+/**
+ * Registers an embedder factory under a name usable in EMBEDDING_PROVIDER.
+ * @param {string} name
+ * @param {(options: Object) => BaseEmbedder} factory
+ */
+export function registerEmbedder(name, factory) {
+  EMBEDDER_FACTORIES.set(name, factory);
+}
+
+export function listEmbedders() {
+  return [...EMBEDDER_FACTORIES.keys()];
+}
+
+/**
+ * Creates an embedder by registry name. Defaults to EMBEDDING_PROVIDER, then
+ * EMBEDDING_CONFIG.provider. The env var is read at call time so scripts that
+ * load `.env` after their imports still pick it up.
+ * @param {string} [name]
+ * @param {Object} [options] - Passed through to the factory.
+ * @returns {BaseEmbedder}
+ */
+export function createEmbedder(name, options = {}) {
+  const key = name || process.env.EMBEDDING_PROVIDER || EMBEDDING_CONFIG.provider;
+  const factory = EMBEDDER_FACTORIES.get(key);
+  if (!factory) {
+    throw new Error(`Unknown embedder "${key}". Available: ${listEmbedders().join(', ')}`);
+  }
+  return factory(options);
+}
 
 // Voyage voyage-3.5 provides 1024-dimensional embeddings optimized for retrieval.
 
@@ -127,13 +257,13 @@ export class VoyageEmbedder extends BaseEmbedder {
 export class PineconeRetriever extends BaseRetriever {
   /**
    * @param {Object} pineconeIndex - The initialized Pinecone index instance.
-   * @param {BaseEmbedder} embedder - Embedder for query enhancement.
+   * @param {BaseEmbedder} [embedder] - Embedder for query enhancement; defaults to the configured provider.
    * @param {Object} [options]
    */
   constructor(pineconeIndex, embedder, options = {}) {
     super();
     this.index = pineconeIndex;
-    this.embedder = embedder;
+    this.embedder = embedder ?? createEmbedder();
     this.hybridAlpha = options.hybridAlpha ?? 0.85; // Rebalance: prefer dense (85%) over sparse (15%) to prevent sparse overpowering
     this.vectorizer = new SparseVectorizer(options.vectorizer);
     this.supportsSparse =
@@ -142,6 +272,11 @@ export class PineconeRetriever extends BaseRetriever {
         : process.env.PINECONE_SUPPORTS_SPARSE !== 'false';
     this.scoreFloor = options.scoreFloor ?? 0.25;
     this.maxResults = options.maxResults ?? 8;
+    // Instance or registry name ('lexical', 'llm', 'none'); defaults to RERANKER
+    this.reranker =
+      typeof options.reranker === 'object' && options.reranker
+        ? options.reranker
+        : createReranker(options.reranker, options.rerankerOptions);
     // simple in-memory cache for repeated queries
     this.cacheTtlMs = options.cacheTtlMs ?? 3 * 60 * 1000; // 3 minutes
     this.maxCacheEntries = options.maxCacheEntries ?? 200;
@@ -151,11 +286,11 @@ export class PineconeRetriever extends BaseRetriever {
   /**
    * Retrieves relevant vectors from Pinecone.
    * @param {number[]} vector - The query vector.
-   * @param {Object} options - Options including 'topK', 'filters', and raw 'query'.
-   * @returns {Promise<Object>} Pinecone query results with matches.
+   * @param {Object} options - Options including 'topK', 'filters', raw 'query', and 'sparse' (false for dense-only).
+   * @returns {Promise<Object>} Pinecone query results with matches and a per-stage `trace`.
    */
   async retrieve(vector, options = {}) {
-    const { topK = 12, filters = {}, query = '' } = options; 
+    const { topK = 12, filters = {}, query = '', sparse = true } = options; 
     
     // Use the original vector if no query enhancement needed
     let queryVector = vector;
@@ -166,7 +301,7 @@ export class PineconeRetriever extends BaseRetriever {
       queryVector = await this.embedder.embed(enhancedQuery);
     }
     
-    const sparseVector = query ? this.vectorizer.toSparseValues(query) : null;
+    const sparseVector = query && sparse ? this.vectorizer.toQuerySparseValues(query) : null;
 
     const queryParams = {
       vector: queryVector,
@@ -184,7 +319,7 @@ export class PineconeRetriever extends BaseRetriever {
     }
 
     // Cache key
-    const cacheKey = this.buildCacheKey({ query, filters, topK });
+    const cacheKey = this.buildCacheKey({ query, filters, topK, sparse });
     const cached = this.getFromCache(cacheKey);
     if (cached) {
       return cached;
@@ -192,21 +327,13 @@ export class PineconeRetriever extends BaseRetriever {
 
     try {
       const result = await this.index.query(queryParams);
-      
-      // Perform Hybrid Reranking (TF-IDF Boosting)
-      const rankedMatches = this.hybridRerank(result.matches, query);
-      const normalizedMatches = rankedMatches.map((match) => this.normalizeMetadata(match));
-      const filtered = this.filterAndDedupMatches(normalizedMatches);
+      const finalRes = await this.rankMatches(result, query);
       
       console.log('Pinecone query result:', JSON.stringify({
         ...result,
-        matches: filtered.slice(0, 3) // Log top 3
+        matches: finalRes.matches.slice(0, 3) // Log top 3
       }, null, 2));
 
-      const finalRes = {
-        ...result,
-        matches: filtered
-      };
       this.setCache(cacheKey, finalRes);
       return finalRes;
     } catch (error) {
@@ -221,13 +348,7 @@ export class PineconeRetriever extends BaseRetriever {
         this.supportsSparse = false;
         delete queryParams.sparseVector;
         const retryResult = await this.index.query(queryParams);
-        const rankedMatches = this.hybridRerank(retryResult.matches, query);
-        const normalizedMatches = rankedMatches.map((match) => this.normalizeMetadata(match));
-        const filtered = this.filterAndDedupMatches(normalizedMatches);
-        const finalRes = {
-          ...retryResult,
-          matches: filtered
-        };
+        const finalRes = await this.rankMatches(retryResult, query);
         this.setCache(cacheKey, finalRes);
         return finalRes;
       }
@@ -237,9 +358,61 @@ export class PineconeRetriever extends BaseRetriever {
     }
   }
 
-  buildCacheKey({ query, filters, topK }) {
+  /**
+   * Hybrid boost → metadata normalisation → floor/dedup → reranker. Returns
+   * the result with the final matches and a `trace` of each match's score
+   * and rank at every stage, so callers can show what reranking changed.
+   * @param {Object} result - Raw index query result.
+   * @param {string} query
+   * @returns {Promise<Object>}
+   */
+  async rankMatches(result, query) {
+    const retrieved = result.matches || [];
+    const boosted = this.hybridRerank(retrieved, query);
+    const filtered = this.filterAndDedupMatches(boosted.map((match) => this.normalizeMetadata(match)));
+    const reranked = query
+      ? (await this.reranker.rerank(query, filtered)).sort((a, b) => (b.score || 0) - (a.score || 0))
+      : filtered;
+
+    const rankOf = (list) => new Map(list.map((match, i) => [match.id, i + 1]));
+    const ranks = {
+      retrieval: rankOf(retrieved),
+      hybrid: rankOf(boosted),
+      filtered: rankOf(filtered)
+    };
+    const filteredScores = new Map(filtered.map((match) => [match.id, match.score]));
+    const trace = {
+      reranker: query ? this.reranker.name : 'none',
+      query,
+      matches: reranked.map((match, i) => {
+        const md = match.metadata || {};
+        return {
+          id: match.id,
+          label: [md.ticker || md.company, md.fiscalYear, md.quarter, md.type, md.speaker]
+            .filter(Boolean)
+            .join(' '),
+          scores: {
+            retrieval: match.original_score ?? null,
+            hybrid: filteredScores.get(match.id) ?? null,
+            rerank: match.rerank_score ?? null,
+            final: match.score ?? null
+          },
+          ranks: {
+            retrieval: ranks.retrieval.get(match.id) ?? null,
+            hybrid: ranks.hybrid.get(match.id) ?? null,
+            filtered: ranks.filtered.get(match.id) ?? null,
+            reranked: i + 1
+          }
+        };
+      })
+    };
+
+    return { ...result, matches: reranked, trace };
+  }
+
+  buildCacheKey({ query, filters, topK, sparse }) {
     const filterStr = JSON.stringify(filters || {});
-    return `${query}::${filterStr}::${topK}`;
+    return `${query}::${filterStr}::${topK}::${sparse ? 'hybrid' : 'dense'}`;
   }
 
   getFromCache(key) {
@@ -266,18 +439,18 @@ export class PineconeRetriever extends BaseRetriever {
   hybridRerank(matches, query) {
     if (!matches || matches.length === 0) return [];
 
-    const queryTerms = query.toLowerCase().split(/\s+/).filter(t => t.length > 2);
+    const queryTerms = [...new Set(tokenizeFinancial(query))];
     if (queryTerms.length === 0) return matches.slice(0, 12);
 
     const scoredMatches = matches.map(match => {
       const text = (match.metadata?.text || '').toLowerCase();
+      const termCounts = new Map();
+      tokenizeFinancial(text).forEach(token => termCounts.set(token, (termCounts.get(token) || 0) + 1));
       let sparseScore = 0;
 
       // Simple Term Frequency Scoring
       queryTerms.forEach(term => {
-        // Count occurrences
-        const regex = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-        const count = (text.match(regex) || []).length;
+        const count = termCounts.get(term) || 0;
         if (count > 0) {
           sparseScore += (count * 0.1); // Boost per occurrence
           // Bonus for exact phrase matching could be added here
@@ -365,25 +538,34 @@ export class PineconeRetriever extends BaseRetriever {
       'trend': 'trend pattern trajectory direction movement'
     };
 
+    // Decide on the shared tokens of the original query, so "3Q24" and
+    // "third quarter of fiscal 2024" expand the same way
+    const tokens = tokenizeFinancial(query);
+    const tokenSet = new Set(tokens);
+    const periods = [...new Set(tokens.map(periodLabel).filter(Boolean))];
+
     let enhancedQuery = query.toLowerCase();
-    
+
     // Add relevant financial terms based on query content
     for (const [term, synonyms] of Object.entries(financialTerms)) {
-      if (enhancedQuery.includes(term)) {
+      if (term.split(' ').every((word) => tokenSet.has(word))) {
         enhancedQuery += ' ' + synonyms;
       }
     }
 
     // Enhanced timeframe context
-    if (enhancedQuery.includes('past year') || enhancedQuery.includes('last year')) {
+    if (/\b(past|last) year\b/.test(query.toLowerCase())) {
       enhancedQuery += ' fiscal year 2025 2024 quarterly earnings call';
     }
-    if (enhancedQuery.includes('quarter') || enhancedQuery.includes('Q')) {
+    if (periods.length) {
+      enhancedQuery += ` ${periods.join(' ')}`;
+    }
+    if (tokenSet.has('quarter') || periods.some((label) => label.startsWith('Q'))) {
       enhancedQuery += ' quarterly earnings call';
     }
-    
+
     // Add CFO commentary context for financial queries
-    if (enhancedQuery.includes('cash') || enhancedQuery.includes('revenue') || enhancedQuery.includes('financial')) {
+    if (['cash', 'revenue', 'financial'].some((word) => tokenSet.has(word))) {
       enhancedQuery += ' CFO commentary financial metrics';
     }
 
@@ -467,14 +649,20 @@ export class PineconeRetriever extends BaseRetriever {
 export class KeywordTranscriptRetriever {
   constructor(baseDir) {
     this.baseDir = baseDir;
-    this.stopWords = new Set([
-      'the','and','for','with','that','this','from','have','will','into','over',
-      'into','about','their','they','been','were','after','before','year','quarter'
-    ]);
     this.maxResults = 5;
+    this.speakerNamesByTicker = new Map();
   }
 
-  async retrieveByKeywords(ticker, query, intent = {}) {
+  /**
+   * Keyword search over the parsed transcripts. With speaker filters the
+   * parsed Q&A files are split into per-speaker chunks and only the matching
+   * ones are scored; the earnings summaries carry no speaker and are skipped.
+   * @param {string} ticker
+   * @param {string} query
+   * @param {{timeframe?: string}} [intent]
+   * @param {{speakerKeys?: string[], role?: string, section?: string}} [filters]
+   */
+  async retrieveByKeywords(ticker, query, intent = {}, filters = {}) {
     if (!ticker) return [];
 
     const companyDir = path.join(this.baseDir, ticker);
@@ -490,6 +678,40 @@ export class KeywordTranscriptRetriever {
     const candidateFiles = this.collectCandidateFiles(companyDir, ticker, timeframeFilters);
     const scored = [];
 
+    const hasSpeakerFilters = Boolean(filters.speakerKeys?.length || filters.role || filters.section);
+    if (hasSpeakerFilters) {
+      for (const fileInfo of candidateFiles.filter(f => f.type === 'qa')) {
+        const json = this.readJson(fileInfo.fullPath);
+        if (!json) continue;
+        const chunks = chunkParsedQa(json, {
+          ticker,
+          fiscalYear: fileInfo.fiscalYear,
+          quarter: fileInfo.quarter,
+          file: path.relative(process.cwd(), fileInfo.fullPath)
+        });
+        for (const chunk of chunks) {
+          const { metadata } = chunk;
+          if (filters.speakerKeys?.length && !filters.speakerKeys.includes(metadata.speaker_key)) continue;
+          if (filters.role && metadata.role !== filters.role) continue;
+          if (filters.section && metadata.section !== filters.section) continue;
+          scored.push({
+            id: `keyword-${chunk.id}`,
+            score: this.computeKeywordScore(chunk.text, queryTokens),
+            metadata: {
+              ...metadata,
+              type: 'transcript_qa',
+              text: this.buildSnippet(chunk.text, queryTokens),
+              retrieval: 'keyword'
+            }
+          });
+        }
+      }
+
+      return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxResults);
+    }
+
     for (const fileInfo of candidateFiles) {
       const text = this.readFileAsText(fileInfo.fullPath);
       if (!text) continue;
@@ -517,11 +739,7 @@ export class KeywordTranscriptRetriever {
   }
 
   tokenize(text) {
-    if (!text) return [];
-    return text
-      .toLowerCase()
-      .split(/[^a-z0-9%]+/)
-      .filter(token => token.length > 2 && !this.stopWords.has(token));
+    return tokenizeFinancial(text);
   }
 
   extractTimeFilters(timeframe = '') {
@@ -619,6 +837,58 @@ export class KeywordTranscriptRetriever {
     return files;
   }
 
+  /**
+   * Resolves a speaker as users name them ("Jensen", "Lisa Su") to the
+   * `speaker_key` values used in chunk metadata, from the `speakers` keys and
+   * analyst names across every parsed Q&A file for the ticker. Unknown names
+   * fall back to their own surname.
+   * @param {string} ticker
+   * @param {string} speaker
+   * @returns {string[]}
+   */
+  resolveSpeakerKeys(ticker, speaker) {
+    if (!speaker) return [];
+    const keys = matchSpeakerKeys(this.speakerNames(ticker), speaker);
+    return keys.length ? keys : [speakerKey(speaker)].filter(Boolean);
+  }
+
+  speakerNames(ticker) {
+    if (this.speakerNamesByTicker.has(ticker)) return this.speakerNamesByTicker.get(ticker);
+
+    const names = new Set();
+    const companyDir = path.join(this.baseDir, ticker);
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (entry.name.endsWith('_qa.json')) {
+          const json = this.readJson(fullPath);
+          if (!json) continue;
+          Object.keys(json.speakers || {})
+            .filter(key => key !== 'analyst_questions')
+            .forEach(key => names.add(key));
+          readAnalystQuestions(json).forEach(question => names.add(question.analyst));
+        }
+      }
+    };
+    walk(companyDir);
+
+    const list = [...names];
+    this.speakerNamesByTicker.set(ticker, list);
+    return list;
+  }
+
+  readJson(fullPath) {
+    try {
+      return JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+    } catch (error) {
+      console.error('KeywordTranscriptRetriever read error:', error.message);
+      return null;
+    }
+  }
+
   readFileAsText(fullPath) {
     try {
       const raw = fs.readFileSync(fullPath, 'utf-8');
@@ -636,15 +906,15 @@ export class KeywordTranscriptRetriever {
 
   computeKeywordScore(text, tokens) {
     if (!text) return 0;
-    const lower = text.toLowerCase();
+    // Count on tokens rather than raw text so "3Q24" in a query matches "third quarter of fiscal 2024"
+    const counts = new Map();
+    this.tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
     let score = 0;
 
     tokens.forEach(token => {
-      const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const regex = new RegExp(`\\b${escaped}\\b`, 'g');
-      const matches = lower.match(regex);
-      if (matches && matches.length) {
-        score += matches.length * 0.4;
+      const matches = counts.get(token) || 0;
+      if (matches) {
+        score += matches * 0.4;
       }
     });
 
@@ -701,10 +971,9 @@ export class FinancialJSONRetriever {
 
 export class QueryIntentAnalyzer {
   detectTicker(query) {
+    const known = detectTickerInText(query);
+    if (known) return known;
     const lower = query.toLowerCase();
-    for (const [alias, ticker] of Object.entries(COMPANY_ALIASES)) {
-      if (lower.includes(alias)) return ticker;
-    }
     const tickerMatch = lower.match(/\b[A-Z]{2,5}\b/);
     return tickerMatch ? tickerMatch[0].toUpperCase() : null;
   }
@@ -737,7 +1006,10 @@ export class QueryIntentAnalyzer {
   }
 
   heuristicIntent(query) {
-    const ticker = this.detectTicker(query);
+    const named = this.detectTicker(query);
+    // "What did Jensen say about Blackwell?" names the company through its executive
+    const executive = findExecutive(query, { ticker: named });
+    const ticker = named || executive?.ticker || null;
     const timeframe = this.detectTimeframe(query);
     const analysisType = this.detectAnalysisType(query);
     const topics = query.split(/\s+/).slice(0, 8);
@@ -749,6 +1021,7 @@ export class QueryIntentAnalyzer {
         timeframe,
         content_type: 'all',
         company_name: ticker,
+        speaker: executive ? { name: executive.name, key: executive.key, role: executive.role, ticker: executive.ticker } : null,
         explicit_periods: [],
         style: 'neutral',
         raw_query: query,
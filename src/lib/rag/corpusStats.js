@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import { TOKENIZER_VERSION } from './financialTokenizer.js';
+
+/**
+ * Corpus statistics for BM25: document count, average document length and
+ * per-token document frequencies over every indexed transcript chunk.
+ *
+ * Built by `npm run data:bm25` and read by SparseVectorizer, which needs the
+ * average length for document weights and the document frequencies for
+ * query IDF. Tokens come from the shared financial tokenizer, so stats are
+ * stamped with TOKENIZER_VERSION and must be rebuilt when it changes.
+ */
+
+const STATS_VERSION = 1;
+
+/**
+ * Where the stats live. Read lazily so CLI scripts that load `.env` after
+ * their imports still pick up overrides.
+ * @returns {string}
+ */
+export function resolveCorpusStatsPath() {
+  if (process.env.BM25_STATS_PATH) {
+    return path.resolve(process.env.BM25_STATS_PATH);
+  }
+  return path.join(process.cwd(), 'data', 'bm25-stats.json');
+}
+
+/**
+ * Counts document frequencies and lengths.
+ * @param {Iterable<string>} documents - Document texts.
+ * @param {(text: string) => string[]} tokenize - Must match the vectorizer's tokenizer.
+ * @returns {{version: number, tokenizer: number, documentCount: number, averageLength: number, documentFrequencies: Object<string, number>}}
+ */
+export function buildCorpusStats(documents, tokenize) {
+  const documentFrequencies = new Map();
+  let documentCount = 0;
+  let totalLength = 0;
+
+  for (const text of documents) {
+    const tokens = tokenize(text);
+    if (!tokens.length) continue;
+    documentCount += 1;
+    totalLength += tokens.length;
+    for (const token of new Set(tokens)) {
+      documentFrequencies.set(token, (documentFrequencies.get(token) || 0) + 1);
+    }
+  }
+
+  // Sorted so rebuilding an unchanged corpus produces an identical file
+  const sorted = [...documentFrequencies.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return {
+    version: STATS_VERSION,
+    tokenizer: TOKENIZER_VERSION,
+    documentCount,
+    averageLength: documentCount ? totalLength / documentCount : 0,
+    documentFrequencies: Object.fromEntries(sorted)
+  };
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Object|null} Stats, or null when the file has not been built yet.
+ */
+export function loadCorpusStats(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const stats = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (stats.version !== STATS_VERSION) {
+    throw new Error(`Unsupported BM25 stats version ${stats.version} in ${filePath}`);
+  }
+  return stats;
+}
+
+/**
+ * @param {string} filePath
+ * @param {Object} stats - From {@link buildCorpusStats}.
+ */
+export function saveCorpusStats(filePath, stats) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(stats)}\n`);
+}
@@ -0,0 +1,131 @@
+import { tickerForAlias } from '../data/companies.js';
+
+/**
+ * Financial-domain tokenizer shared by every lexical matcher (sparse vectors,
+ * keyword transcript fallback, Pinecone rerank), so a term matches the same
+ * way wherever it is scored.
+ *
+ * Canonical tokens:
+ *   periods   "Q3 FY24", "3Q24", "third quarter of fiscal 2024"  → q3fy2024
+ *             "FY24", "fiscal year 2024"                          → fy2024
+ *             "Q3", "third quarter"                               → q3
+ *   amounts   "$35.1 billion", "35.1B", "$35,100M"                → usd35100m (millions)
+ *             "$4.93"                                             → usd4p93
+ *   percents  "12.5%", "12.5 percent"                             → 12p5percent
+ *   companies alias tokens from the company registry also emit the ticker ("nvidia" → nvidia, nvda)
+ */
+
+/** Bump when tokens change; sparse vectors and BM25 stats must be rebuilt. */
+export const TOKENIZER_VERSION = 2;
+
+// "year" and "quarter" are kept: they carry period meaning in financial text
+export const FINANCIAL_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'will', 'into',
+  'over', 'about', 'their', 'they', 'been', 'were', 'after', 'before', 'are',
+  'was', 'has', 'had', 'its', 'our', 'what', 'how', 'can', 'you', 'your',
+  'which', 'would', 'could', 'should', 'also', 'just', 'more', 'very', 'some',
+  'said', 'says', 'like', 'going', 'think', 'really', 'want', 'see', 'look',
+  'things', 'thing', 'way', 'well', 'actually', 'know', 'get', 'got', 'make'
+]);
+
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+
+const QUARTER = String.raw`(?:q([1-4])|([1-4])q|(first|second|third|fourth|1st|2nd|3rd|4th)[\s-]+quarter)`;
+const FISCAL = String.raw`(?:fiscal(?:\s+year)?|fy)`;
+
+// Quarter then year: "q3 fy24", "3q24", "q3'24", "q3 2024", "third quarter of fiscal 2024"
+const QUARTER_YEAR = new RegExp(
+  String.raw`\b${QUARTER}(?:\s+of)?(?:\s*${FISCAL}\s*'?(\d{4}|\d{2})|\s*'(\d{2})|\s*-?(\d{4})|(\d{2}))\b`,
+  'g'
+);
+// Year then quarter: "fy24 q3", "fiscal 2024 third quarter"
+const YEAR_QUARTER = new RegExp(String.raw`\b${FISCAL}\s*'?(\d{4}|\d{2})\s+${QUARTER}\b`, 'g');
+const YEAR_ONLY = new RegExp(String.raw`\b${FISCAL}\s*'?(\d{4}|\d{2})\b`, 'g');
+const QUARTER_ONLY = new RegExp(String.raw`\b${QUARTER}\b`, 'g');
+
+const NUMBER = String.raw`(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?`;
+const AMOUNT_WITH_UNIT = new RegExp(
+  String.raw`(?:\$\s?)?${NUMBER}(?:\s?(trillion|billion|million|thousand|bn|mm|tn)|([tbmk]))\b`,
+  'g'
+);
+const DOLLARS = new RegExp(String.raw`\$\s?${NUMBER}`, 'g');
+const PERCENT = new RegExp(String.raw`${NUMBER}\s?(?:%|percent\b)`, 'g');
+
+const UNIT_IN_MILLIONS = {
+  trillion: 1e6, tn: 1e6, t: 1e6,
+  billion: 1e3, bn: 1e3, b: 1e3,
+  million: 1, mm: 1, m: 1,
+  thousand: 1e-3, k: 1e-3
+};
+
+function fullYear(year) {
+  return year.length === 2 ? `20${year}` : year;
+}
+
+function quarterNumber(q, qAfter, ordinal) {
+  return q || qAfter || ORDINALS[ordinal];
+}
+
+function parseNumber(whole, fraction) {
+  return Number(`${whole.replace(/,/g, '')}${fraction ? `.${fraction}` : ''}`);
+}
+
+// Decimal points would be split off by the tokenizer, so they become "p"
+function numberToken(value) {
+  return String(Number(value.toFixed(3))).replace('.', 'p');
+}
+
+/**
+ * Rewrites periods, amounts and percentages in lowercase text to canonical
+ * tokens, padded with spaces so they survive splitting.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeFinancialText(text) {
+  if (!text) return '';
+  return String(text)
+    .toLowerCase()
+    .replace(QUARTER_YEAR, (match, q, qAfter, ordinal, fy, apostrophe, long, short) =>
+      ` q${quarterNumber(q, qAfter, ordinal)}fy${fullYear(fy || apostrophe || long || short)} `)
+    .replace(YEAR_QUARTER, (match, fy, q, qAfter, ordinal) =>
+      ` q${quarterNumber(q, qAfter, ordinal)}fy${fullYear(fy)} `)
+    .replace(YEAR_ONLY, (match, fy) => ` fy${fullYear(fy)} `)
+    .replace(QUARTER_ONLY, (match, q, qAfter, ordinal) => ` q${quarterNumber(q, qAfter, ordinal)} `)
+    .replace(AMOUNT_WITH_UNIT, (match, whole, fraction, word, letter) =>
+      ` usd${numberToken(parseNumber(whole, fraction) * UNIT_IN_MILLIONS[word || letter])}m `)
+    .replace(DOLLARS, (match, whole, fraction) => ` usd${numberToken(parseNumber(whole, fraction))} `)
+    .replace(PERCENT, (match, whole, fraction) => ` ${numberToken(parseNumber(whole, fraction))}percent `);
+}
+
+/**
+ * Splits text into canonical financial tokens.
+ * @param {string} text
+ * @param {{maxTokens?: number, stopWords?: Set<string>}} [options]
+ * @returns {string[]}
+ */
+export function tokenizeFinancial(text, options = {}) {
+  const { maxTokens = Infinity, stopWords = FINANCIAL_STOP_WORDS } = options;
+  if (!text) return [];
+
+  const tokens = [];
+  for (const token of normalizeFinancialText(text).split(/[^a-z0-9]+/)) {
+    if (token.length <= 1 || stopWords.has(token)) continue;
+    tokens.push(token);
+    const ticker = tickerForAlias(token)?.toLowerCase();
+    if (ticker && ticker !== token) tokens.push(ticker);
+    if (tokens.length >= maxTokens) break;
+  }
+  return tokens.slice(0, maxTokens);
+}
+
+/**
+ * Human-readable form of a canonical period token, for query text sent to
+ * the dense embedder ("q3fy2024" → "Q3 FY2024").
+ * @param {string} token
+ * @returns {string|null}
+ */
+export function periodLabel(token) {
+  const match = /^(?:q([1-4]))?(?:fy(\d{4}))?$/.exec(token);
+  if (!match || (!match[1] && !match[2])) return null;
+  return [match[1] && `Q${match[1]}`, match[2] && `FY${match[2]}`].filter(Boolean).join(' ');
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Ingestion manifest: what is already in each vector index, per source file.
+ *
+ * Lets the transcript indexer embed only new or changed files and delete the
+ * vectors of chunks that no longer exist. Layout:
+ *
+ *   {
+ *     version: 1,
+ *     targets: {
+ *       'pinecone:clarity-1024': {
+ *         files: {
+ *           'data/transcripts/NVDA/FY_2025/Q3/NVDA-FY2025-Q3-transcript.txt': {
+ *             ticker, fiscalYear, quarter, hash, chunkIds, embedder, target, indexedAt
+ *           }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * `embedder` is `{name, model, dimensions, chunker, sparse}`; a change to any
+ * of them re-embeds the file even if its content hash is unchanged.
+ */
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Where the manifest lives. Read lazily so CLI scripts that load `.env`
+ * after their imports still pick up overrides.
+ * @returns {string}
+ */
+export function resolveManifestPath() {
+  if (process.env.INGESTION_MANIFEST_PATH) {
+    return path.resolve(process.env.INGESTION_MANIFEST_PATH);
+  }
+  return path.join(process.cwd(), 'data', 'ingestion-manifest.json');
+}
+
+/**
+ * @param {string|Buffer} content
+ * @returns {string} sha256 hex digest
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Loads the manifest, or an empty one when the file does not exist yet.
+ * @param {string} filePath
+ * @returns {{version: number, targets: Object}}
+ */
+export function loadManifest(filePath) {
+  if (!fs.existsSync(filePath)) return { version: MANIFEST_VERSION, targets: {} };
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported ingestion manifest version ${manifest.version} in ${filePath}`);
+  }
+  return { version: MANIFEST_VERSION, targets: manifest.targets || {} };
+}
+
+/**
+ * Writes the manifest via a temp file so an interrupted run never leaves it
+ * half-written.
+ * @param {string} filePath
+ * @param {{version: number, targets: Object}} manifest
+ */
+export function saveManifest(filePath, manifest) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * The per-target file map, created on first use.
+ * @param {{targets: Object}} manifest
+ * @param {string} target - e.g. `pinecone:clarity-1024` or `local:data/vector-store/clarity-1024.json`
+ * @returns {Object<string, Object>}
+ */
+export function targetFiles(manifest, target) {
+  if (!manifest.targets[target]) manifest.targets[target] = { files: {} };
+  return manifest.targets[target].files;
+}
+
+function sameEmbedder(a, b) {
+  return Boolean(a && b)
+    && a.name === b.name
+    && a.model === b.model
+    && a.dimensions === b.dimensions
+    && a.chunker === b.chunker
+    && a.sparse === b.sparse;
+}
+
+/**
+ * Decides whether a quarter needs re-indexing. A quarter is the unit because
+ * its files are chunked together (answers are linked to the parsed Q&A).
+ * @param {Object<string, Object>} files - Target file map from {@link targetFiles}.
+ * @param {{ticker: string, fiscalYear: string, quarter: string}} quarter
+ * @param {Array<{path: string, hash: string}>} inputs - Files the quarter is chunked from.
+ * @param {Object} embedder - `{name, model, dimensions, chunker, sparse}` of this run.
+ * @returns {{status: 'new'|'changed'|'unchanged', reason: string|null, previous: string[]}}
+ *   `previous` lists the manifest paths recorded for the quarter.
+ */
+export function diffQuarter(files, quarter, inputs, embedder) {
+  const previous = Object.keys(files).filter((filePath) => {
+    const entry = files[filePath];
+    return entry.ticker === quarter.ticker
+      && entry.fiscalYear === quarter.fiscalYear
+      && entry.quarter === quarter.quarter;
+  });
+  if (!previous.length) return { status: 'new', reason: null, previous };
+
+  const inputPaths = new Set(inputs.map((input) => input.path));
+  let reason = null;
+  if (previous.some((filePath) => !inputPaths.has(filePath))) reason = 'file removed';
+  else if (inputs.some((input) => !files[input.path])) reason = 'file added';
+  else if (inputs.some((input) => files[input.path].hash !== input.hash)) reason = 'content changed';
+  else if (inputs.some((input) => !sameEmbedder(files[input.path].embedder, embedder))) reason = 'embedder changed';
+
+  return { status: reason ? 'changed' : 'unchanged', reason, previous };
+}
+
+/**
+ * Replaces a quarter's manifest entries after a successful upsert. Each chunk
+ * is attributed to the file it was cut from; inputs that only informed
+ * chunking (a parsed Q&A next to a verbatim transcript) get an empty list.
+ * @param {Object<string, Object>} files
+ * @param {{ticker: string, fiscalYear: string, quarter: string}} quarter
+ * @param {string[]} previous - Paths returned by {@link diffQuarter}.
+ * @param {Array<{path: string, hash: string}>} inputs
+ * @param {Array<{id: string, metadata: {source_file: string}}>} chunks
+ * @param {{embedder: Object, target: string}} run
+ */
+export function recordQuarter(files, quarter, previous, inputs, chunks, { embedder, target }) {
+  previous.forEach((filePath) => delete files[filePath]);
+  const indexedAt = new Date().toISOString();
+  for (const input of inputs) {
+    files[input.path] = {
+      ticker: quarter.ticker,
+      fiscalYear: quarter.fiscalYear,
+      quarter: quarter.quarter,
+      hash: input.hash,
+      chunkIds: chunks.filter((chunk) => chunk.metadata.source_file === input.path).map((chunk) => chunk.id),
+      embedder,
+      target,
+      indexedAt
+    };
+  }
+}
+
+/**
+ * Chunk ids recorded for the given manifest paths.
+ * @param {Object<string, Object>} files
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+export function recordedChunkIds(files, paths) {
+  return [...new Set(paths.flatMap((filePath) => files[filePath]?.chunkIds || []))];
+}
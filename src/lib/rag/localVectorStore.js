@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import { BaseRetriever } from './components.js';
+import { SparseVectorizer } from './sparseVectorizer.js';
+
+const STORE_VERSION = 1;
+
+/**
+ * Resolves where the local store lives. Read lazily so CLI scripts that load
+ * `.env` after their imports still pick up overrides.
+ * @returns {string}
+ */
+export function resolveLocalStorePath() {
+  if (process.env.LOCAL_VECTOR_STORE_PATH) {
+    return path.resolve(process.env.LOCAL_VECTOR_STORE_PATH);
+  }
+  const indexName = process.env.PINECONE_INDEX || 'clarity-1024';
+  return path.join(process.cwd(), 'data', 'vector-store', `${indexName}.json`);
+}
+
+// ----------------------------------------------------------------
+// Metadata filtering (Pinecone filter grammar subset)
+// ----------------------------------------------------------------
+
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$eq':
+        return value === operand;
+      case '$ne':
+        return value !== operand;
+      case '$in':
+        return Array.isArray(operand) && operand.includes(value);
+      case '$nin':
+        return Array.isArray(operand) && !operand.includes(value);
+      default:
+        throw new Error(`Unsupported filter operator: ${op}`);
+    }
+  });
+}
+
+/**
+ * Evaluates a Pinecone-style metadata filter against a record's metadata.
+ * Supports `$and`, `$or`, bare equality and `$eq`/`$ne`/`$in`/`$nin` per field.
+ * @param {Object} metadata - Record metadata.
+ * @param {Object} [filter] - Filter expression.
+ * @returns {boolean}
+ */
+export function matchesFilter(metadata = {}, filter) {
+  if (!filter || Object.keys(filter).length === 0) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return (condition || []).every((clause) => matchesFilter(metadata, clause));
+    }
+    if (key === '$or') {
+      return (condition || []).some((clause) => matchesFilter(metadata, clause));
+    }
+    return matchesCondition(metadata[key], condition);
+  });
+}
+
+// ----------------------------------------------------------------
+// Scoring helpers
+// ----------------------------------------------------------------
+
+function cosineSimilarity(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Query IDF weights · document BM25 weights, i.e. the BM25 score (see SparseVectorizer)
+function sparseDot(query, lookup) {
+  let dot = 0;
+  query.indices.forEach((idx, i) => {
+    const weight = lookup.get(idx);
+    if (weight !== undefined) dot += weight * query.values[i];
+  });
+  return dot;
+}
+
+// Kept off the records themselves so they serialize unchanged
+const sparseLookups = new WeakMap();
+
+function sparseLookup(record) {
+  let lookup = sparseLookups.get(record);
+  if (!lookup) {
+    lookup = new Map();
+    record.sparseValues.indices.forEach((idx, i) => lookup.set(idx, record.sparseValues.values[i]));
+    sparseLookups.set(record, lookup);
+  }
+  return lookup;
+}
+
+// ----------------------------------------------------------------
+// Store
+// ----------------------------------------------------------------
+
+/**
+ * File-backed vector store for running retrieval without Pinecone.
+ *
+ * Persists dense vectors, sparse vectors and metadata to a single JSON file.
+ * Exposes the subset of the Pinecone index API used in this repo (`query`,
+ * `upsert`, `fetch`, `deleteMany`, `describeIndexStats`) so it can be handed to
+ * `PineconeRetriever` or `retriever.search`, and also implements the
+ * `BaseRetriever` contract directly.
+ */
+export class LocalVectorStore extends BaseRetriever {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file the store is persisted to.
+   * @param {number} [options.alpha=0.85] - Dense weight when both sides carry sparse vectors.
+   * @param {boolean} [options.autoPersist=true] - Write to disk after every mutation.
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.filePath) {
+      throw new Error('LocalVectorStore requires a filePath');
+    }
+    this.filePath = options.filePath;
+    this.alpha = options.alpha ?? 0.85;
+    this.autoPersist = options.autoPersist ?? true;
+    this.vectorizer = new SparseVectorizer(options.vectorizer);
+    /** @type {Map<string, {id: string, values: number[], sparseValues?: Object, metadata: Object}>} */
+    this.records = new Map();
+    this.dimension = null;
+    this.loaded = false;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(raw);
+      this.dimension = parsed.dimension ?? null;
+      (parsed.records || []).forEach((record) => this.records.set(record.id, record));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[LocalVectorStore] Failed to load ${this.filePath}:`, error.message);
+        throw error;
+      }
+    }
+    this.loaded = true;
+  }
+
+  async save() {
+    // A store nothing has touched yet is still on disk; saving it unloaded would empty the file
+    await this.load();
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const payload = {
+      version: STORE_VERSION,
+      dimension: this.dimension,
+      updatedAt: new Date().toISOString(),
+      records: [...this.records.values()]
+    };
+    // Write to a temp file first so an interrupted run never leaves a truncated store
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(payload));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Inserts or replaces records.
+   * @param {Array<{id: string, values: number[], sparseValues?: Object, metadata?: Object}>} records
+   */
+  async upsert(records = []) {
+    await this.load();
+    for (const record of records) {
+      if (!record?.id || !Array.isArray(record.values)) {
+        throw new Error('LocalVectorStore.upsert requires records with id and values');
+      }
+      if (this.dimension === null) {
+        this.dimension = record.values.length;
+      } else if (record.values.length !== this.dimension) {
+        throw new Error(
+          `Vector dimension ${record.values.length} does not match store dimension ${this.dimension}`
+        );
+      }
+      this.records.set(record.id, {
+        id: record.id,
+        values: record.values,
+        ...(record.sparseValues ? { sparseValues: record.sparseValues } : {}),
+        metadata: record.metadata || {}
+      });
+    }
+    if (this.autoPersist) await this.save();
+  }
+
+  /**
+   * Queries the store with Pinecone request/response shapes.
+   * @param {{vector: number[], sparseVector?: Object, topK?: number, filter?: Object, includeMetadata?: boolean, includeValues?: boolean}} params
+   * @returns {Promise<{matches: Array<Object>, namespace: string}>}
+   */
+  async query({ vector, sparseVector, topK = 10, filter, includeMetadata = false, includeValues = false } = {}) {
+    await this.load();
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error('LocalVectorStore.query requires a dense vector');
+    }
+
+    const scored = [];
+    let maxSparse = 0;
+    for (const record of this.records.values()) {
+      if (!matchesFilter(record.metadata, filter)) continue;
+      const sparseScore = sparseVector?.indices?.length && record.sparseValues
+        ? sparseDot(sparseVector, sparseLookup(record))
+        : null;
+      if (sparseScore !== null) maxSparse = Math.max(maxSparse, sparseScore);
+      scored.push({ record, denseScore: cosineSimilarity(vector, record.values), sparseScore });
+    }
+
+    // BM25 scores are unbounded, so scale them by the best candidate before blending with cosine
+    const matches = scored.map(({ record, denseScore, sparseScore }) => ({
+      id: record.id,
+      score: sparseScore !== null
+        ? this.alpha * denseScore + (1 - this.alpha) * (maxSparse > 0 ? sparseScore / maxSparse : 0)
+        : denseScore,
+      ...(includeValues ? { values: record.values } : {}),
+      ...(includeMetadata ? { metadata: { ...record.metadata } } : {})
+    }));
+
+    matches.sort((a, b) => b.score - a.score);
+    return { matches: matches.slice(0, topK), namespace: '' };
+  }
+
+  /**
+   * Retrieves matches for a query vector (BaseRetriever contract).
+   * @param {number[]} vector - The query vector.
+   * @param {Object} options - Options including 'topK', 'filters', and raw 'query'.
+   */
+  async retrieve(vector, options = {}) {
+    const { topK = 12, filters = {}, query = '' } = options;
+    const sparseVector = query ? this.vectorizer.toQuerySparseValues(query) : null;
+    return this.query({
+      vector,
+      sparseVector,
+      topK,
+      filter: filters,
+      includeMetadata: true
+    });
+  }
+
+  async fetch(ids = []) {
+    await this.load();
+    const records = {};
+    ids.forEach((id) => {
+      if (this.records.has(id)) records[id] = this.records.get(id);
+    });
+    return { records, namespace: '' };
+  }
+
+  /**
+   * Deletes records by id list or by metadata filter, mirroring Pinecone's `deleteMany`.
+   * @param {string[]|Object} idsOrFilter
+   */
+  async deleteMany(idsOrFilter) {
+    await this.load();
+    if (Array.isArray(idsOrFilter)) {
+      idsOrFilter.forEach((id) => this.records.delete(id));
+    } else if (idsOrFilter && Object.keys(idsOrFilter).length) {
+      for (const [id, record] of this.records) {
+        if (matchesFilter(record.metadata, idsOrFilter)) this.records.delete(id);
+      }
+    }
+    if (this.autoPersist) await this.save();
+  }
+
+  async describeIndexStats() {
+    await this.load();
+    return {
+      dimension: this.dimension,
+      totalRecordCount: this.records.size,
+      namespaces: { '': { recordCount: this.records.size } }
+    };
+  }
+}
@@ -1,5 +1,11 @@
-import { COMPANY_ALIASES } from '../../config/rag.js';
+import { tickerForAlias } from '../data/companies.js';
 import { financials } from '../data/financials.js';
+import { compareGuidance } from '../data/guidance.js';
+import { fiscalCalendar } from '../data/fiscalCalendar.js';
+import { generateQueryVariations, multiQueryRetrieve } from './strategies/multiQuery.js';
+
+// Retrieval strategies (ids from strategies/config.js) the pipeline implements
+export const PIPELINE_STRATEGIES = ['dense-only', 'hybrid-bm25', 'multi-query'];
 
 /**
  * Base RAG Pipeline orchestrator.
@@ -27,14 +33,14 @@ export class RAGPipeline {
       const primaryCompany = companyName[0];
       if (primaryCompany) {
         const lower = primaryCompany.toLowerCase();
-        return COMPANY_ALIASES[lower] || primaryCompany.toUpperCase();
+        return tickerForAlias(lower) || primaryCompany.toUpperCase();
       }
       return 'NVDA';
     }
     
     // Handle single company
     const lower = companyName.toLowerCase();
-    return COMPANY_ALIASES[lower] || companyName.toUpperCase();
+    return tickerForAlias(lower) || companyName.toUpperCase();
   }
 
   extractQuartersAndYears(timeframeString) {
@@ -81,7 +87,62 @@ export class RAGPipeline {
       .filter(Boolean);
   }
 
-  buildFilters(intent, ticker) {
+  /**
+   * Resolves the calendar quarter a cross-company query is about, so each
+   * ticker can be mapped to its own fiscal quarter. Explicit calendar wording
+   * ("calendar Q3 2024", "CQ3 2024") is taken as-is; a fiscal period is read
+   * against the first ticker's calendar; otherwise the latest quarter every
+   * ticker has reported is used.
+   * @returns {Object|null} { calendarYear, calendarQuarter, calendarLabel, basis, referenceTicker, periods }
+   */
+  alignComparisonPeriods(intent, tickers) {
+    if (!tickers.length) return null;
+    const text = `${intent.timeframe || ''} ${intent.raw_query || ''}`;
+
+    let target = fiscalCalendar.parseCalendarPeriod(text);
+    let basis = 'calendar';
+    let referenceTicker = null;
+
+    if (!target) {
+      let fiscalPeriods = this.extractPeriodsFromIntent(intent)
+        .filter((period) => period.quarter && period.fiscalYear)
+        .map((period) => ({ quarter: period.quarter.replace('Q', ''), fiscalYear: period.fiscalYear }));
+      if (!fiscalPeriods.length) {
+        fiscalPeriods = this.extractQuartersAndYears(text.toLowerCase());
+      }
+      if (fiscalPeriods.length) {
+        referenceTicker = tickers[0];
+        target = fiscalCalendar.toCalendar(referenceTicker, fiscalPeriods[0].fiscalYear, fiscalPeriods[0].quarter);
+        basis = 'fiscal';
+      }
+    }
+
+    if (!target) {
+      target = fiscalCalendar.latestCommonCalendarQuarter(tickers);
+      basis = 'latest_common';
+    }
+    if (!target) return null;
+
+    const periods = fiscalCalendar.alignTickers(tickers, target);
+    return {
+      calendarYear: target.calendarYear,
+      calendarQuarter: target.calendarQuarter,
+      calendarLabel: `${target.calendarQuarter} CY${target.calendarYear}`,
+      basis,
+      referenceTicker,
+      periods
+    };
+  }
+
+  /**
+   * Builds a Pinecone metadata filter for one ticker.
+   * @param {Object} intent
+   * @param {string} ticker
+   * @param {Object} [options]
+   * @param {{calendarYear: string, calendarQuarter: string}} [options.calendarPeriod] -
+   *   Pin the filter to the ticker's fiscal quarter covering this calendar quarter.
+   */
+  buildFilters(intent, ticker, options = {}) {
     let baseFilter = { company: ticker };
 
     if (intent.content_type && intent.content_type !== 'all') {
@@ -94,6 +155,23 @@ export class RAGPipeline {
 
     const timeframe = (intent.timeframe || '').toLowerCase();
     const fallbackText = (intent.raw_query || '').toLowerCase();
+
+    // Calendar-based periods map to a different fiscal quarter per company
+    const calendarPeriod =
+      options.calendarPeriod ||
+      fiscalCalendar.parseCalendarPeriod(timeframe) ||
+      fiscalCalendar.parseCalendarPeriod(fallbackText);
+    if (calendarPeriod) {
+      const fiscal = fiscalCalendar.toFiscal(ticker, calendarPeriod.calendarYear, calendarPeriod.calendarQuarter);
+      if (fiscal) {
+        return {
+          ...baseFilter,
+          fiscal_year: fiscal.fiscalYear,
+          quarter: fiscal.quarter
+        };
+      }
+    }
+
     const llmPeriods = this.extractPeriodsFromIntent(intent);
 
     let quartersAndYears = llmPeriods
@@ -195,9 +273,47 @@ export class RAGPipeline {
 }
 
 export class ExtendedRAGPipeline extends RAGPipeline {
-  constructor(embedder, retriever, analyzer, intentAnalyzer, keywordRetriever) {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.strategy='hybrid-bm25'] - One of PIPELINE_STRATEGIES.
+   */
+  constructor(embedder, retriever, analyzer, intentAnalyzer, keywordRetriever, options = {}) {
     super(embedder, retriever, analyzer, intentAnalyzer);
     this.keywordRetriever = keywordRetriever;
+    this.strategy = options.strategy || 'hybrid-bm25';
+    if (!PIPELINE_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unsupported pipeline strategy "${this.strategy}". Available: ${PIPELINE_STRATEGIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Transcript retrieval under the configured strategy. Multi-query fuses the
+   * query and its variants with RRF and logs each variant's hits to `variantLog`.
+   * @param {number[]} vector
+   * @param {{filters: Object, query: string}} params
+   * @param {{variations: string[], stage: string, recordTrace: Function, variantLog: Array}} run
+   * @returns {Promise<Array<Object>>} Matches, best first.
+   */
+  async retrieveTranscripts(vector, { filters, query }, { variations, stage, recordTrace, variantLog }) {
+    const sparse = this.strategy !== 'dense-only';
+    if (this.strategy !== 'multi-query' || !variations.length) {
+      const res = await this.retriever.retrieve(vector, { filters, query, sparse });
+      recordTrace(stage, res);
+      return res.matches || [];
+    }
+
+    // The retriever embeds each query text itself, so the shared vector is only a fallback
+    const fused = await multiQueryRetrieve(
+      [query, ...variations],
+      async (variant, i) => {
+        const res = await this.retriever.retrieve(vector, { filters, query: variant });
+        recordTrace(i === 0 ? stage : `${stage}:variant-${i}`, res);
+        return res.matches || [];
+      },
+      { topK: 12 }
+    );
+    variantLog.push({ stage, variants: fused.variants, fused: fused.matches.map((m) => m.id) });
+    return fused.matches;
   }
 
   isSegmentQuery(query, intent) {
@@ -249,6 +365,7 @@ export class ExtendedRAGPipeline extends RAGPipeline {
     
     // For comparison queries, we'll use a broader search without company filters
     const useCompanyFilter = !isComparisonQuery;
+    const speakerKey = useCompanyFilter && intent.speaker?.ticker === primaryTicker ? intent.speaker.key : null;
 
     // 3) Generate embedding
     const embeddingStart = Date.now();
@@ -258,6 +375,14 @@ export class ExtendedRAGPipeline extends RAGPipeline {
     // 4) Build filters
     const filters = useCompanyFilter ? this.buildFilters(intent, primaryTicker) : {};
 
+    // Multi-query: one set of variants per question, reused by every transcript retrieval
+    let variations = [];
+    if (this.strategy === 'multi-query') {
+      const variationsStart = Date.now();
+      variations = await generateQueryVariations(query);
+      metrics.timings.variationsMs = Date.now() - variationsStart;
+    }
+
     // Strategy/segment/guidance flags
     const isStrategy =
       ['strategic', 'technology', 'market'].includes(intent.analysis_type) ||
@@ -268,17 +393,31 @@ export class ExtendedRAGPipeline extends RAGPipeline {
     const isSegment = this.isSegmentQuery(query, intent);
     const isGuidance = this.isGuidanceQuery(query, intent);
 
+    // Cross-company comparisons line up on calendar quarter, not fiscal label
+    const comparisonTickers = isComparisonQuery ? intent.company_name.map((c) => this.detectCompany(c)) : [];
+    const periodAlignment = isComparisonQuery ? this.alignComparisonPeriods(intent, comparisonTickers) : null;
+    // Only narrow retrieval when the user named a period; the latest-common default is for the numbers
+    const alignedCalendarPeriod =
+      periodAlignment && periodAlignment.basis !== 'latest_common' ? periodAlignment : undefined;
+
     // 5) Retrieve transcripts (with comparison handling)
     const pineconeStart = Date.now();
     let transcripts = [];
+    // Per-stage scores from each retriever call, for metrics.retrievalTrace.rerank
+    const rerankTraces = [];
+    const recordTrace = (stage, res) => {
+      if (res?.trace) rerankTraces.push({ stage, ...res.trace });
+    };
+    const variantLog = [];
+    const retrieveRun = (stage) => ({ variations, stage, recordTrace, variantLog });
     if (isComparisonQuery && Array.isArray(intent.company_name)) {
       // fetch per-ticker in parallel to keep balanced evidence
-      const tickerList = intent.company_name.map((c) => this.detectCompany(c));
+      const tickerList = comparisonTickers;
       const perTickerResults = await Promise.all(
         tickerList.map(async (tk) => {
-          const f = this.buildFilters(intent, tk);
-          const res = await this.retriever.retrieve(vector, { filters: f, query });
-          return (res.matches || []).map((m) => ({
+          const f = this.buildFilters(intent, tk, { calendarPeriod: alignedCalendarPeriod });
+          const matches = await this.retrieveTranscripts(vector, { filters: f, query }, retrieveRun(`comparison:${tk}`));
+          return matches.map((m) => ({
             ...m,
             metadata: { ...m.metadata, comparison_ticker: tk },
           }));
@@ -291,8 +430,18 @@ export class ExtendedRAGPipeline extends RAGPipeline {
         .slice(0, 12);
       metrics.timings.pineconeMs = Date.now() - pineconeStart;
     } else {
-      const pineconeRes = await this.retriever.retrieve(vector, { filters, query });
-      transcripts = pineconeRes.matches || [];
+      // "What did Jensen say..." narrows to that speaker first; chunks indexed before
+      // speaker-aware chunking carry no speaker_key, so an empty result retries for everyone
+      if (speakerKey) {
+        transcripts = await this.retrieveTranscripts(
+          vector,
+          { filters: { ...filters, speaker_key: speakerKey }, query },
+          retrieveRun('primary:speaker')
+        );
+      }
+      if (!transcripts.length) {
+        transcripts = await this.retrieveTranscripts(vector, { filters, query }, retrieveRun('primary'));
+      }
       metrics.timings.pineconeMs = Date.now() - pineconeStart;
       console.log('Transcript matches:', transcripts.length);
     }
@@ -457,6 +606,7 @@ export class ExtendedRAGPipeline extends RAGPipeline {
       console.log('Strategy fallback: retrying prepared remarks/press releases');
       const retryFilters = useCompanyFilter ? { ...filters, file_type: 'earnings' } : { file_type: 'earnings' };
       const retryRes = await this.retriever.retrieve(vector, { filters: retryFilters, query: `${query} strategy prepared remarks` });
+      recordTrace('strategy-retry', retryRes);
       const retryMatches = retryRes.matches || [];
       transcripts = [...retryMatches, ...transcripts]
         .sort((a, b) => (b.score || 0) - (a.score || 0))
@@ -483,29 +633,75 @@ export class ExtendedRAGPipeline extends RAGPipeline {
       } else if (transcripts.length === 0) {
         // Rescue: trigger an extra transcript retrieval if none exist
         const rescueRes = await this.retriever.retrieve(vector, { filters, query: `${query} segment performance earnings transcript` });
+        recordTrace('segment-rescue', rescueRes);
         transcripts = [...(rescueRes.matches || []), ...transcripts]
           .sort((a, b) => (b.score || 0) - (a.score || 0))
           .slice(0, 12);
       }
     }
 
+    // Guidance override: put the guided ranges and the reported results side by side, so the
+    // answer scores beat/miss from numbers rather than from transcript prose
+    if (isGuidance && !isComparisonQuery && primaryTicker) {
+      const period = this.extractPeriodsFromIntent(intent)[0] || {};
+      const guidance = await compareGuidance(primaryTicker, { fiscalYear: period.fiscalYear, quarter: period.quarter });
+      if (guidance.comparisons?.length) {
+        const [qtr, fyLabel] = guidance.period.includes(' ') ? guidance.period.split(' ') : [null, guidance.period];
+        finMatches.unshift({
+          metadata: {
+            company: primaryTicker,
+            fiscalYear: fyLabel.replace('FY', ''),
+            quarter: qtr,
+            type: 'guidance_vs_actual',
+            text: JSON.stringify(
+              {
+                period: guidance.period,
+                summaries: guidance.summaries,
+                comparisons: guidance.comparisons.map((c) => ({
+                  metric: c.metric,
+                  basis: c.basis,
+                  segment: c.segment,
+                  guidance: { low: c.guidance.low, high: c.guidance.high, unit: c.guidance.unit, issued: c.guidance.issued },
+                  actual: c.actual?.value ?? null,
+                  status: c.status,
+                  ...(c.outcome ? { outcome: c.outcome, difference: c.difference } : { reason: c.reason }),
+                  source: c.guidance.source.text
+                }))
+              },
+              null,
+              2
+            )
+          },
+          score: 1
+        });
+      }
+    }
+
     // Comparison queries: ensure consolidated + segment for each ticker — fetched in parallel
     if (isComparisonQuery && Array.isArray(intent.company_name)) {
-      const tickerList = intent.company_name.map((c) => this.detectCompany(c));
-      const fy = intent.explicit_periods?.[0]?.fiscal_year || '2024';
-      const qtr = intent.explicit_periods?.[0]?.quarter || 'Q3';
+      const tickerList = comparisonTickers;
+      // Each ticker's own fiscal quarter for the aligned calendar quarter; most recent if unresolved
+      const tickerPeriods = tickerList.map((tk) => {
+        const aligned = periodAlignment?.periods.find((p) => p.ticker === tk);
+        return aligned
+          ? { fiscalYear: aligned.fiscalYear, quarter: aligned.quarter }
+          : financials.getMostRecentQuarter(tk) || { fiscalYear: '2024', quarter: 'Q3' };
+      });
       const comparisonDataList = await Promise.all(
-        tickerList.map((tk) => financials.getQuarter(tk, fy, qtr))
+        tickerList.map((tk, i) => financials.getQuarter(tk, tickerPeriods[i].fiscalYear, tickerPeriods[i].quarter))
       );
       for (let i = 0; i < tickerList.length; i++) {
         const tk = tickerList[i];
+        const { fiscalYear: fy, quarter: qtr } = tickerPeriods[i];
         const data = comparisonDataList[i];
+        const calendarLabel = data?.calendarPeriod?.label || null;
         if (data) {
           finMatches.unshift({
             metadata: {
               company: tk,
               fiscalYear: fy,
               quarter: qtr,
+              calendarPeriod: calendarLabel,
               type: 'financial_data_comparison',
               text: JSON.stringify(data, null, 2)
             },
@@ -518,6 +714,7 @@ export class ExtendedRAGPipeline extends RAGPipeline {
               company: tk,
               fiscalYear: fy,
               quarter: qtr,
+              calendarPeriod: calendarLabel,
               type: 'financial_data_segment',
               text: JSON.stringify({ revenueSegments: data.revenueSegments }, null, 2)
             },
@@ -549,14 +746,33 @@ export class ExtendedRAGPipeline extends RAGPipeline {
       financialMatches: finMatches.length,
       keywordMatches: keywordMatches.length,
       combinedContext: combined.length,
-      filtersApplied: filters
+      filtersApplied: filters,
+      speakerFilter: speakerKey
     };
     metrics.retrievalTrace = {
       financialSegments: finMatches.filter((m) => (m.metadata?.type || '').includes('segment')).map((m) => m.metadata?.source || m.metadata?.type),
       financial: finMatches.length,
       transcripts: transcripts.map((m) => m.id || m.metadata?.source_file || m.metadata?.source),
       keyword: keywordMatches.map((m) => m.id || m.metadata?.source),
+      rerank: rerankTraces,
     };
+    metrics.strategy = this.strategy;
+    metrics.multiQuery =
+      this.strategy === 'multi-query'
+        ? { variations, stages: variantLog }
+        : null;
+    metrics.periodAlignment = periodAlignment
+      ? {
+          calendarPeriod: periodAlignment.calendarLabel,
+          basis: periodAlignment.basis,
+          referenceTicker: periodAlignment.referenceTicker,
+          periods: periodAlignment.periods.map((p) => ({
+            ticker: p.ticker,
+            fiscalPeriod: p.fiscalLabel,
+            available: p.available
+          }))
+        }
+      : null;
     metrics.fallbacks = {
       usedFinancialData: finMatches.length > 0,
       usedKeywordFallback: keywordMatches.length > 0,
@@ -0,0 +1,219 @@
+import { anthropicCompletion } from '../../app/lib/llm/anthropicClient.js';
+import { extractAndParseJSON } from '../../app/utils/jsonParser.js';
+import { RERANK_CONFIG } from '../../config/rag.js';
+import { tokenizeFinancial } from './financialTokenizer.js';
+
+// ----------------------------------------------------------------
+// Base Class
+// ----------------------------------------------------------------
+
+/**
+ * Abstract base class for reranking retrieved matches against the query.
+ * @abstract
+ */
+export class BaseReranker {
+  /**
+   * Rescores matches. Implementations return new match objects with `score`
+   * replaced by the blended score and the reranker's own judgement in
+   * `rerank_score` (null when it has none); the order of the returned array
+   * is not significant.
+   * @param {string} query - The user query.
+   * @param {Array<Object>} matches - Matches with `score` and `metadata.text`.
+   * @returns {Promise<Array<Object>>}
+   */
+  async rerank(query, matches) {
+    throw new Error('Must implement rerank method');
+  }
+}
+
+// ----------------------------------------------------------------
+// Implementations
+// ----------------------------------------------------------------
+
+/**
+ * Keeps the retrieval order. Lets RERANKER=none switch reranking off without
+ * special-casing callers.
+ */
+export class NoopReranker extends BaseReranker {
+  constructor() {
+    super();
+    this.name = 'none';
+  }
+
+  async rerank(query, matches) {
+    return matches.map((match) => ({ ...match, rerank_score: null }));
+  }
+}
+
+/**
+ * Local reranker: how many query terms a chunk contains (overlap) and how
+ * close together they appear (proximity), on the shared financial tokens.
+ */
+export class LexicalReranker extends BaseReranker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.weight=0.3] - Share of the final score taken by the lexical score.
+   * @param {number} [options.proximityWeight=0.3] - Share of the lexical score taken by proximity.
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'lexical';
+    this.weight = options.weight ?? RERANK_CONFIG.lexicalWeight;
+    this.proximityWeight = options.proximityWeight ?? 0.3;
+  }
+
+  /**
+   * Shortest token window containing every query term the chunk matches,
+   * scored as matched terms per window token (1 when they are adjacent).
+   */
+  proximity(docTokens, queryTerms) {
+    const positions = [];
+    docTokens.forEach((token, i) => {
+      if (queryTerms.has(token)) positions.push([i, token]);
+    });
+    const distinct = new Set(positions.map(([, token]) => token)).size;
+    if (distinct < 2) return 0;
+
+    const inWindow = new Map();
+    let best = Infinity;
+    let start = 0;
+    for (let end = 0; end < positions.length; end++) {
+      const [, token] = positions[end];
+      inWindow.set(token, (inWindow.get(token) || 0) + 1);
+      while (inWindow.size === distinct) {
+        best = Math.min(best, positions[end][0] - positions[start][0] + 1);
+        const [, startToken] = positions[start];
+        const count = inWindow.get(startToken) - 1;
+        if (count) inWindow.set(startToken, count); else inWindow.delete(startToken);
+        start += 1;
+      }
+    }
+    return distinct / best;
+  }
+
+  lexicalScore(query, text) {
+    const queryTerms = new Set(tokenizeFinancial(query));
+    if (!queryTerms.size) return 0;
+    const docTokens = tokenizeFinancial(text);
+    const docTerms = new Set(docTokens);
+    const overlap = [...queryTerms].filter((term) => docTerms.has(term)).length / queryTerms.size;
+    return (1 - this.proximityWeight) * overlap + this.proximityWeight * this.proximity(docTokens, queryTerms);
+  }
+
+  async rerank(query, matches) {
+    return matches.map((match) => {
+      const lexical = this.lexicalScore(query, match.metadata?.text || '');
+      return {
+        ...match,
+        rerank_score: lexical,
+        score: (1 - this.weight) * (match.score || 0) + this.weight * lexical
+      };
+    });
+  }
+}
+
+/**
+ * LLM-judged reranker: Claude rates each chunk's relevance to the query
+ * from 0 to 10 in a single call. Falls back to the retrieval order when the
+ * call or its JSON fails, so a judge outage never breaks retrieval.
+ */
+export class LLMReranker extends BaseReranker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.model] - Defaults to ANTHROPIC_RERANK_MODEL.
+   * @param {number} [options.weight=0.5] - Share of the final score taken by the judged relevance.
+   * @param {number} [options.maxChars=1200] - Per-chunk excerpt length sent to the judge.
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'llm';
+    this.model = options.model || process.env.ANTHROPIC_RERANK_MODEL || RERANK_CONFIG.llmModel;
+    this.weight = options.weight ?? RERANK_CONFIG.llmWeight;
+    this.maxChars = options.maxChars ?? 1200;
+  }
+
+  buildPrompt(query, matches) {
+    const passages = matches
+      .map((match, i) => {
+        const text = (match.metadata?.text || '').replace(/\s+/g, ' ').slice(0, this.maxChars);
+        return `[${i}] ${text}`;
+      })
+      .join('\n\n');
+    return `Query: "${query}"\n\nPassages:\n${passages}\n\nRate how well each passage helps answer the query.`;
+  }
+
+  async rerank(query, matches) {
+    if (!matches.length) return [];
+    let judged = null;
+    try {
+      const raw = await anthropicCompletion({
+        model: this.model,
+        systemPrompt:
+          'You grade search results for a financial research assistant. Reply with JSON only: ' +
+          '{"scores": [{"index": <passage number>, "relevance": <0-10>}]} covering every passage. ' +
+          '10 means the passage directly answers the query; 0 means it is unrelated.',
+        userPrompt: this.buildPrompt(query, matches),
+        temperature: 0,
+        maxTokens: 40 + matches.length * 20
+      });
+      judged = extractAndParseJSON(raw)?.scores;
+    } catch (error) {
+      console.error('[LLMReranker] Judge call failed, keeping retrieval order:', error?.message || error);
+    }
+    if (!Array.isArray(judged)) {
+      return matches.map((match) => ({ ...match, rerank_score: null }));
+    }
+
+    const relevance = new Map(judged.map((entry) => [Number(entry.index), Number(entry.relevance)]));
+    return matches.map((match, i) => {
+      const rating = relevance.get(i);
+      if (!Number.isFinite(rating)) return { ...match, rerank_score: null };
+      const normalized = Math.max(0, Math.min(rating, 10)) / 10;
+      return {
+        ...match,
+        rerank_score: normalized,
+        score: (1 - this.weight) * (match.score || 0) + this.weight * normalized
+      };
+    });
+  }
+}
+
+// ----------------------------------------------------------------
+// Reranker registry
+// ----------------------------------------------------------------
+
+/** @type {Map<string, (options: Object) => BaseReranker>} */
+const RERANKER_FACTORIES = new Map([
+  ['none', () => new NoopReranker()],
+  ['lexical', (options) => new LexicalReranker(options)],
+  ['llm', (options) => new LLMReranker(options)]
+]);
+
+/**
+ * Registers a reranker factory under a name usable in RERANKER.
+ * @param {string} name
+ * @param {(options: Object) => BaseReranker} factory
+ */
+export function registerReranker(name, factory) {
+  RERANKER_FACTORIES.set(name, factory);
+}
+
+export function listRerankers() {
+  return [...RERANKER_FACTORIES.keys()];
+}
+
+/**
+ * Creates a reranker by registry name. Defaults to RERANKER, then
+ * RERANK_CONFIG.provider; the env var is read at call time.
+ * @param {string} [name]
+ * @param {Object} [options] - Passed through to the factory.
+ * @returns {BaseReranker}
+ */
+export function createReranker(name, options = {}) {
+  const key = name || process.env.RERANKER || RERANK_CONFIG.provider;
+  const factory = RERANKER_FACTORIES.get(key);
+  if (!factory) {
+    throw new Error(`Unknown reranker "${key}". Available: ${listRerankers().join(', ')}`);
+  }
+  return factory(options);
+}
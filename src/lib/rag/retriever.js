@@ -1,24 +1,43 @@
 import { Pinecone } from '@pinecone-database/pinecone';
-import { embedText } from '../../app/lib/llm/voyageClient';
+import { createEmbedder } from './components.js';
 import { SparseVectorizer } from './sparseVectorizer.js';
+import { LocalVectorStore, resolveLocalStorePath } from './localVectorStore.js';
+import { generateHypotheticalDocument } from './strategies/hyde.js';
+import { generateQueryVariations, multiQueryRetrieve } from './strategies/multiQuery.js';
 
 const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
-// Uses Voyage AI voyage-3.5 embeddings (1024 dimensions)
+// Index dimensionality must match the configured embedder (1024 for voyage-3.5 and local-hash)
 const PINECONE_INDEX = process.env.PINECONE_INDEX || 'clarity-1024';
 
 // Always try sparse vectors for hybrid search - better recall for keywords
 // Will gracefully fall back to dense-only if index doesn't support sparse
 const USE_SPARSE = process.env.PINECONE_SUPPORTS_SPARSE !== 'false';
 
-if (!PINECONE_API_KEY) {
+// 'pinecone' (default) or 'local' for the file-backed store under data/vector-store
+const VECTOR_STORE = (process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+
+if (VECTOR_STORE !== 'local' && !PINECONE_API_KEY) {
   console.warn('[retriever] PINECONE_API_KEY is missing; transcript search will be disabled.');
 }
 
 const vectorizer = new SparseVectorizer();
 let pineconeIndex = null;
+let localIndex = null;
+let queryEmbedder = null;
 let sparseSupported = USE_SPARSE; // Track if sparse is supported
 
-function getIndex() {
+/**
+ * Returns the configured vector index. Both backends expose the same
+ * `query`/`upsert` surface, so callers (including PineconeRetriever) don't
+ * need to know which one is active.
+ */
+export function getVectorIndex() {
+  if (VECTOR_STORE === 'local') {
+    if (!localIndex) {
+      localIndex = new LocalVectorStore({ filePath: resolveLocalStorePath() });
+    }
+    return localIndex;
+  }
   if (!PINECONE_API_KEY) return null;
   if (pineconeIndex) return pineconeIndex;
   const client = new Pinecone({ apiKey: PINECONE_API_KEY });
@@ -26,58 +45,124 @@ function getIndex() {
   return pineconeIndex;
 }
 
-async function buildQueryVector(query) {
-  return embedText(query, { model: 'voyage-3.5', inputType: 'query' });
+async function buildQueryVector(text, inputType = 'query') {
+  if (!queryEmbedder) {
+    queryEmbedder = createEmbedder();
+  }
+  return queryEmbedder.embed(text, inputType);
+}
+
+/**
+ * One index query, falling back to dense-only if the index rejects sparse values.
+ * @returns {Promise<{matches: Array, error?: string}>}
+ */
+async function queryIndex(index, { vector, sparseVector, filters, topK }) {
+  const queryParams = {
+    vector,
+    topK,
+    includeMetadata: true
+  };
+  
+  if (sparseVector && sparseSupported) {
+    queryParams.sparseVector = sparseVector;
+  }
+  if (filters && Object.keys(filters).length) {
+    queryParams.filter = filters;
+  }
+
+  try {
+    const res = await index.query(queryParams);
+    return res || { matches: [] };
+  } catch (err) {
+    // Check if error is due to sparse vectors not being supported
+    const errMsg = err?.message?.toLowerCase() || '';
+    if (errMsg.includes('sparse') && sparseSupported) {
+      console.warn('[retriever] Sparse vectors not supported, falling back to dense-only');
+      sparseSupported = false;
+      // Retry without sparse
+      delete queryParams.sparseVector;
+      try {
+        const retryRes = await index.query(queryParams);
+        return retryRes || { matches: [] };
+      } catch (retryErr) {
+        console.error('[retriever.search] Retry failed:', retryErr?.message);
+        return { matches: [], error: retryErr?.message || 'unknown error' };
+      }
+    }
+    console.error(`[retriever.search] ${VECTOR_STORE} query error:`, err?.message || err);
+    return { matches: [], error: err?.message || 'unknown error' };
+  }
+}
+
+async function hybridSearch(index, { query, filters, topK }) {
+  const vector = await buildQueryVector(query);
+  const sparseVector = sparseSupported ? vectorizer.toQuerySparseValues(query) : null;
+  return queryIndex(index, { vector, sparseVector, filters, topK });
 }
 
 export const retriever = {
   /**
-   * Hybrid semantic search over transcripts (dense + sparse)
-   * @param {{query: string, filters?: object, topK?: number}} params
+   * Semantic search over transcripts under a retrieval strategy
+   * (RETRIEVAL_STRATEGIES ids, already resolved from 'auto'):
+   *   hybrid-bm25  dense + BM25 sparse (default)
+   *   dense-only   dense query embedding only
+   *   hyde         dense search on the embedding of a hypothetical answer excerpt
+   *   multi-query  hybrid search per query variant, merged with RRF
+   *
+   * HyDE and multi-query cost an LLM call; pass the `expansion` returned by a
+   * previous call to reuse it when re-searching the same query with other filters.
+   * When that call fails they degrade to dense-only / hybrid-bm25, and the
+   * returned `strategy` reports what actually ran.
+   * @param {{query: string, filters?: object, topK?: number, strategy?: string, expansion?: object}} params
+   * @returns {Promise<{matches: Array, strategy: string, expansion?: object, variants?: Array, error?: string}>}
    */
-  async search({ query, filters = {}, topK = 15 }) {
-    const index = getIndex();
+  async search({ query, filters = {}, topK = 15, strategy = 'hybrid-bm25', expansion = null }) {
+    const index = getVectorIndex();
     if (!index) {
-      return { matches: [] };
+      return { matches: [], strategy };
     }
 
-    const vector = await buildQueryVector(query);
-    const sparseVector = sparseSupported ? vectorizer.toSparseValues(query) : null;
-
-    const queryParams = {
-      vector,
-      topK,
-      includeMetadata: true
-    };
-    
-    if (sparseVector && sparseSupported) {
-      queryParams.sparseVector = sparseVector;
+    if (strategy === 'dense-only') {
+      const vector = await buildQueryVector(query);
+      const res = await queryIndex(index, { vector, filters, topK });
+      return { ...res, strategy };
     }
-    if (filters && Object.keys(filters).length) {
-      queryParams.filter = filters;
+
+    if (strategy === 'hyde') {
+      const hypotheticalDocument =
+        expansion?.hypotheticalDocument !== undefined
+          ? expansion.hypotheticalDocument
+          : await generateHypotheticalDocument(query);
+      const vector = hypotheticalDocument
+        ? await buildQueryVector(hypotheticalDocument, 'document')
+        : await buildQueryVector(query);
+      const res = await queryIndex(index, { vector, filters, topK });
+      // Without an excerpt this was a plain dense search; say so
+      return { ...res, strategy: hypotheticalDocument ? strategy : 'dense-only', expansion: { hypotheticalDocument } };
     }
 
-    try {
-      const res = await index.query(queryParams);
-      return res || { matches: [] };
-    } catch (err) {
-      // Check if error is due to sparse vectors not being supported
-      const errMsg = err?.message?.toLowerCase() || '';
-      if (errMsg.includes('sparse') && sparseSupported) {
-        console.warn('[retriever] Sparse vectors not supported, falling back to dense-only');
-        sparseSupported = false;
-        // Retry without sparse
-        delete queryParams.sparseVector;
-        try {
-          const retryRes = await index.query(queryParams);
-          return retryRes || { matches: [] };
-        } catch (retryErr) {
-          console.error('[retriever.search] Retry failed:', retryErr?.message);
-          return { matches: [], error: retryErr?.message || 'unknown error' };
-        }
-      }
-      console.error('[retriever.search] Pinecone query error:', err?.message || err);
-      return { matches: [], error: err?.message || 'unknown error' };
+    if (strategy === 'multi-query') {
+      const variations = expansion?.variations ?? (await generateQueryVariations(query));
+      const errors = [];
+      const fused = await multiQueryRetrieve(
+        [query, ...variations],
+        async (variant) => {
+          const res = await hybridSearch(index, { query: variant, filters, topK });
+          if (res.error) errors.push(res.error);
+          return res.matches || [];
+        },
+        { topK }
+      );
+      return {
+        matches: fused.matches,
+        strategy: variations.length ? strategy : 'hybrid-bm25',
+        expansion: { variations },
+        variants: fused.variants,
+        ...(errors.length ? { error: errors[0] } : {})
+      };
     }
+
+    const res = await hybridSearch(index, { query, filters, topK });
+    return { ...res, strategy: 'hybrid-bm25' };
   }
 };
@@ -1,54 +1,60 @@
 import crypto from 'crypto';
+import { loadCorpusStats, resolveCorpusStatsPath } from './corpusStats.js';
+import { FINANCIAL_STOP_WORDS, TOKENIZER_VERSION, tokenizeFinancial } from './financialTokenizer.js';
 
 // Module-level cache: token string → numeric index (MD5 is deterministic, safe to cache indefinitely)
 const tokenIndexCache = new Map();
 
+// Corpus stats are shared by every vectorizer; undefined until first use, null when not built
+let defaultCorpusStats;
+
+function getDefaultCorpusStats() {
+  if (defaultCorpusStats !== undefined) return defaultCorpusStats;
+  try {
+    defaultCorpusStats = loadCorpusStats(resolveCorpusStatsPath());
+  } catch (error) {
+    console.warn('[SparseVectorizer] Could not read BM25 stats:', error.message);
+    defaultCorpusStats = null;
+  }
+  if (!defaultCorpusStats) {
+    console.warn('[SparseVectorizer] No BM25 stats found; run `npm run data:bm25`. Falling back to unweighted terms.');
+  } else if (defaultCorpusStats.tokenizer !== TOKENIZER_VERSION) {
+    console.warn('[SparseVectorizer] BM25 stats were built with another tokenizer; run `npm run data:bm25`.');
+  }
+  return defaultCorpusStats;
+}
+
 /**
  * Financial-domain sparse vectorizer for hybrid search.
- * Uses hashed bag-of-words with BM25-style term frequency weights.
- * Optimized for earnings transcripts and financial queries.
+ * Uses hashed bag-of-words with BM25 weights split across the two sides, so a
+ * dot product between them is the BM25 score: documents carry the saturated,
+ * length-normalised term frequency and queries carry corpus IDF.
  */
 export class SparseVectorizer {
   /**
    * @param {Object} [options]
    * @param {number} [options.maxTokens=512] - cap tokens per document
+   * @param {number} [options.k1=1.2] - BM25 term frequency saturation
+   * @param {number} [options.b=0.75] - BM25 document length normalisation
+   * @param {Object|null} [options.stats] - Corpus stats; defaults to data/bm25-stats.json
+   * @param {Set<string>} [options.stopWords] - defaults to FINANCIAL_STOP_WORDS
    */
   constructor(options = {}) {
     this.maxTokens = options.maxTokens || 512;
-    
-    // Common words that don't help retrieval
-    this.stopWords = new Set([
-      'the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'will', 'into',
-      'over', 'about', 'their', 'they', 'been', 'were', 'after', 'before', 'are',
-      'was', 'has', 'had', 'its', 'our', 'what', 'how', 'can', 'you', 'your',
-      'which', 'would', 'could', 'should', 'also', 'just', 'more', 'very', 'some',
-      'said', 'says', 'like', 'going', 'think', 'really', 'want', 'see', 'look',
-      'things', 'thing', 'way', 'well', 'actually', 'know', 'get', 'got', 'make'
-    ]);
-
-    // High-value financial terms get boosted weight
-    this.boostTerms = new Set([
-      'revenue', 'profit', 'margin', 'growth', 'earnings', 'eps', 'guidance',
-      'operating', 'gross', 'net', 'cash', 'flow', 'capex', 'datacenter',
-      'cloud', 'segment', 'quarter', 'fiscal', 'yoy', 'qoq', 'billion', 'million',
-      'increase', 'decrease', 'outlook', 'forecast', 'strategy', 'demand',
-      'supply', 'backlog', 'inventory', 'customer', 'enterprise', 'consumer',
-      'infrastructure', 'accelerator', 'gpu', 'cpu', 'chip', 'semiconductor'
-    ]);
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.stats = options.stats !== undefined ? options.stats : getDefaultCorpusStats();
+    this.stopWords = options.stopWords || FINANCIAL_STOP_WORDS;
   }
 
+  /**
+   * Shared financial tokenizer (canonical periods, amounts and tickers),
+   * capped at maxTokens.
+   * @param {string} text
+   * @returns {string[]}
+   */
   tokenize(text) {
-    if (!text) return [];
-
-    // Keep financial patterns like "Q3", "FY2024", "$50B", "10%"
-    return text
-      .toLowerCase()
-      .replace(/\$(\d+)/g, 'dollar$1')  // Preserve dollar amounts
-      .replace(/(\d+)%/g, '$1percent')   // Preserve percentages
-      .split(/[^a-z0-9%]+/g)
-      .filter(Boolean)
-      .filter(token => token.length > 1 && !this.stopWords.has(token))
-      .slice(0, this.maxTokens);
+    return tokenizeFinancial(text, { maxTokens: this.maxTokens, stopWords: this.stopWords });
   }
 
   tokenToIndex(token) {
@@ -59,29 +65,67 @@ export class SparseVectorizer {
     return idx;
   }
 
-  toSparseValues(text) {
-    const tokens = this.tokenize(text);
-    if (tokens.length === 0) return null;
-
+  countTokens(text) {
     const counts = new Map();
-    for (const token of tokens) {
+    for (const token of this.tokenize(text)) {
       counts.set(token, (counts.get(token) || 0) + 1);
     }
+    return counts;
+  }
+
+  /**
+   * Lucene's non-negative BM25 IDF. Tokens never seen in the corpus get the
+   * highest weight; without stats every token weighs 1.
+   * @param {string} token
+   * @returns {number}
+   */
+  idf(token) {
+    if (!this.stats?.documentCount) return 1;
+    const n = this.stats.documentCount;
+    const df = this.stats.documentFrequencies[token] || 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Document-side BM25 weights: tf·(k1+1) / (tf + k1·(1 − b + b·dl/avgdl)).
+   * @param {string} text
+   * @returns {{indices: number[], values: number[]}|null}
+   */
+  toSparseValues(text) {
+    const counts = this.countTokens(text);
+    if (counts.size === 0) return null;
+
+    let length = 0;
+    counts.forEach((count) => { length += count; });
+    const averageLength = this.stats?.averageLength || length;
+    const norm = this.k1 * (1 - this.b + this.b * (length / averageLength));
 
     const indices = [];
     const values = [];
     for (const [token, count] of counts) {
       indices.push(this.tokenToIndex(token));
-      // BM25-style TF with boost for financial terms
-      let weight = 1 + Math.log(count);
-      if (this.boostTerms.has(token)) {
-        weight *= 1.5; // 50% boost for important financial terms
-      }
-      values.push(weight);
+      values.push((count * (this.k1 + 1)) / (count + norm));
     }
 
     return { indices, values };
   }
-}
 
+  /**
+   * Query-side weights: IDF per query term, normalised to sum to 1 so sparse
+   * scores stay on a stable scale next to dense cosine similarity.
+   * @param {string} text
+   * @returns {{indices: number[], values: number[]}|null}
+   */
+  toQuerySparseValues(text) {
+    const counts = this.countTokens(text);
+    if (counts.size === 0) return null;
+
+    const weights = [...counts].map(([token, count]) => [token, count * this.idf(token)]);
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0) || 1;
 
+    return {
+      indices: weights.map(([token]) => this.tokenToIndex(token)),
+      values: weights.map(([, weight]) => weight / total)
+    };
+  }
+}
@@ -36,7 +36,7 @@ export const RETRIEVAL_STRATEGIES = {
     shortName: 'Hybrid',
     icon: 'GitMerge',
     description: 'Combines keyword matching with semantic search',
-    technicalDetails: 'BM25 sparse vectors + dense embeddings, α=0.5 blend',
+    technicalDetails: 'BM25 sparse vectors (corpus IDF, k1=1.2, b=0.75) + dense embeddings, α=0.85 blend',
     pros: [
       'Catches exact terms (revenue, Q3, MI300)',
       'More robust for financial queries',
@@ -51,8 +51,8 @@ export const RETRIEVAL_STRATEGIES = {
     bestFor: 'Financial metrics, specific product names, exact quotes',
     color: 'emerald',
     enabled: true,
-    // This uses the keyword fallback as a pseudo-hybrid approach
-    usesKeywordFallback: true,
+    // Document weights come from the indexer; query IDF from data/bm25-stats.json (npm run data:bm25)
+    sparseEncoding: 'bm25',
   },
 
   'hyde': {
@@ -77,6 +77,8 @@ export const RETRIEVAL_STRATEGIES = {
     color: 'violet',
     enabled: true,
     requiresExtraLLMCall: true,
+    // See hyde.js; the hypothetical excerpt is embedded instead of the query
+    hydeModel: 'claude-sonnet-4-20250514',
   },
 
   'multi-query': {
@@ -99,8 +101,12 @@ export const RETRIEVAL_STRATEGIES = {
     expectedLatency: '3-5s',
     bestFor: 'Complex questions, comparison queries, research',
     color: 'amber',
-    enabled: false, // Coming soon
-    comingSoon: true,
+    enabled: true,
+    requiresExtraLLMCall: true,
+    // See multiQuery.js; the original query is always retrieved alongside the variants
+    variantCount: 3,
+    variantModel: 'claude-sonnet-4-20250514',
+    rrfK: 60,
   },
 };
 
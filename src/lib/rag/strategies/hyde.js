@@ -0,0 +1,34 @@
+import { anthropicCompletion } from '../../../app/lib/llm/anthropicClient.js';
+import { buildHydePrompt } from '../../prompts/index.js';
+import { RETRIEVAL_STRATEGIES } from './config.js';
+
+/**
+ * HyDE (Hypothetical Document Embeddings): Claude writes the transcript
+ * excerpt that would answer the question, and retrieval embeds that excerpt
+ * instead of the question, so vague asks land near answer-shaped chunks.
+ */
+
+const HYDE = RETRIEVAL_STRATEGIES.hyde;
+
+/**
+ * @param {string} query
+ * @param {{model?: string, onUsage?: Function}} [options]
+ * @returns {Promise<string|null>} The hypothetical excerpt, or null when the
+ *   call fails so callers can fall back to embedding the query.
+ */
+export async function generateHypotheticalDocument(query, options = {}) {
+  const { model = HYDE.hydeModel, onUsage } = options;
+  try {
+    const text = await anthropicCompletion({
+      model,
+      userPrompt: buildHydePrompt(query),
+      temperature: 0.3,
+      maxTokens: 300,
+      onUsage
+    });
+    return text?.trim() || null;
+  } catch (error) {
+    console.error('[hyde] Hypothetical document generation failed, embedding the query instead:', error?.message || error);
+    return null;
+  }
+}
@@ -0,0 +1,107 @@
+import { anthropicCompletion } from '../../../app/lib/llm/anthropicClient.js';
+import { buildQueryVariationsPrompt } from '../../prompts/index.js';
+import { RETRIEVAL_STRATEGIES } from './config.js';
+
+/**
+ * Multi-query expansion: Claude rewrites the question into a few variants,
+ * each variant is retrieved in parallel, and the ranked lists are merged
+ * with reciprocal rank fusion (RRF).
+ *
+ * Retrieval itself is passed in, so the same fusion runs over
+ * PineconeRetriever in the pipeline and over `retriever.search` in tools.
+ */
+
+const MULTI_QUERY = RETRIEVAL_STRATEGIES['multi-query'];
+
+/**
+ * Asks Claude for alternative phrasings of the query. Returns an empty list
+ * when the call fails, so callers degrade to single-query retrieval.
+ * @param {string} query
+ * @param {{model?: string, count?: number, onUsage?: Function}} [options]
+ * @returns {Promise<string[]>} Distinct variants, excluding the original query.
+ */
+export async function generateQueryVariations(query, options = {}) {
+  const { model = MULTI_QUERY.variantModel, count = MULTI_QUERY.variantCount, onUsage } = options;
+  try {
+    const raw = await anthropicCompletion({
+      model,
+      userPrompt: buildQueryVariationsPrompt(query),
+      temperature: 0.4,
+      maxTokens: 300,
+      onUsage
+    });
+    const seen = new Set([query.trim().toLowerCase()]);
+    return raw
+      .split('\n')
+      // The prompt forbids numbering, but strip it if it shows up anyway
+      .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/^"|"$/g, '').trim())
+      .filter((line) => {
+        const key = line.toLowerCase();
+        if (!line || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, count);
+  } catch (error) {
+    console.error('[multi-query] Variant generation failed, using the original query only:', error?.message || error);
+    return [];
+  }
+}
+
+/**
+ * Merges ranked lists: each match scores Σ 1 / (k + rank) over the lists it
+ * appears in. Keeps the best original `score` of each match and adds
+ * `rrf_score`; the result is ordered by `rrf_score`.
+ * @param {Array<Array<Object>>} rankedLists - Matches with `id`, best first.
+ * @param {{k?: number, topK?: number}} [options]
+ * @returns {Array<Object>}
+ */
+export function reciprocalRankFusion(rankedLists, options = {}) {
+  const { k = MULTI_QUERY.rrfK, topK = Infinity } = options;
+  const fused = new Map();
+  rankedLists.forEach((list) => {
+    (list || []).forEach((match, i) => {
+      const key = match.id ?? match.metadata?.source_file ?? match.metadata?.source;
+      const entry = fused.get(key);
+      const contribution = 1 / (k + i + 1);
+      if (!entry) {
+        fused.set(key, { ...match, rrf_score: contribution });
+        return;
+      }
+      entry.rrf_score += contribution;
+      if ((match.score || 0) > (entry.score || 0)) entry.score = match.score;
+    });
+  });
+  return [...fused.values()].sort((a, b) => b.rrf_score - a.rrf_score).slice(0, topK);
+}
+
+/**
+ * Retrieves the query and its variants in parallel and fuses the results.
+ * @param {string[]} queries - Original query first, then its variants.
+ * @param {(query: string, index: number) => Promise<Array<Object>>} retrieveFn - Returns ranked matches.
+ * @param {{k?: number, topK?: number}} [options]
+ * @returns {Promise<{matches: Array<Object>, variants: Array<Object>}>} `variants` has one
+ *   entry per query: `{query, hits, ids, fusedHits, uniqueHits}`, where `fusedHits` counts
+ *   its matches that survived fusion and `uniqueHits` the surviving ones no other query
+ *   retrieved.
+ */
+export async function multiQueryRetrieve(queries, retrieveFn, options = {}) {
+  const lists = await Promise.all(queries.map((query, i) => retrieveFn(query, i)));
+  const matches = reciprocalRankFusion(lists, options);
+
+  const idsOf = (list) => (list || []).map((match) => match.id);
+  const fusedIds = new Set(idsOf(matches));
+  const variants = queries.map((query, i) => {
+    const ids = idsOf(lists[i]);
+    const others = new Set(lists.flatMap((list, j) => (j === i ? [] : idsOf(list))));
+    return {
+      query,
+      hits: ids.length,
+      ids,
+      fusedHits: ids.filter((id) => fusedIds.has(id)).length,
+      uniqueHits: ids.filter((id) => fusedIds.has(id) && !others.has(id)).length
+    };
+  });
+
+  return { matches, variants };
+}
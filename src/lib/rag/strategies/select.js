@@ -0,0 +1,33 @@
+import { periodLabel, tokenizeFinancial } from '../financialTokenizer.js';
+import { DEFAULT_STRATEGY, RETRIEVAL_STRATEGIES } from './config.js';
+
+/**
+ * Picks the retrieval strategy for 'auto' (Smart mode) from the query alone:
+ * exact periods, amounts, percentages or model numbers need the lexical
+ * signal of hybrid search; everything else is narrative and goes dense.
+ * @param {string} query
+ * @returns {string} A RETRIEVAL_STRATEGIES id.
+ */
+export function selectAutoStrategy(query) {
+  const exact = tokenizeFinancial(query).some(
+    (token) => periodLabel(token) || /^usd\d/.test(token) || /percent$/.test(token) || /\d/.test(token)
+  );
+  return exact ? 'hybrid-bm25' : 'dense-only';
+}
+
+/**
+ * Resolves a requested strategy to the one retrieval will run.
+ * @param {string} [requested] - A RETRIEVAL_STRATEGIES id or 'auto'.
+ * @param {string} query
+ * @returns {{strategy: string, autoSelected: boolean}}
+ */
+export function resolveRetrievalStrategy(requested, query) {
+  if (!requested || requested === 'auto') {
+    return { strategy: selectAutoStrategy(query), autoSelected: true };
+  }
+  const config = RETRIEVAL_STRATEGIES[requested];
+  if (!config?.enabled) {
+    return { strategy: DEFAULT_STRATEGY, autoSelected: false };
+  }
+  return { strategy: config.id, autoSelected: false };
+}
@@ -0,0 +1,759 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Speaker-aware chunking for earnings call transcripts.
+ *
+ * Emits one chunk per prepared-remarks turn, analyst question or Q&A answer
+ * instead of fixed-size windows, so every chunk has a single speaker. Verbatim
+ * transcripts (`*-transcript.txt`) are preferred when they can be split into
+ * speaker turns; otherwise the parsed `*_qa.json` summaries are used, one
+ * chunk per `speakers.<name>.responses[]` entry.
+ *
+ * Chunk metadata (all Pinecone-safe: strings, numbers or string arrays):
+ *   ticker, company, company_ticker, fiscal_year, fiscalYear, quarter, type,
+ *   source, source_file, source_type ('transcript_text' | 'parsed_qa'),
+ *   section ('prepared' | 'qa'), speaker, speaker_key (lowercase surname),
+ *   role ('CEO' | 'CFO' | 'executive' | 'analyst'), speaker_title, topic,
+ *   turn_index, part, parts, chunk_index, total_chunks, text, plus analyst,
+ *   analyst_firm and question_topics on analyst questions and on answers, which
+ *   also carry the question they respond to. Operator turns are not chunked.
+ */
+
+/**
+ * Bump when chunk boundaries, ids or metadata change, so incremental indexing
+ * re-embeds files whose content has not changed.
+ */
+export const CHUNKER_VERSION = 2;
+
+// Long turns are split on paragraph boundaries to stay well under Pinecone's 40KB metadata limit
+const MAX_CHUNK_CHARS = 6000;
+const MIN_CHUNK_CHARS = 40;
+const MAX_QUESTION_CHARS = 1000;
+
+// Minimum token-overlap score for linking a parsed response to an analyst question or topic
+const LINK_THRESHOLD = 0.12;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'will', 'into', 'over',
+  'about', 'their', 'they', 'been', 'were', 'after', 'before', 'what', 'how', 'your',
+  'which', 'would', 'could', 'should', 'also', 'just', 'more', 'very', 'some', 'year',
+  'quarter', 'there', 'then', 'than', 'when', 'where', 'these', 'those', 'does', 'think',
+  'going', 'really', 'like', 'know', 'question', 'questions', 'thank', 'thanks', 'much'
+]);
+
+const OPERATOR_NAMES = new Set(['operator', 'moderator']);
+
+// "Tim Cook -- Chief Executive Officer", "Mike Ng -- Goldman Sachs -- Analyst"
+const DASHED_SPEAKER_LINE = /^([A-Z][\w.'’-]*(?: [A-Z][\w.'’-]*){0,4}) -- (.+)$/;
+// "LISA SU: Thank you..." or "Andy Jassy: Thanks, Dave."
+const PREFIXED_SPEAKER_LINE = /^([A-Z][\w.'’-]*(?: [A-Z][\w.'’-]*){0,3}):(?:\s+(.*))?$/;
+// PDF-extracted transcripts sometimes wrap "JOSHUA\nBUCKWALTER:" over two lines
+const WRAPPED_NAME_LINE = /^[A-Z][A-Z.'’-]+$/;
+// Operators aren't always labelled as such ("JOHN: And the next question comes from...")
+const OPERATOR_CUE = /\b(first|next|last|final) question (comes|is coming|will come) from\b|\bfrom the line of\b|\blisten[\s-]*only\b/i;
+const QA_MARKER = /^(questions? (&|and) answers?|question-and-answer session)\b/i;
+const PREPARED_MARKER = /^prepared remarks:?$/i;
+// Participant lists give either "executive"/"analyst" or a title/firm under each name
+const EXECUTIVE_TITLE = /\b(chief|officer|president|chair(man|woman)?|founder|director|head|treasurer|vp|evp|svp|ir|investor relations|ceo|cfo|coo|cto)\b/i;
+const PARTICIPANTS_END = /^(call participants:?|call transcript)$/i;
+
+/**
+ * Maps a free-text title ("Senior Vice President and Chief Financial
+ * Officer", "Co-CEO & Director", "Analyst") to a filterable role.
+ * @param {string} [title]
+ * @returns {'CEO'|'CFO'|'executive'|'analyst'|'operator'}
+ */
+export function normalizeRole(title = '') {
+  const text = String(title || '').toLowerCase();
+  if (/\b(operator|moderator)\b/.test(text)) return 'operator';
+  if (/\banalyst\b/.test(text)) return 'analyst';
+  if (/chief executive|\bceo\b/.test(text)) return 'CEO';
+  if (/financial officer|\bcfo\b|\bcofo\b/.test(text)) return 'CFO';
+  return 'executive';
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 3 && !STOPWORDS.has(token));
+}
+
+/** Cosine overlap of two token sets. */
+function overlapScore(a, b) {
+  const left = new Set(a);
+  const right = new Set(b);
+  if (!left.size || !right.size) return 0;
+  let shared = 0;
+  left.forEach((token) => { if (right.has(token)) shared += 1; });
+  return shared / Math.sqrt(left.size * right.size);
+}
+
+/** 'jensen_huang' -> 'Jensen Huang'; names with spaces are kept as-is. */
+function displayName(name) {
+  const text = String(name || '').trim();
+  if (/\s/.test(text) || !text.includes('_')) return text;
+  return text
+    .split('_')
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+}
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'phd']);
+
+function nameTokens(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z\s_-]/g, '')
+    .split(/[\s_-]+/)
+    .filter((token) => token && !NAME_SUFFIXES.has(token));
+}
+
+function surname(name) {
+  const parts = nameTokens(name);
+  return parts[parts.length - 1] || '';
+}
+
+/**
+ * Normalised speaker key stored on every chunk as `speaker_key`: the
+ * lowercase surname, so "Tim Cook", "Timothy Donald Cook" and "TIM COOK:"
+ * all filter the same way.
+ * @param {string} name
+ * @returns {string}
+ */
+export function speakerKey(name) {
+  return surname(name);
+}
+
+/**
+ * Resolves how a user refers to someone ("Jensen", "Lisa Su", "Amy Hood")
+ * to the speaker keys of matching names. A full name matches on surname; a
+ * single word matches a first or last name.
+ * @param {string[]} names - Known speaker names (display or snake_case).
+ * @param {string} query
+ * @returns {string[]} Matching speaker keys.
+ */
+export function matchSpeakerKeys(names, query) {
+  const wanted = nameTokens(query);
+  if (!wanted.length) return [];
+  const keys = new Set();
+  for (const name of names) {
+    const tokens = nameTokens(name);
+    const matches = wanted.length > 1
+      ? tokens[tokens.length - 1] === wanted[wanted.length - 1]
+      : tokens.includes(wanted[0]);
+    if (matches) keys.add(tokens[tokens.length - 1]);
+  }
+  return [...keys];
+}
+
+function asList(value) {
+  if (Array.isArray(value)) return value.filter((item) => typeof item === 'string' && item.trim());
+  return typeof value === 'string' && value.trim() ? [value] : [];
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Splits an over-long turn on paragraph boundaries (sentences when a single
+ * paragraph is too long), packing pieces greedily up to `max` characters.
+ * @param {string} text
+ * @param {number} [max=MAX_CHUNK_CHARS]
+ * @returns {string[]}
+ */
+function splitLongText(text, max = MAX_CHUNK_CHARS) {
+  if (text.length <= max) return [text];
+  const pieces = text
+    .split(/\n\s*\n/)
+    .flatMap((paragraph) => (paragraph.length <= max ? [paragraph] : paragraph.split(/(?<=[.!?])\s+/)));
+
+  const parts = [];
+  let current = '';
+  for (const piece of pieces) {
+    const candidate = current ? `${current}\n\n${piece}` : piece;
+    if (candidate.length <= max || !current) {
+      current = candidate;
+    } else {
+      parts.push(current);
+      current = piece;
+    }
+  }
+  if (current) parts.push(current);
+  // A single sentence longer than max is hard-cut rather than dropped
+  return parts.flatMap((part) => (part.length <= max ? [part] : part.match(new RegExp(`[\\s\\S]{1,${max}}`, 'g'))));
+}
+
+/**
+ * Collects analyst questions from every shape found in the parsed files:
+ * top-level `analyst_questions`, a misplaced `speakers.analyst_questions`
+ * array, and question objects stored among a speaker's responses.
+ * @param {Object} json - Parsed `*_qa.json`.
+ * @returns {Array<{analyst: string, firm: string|null, topics: string[], questions: string[], answers: string[]}>}
+ */
+export function readAnalystQuestions(json) {
+  const speakers = json?.speakers && typeof json.speakers === 'object' ? json.speakers : {};
+  const raw = [
+    ...(Array.isArray(json?.analyst_questions) ? json.analyst_questions : []),
+    ...(Array.isArray(speakers.analyst_questions) ? speakers.analyst_questions : []),
+    ...Object.values(speakers).flatMap((speaker) =>
+      (Array.isArray(speaker?.responses) ? speaker.responses : []).filter((r) => r?.analyst))
+  ];
+
+  return raw
+    .filter((entry) => entry && typeof entry === 'object' && entry.analyst)
+    .map((entry) => ({
+      analyst: String(entry.analyst).trim(),
+      firm: entry.firm ? String(entry.firm).trim() : null,
+      topics: asList(entry.topics),
+      questions: [...asList(entry.questions), ...asList(entry.question)],
+      answers: [...asList(entry.answers), ...asList(entry.response_summary)]
+    }));
+}
+
+/**
+ * Speakers from a parsed `*_qa.json`, with analyst speakers (some files list
+ * them alongside executives) told apart by title or by appearing among the
+ * analyst questions.
+ * @param {Object} json
+ * @param {Array<Object>} analystQuestions
+ * @returns {Array<{key: string, name: string, title: string|null, role: string, responses: Array<{topic: string, content: string}>}>}
+ */
+function readSpeakers(json, analystQuestions) {
+  const analystSurnames = new Set(analystQuestions.map((q) => surname(q.analyst)));
+  const speakers = json?.speakers && typeof json.speakers === 'object' ? json.speakers : {};
+
+  return Object.entries(speakers)
+    .filter(([, speaker]) => speaker && !Array.isArray(speaker) && Array.isArray(speaker.responses))
+    .map(([key, speaker]) => {
+      const name = displayName(key);
+      const title = typeof speaker.role === 'string' ? speaker.role : null;
+      let role = OPERATOR_NAMES.has(key.toLowerCase()) ? 'operator' : normalizeRole(title);
+      if (role === 'executive' && analystSurnames.has(surname(name))) role = 'analyst';
+      const responses = speaker.responses
+        .filter((r) => r && !r.analyst && typeof r.content === 'string' && r.content.trim())
+        .map((r) => ({ topic: typeof r.topic === 'string' ? r.topic.trim() : '', content: r.content.trim() }));
+      return { key, name, title, role, responses };
+    });
+}
+
+/**
+ * Speakers of a parsed `*_qa.json` with their normalised roles, analysts and
+ * operators included; the executive directory filters them.
+ * @param {Object} json
+ * @returns {Array<{key: string, name: string, title: string|null, role: string, responses: Array<Object>}>}
+ */
+export function readQaSpeakers(json) {
+  return readSpeakers(json, readAnalystQuestions(json));
+}
+
+/**
+ * Whether a free-text title reads like a company officer's ("SVP, Investor
+ * Relations") rather than an analyst firm ("Wells Fargo").
+ * @param {string} [title]
+ * @returns {boolean}
+ */
+export function isExecutiveTitle(title) {
+  return EXECUTIVE_TITLE.test(String(title || ''));
+}
+
+function questionTokens(question) {
+  return tokenize([...question.topics, ...question.questions, ...question.answers].join(' '));
+}
+
+/** Best-scoring analyst question for a response, or null below the threshold. */
+function linkQuestion(responseText, speakerName, analystQuestions) {
+  const tokens = tokenize(responseText);
+  const speakerSurname = surname(speakerName);
+  let best = null;
+  let bestScore = LINK_THRESHOLD;
+  for (const question of analystQuestions) {
+    let score = overlapScore(tokens, questionTokens(question));
+    // Answer summaries are usually prefixed with the answering executive's name
+    if (speakerSurname && question.answers.some((a) => a.toLowerCase().includes(speakerSurname))) score += 0.05;
+    if (score > bestScore) {
+      best = question;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function questionMetadata(question, questionText) {
+  if (!question && !questionText) return {};
+  const text = questionText || question?.questions.join(' ') || '';
+  return {
+    ...(question?.analyst ? { analyst: question.analyst } : {}),
+    ...(question?.firm ? { analyst_firm: question.firm } : {}),
+    ...(text ? { question: truncate(text, MAX_QUESTION_CHARS) } : {}),
+    ...(question?.topics.length ? { question_topics: question.topics } : {})
+  };
+}
+
+function baseMetadata(meta, turn) {
+  return {
+    ticker: meta.ticker,
+    company: meta.ticker,
+    company_ticker: meta.ticker,
+    fiscal_year: String(meta.fiscalYear),
+    fiscalYear: String(meta.fiscalYear),
+    quarter: meta.quarter,
+    type: 'transcript',
+    source_type: turn.sourceType,
+    ...(turn.file ? { source: turn.file, source_file: turn.file } : {})
+  };
+}
+
+/**
+ * Expands turns into chunks, splitting long ones into numbered parts that
+ * share the turn's metadata.
+ */
+function buildChunks(turns, meta) {
+  const chunks = [];
+  turns.forEach((turn, turnIndex) => {
+    const parts = splitLongText(turn.text);
+    parts.forEach((text, partIndex) => {
+      if (text.length < MIN_CHUNK_CHARS) return;
+      const index = chunks.length;
+      chunks.push({
+        id: `${meta.ticker}-${meta.fiscalYear}-${meta.quarter}-${turn.section}-${index}`,
+        text,
+        metadata: {
+          ...baseMetadata(meta, turn),
+          ...turn.metadata,
+          speaker_key: speakerKey(turn.metadata.speaker),
+          section: turn.section,
+          turn_index: turnIndex,
+          part: partIndex + 1,
+          parts: parts.length,
+          chunk_index: index,
+          text
+        }
+      });
+    });
+  });
+  return chunks.map((chunk) => ({ ...chunk, metadata: { ...chunk.metadata, total_chunks: chunks.length } }));
+}
+
+/**
+ * One turn per executive response and analyst question in a parsed
+ * `*_qa.json`. The parsed
+ * summaries don't mark where the Q&A starts, so a response counts as Q&A when
+ * it can be linked to an analyst question and as prepared remarks otherwise.
+ */
+function parsedQaTurns(json, file) {
+  const analystQuestions = readAnalystQuestions(json);
+  const turns = [];
+
+  for (const speaker of readSpeakers(json, analystQuestions)) {
+    if (speaker.role === 'operator' || speaker.role === 'analyst') continue;
+    for (const response of speaker.responses) {
+      const question = linkQuestion(`${response.topic} ${response.content}`, speaker.name, analystQuestions);
+      turns.push({
+        section: question ? 'qa' : 'prepared',
+        text: response.content,
+        sourceType: 'parsed_qa',
+        file,
+        metadata: {
+          speaker: speaker.name,
+          role: speaker.role,
+          ...(speaker.title ? { speaker_title: speaker.title } : {}),
+          ...(response.topic ? { topic: response.topic } : {}),
+          ...questionMetadata(question)
+        }
+      });
+    }
+  }
+
+  for (const question of analystQuestions) {
+    if (!question.questions.length) continue;
+    turns.push({
+      section: 'qa',
+      text: question.questions.join('\n\n'),
+      sourceType: 'parsed_qa',
+      file,
+      metadata: {
+        speaker: question.analyst,
+        role: 'analyst',
+        ...(question.topics.length ? { topic: question.topics[0] } : {}),
+        analyst: question.analyst,
+        ...(question.firm ? { analyst_firm: question.firm } : {}),
+        ...(question.topics.length ? { question_topics: question.topics } : {})
+      }
+    });
+  }
+
+  return turns;
+}
+
+/**
+ * Chunks a parsed `*_qa.json`: one chunk per executive response and per
+ * analyst question.
+ * @param {Object} json - Parsed `*_qa.json`.
+ * @param {{ticker: string, fiscalYear: string|number, quarter: string, file?: string}} meta
+ * @returns {Array<{id: string, text: string, metadata: Object}>}
+ */
+export function chunkParsedQa(json, meta) {
+  return buildChunks(parsedQaTurns(json, meta.file), meta);
+}
+
+function readParticipant(label) {
+  if (/^(executive|analyst)$/i.test(label)) return { kind: label.toLowerCase(), title: null, firm: null };
+  return EXECUTIVE_TITLE.test(label)
+    ? { kind: 'executive', title: label, firm: null }
+    : { kind: 'analyst', title: null, firm: label };
+}
+
+/**
+ * Splits a verbatim transcript into speaker turns. Handles the layouts in
+ * data/transcripts: a "Participants" list followed by name-only speaker
+ * lines, "Name -- Title" lines, and "NAME:" / "Name:" line prefixes.
+ * @param {string} text
+ * @returns {Array<{speaker: string, title: string|null, kind: 'executive'|'analyst'|null, firm: string|null, lines: string[], qaMarker: boolean}>}
+ */
+export function parseTranscriptTurns(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const participants = new Map();
+
+  // "Participants\nName\n\nexecutive\n\n..." header block
+  let start = 0;
+  const listStart = lines.findIndex((line) => line.trim() === 'Participants');
+  if (listStart !== -1) {
+    const listEnd = lines.findIndex((line, i) => i > listStart && PARTICIPANTS_END.test(line.trim()));
+    const entries = lines.slice(listStart + 1, listEnd === -1 ? undefined : listEnd).map((l) => l.trim()).filter(Boolean);
+    for (let i = 0; i + 1 < entries.length; i += 2) {
+      participants.set(entries[i], readParticipant(entries[i + 1]));
+    }
+    start = listEnd === -1 ? lines.length : listEnd + 1;
+  }
+
+  const turns = [];
+  let current = null;
+  let qaMarker = false;
+  const open = (speaker, title, firstLine, participant = null) => {
+    current = {
+      speaker,
+      title: participant?.title || title,
+      kind: participant?.kind || null,
+      firm: participant?.firm || null,
+      lines: firstLine ? [firstLine] : [],
+      qaMarker
+    };
+    turns.push(current);
+  };
+
+  const body = lines.slice(start);
+  for (let i = 0; i < body.length; i += 1) {
+    const rawLine = body[i];
+    let line = rawLine.trim();
+    if (!participants.size && WRAPPED_NAME_LINE.test(line) && /^[A-Z][A-Z.'’ -]*:/.test(body[i + 1]?.trim() || '')) {
+      line = `${line} ${body[i + 1].trim()}`;
+      i += 1;
+    }
+    // Only after the first turn; AAPL transcripts open with a table of contents
+    if (turns.length && QA_MARKER.test(line)) {
+      qaMarker = true;
+      continue;
+    }
+    // A trailing "Call Participants:" roster repeats every speaker line; stop there
+    if (turns.length && PARTICIPANTS_END.test(line)) break;
+    if (PREPARED_MARKER.test(line)) continue;
+
+    if (participants.has(line) || (participants.size && line === 'Operator')) {
+      open(line, null, '', participants.get(line));
+      continue;
+    }
+    if (!participants.size) {
+      const dashed = line.match(DASHED_SPEAKER_LINE);
+      if (dashed) {
+        open(dashed[1], dashed[2]);
+        continue;
+      }
+      const prefixed = line.match(PREFIXED_SPEAKER_LINE);
+      // Mixed-case prefixes need two words so "Note:"-style sentences aren't taken as speakers
+      const singleWordOk = OPERATOR_NAMES.has(prefixed?.[1].toLowerCase()) || prefixed?.[1] === prefixed?.[1].toUpperCase();
+      if (prefixed && (singleWordOk || prefixed[1].split(' ').length >= 2)) {
+        open(prefixed[1], null, prefixed[2] || '');
+        continue;
+      }
+    }
+    if (current) current.lines.push(rawLine.trimEnd());
+  }
+
+  return turns;
+}
+
+/**
+ * Resolves a transcript speaker against the parsed speakers and analyst
+ * questions by surname, since first names vary ("Tim" / "Timothy Donald").
+ * Surnames shared by two parsed speakers resolve to nobody.
+ */
+function createSpeakerLookup(speakers, analystQuestions) {
+  const bySurname = new Map();
+  speakers.forEach((speaker) => {
+    const key = surname(speaker.name);
+    bySurname.set(key, bySurname.has(key) ? null : speaker);
+  });
+  const analystsBySurname = new Map();
+  analystQuestions.forEach((question) => {
+    const key = surname(question.analyst);
+    if (!analystsBySurname.has(key)) analystsBySurname.set(key, []);
+    analystsBySurname.get(key).push(question);
+  });
+  return {
+    speaker: (name) => bySurname.get(surname(name)) || null,
+    analystQuestions: (name) => analystsBySurname.get(surname(name)) || []
+  };
+}
+
+/** "Your first question comes from the line of C.J. Muse" style introductions. */
+function introducedAsAnalyst(operatorText, name) {
+  const key = surname(name);
+  if (!key) return false;
+  const text = operatorText.toLowerCase();
+  const at = text.lastIndexOf(key);
+  return at !== -1 && /question|line of/.test(text.slice(Math.max(0, at - 80), at));
+}
+
+function titleCaseIfShouting(name) {
+  if (name !== name.toUpperCase()) return name;
+  return name.toLowerCase().replace(/\b[a-z]/g, (c) => c.toUpperCase());
+}
+
+/**
+ * One turn per speaker turn in a verbatim transcript, tagged as prepared
+ * remarks until the first analyst speaks; after that, analyst turns are
+ * questions and executive turns answers linked to the question before them. The parsed `*_qa.json` (when given)
+ * supplies titles, analyst firms and question topics.
+ */
+function transcriptTextTurns(text, file, qaJson) {
+  const turns = parseTranscriptTurns(text);
+  const analystQuestions = qaJson ? readAnalystQuestions(qaJson) : [];
+  const parsedSpeakers = qaJson ? readSpeakers(qaJson, analystQuestions) : [];
+  const lookup = createSpeakerLookup(parsedSpeakers, analystQuestions);
+
+  const chunkTurns = [];
+  let inQa = false;
+  let previousOperatorText = '';
+  const knownAnalysts = new Set();
+  const knownOperators = new Set();
+  const preparedSpeakers = new Set();
+  let question = null;
+
+  for (const turn of turns) {
+    const body = turn.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    const name = titleCaseIfShouting(turn.speaker);
+    const parsed = lookup.speaker(name);
+    const tag = turn.kind;
+
+    const unlabelled = !tag && !turn.title && !parsed;
+    if (turn.qaMarker) inQa = true;
+
+    let role;
+    if (OPERATOR_NAMES.has(name.toLowerCase()) || knownOperators.has(name)) role = 'operator';
+    else if (unlabelled && OPERATOR_CUE.test(body)) role = 'operator';
+    else if (tag === 'analyst' || normalizeRole(turn.title) === 'analyst') role = 'analyst';
+    else if (turn.title) role = normalizeRole(turn.title);
+    else if (parsed) role = parsed.role;
+    else if (tag) role = 'executive';
+    else if (knownAnalysts.has(name) || lookup.analystQuestions(name).length) role = 'analyst';
+    // The operator introduces each analyst by name before their question
+    else if (introducedAsAnalyst(previousOperatorText, name)) role = 'analyst';
+    // Anyone new who first speaks during the Q&A is on the sell side
+    else if (inQa && !preparedSpeakers.has(name)) role = 'analyst';
+    else role = 'executive';
+
+    // Calls open with investor relations; some participant lists mislabel them as analysts
+    if (role === 'analyst' && !inQa && !chunkTurns.length) role = 'executive';
+
+    if (role === 'operator') {
+      knownOperators.add(name);
+      previousOperatorText = body;
+      continue;
+    }
+    previousOperatorText = '';
+
+    if (role === 'analyst') {
+      inQa = true;
+      knownAnalysts.add(name);
+      // An analyst with several parsed questions gets the one closest to what they asked
+      const tokens = tokenize(body);
+      const linked = lookup.analystQuestions(name)
+        .map((q) => ({ q, score: overlapScore(tokens, questionTokens(q)) }))
+        .sort((a, b) => b.score - a.score)[0]?.q || null;
+      const firmFromTitle = turn.firm || (turn.title && / -- /.test(turn.title) ? turn.title.split(' -- ')[0] : null);
+      question = {
+        analyst: name,
+        firm: linked?.firm || firmFromTitle,
+        topics: linked?.topics || [],
+        questions: [],
+        answers: [],
+        text: body
+      };
+      if (body) {
+        chunkTurns.push({
+          section: 'qa',
+          text: body,
+          sourceType: 'transcript_text',
+          file,
+          metadata: {
+            speaker: name,
+            role,
+            ...(question.topics.length ? { topic: question.topics[0] } : {}),
+            analyst: name,
+            ...(question.firm ? { analyst_firm: question.firm } : {}),
+            ...(question.topics.length ? { question_topics: question.topics } : {})
+          }
+        });
+      }
+      continue;
+    }
+    if (!body) continue;
+    if (!inQa) preparedSpeakers.add(name);
+
+    // Borrow the closest parsed topic this speaker was summarised under
+    let topic = null;
+    if (parsed) {
+      const tokens = tokenize(body);
+      let bestScore = LINK_THRESHOLD;
+      for (const response of parsed.responses) {
+        const score = overlapScore(tokens, tokenize(`${response.topic} ${response.content}`));
+        if (score > bestScore) {
+          topic = response.topic;
+          bestScore = score;
+        }
+      }
+    }
+    if (!topic && inQa && question?.topics.length) topic = question.topics[0];
+
+    const title = turn.title || parsed?.title || null;
+    chunkTurns.push({
+      section: inQa ? 'qa' : 'prepared',
+      text: body,
+      sourceType: 'transcript_text',
+      file,
+      metadata: {
+        speaker: name,
+        role,
+        ...(title ? { speaker_title: title } : {}),
+        ...(topic ? { topic } : {}),
+        ...(inQa && question ? questionMetadata(question, question.text) : {})
+      }
+    });
+  }
+
+  return chunkTurns;
+}
+
+/**
+ * Chunks a verbatim transcript: one chunk per prepared-remarks turn,
+ * question or answer.
+ * @param {string} text - Transcript text.
+ * @param {{ticker: string, fiscalYear: string|number, quarter: string, file?: string}} meta
+ * @param {Object|null} [qaJson] - Parsed `*_qa.json` for the same call.
+ * @returns {Array<{id: string, text: string, metadata: Object}>}
+ */
+export function chunkTranscriptText(text, meta, qaJson = null) {
+  return buildChunks(transcriptTextTurns(text, meta.file, qaJson), meta);
+}
+
+/**
+ * Text sent to the embedder: the chunk prefixed with who is speaking and in
+ * which part of the call, so retrieval can pick up on speaker and topic even
+ * though the stored `metadata.text` stays verbatim.
+ * @param {{text: string, metadata: Object}} chunk
+ * @returns {string}
+ */
+export function formatChunkForEmbedding(chunk) {
+  const { metadata } = chunk;
+  const who = metadata.role && metadata.role !== 'executive' ? `${metadata.speaker} (${metadata.role})` : metadata.speaker;
+  const firm = metadata.analyst_firm ? ` (${metadata.analyst_firm})` : '';
+  let where = 'prepared remarks';
+  if (metadata.role === 'analyst') where = `question${firm}`;
+  else if (metadata.section === 'qa') where = `answering ${metadata.analyst || 'an analyst'}${firm}`;
+  const header = `${metadata.ticker} ${metadata.quarter} FY${metadata.fiscalYear} earnings call, ${who}, ${where}${metadata.topic ? ` on ${metadata.topic}` : ''}`;
+  return `${header}\n\n${chunk.text}`;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists the quarter folders under data/transcripts/<ticker>.
+ * @param {string} baseDir - Transcripts root (data/transcripts).
+ * @param {string} ticker
+ * @param {{fiscalYear?: string, quarter?: string}} [filters]
+ * @returns {Array<{ticker: string, fiscalYear: string, quarter: string, dir: string}>}
+ */
+export function listTranscriptQuarters(baseDir, ticker, filters = {}) {
+  const tickerDir = path.join(baseDir, ticker);
+  if (!fs.existsSync(tickerDir)) return [];
+  const quarters = [];
+  for (const fyDir of fs.readdirSync(tickerDir).filter((d) => /^FY_\d{4}$/.test(d)).sort()) {
+    const fiscalYear = fyDir.slice(3);
+    if (filters.fiscalYear && String(filters.fiscalYear) !== fiscalYear) continue;
+    for (const qDir of fs.readdirSync(path.join(tickerDir, fyDir)).filter((d) => /^Q[1-4]$/.test(d)).sort()) {
+      if (filters.quarter && filters.quarter !== qDir) continue;
+      quarters.push({ ticker, fiscalYear, quarter: qDir, dir: path.join(tickerDir, fyDir, qDir) });
+    }
+  }
+  return quarters;
+}
+
+/**
+ * The files a quarter folder is chunked from: the verbatim transcript and the
+ * parsed Q&A, whichever exist, plus the press release the call accompanied.
+ * @param {{dir: string}} entry
+ * @returns {{transcriptFile: string|null, qaFile: string|null, pressReleaseFile: string|null}}
+ */
+export function transcriptQuarterFiles(entry) {
+  const parsedDir = path.join(entry.dir, 'parsed_earnings');
+  const candidates = [entry.dir, parsedDir]
+    .filter((dir) => fs.existsSync(dir))
+    .flatMap((dir) => fs.readdirSync(dir).map((name) => path.join(dir, name)));
+  return {
+    transcriptFile: candidates.find((file) => file.endsWith('-transcript.txt')) || null,
+    qaFile: candidates.find((file) => file.endsWith('_qa.json')) || null,
+    pressReleaseFile: candidates.find((file) => file.endsWith('-press-release.txt')) || null
+  };
+}
+
+/**
+ * Chunks one quarter folder. Uses the verbatim transcript when it splits into
+ * speaker turns and falls back to the parsed Q&A summaries otherwise; when the
+ * transcript stops before the Q&A (some scraped copies do), the parsed answers
+ * fill in that section. Folder names are authoritative for
+ * ticker/year/quarter, since a few parsed files carry a mislabelled fiscal year.
+ * @param {{ticker: string, fiscalYear: string, quarter: string, dir: string}} entry
+ * @returns {{chunks: Array<{id: string, text: string, metadata: Object}>, files: string[]}}
+ */
+export function chunkTranscriptQuarter(entry) {
+  const { transcriptFile, qaFile } = transcriptQuarterFiles(entry);
+  const relative = (file) => path.relative(process.cwd(), file).split(path.sep).join('/');
+  const qaJson = qaFile ? readJson(qaFile) : null;
+
+  const textTurns = transcriptFile
+    ? transcriptTextTurns(fs.readFileSync(transcriptFile, 'utf-8'), relative(transcriptFile), qaJson)
+    : [];
+  const parsedTurns = qaJson ? parsedQaTurns(qaJson, relative(qaFile)) : [];
+
+  let turns = parsedTurns;
+  if (textTurns.length) {
+    const hasQa = textTurns.some((turn) => turn.section === 'qa');
+    turns = hasQa ? textTurns : [...textTurns, ...parsedTurns.filter((turn) => turn.section === 'qa')];
+  }
+
+  const meta = { ticker: entry.ticker, fiscalYear: entry.fiscalYear, quarter: entry.quarter };
+  return {
+    chunks: buildChunks(turns, meta),
+    files: [...new Set(turns.map((turn) => turn.file))]
+  };
+}
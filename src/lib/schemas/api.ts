@@ -6,16 +6,13 @@
 // =============================================================================
 
 import { z } from 'zod';
+import { isSupportedTicker, listTickers } from '../data/companies.js';
+import { GUIDANCE_METRICS } from '../data/guidance.js';
 
 // =============================================================================
 // CONSTANTS
 // =============================================================================
 
-export const SUPPORTED_TICKERS = [
-  'AAPL', 'AMD', 'AMZN', 'AVGO', 'CRM', 
-  'GOOGL', 'META', 'MSFT', 'NVDA', 'ORCL'
-] as const;
-
 export const RETRIEVAL_STRATEGIES = [
   'auto', 'dense-only', 'hybrid-bm25', 'hyde', 'multi-query'
 ] as const;
@@ -23,13 +20,16 @@ export const RETRIEVAL_STRATEGIES = [
 export const FINANCIAL_METRICS = [
   'revenue', 'gross_profit', 'operating_income', 'net_income',
   'eps', 'eps_diluted', 'gross_margin', 'operating_margin',
-  'net_margin', 'free_cash_flow', 'operating_cash_flow', 'revenue_segments'
+  'net_margin', 'free_cash_flow', 'operating_cash_flow', 'revenue_segments',
+  // Derived (src/lib/data/derivedMetrics.js)
+  'rd_intensity', 'opex_ratio', 'fcf_margin', 'cash_conversion',
+  'incremental_operating_margin', 'ttm_revenue', 'ttm_operating_income',
+  'ttm_net_income', 'ttm_free_cash_flow'
 ] as const;
 
 export const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'] as const;
 
 // Type exports
-export type SupportedTicker = typeof SUPPORTED_TICKERS[number];
 export type RetrievalStrategy = typeof RETRIEVAL_STRATEGIES[number];
 export type FinancialMetric = typeof FINANCIAL_METRICS[number];
 export type Quarter = typeof QUARTERS[number];
@@ -53,6 +53,41 @@ export type ChatMessage = z.infer<typeof ChatMessageSchema>;
  */
 // (Removed) FinancialChatRequestSchema - was used only by the workbook /api/chat/financial route.
 
+/**
+ * Schema for the conversation state the client echoes back between turns
+ * (built by src/lib/conversations/state.js; limits mirror STATE_LIMITS)
+ */
+export const ConversationStateSchema = z.object({
+  tickers: z.array(z.string().regex(/^[A-Z.]{1,6}$/, 'Invalid ticker')).max(5).default([]),
+  periods: z
+    .array(z.object({
+      fiscalYear: z.string().regex(/^20\d{2}$/, 'Invalid fiscal year format'),
+      quarter: z.enum(QUARTERS).optional()
+    }))
+    .max(8)
+    .default([]),
+  metrics: z.array(z.string().max(60)).max(10).default([]),
+  toolResults: z
+    .array(z.object({
+      tool: z.string().max(60),
+      input: z.record(z.unknown()).optional(),
+      summary: z.string().max(1000)
+    }))
+    .max(6)
+    .default([]),
+  citations: z
+    .array(z.object({
+      source: z.string().max(200),
+      fiscalYear: z.string().optional(),
+      quarter: z.string().optional(),
+      text: z.string().max(400)
+    }))
+    .max(10)
+    .default([])
+});
+
+export type ConversationState = z.infer<typeof ConversationStateSchema>;
+
 /**
  * Schema for /api/chat/stream POST request
  */
@@ -65,7 +100,12 @@ export const StreamChatRequestSchema = z.object({
   chatHistory: z
     .array(ChatMessageSchema)
     .optional()
-    .default([])
+    .default([]),
+  strategy: z
+    .enum(RETRIEVAL_STRATEGIES)
+    .optional()
+    .default('auto'),
+  conversationState: ConversationStateSchema.nullish()
 });
 
 export type StreamChatRequest = z.infer<typeof StreamChatRequestSchema>;
@@ -84,6 +124,53 @@ export const CitationSchema = z.object({
 
 export type Citation = z.infer<typeof CitationSchema>;
 
+// =============================================================================
+// CONVERSATION SCHEMAS
+// =============================================================================
+
+/**
+ * Schema for a stored conversation message. Assistant turns keep the tool
+ * results, citations and metrics the UI needs to redraw them on reopen.
+ */
+export const ConversationMessageSchema = z.object({
+  role: z.enum(['user', 'assistant']),
+  content: z.string().max(50000, 'Message too long (max 50000 characters)'),
+  strategy: z.string().optional(),
+  toolResults: z
+    .array(z.object({
+      tool: z.string(),
+      id: z.string().optional(),
+      success: z.boolean(),
+      result: z.unknown().optional(),
+      error: z.string().nullish()
+    }))
+    .optional(),
+  citations: z.array(z.record(z.unknown())).optional(),
+  metrics: z.record(z.unknown()).nullish(),
+  conversationState: ConversationStateSchema.nullish()
+});
+
+export type ConversationMessage = z.infer<typeof ConversationMessageSchema>;
+
+/**
+ * Schema for /api/conversations POST request
+ */
+export const CreateConversationSchema = z.object({
+  title: z.string().trim().min(1).max(200).optional(),
+  messages: z.array(ConversationMessageSchema).optional().default([])
+});
+
+export type CreateConversationRequest = z.infer<typeof CreateConversationSchema>;
+
+/**
+ * Schema for /api/conversations/[id]/messages POST request
+ */
+export const AppendMessagesSchema = z.object({
+  messages: z.array(ConversationMessageSchema).min(1, 'At least one message is required')
+});
+
+export type AppendMessagesRequest = z.infer<typeof AppendMessagesSchema>;
+
 /**
  * Schema for pipeline step
  */
@@ -141,14 +228,14 @@ export const QuarterSchema = z
   .or(z.string().regex(/^[1-4]$/).transform(s => `Q${s}` as Quarter));
 
 /**
- * Ticker validation
+ * Ticker validation against the company registry (data/companies.json)
  */
 export const TickerSchema = z
   .string()
   .toUpperCase()
   .refine(
-    (val): val is SupportedTicker => SUPPORTED_TICKERS.includes(val as SupportedTicker),
-    (val) => ({ message: `Unsupported ticker: ${val}. Supported: ${SUPPORTED_TICKERS.join(', ')}` })
+    (val) => isSupportedTicker(val),
+    (val) => ({ message: `Unsupported ticker: ${val}. Supported: ${listTickers().join(', ')}` })
   );
 
 /**
@@ -158,6 +245,7 @@ export const GetFinancialMetricsInputSchema = z.object({
   ticker: TickerSchema,
   fiscalYear: FiscalYearSchema,
   quarter: QuarterSchema,
+  periodType: z.enum(['quarter', 'annual', 'ttm']).optional(),
   metrics: z
     .array(z.enum(FINANCIAL_METRICS))
     .min(1, 'At least one metric required')
@@ -187,21 +275,55 @@ export type GetMultiQuarterMetricsInput = z.infer<typeof GetMultiQuarterMetricsI
 /**
  * Schema for compute_growth_rate tool input
  */
-export const ComputeGrowthRateInputSchema = z.object({
-  ticker: TickerSchema,
-  metric: z.enum(FINANCIAL_METRICS),
-  basePeriod: z.object({
-    fiscalYear: FiscalYearSchema,
-    quarter: QuarterSchema
-  }),
-  comparisonPeriod: z.object({
-    fiscalYear: FiscalYearSchema,
-    quarter: QuarterSchema
-  })
+const PeriodSchema = z.object({
+  fiscalYear: FiscalYearSchema,
+  quarter: QuarterSchema
 });
 
+export const ComputeGrowthRateInputSchema = z
+  .object({
+    ticker: TickerSchema,
+    metric: z.enum(FINANCIAL_METRICS),
+    mode: z.enum(['custom', 'yoy', 'qoq', 'cagr']).optional().default('custom'),
+    period: PeriodSchema.optional(),
+    years: z.number().int().min(1).max(10).optional(),
+    basePeriod: PeriodSchema.optional(),
+    comparisonPeriod: PeriodSchema.optional()
+  })
+  .refine((input) => input.mode !== 'custom' || (input.basePeriod && input.comparisonPeriod), {
+    message: 'basePeriod and comparisonPeriod are required when mode is custom'
+  });
+
 export type ComputeGrowthRateInput = z.infer<typeof ComputeGrowthRateInputSchema>;
 
+/**
+ * Schema for compare_companies tool input
+ */
+export const CompareCompaniesInputSchema = z.object({
+  tickers: z
+    .array(TickerSchema)
+    .min(2, 'At least two tickers required')
+    .max(6, 'Maximum 6 tickers'),
+  metrics: z
+    .array(z.enum(FINANCIAL_METRICS).exclude(['revenue_segments']))
+    .min(1, 'At least one metric required'),
+  periods: z
+    .object({
+      mode: z.enum(['latest', 'calendar']).optional().default('latest'),
+      count: z.number().int().min(1).max(8).optional().default(1),
+      calendarPeriods: z
+        .array(z.object({
+          calendarYear: z.string().regex(/^20\d{2}$/, 'Invalid calendar year'),
+          quarter: QuarterSchema
+        }))
+        .max(8, 'Maximum 8 periods')
+        .optional()
+    })
+    .optional()
+});
+
+export type CompareCompaniesInput = z.infer<typeof CompareCompaniesInputSchema>;
+
 /**
  * Schema for search_earnings_transcript tool input
  */
@@ -224,6 +346,30 @@ export const SearchTranscriptInputSchema = z.object({
 
 export type SearchTranscriptInput = z.infer<typeof SearchTranscriptInputSchema>;
 
+/**
+ * Schema for get_guidance_vs_actual tool input; no fiscalYear (or "latest")
+ * picks the most recent guided period, no quarter means full-year guidance
+ */
+export const GetGuidanceVsActualInputSchema = z.object({
+  ticker: TickerSchema,
+  fiscalYear: FiscalYearSchema.or(z.literal('latest')).optional(),
+  quarter: QuarterSchema.optional().nullable(),
+  metrics: z.array(z.enum(GUIDANCE_METRICS as [string, ...string[]])).optional()
+});
+
+export type GetGuidanceVsActualInput = z.infer<typeof GetGuidanceVsActualInputSchema>;
+
+/**
+ * Schema for get_theme_timeline tool input; no themes means the most
+ * mentioned taxonomy themes for the ticker
+ */
+export const GetThemeTimelineInputSchema = z.object({
+  ticker: TickerSchema,
+  themes: z.array(z.string().min(1).max(100)).max(8).optional()
+});
+
+export type GetThemeTimelineInput = z.infer<typeof GetThemeTimelineInputSchema>;
+
 /**
  * Schema for list_available_data tool input
  */
@@ -0,0 +1,61 @@
+import { z } from 'zod';
+
+// Canonical shape every data/financials quarter is normalized into.
+// Amounts are USD millions, margins are percentages, EPS is USD per share.
+// Fields the source file does not report are null rather than 0.
+
+const Amount = z.number().nullable();
+
+export const CanonicalFinancialQuarterSchema = z.object({
+  ticker: z.string(),
+  fiscalYear: z.string().regex(/^\d{4}$/),
+  quarter: z.enum(['Q1', 'Q2', 'Q3', 'Q4']),
+  period: z.object({
+    fiscalEndDate: z.string().nullable(),
+    calendarQuarter: z.string().nullable()
+  }).strict(),
+  income_statement: z.object({
+    // Revenue is the one field a usable filing must have
+    revenue: z.number(),
+    cost_of_revenue: Amount,
+    gross_profit: Amount,
+    rd_expense: Amount,
+    operating_income: Amount,
+    net_income: Amount,
+    eps: Amount,
+    eps_diluted: Amount
+  }).strict(),
+  margins: z.object({
+    gross_margin: Amount,
+    operating_margin: Amount,
+    net_margin: Amount
+  }).strict(),
+  cash_flow: z.object({
+    operating_cash_flow: Amount,
+    // Stored as a positive outflow regardless of the filing's sign convention
+    capital_expenditures: Amount,
+    free_cash_flow: Amount
+  }).strict(),
+  revenue_segments: z.record(z.string(), z.number()),
+  // Canonical field -> source path it was read from ("computed" when derived)
+  sources: z.record(z.string(), z.string())
+}).strict();
+
+// Fields whose absence makes a quarter unreliable for chat answers
+export const EXPECTED_FINANCIAL_FIELDS = [
+  'income_statement.revenue',
+  'income_statement.operating_income',
+  'income_statement.net_income',
+  'income_statement.eps_diluted'
+];
+
+export const FinancialValidationReportSchema = z.object({
+  ticker: z.string(),
+  fiscalYear: z.string(),
+  quarter: z.string(),
+  file: z.string().nullable(),
+  valid: z.boolean(),
+  errors: z.array(z.string()),
+  missingFields: z.array(z.string()),
+  unmappedFields: z.array(z.string())
+});
@@ -1,11 +1,32 @@
 import { z } from 'zod';
 
+const DerivedMetricSchema = z.object({
+  metric: z.string(),
+  value: z.number().nullable(),
+  unit: z.enum(['usd_millions', 'percent', 'ratio']),
+  formula: z.string(),
+  inputs: z.record(z.string(), z.object({
+    period: z.string(),
+    value: z.number().nullable(),
+    status: z.enum(['ok', 'missing_period', 'missing_field'])
+  })),
+  reason: z.string().optional()
+});
+
 export const FinancialMetricsOutputSchema = z.object({
   found: z.boolean(),
   ticker: z.string(),
   period: z.string(),
   metrics: z.record(z.string(), z.number()).optional(),
   missingMetrics: z.array(z.string()).optional(),
+  derivedMetrics: z.record(z.string(), DerivedMetricSchema).optional(),
+  rollup: z.object({
+    basis: z.enum(['annual', 'ttm']),
+    quarters: z.array(z.string()),
+    methods: z.record(z.string(), z.string()).optional(),
+    missingQuarters: z.array(z.string()).optional()
+  }).optional(),
+  error: z.string().optional(),
   source: z.string().optional()
 });
 
@@ -14,26 +35,60 @@ export const MultiQuarterMetricsSchema = z.object({
   periods: z.array(z.object({
     period: z.string(),
     metrics: z.record(z.string(), z.number()),
-    missingMetrics: z.array(z.string())
+    missingMetrics: z.array(z.string()),
+    derivedMetrics: z.record(z.string(), DerivedMetricSchema).optional()
   })),
   source: z.string().optional()
 });
 
+const GrowthPeriodSchema = z.object({
+  period: z.string(),
+  calendarPeriod: z.string().nullable().optional(),
+  value: z.number().nullable()
+});
+
 export const GrowthRateOutputSchema = z.object({
   success: z.boolean(),
   ticker: z.string().optional(),
   metric: z.string().optional(),
-  basePeriod: z.object({
-    period: z.string(),
-    value: z.number()
-  }).nullable().optional(),
-  comparisonPeriod: z.object({
-    period: z.string(),
-    value: z.number()
-  }).nullable().optional(),
+  mode: z.enum(['custom', 'yoy', 'qoq', 'cagr']).optional(),
+  years: z.number().optional(),
+  basePeriod: GrowthPeriodSchema.nullable().optional(),
+  comparisonPeriod: GrowthPeriodSchema.nullable().optional(),
   growthRate: z.string().nullable().optional(),
   growthRateNumeric: z.number().nullable().optional(),
   direction: z.enum(['increase', 'decrease', 'flat']).nullable().optional(),
+  failure: z.object({
+    reason: z.enum(['invalid_period', 'missing_period', 'missing_metric', 'undefined_for_sign']),
+    message: z.string()
+  }).optional(),
+  error: z.string().optional(),
+  source: z.string().optional()
+});
+
+export const CompareCompaniesOutputSchema = z.object({
+  tickers: z.array(z.string()),
+  metrics: z.array(z.string()),
+  periodBasis: z.literal('calendar').optional(),
+  periods: z.array(z.string()),
+  rows: z.array(z.object({
+    ticker: z.string(),
+    metric: z.string(),
+    unit: z.enum(['usd_millions', 'percent', 'usd_per_share']),
+    cells: z.array(z.object({
+      calendarPeriod: z.string(),
+      fiscalPeriod: z.string(),
+      value: z.number().nullable(),
+      status: z.enum(['ok', 'missing_metric', 'missing_period']),
+      provenance: z.object({
+        file: z.string(),
+        fiscalEndDate: z.string().nullable(),
+        calendarSource: z.string()
+      })
+    }))
+  })),
+  summaries: z.array(z.string()).optional(),
+  missingCells: z.number().optional(),
   error: z.string().optional(),
   source: z.string().optional()
 });
@@ -41,15 +96,129 @@ export const GrowthRateOutputSchema = z.object({
 export const TranscriptSearchOutputSchema = z.object({
   ticker: z.string(),
   query: z.string(),
-  filters: z.record(z.any()).optional(),
+  searchedYears: z.array(z.string()).optional(),
+  // Present when the search was narrowed to a speaker, role or section
+  filters: z.object({
+    speakerKeys: z.array(z.string()),
+    role: z.string().nullable(),
+    section: z.string().nullable()
+  }).optional(),
   results: z.array(z.object({
     score: z.number().nullable(),
     text: z.string().nullable(),
     fiscalYear: z.string().nullable().optional(),
     quarter: z.string().nullable().optional(),
     source: z.string().nullable().optional(),
-    type: z.string().nullable().optional()
+    type: z.string().nullable().optional(),
+    speaker: z.string().nullable().optional(),
+    role: z.string().nullable().optional(),
+    section: z.string().nullable().optional(),
+    topic: z.string().nullable().optional(),
+    analyst: z.string().nullable().optional(),
+    analystFirm: z.string().nullable().optional(),
+    question: z.string().nullable().optional()
   })),
+  // Strategy that produced the results, 'keyword-fallback' when the index had none
+  strategy: z.string().optional(),
+  requestedStrategy: z.string().optional(),
+  autoSelected: z.boolean().optional(),
+  hypotheticalDocument: z.string().optional(),
+  queryVariations: z.array(z.string()).optional(),
+  variants: z.array(z.object({
+    query: z.string(),
+    hits: z.number(),
+    fusedHits: z.number(),
+    uniqueHits: z.number()
+  })).optional(),
+  hadFallback: z.boolean().optional(),
+  source: z.string().optional()
+});
+
+export const GuidanceVsActualOutputSchema = z.object({
+  ticker: z.string(),
+  period: z.string().nullable(),
+  comparisons: z.array(z.object({
+    metric: z.string(),
+    basis: z.enum(['gaap', 'non_gaap']).nullable(),
+    segment: z.string().nullable(),
+    period: z.string(),
+    guidance: z.object({
+      low: z.number().nullable(),
+      high: z.number().nullable(),
+      midpoint: z.number().nullable(),
+      unit: z.enum(['usd_millions', 'percent', 'usd_per_share']),
+      form: z.string(),
+      issued: z.string(),
+      source: z.object({
+        type: z.enum(['press_release', 'transcript']),
+        file: z.string().nullable(),
+        start: z.number(),
+        end: z.number(),
+        text: z.string()
+      })
+    }),
+    revisions: z.array(z.object({
+      issued: z.string(),
+      low: z.number().nullable(),
+      high: z.number().nullable(),
+      midpoint: z.number().nullable()
+    })),
+    actual: z.object({ value: z.number(), formula: z.string(), file: z.string().nullable() }).nullable(),
+    status: z.enum(['scored', 'not_comparable', 'not_reported']),
+    reason: z.string().optional(),
+    position: z.enum(['above', 'within', 'below']).optional(),
+    outcome: z.enum(['beat', 'inline', 'miss']).optional(),
+    difference: z.object({
+      vsMidpoint: z.number(),
+      vsMidpointPct: z.number().nullable(),
+      outsideRange: z.number(),
+      unit: z.string()
+    }).optional()
+  })),
+  summaries: z.array(z.string()).optional(),
+  scored: z.number().optional(),
+  availablePeriods: z.array(z.string()).optional(),
+  error: z.string().optional(),
+  source: z.string().optional()
+});
+
+export const ThemeTimelineOutputSchema = z.object({
+  ticker: z.string(),
+  periods: z.array(z.string()),
+  calls: z.array(z.object({
+    period: z.string(),
+    words: z.number(),
+    source: z.enum(['transcript_text', 'parsed_qa', 'mixed'])
+  })),
+  themes: z.array(z.object({
+    id: z.string(),
+    label: z.string(),
+    terms: z.array(z.string()),
+    adHoc: z.boolean(),
+    totalMentions: z.number(),
+    firstMention: z.object({
+      period: z.string(),
+      speaker: z.string().nullable(),
+      text: z.string().nullable(),
+      atCoverageStart: z.boolean()
+    }).nullable(),
+    peak: z.object({ period: z.string(), perTenThousandWords: z.number(), mentions: z.number() }).nullable(),
+    trend: z.enum(['rising', 'falling', 'steady', 'new', 'absent']),
+    summary: z.string(),
+    quarters: z.array(z.object({
+      period: z.string(),
+      fiscalYear: z.string(),
+      quarter: z.string(),
+      mentions: z.number(),
+      perTenThousandWords: z.number(),
+      managementMentions: z.number(),
+      analystMentions: z.number(),
+      topics: z.array(z.string())
+    }))
+  })),
+  summaries: z.array(z.string()),
+  note: z.string().optional(),
+  error: z.string().optional(),
   source: z.string().optional()
 });
 
@@ -63,7 +232,10 @@ const SCHEMAS = {
   get_financial_metrics: FinancialMetricsOutputSchema,
   get_multi_quarter_metrics: MultiQuarterMetricsSchema,
   compute_growth_rate: GrowthRateOutputSchema,
+  compare_companies: CompareCompaniesOutputSchema,
   search_earnings_transcript: TranscriptSearchOutputSchema,
+  get_guidance_vs_actual: GuidanceVsActualOutputSchema,
+  get_theme_timeline: ThemeTimelineOutputSchema,
   list_available_data: ListAvailableOutputSchema
 };
 
@@ -4,10 +4,11 @@
 // 2) Descriptions state when to use and when NOT to use.
 // 3) Schemas are strict and enum-heavy to keep Claude aligned.
 
-const TICKER_ENUM = [
-  'AAPL', 'AMD', 'AMZN', 'AVGO', 'CRM',
-  'GOOGL', 'META', 'MSFT', 'NVDA', 'ORCL'
-];
+import { DERIVED_METRIC_NAMES } from '../data/derivedMetrics.js';
+import { listTickers } from '../data/companies.js';
+import { GUIDANCE_METRICS } from '../data/guidance.js';
+
+const TICKER_ENUM = listTickers();
 
 export const FINANCIAL_TOOLS = [
   {
@@ -16,18 +17,27 @@ export const FINANCIAL_TOOLS = [
 
 USE FOR:
 - Any question asking for specific numbers (revenue, EPS, margins, profit, cash flow) for one quarter.
+- Fiscal-year or trailing-twelve-month totals ("FY2024 revenue", "TTM free cash flow") via periodType.
 
 DO NOT USE FOR:
 - Qualitative/strategy/guidance commentary (use search_earnings_transcript).
 - Multi-quarter trends (use get_multi_quarter_metrics).
 
-Returns only verified values from financial statements. Never estimate.`,
+Returns only verified values from financial statements. Never estimate.
+
+Derived metrics (rd_intensity, opex_ratio, fcf_margin, cash_conversion, incremental_operating_margin,
+ttm_*) are computed from stored fields; each comes back under derivedMetrics with its formula and inputs.`,
     input_schema: {
       type: 'object',
       properties: {
         ticker: { type: 'string', enum: TICKER_ENUM, description: 'Stock ticker symbol' },
         fiscalYear: { type: 'string', description: 'Fiscal year (e.g., "2025") or "latest" to auto-detect most recent. Use "latest" for current/recent data since companies have different fiscal calendars (NVDA is on FY2026, others on FY2025).' },
         quarter: { type: 'string', enum: ['Q1', 'Q2', 'Q3', 'Q4'], description: 'Fiscal quarter. Optional if fiscalYear is "latest".' },
+        periodType: {
+          type: 'string',
+          enum: ['quarter', 'annual', 'ttm'],
+          description: '"quarter" (default); "annual" for fiscal-year totals of fiscalYear; "ttm" for the trailing four quarters ending at fiscalYear/quarter (or the latest). Flow metrics are summed and margins recomputed; fails if any quarter is missing.'
+        },
         metrics: {
           type: 'array',
           description: 'Metrics to retrieve; choose only what is asked',
@@ -37,7 +47,7 @@ Returns only verified values from financial statements. Never estimate.`,
               'revenue', 'gross_profit', 'operating_income', 'net_income',
               'eps', 'eps_diluted', 'gross_margin', 'operating_margin',
               'net_margin', 'free_cash_flow', 'operating_cash_flow',
-              'revenue_segments'
+              'revenue_segments', ...DERIVED_METRIC_NAMES
             ]
           }
         }
@@ -81,7 +91,7 @@ DO NOT USE FOR:
               'revenue', 'gross_profit', 'operating_income', 'net_income',
               'eps', 'eps_diluted', 'gross_margin', 'operating_margin',
               'net_margin', 'free_cash_flow', 'operating_cash_flow',
-              'revenue_segments'
+              'revenue_segments', ...DERIVED_METRIC_NAMES
             ]
           }
         }
@@ -91,13 +101,17 @@ DO NOT USE FOR:
   },
   {
     name: 'compute_growth_rate',
-    description: `Compute growth between two periods (YoY, QoQ) for a specific metric.
+    description: `Compute growth for a specific metric: YoY, QoQ, multi-year CAGR, or between two explicit periods.
 
 USE FOR:
-- "YoY growth", "QoQ change", "delta vs prior year/quarter" questions.
+- "YoY growth", "QoQ change", "delta vs prior year/quarter", "3-year CAGR" questions.
 
 DO NOT USE FOR:
-- Raw metric retrieval (use get_financial_metrics / get_multi_quarter_metrics first if needed).`,
+- Raw metric retrieval (use get_financial_metrics / get_multi_quarter_metrics first if needed).
+
+Prefer mode "yoy" / "qoq" / "cagr" with a single anchor period: the prior period is resolved on the
+ticker's own fiscal calendar. On failure, failure.reason says whether a period is missing
+(missing_period) or cannot be resolved (invalid_period), the metric is not reported (missing_metric), or CAGR is undefined (undefined_for_sign).`,
     input_schema: {
       type: 'object',
       properties: {
@@ -111,6 +125,21 @@ DO NOT USE FOR:
           ],
           description: 'Metric to compare'
         },
+        mode: {
+          type: 'string',
+          enum: ['custom', 'yoy', 'qoq', 'cagr'],
+          description: '"yoy", "qoq" or "cagr" derive the base period from `period`; "custom" (default) uses basePeriod/comparisonPeriod'
+        },
+        period: {
+          type: 'object',
+          description: 'Anchor (most recent) period for yoy/qoq/cagr. Use {fiscalYear: "latest"} for the most recent quarter; a fiscal year without a quarter means its last reported quarter.',
+          properties: {
+            fiscalYear: { type: 'string' },
+            quarter: { type: 'string', enum: ['Q1', 'Q2', 'Q3', 'Q4'] }
+          },
+          required: ['fiscalYear']
+        },
+        years: { type: 'integer', minimum: 1, maximum: 10, description: 'CAGR span in years (default 3); compares the same fiscal quarter' },
         basePeriod: {
           type: 'object',
           properties: {
@@ -128,7 +157,67 @@ DO NOT USE FOR:
           required: ['fiscalYear', 'quarter']
         }
       },
-      required: ['ticker', 'metric', 'basePeriod', 'comparisonPeriod']
+      required: ['ticker', 'metric']
+    }
+  },
+  {
+    name: 'compare_companies',
+    description: `Compare metrics across several companies in ONE call, aligned on calendar quarter.
+
+USE FOR:
+- Peer comparisons ("NVDA vs AMD vs AVGO gross margin over 4 quarters", "who has the highest operating margin").
+- Any question needing the same metric for 2+ tickers.
+
+DO NOT USE FOR:
+- A single company (use get_financial_metrics / get_multi_quarter_metrics).
+- Segment breakdowns (segments differ per company).
+
+Fiscal calendars differ (NVDA's Q3 FY2025 and AAPL's Q4 FY2024 both cover calendar Q3 2024), so periods are
+calendar quarters and each cell reports the fiscal quarter and source file it came from.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        tickers: {
+          type: 'array',
+          items: { type: 'string', enum: TICKER_ENUM },
+          minItems: 2,
+          maxItems: 6,
+          description: 'Companies to compare'
+        },
+        metrics: {
+          type: 'array',
+          description: 'Metrics to compare; choose only what is asked',
+          items: {
+            type: 'string',
+            enum: [
+              'revenue', 'gross_profit', 'operating_income', 'net_income',
+              'eps', 'eps_diluted', 'gross_margin', 'operating_margin',
+              'net_margin', 'free_cash_flow', 'operating_cash_flow'
+            ]
+          }
+        },
+        periods: {
+          type: 'object',
+          description: 'Either the latest N calendar quarters all tickers have reported, or explicit calendar quarters.',
+          properties: {
+            mode: { type: 'string', enum: ['latest', 'calendar'], description: '"latest" (default) or "calendar"' },
+            count: { type: 'integer', minimum: 1, maximum: 8, description: 'Number of quarters for mode "latest" (default 1)' },
+            calendarPeriods: {
+              type: 'array',
+              description: 'For mode "calendar": calendar quarters, e.g. [{calendarYear: "2024", quarter: "Q3"}]',
+              items: {
+                type: 'object',
+                properties: {
+                  calendarYear: { type: 'string' },
+                  quarter: { type: 'string', enum: ['Q1', 'Q2', 'Q3', 'Q4'] }
+                },
+                required: ['calendarYear', 'quarter']
+              }
+            }
+          }
+        }
+      },
+      required: ['tickers', 'metrics']
     }
   },
   {
@@ -137,6 +226,8 @@ DO NOT USE FOR:
 
 USE FOR:
 - Qualitative asks: management commentary, AI plans, guidance, risks, strategy.
+- Qualitative guidance ("mid-70% range", "high single digits") that get_guidance_vs_actual cannot score.
+- What a specific person said ("what did Jensen say about Blackwell"): set speaker, and role/section to narrow further.
 
 DO NOT USE FOR:
 - Numeric metrics (use financial tools instead).
@@ -148,11 +239,86 @@ DO NOT USE FOR:
         query: { type: 'string', description: 'What to search for (e.g., "AI demand", "data center")' },
         fiscalYear: { type: 'string', description: 'Optional fiscal year filter', nullable: true },
         quarter: { type: 'string', enum: ['Q1', 'Q2', 'Q3', 'Q4'], description: 'Optional fiscal quarter filter', nullable: true },
-        topK: { type: 'integer', minimum: 1, maximum: 20, description: 'Max results to return (default: 10, use higher for comprehensive analysis)', nullable: true }
+        topK: { type: 'integer', minimum: 1, maximum: 20, description: 'Max results to return (default: 10, use higher for comprehensive analysis)', nullable: true },
+        speaker: { type: 'string', description: 'Optional speaker name, full or partial (e.g., "Jensen Huang", "Lisa Su", "Hood")', nullable: true },
+        role: { type: 'string', enum: ['CEO', 'CFO', 'analyst'], description: 'Optional speaker role filter', nullable: true },
+        section: { type: 'string', enum: ['prepared', 'qa'], description: 'Optional call section: prepared remarks or Q&A', nullable: true }
       },
       required: ['ticker', 'query']
     }
   },
+  {
+    name: 'get_guidance_vs_actual',
+    description: `Compare the numeric guidance management gave for a period with what the company then reported.
+
+USE FOR:
+- "Did NVDA beat its revenue guidance last quarter?", "How did AMZN do against its Q2 outlook?"
+- "What did META guide capex to for 2025, and did they revise it?"
+
+DO NOT USE FOR:
+- Qualitative outlook commentary (use search_earnings_transcript).
+- Reported numbers alone (use get_financial_metrics).
+
+Guidance is parsed from press-release outlooks and prepared remarks: each row has the guided low/high/midpoint,
+the source sentence, and any earlier revisions. Scored rows give position (above/within/below the range),
+outcome (beat/inline/miss; coming in under is the beat for cost lines like operating_expenses and capex) and
+the difference vs the midpoint. Non-GAAP, segment and constant-currency guidance is listed as not_comparable
+because stored actuals are company-level GAAP; say so rather than scoring it yourself.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        ticker: { type: 'string', enum: TICKER_ENUM },
+        fiscalYear: {
+          type: 'string',
+          description: 'Guided fiscal year, e.g. "2025"; "latest" (default) picks the most recent guided period with reported results'
+        },
+        quarter: {
+          type: 'string',
+          enum: ['Q1', 'Q2', 'Q3', 'Q4'],
+          description: 'Guided fiscal quarter; omit for full-year guidance',
+          nullable: true
+        },
+        metrics: {
+          type: 'array',
+          description: 'Optional metrics to keep; growth guidance (e.g. revenue_growth) is included with its metric',
+          items: { type: 'string', enum: GUIDANCE_METRICS }
+        }
+      },
+      required: ['ticker']
+    }
+  },
+  {
+    name: 'get_theme_timeline',
+    description: `Count how often themes and products come up on a company's earnings calls, quarter by quarter.
+
+USE FOR:
+- "When did AMD start talking about MI300 and how has the emphasis changed?"
+- "Is NVDA talking more or less about sovereign AI?", "Which topics dominate META's calls?"
+
+DO NOT USE FOR:
+- What was said about a theme (use search_earnings_transcript for quotes and context).
+- Financial figures (use financial tools).
+
+Counts are deterministic whole-word matches against a theme taxonomy (e.g. "blackwell" covers Blackwell,
+GB200, B200; "capex" covers capital expenditures); names outside it are matched as written. Each theme
+has per-quarter mentions, mentions per 10k words (compare emphasis with this, since call lengths differ),
+management vs. analyst mentions, matching Q&A topic labels, the first mention with an excerpt, the peak
+quarter and a trend (rising/falling/steady/new/absent). A first mention on the earliest call on file may
+go back further.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        ticker: { type: 'string', enum: TICKER_ENUM },
+        themes: {
+          type: 'array',
+          description: 'Themes, products or terms to track (e.g. ["MI300", "sovereign AI"]); omit for the most mentioned themes',
+          items: { type: 'string' },
+          maxItems: 8
+        }
+      },
+      required: ['ticker']
+    }
+  },
   {
     name: 'list_available_data',
     description: `List available financial data and transcript coverage for a ticker (or all tickers).
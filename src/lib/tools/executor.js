@@ -1,21 +1,14 @@
 import { financials } from '../data/financials.js';
+import { fiscalCalendar } from '../data/fiscalCalendar.js';
+import { computeDerivedMetrics, isDerivedMetric } from '../data/derivedMetrics.js';
 import { retriever } from '../rag/retriever.js';
 import { KeywordTranscriptRetriever } from '../rag/components.js';
+import { resolveRetrievalStrategy } from '../rag/strategies/select.js';
+import { getCompany } from '../data/companies.js';
+import { compareGuidance } from '../data/guidance.js';
+import { getThemeTimeline } from '../data/themes.js';
 import path from 'path';
 
-const COMPANY_NAME_BY_TICKER = {
-  NVDA: 'NVIDIA',
-  AAPL: 'Apple',
-  AMD: 'Advanced Micro Devices',
-  AMZN: 'Amazon',
-  MSFT: 'Microsoft',
-  META: 'Meta',
-  GOOGL: 'Alphabet',
-  AVGO: 'Broadcom',
-  CRM: 'Salesforce',
-  ORCL: 'Oracle'
-};
-
 // Local transcript fallback (keyword-based) to avoid zero results when Pinecone misses
 const keywordTranscriptRetriever = new KeywordTranscriptRetriever(
   path.join(process.cwd(), 'data', 'transcripts')
@@ -31,7 +24,13 @@ function formatNumber(val) {
   return `$${num.toFixed(1)}M`;
 }
 
-function summarizeMetrics(period, metrics = {}) {
+function formatDerived({ value, unit }) {
+  if (unit === 'percent') return `${value.toFixed(1)}%`;
+  if (unit === 'ratio') return `${value.toFixed(2)}x`;
+  return formatNumber(value);
+}
+
+function summarizeMetrics(period, metrics = {}, derived = null) {
   const parts = [];
   if (metrics.revenue !== undefined && metrics.revenue !== null && Number.isFinite(Number(metrics.revenue))) {
     parts.push(`Revenue ${formatNumber(metrics.revenue)}`);
@@ -48,6 +47,10 @@ function summarizeMetrics(period, metrics = {}) {
       parts.push(`Data Center ${formatNumber(dc)}`);
     }
   }
+  // Derived metrics carry their own unit; a request for only these still has numbers to report
+  Object.entries(derived || {}).forEach(([name, d]) => {
+    if (d && Number.isFinite(d.value)) parts.push(`${name} ${formatDerived(d)}`);
+  });
   return parts.length ? `${period}: ${parts.join(' | ')}` : `${period}: no numeric metrics`;
 }
 
@@ -62,12 +65,72 @@ function normalizeQuarter(q) {
   return q.startsWith('Q') ? q : `Q${q}`;
 }
 
+async function executeRollupMetrics(input) {
+  const { ticker, fiscalYear, quarter, metrics, periodType } = input;
+  const isLatest = !fiscalYear || ['latest', 'most recent'].includes(fiscalYear.toLowerCase());
+  const fy = isLatest ? null : normalizeFY(fiscalYear);
+  const source = periodType === 'annual' ? 'financials.getAnnual' : 'financials.getTTM';
+
+  const roll = periodType === 'annual'
+    ? await financials.getAnnual(ticker, fy || 'latest')
+    : await financials.getTTM(ticker, fy ? { fiscalYear: fy, quarter: normalizeQuarter(quarter) || 'Q4' } : undefined);
+
+  if (!roll) {
+    return {
+      found: false,
+      ticker,
+      period: fy ? `FY${fy}` : periodType.toUpperCase(),
+      missingMetrics: metrics,
+      error: 'No complete fiscal period available for this ticker',
+      source
+    };
+  }
+  if (!roll.complete) {
+    return {
+      found: false,
+      ticker,
+      period: roll.period,
+      missingMetrics: metrics,
+      rollup: { basis: roll.basis, quarters: roll.quarters, missingQuarters: roll.missingQuarters },
+      error: roll.error,
+      source
+    };
+  }
+
+  const out = {};
+  const methods = {};
+  const missing = [];
+  metrics.forEach((m) => {
+    if (roll.metrics[m] !== undefined) {
+      out[m] = roll.metrics[m];
+      methods[m] = roll.methods[m];
+    } else {
+      missing.push(m);
+    }
+  });
+
+  return {
+    found: Object.keys(out).length > 0,
+    ticker,
+    period: roll.period,
+    metrics: out,
+    summary: summarizeMetrics(roll.period, out),
+    missingMetrics: missing.length ? missing : undefined,
+    rollup: { basis: roll.basis, quarters: roll.quarters, methods },
+    source
+  };
+}
+
 async function executeGetFinancialMetrics(input) {
-  const { ticker, fiscalYear, quarter, metrics } = input;
+  const { ticker, fiscalYear, quarter, metrics, periodType } = input;
   if (!ticker || !metrics?.length) {
     throw new Error('Missing required inputs for get_financial_metrics');
   }
 
+  if (periodType === 'annual' || periodType === 'ttm') {
+    return executeRollupMetrics(input);
+  }
+
   // Handle "latest" or missing period - auto-detect most recent
   let fy = normalizeFY(fiscalYear);
   let q = normalizeQuarter(quarter);
@@ -99,10 +162,21 @@ async function executeGetFinancialMetrics(input) {
     };
   }
 
+  const derivedRequested = metrics.filter(isDerivedMetric);
+  const derived = derivedRequested.length
+    ? await computeDerivedMetrics(ticker, fy, q, derivedRequested)
+    : null;
+
   const out = {};
   const missing = [];
   metrics.forEach((m) => {
-    if (m === 'revenue_segments') {
+    if (derived?.[m]) {
+      if (derived[m].value !== null) {
+        out[m] = derived[m].value;
+      } else {
+        missing.push(m);
+      }
+    } else if (m === 'revenue_segments') {
       if (data.revenueSegments) {
         out[m] = data.revenueSegments;
       } else {
@@ -120,8 +194,9 @@ async function executeGetFinancialMetrics(input) {
     ticker,
     period: `${q} FY${fy}`,
     metrics: out,
-    summary: summarizeMetrics(`${q} FY${fy}`, out),
+    summary: summarizeMetrics(`${q} FY${fy}`, out, derived),
     missingMetrics: missing.length ? missing : undefined,
+    derivedMetrics: derived || undefined,
     source: 'financials.getQuarter'
   };
 }
@@ -152,19 +227,31 @@ async function executeGetMultiQuarterMetrics(input) {
   }));
 
   // Fetch all quarters in parallel — they are independent reads
-  const dataList = await Promise.all(
-    normalized.map((p) => financials.getQuarter(ticker, p.fiscalYear, p.quarter))
-  );
+  const derivedRequested = metrics.filter(isDerivedMetric);
+  const [dataList, derivedList] = await Promise.all([
+    Promise.all(normalized.map((p) => financials.getQuarter(ticker, p.fiscalYear, p.quarter))),
+    Promise.all(normalized.map((p) => (
+      derivedRequested.length ? computeDerivedMetrics(ticker, p.fiscalYear, p.quarter, derivedRequested) : null
+    )))
+  ]);
 
   const results = normalized.map((p, i) => {
     const data = dataList[i];
+    const derived = derivedList[i];
     const entry = {
       period: `${p.quarter} FY${p.fiscalYear}`,
       metrics: {},
       missingMetrics: []
     };
+    if (derived) entry.derivedMetrics = derived;
     metrics.forEach((m) => {
-      if (m === 'revenue_segments') {
+      if (derived?.[m]) {
+        if (derived[m].value !== null) {
+          entry.metrics[m] = derived[m].value;
+        } else {
+          entry.missingMetrics.push(m);
+        }
+      } else if (m === 'revenue_segments') {
         if (data?.revenueSegments) {
           entry.metrics[m] = data.revenueSegments;
         } else {
@@ -182,75 +269,216 @@ async function executeGetMultiQuarterMetrics(input) {
   return {
     ticker,
     periods: results,
-    summaries: results.map((r) => summarizeMetrics(r.period, r.metrics)),
+    summaries: results.map((r) => summarizeMetrics(r.period, r.metrics, r.derivedMetrics)),
     source: 'financials.getQuarter'
   };
 }
 
+// The quarter a derived comparison is anchored on: the latest one on disk when no
+// fiscal year is given, the last reported quarter of a year given on its own
+function resolveGrowthAnchor(ticker, { fiscalYear, quarter } = {}) {
+  if (!fiscalYear || ['latest', 'most recent'].includes(String(fiscalYear).toLowerCase())) {
+    return financials.getMostRecentQuarter(ticker);
+  }
+  const fy = normalizeFY(String(fiscalYear));
+  if (quarter) return { fiscalYear: fy, quarter: normalizeQuarter(String(quarter)) };
+  const reported = financials.listAvailable(ticker).find((entry) => entry.fiscalYear === fy);
+  const lastQuarter = reported?.quarters.slice().sort().pop();
+  return lastQuarter ? { fiscalYear: fy, quarter: lastQuarter } : null;
+}
+
 async function executeComputeGrowthRate(input) {
-  const { ticker, metric, basePeriod, comparisonPeriod } = input;
-  if (!ticker || !metric || !basePeriod || !comparisonPeriod) {
+  const { ticker, metric } = input;
+  const mode = input.mode || 'custom';
+  if (!ticker || !metric) {
     throw new Error('Missing required inputs for compute_growth_rate');
   }
 
-  const baseFy = normalizeFY(basePeriod.fiscalYear);
-  const baseQ = normalizeQuarter(basePeriod.quarter);
-  const cmpFy = normalizeFY(comparisonPeriod.fiscalYear);
-  const cmpQ = normalizeQuarter(comparisonPeriod.quarter);
+  const invalidPeriod = (message, source) => ({
+    success: false,
+    ticker,
+    metric,
+    mode,
+    failure: { reason: 'invalid_period', message },
+    error: message,
+    source
+  });
 
-  const [base, cmp] = await Promise.all([
-    financials.getQuarter(ticker, baseFy, baseQ),
-    financials.getQuarter(ticker, cmpFy, cmpQ)
-  ]);
+  let basePeriod;
+  let comparisonPeriod;
+  const years = mode === 'cagr' ? Math.min(Math.max(parseInt(input.years, 10) || 3, 1), 10) : null;
 
-  if (!base || !cmp || base[metric] == null || cmp[metric] == null) {
-    return {
-      success: false,
-      ticker,
-      metric,
-      basePeriod: base ? { period: `${baseQ} FY${baseFy}`, value: base[metric] ?? null } : null,
-      comparisonPeriod: cmp ? { period: `${cmpQ} FY${cmpFy}`, value: cmp[metric] ?? null } : null,
-      error: 'Missing data for growth computation',
-      source: 'financials.getQuarter'
-    };
+  if (mode === 'custom') {
+    const missing = ['basePeriod', 'comparisonPeriod'].filter((key) => !input[key]?.fiscalYear || !input[key]?.quarter);
+    if (missing.length) {
+      return invalidPeriod(`A custom comparison needs a fiscal year and quarter for ${missing.join(' and ')}`, 'compute_growth_rate');
+    }
+    basePeriod = { fiscalYear: normalizeFY(String(input.basePeriod.fiscalYear)), quarter: normalizeQuarter(String(input.basePeriod.quarter)) };
+    comparisonPeriod = { fiscalYear: normalizeFY(String(input.comparisonPeriod.fiscalYear)), quarter: normalizeQuarter(String(input.comparisonPeriod.quarter)) };
+  } else {
+    const anchorInput = input.period || input.comparisonPeriod;
+    const anchor = resolveGrowthAnchor(ticker, anchorInput);
+    if (!anchor) {
+      const fy = /\d{4}/.exec(String(anchorInput?.fiscalYear ?? ''))?.[0];
+      return invalidPeriod(`No reported quarters for ${ticker}${fy ? ` in FY${fy}` : ''}`, 'financials.listAvailable');
+    }
+    const resolved = financials.resolveGrowthPeriods(mode, anchor, years);
+    if (!resolved) {
+      return invalidPeriod(`Could not resolve a ${mode} comparison for ${ticker}`, 'financials.resolveGrowthPeriods');
+    }
+    ({ basePeriod, comparisonPeriod } = resolved);
   }
 
-  const baseVal = base[metric];
-  const cmpVal = cmp[metric];
-  const growth = baseVal === 0 ? null : ((cmpVal - baseVal) / baseVal) * 100;
-  const direction = growth == null
+  const growth = await financials.computeGrowth(ticker, metric, basePeriod, comparisonPeriod, { mode, years });
+  const rate = growth.growthRate;
+  const direction = rate == null
     ? 'flat'
-    : growth > 0
+    : rate > 0
       ? 'increase'
-      : growth < 0
+      : rate < 0
         ? 'decrease'
         : 'flat';
 
   return {
-    success: growth != null,
+    success: growth.success,
     ticker,
     metric,
-    basePeriod: { period: `${baseQ} FY${baseFy}`, value: baseVal },
-    comparisonPeriod: { period: `${cmpQ} FY${cmpFy}`, value: cmpVal },
-    growthRateNumeric: growth,
-    growthRate: growth != null ? `${growth.toFixed(2)}%` : null,
+    mode,
+    ...(years ? { years } : {}),
+    basePeriod: growth.basePeriod,
+    comparisonPeriod: growth.comparisonPeriod,
+    growthRateNumeric: rate,
+    growthRate: rate != null ? `${rate.toFixed(2)}%${mode === 'cagr' ? ' CAGR' : ''}` : null,
     direction,
+    ...(growth.failure ? { failure: growth.failure, error: growth.failure.message } : {}),
+    source: 'financials.computeGrowth'
+  };
+}
+
+function metricUnit(metric) {
+  if (metric.endsWith('_margin')) return 'percent';
+  if (metric.startsWith('eps')) return 'usd_per_share';
+  return 'usd_millions';
+}
+
+function resolveComparisonPeriods(tickers, periodSpec = {}) {
+  const mode = periodSpec.mode || (periodSpec.calendarPeriods?.length ? 'calendar' : 'latest');
+  if (mode === 'calendar') {
+    return (periodSpec.calendarPeriods || [])
+      .map((p) => ({
+        calendarYear: normalizeFY(String(p.calendarYear || '')),
+        calendarQuarter: normalizeQuarter(p.quarter || p.calendarQuarter)
+      }))
+      .filter((p) => p.calendarYear && p.calendarQuarter)
+      .map((p) => ({ ...p, calendarLabel: `${p.calendarQuarter} CY${p.calendarYear}` }));
+  }
+  const count = Math.min(Math.max(parseInt(periodSpec.count, 10) || 1, 1), 8);
+  return fiscalCalendar.recentCommonCalendarQuarters(tickers, count);
+}
+
+async function executeCompareCompanies(input) {
+  const { metrics, periods: periodSpec } = input;
+  const tickers = [...new Set((input.tickers || []).map((t) => String(t).toUpperCase()))];
+  if (tickers.length < 2 || !metrics?.length) {
+    throw new Error('compare_companies needs at least two tickers and one metric');
+  }
+
+  const calendarPeriods = resolveComparisonPeriods(tickers, periodSpec);
+  if (!calendarPeriods.length) {
+    return {
+      tickers,
+      metrics,
+      periods: [],
+      rows: [],
+      error: 'Could not resolve any calendar periods common to these tickers',
+      source: 'fiscalCalendar'
+    };
+  }
+
+  // One read per (ticker, period); every metric cell for that pair shares it
+  const lookups = tickers.flatMap((ticker) =>
+    calendarPeriods.map((cal) => ({ ticker, cal, fiscal: fiscalCalendar.toFiscal(ticker, cal.calendarYear, cal.calendarQuarter) }))
+  );
+  const dataList = await Promise.all(
+    lookups.map(({ ticker, fiscal }) => financials.getQuarter(ticker, fiscal.fiscalYear, fiscal.quarter))
+  );
+  const byKey = new Map(lookups.map((lookup, i) => [`${lookup.ticker}|${lookup.cal.calendarLabel}`, { ...lookup, data: dataList[i] }]));
+
+  const rows = [];
+  for (const metric of metrics) {
+    for (const ticker of tickers) {
+      const cells = calendarPeriods.map((cal) => {
+        const { fiscal, data } = byKey.get(`${ticker}|${cal.calendarLabel}`);
+        const value = data?.[metric];
+        const hasValue = value !== undefined && value !== null && Number.isFinite(Number(value));
+        return {
+          calendarPeriod: cal.calendarLabel,
+          fiscalPeriod: `${fiscal.quarter} FY${fiscal.fiscalYear}`,
+          value: hasValue ? Number(value) : null,
+          status: !data ? 'missing_period' : hasValue ? 'ok' : 'missing_metric',
+          provenance: {
+            file: financials.getSourcePath(ticker, fiscal.fiscalYear, fiscal.quarter),
+            fiscalEndDate: fiscal.fiscalEndDate,
+            calendarSource: fiscal.source
+          }
+        };
+      });
+      rows.push({ ticker, metric, unit: metricUnit(metric), cells });
+    }
+  }
+
+  const latestLabel = calendarPeriods[calendarPeriods.length - 1].calendarLabel;
+  const summaries = metrics.map((metric) => {
+    const parts = rows
+      .filter((row) => row.metric === metric)
+      .map((row) => {
+        const cell = row.cells[row.cells.length - 1];
+        if (cell.value === null) return `${row.ticker} n/a`;
+        const shown = row.unit === 'usd_millions'
+          ? formatNumber(cell.value)
+          : row.unit === 'percent' ? `${cell.value.toFixed(1)}%` : `$${cell.value.toFixed(2)}`;
+        return `${row.ticker} ${shown} (${cell.fiscalPeriod})`;
+      });
+    return `${metric} ${latestLabel}: ${parts.join(' | ')}`;
+  });
+
+  return {
+    tickers,
+    metrics,
+    periodBasis: 'calendar',
+    periods: calendarPeriods.map((p) => p.calendarLabel),
+    rows,
+    summaries,
+    missingCells: rows.reduce((n, row) => n + row.cells.filter((c) => c.status !== 'ok').length, 0),
     source: 'financials.getQuarter'
   };
 }
 
-async function executeSearchTranscript(input) {
-  const { ticker, query, fiscalYear, quarter, topK } = input;
+/**
+ * @param {object} input - Tool input from the model.
+ * @param {{strategy?: string, speaker?: {ticker: string, name: string}|null}} [context] - Request-level
+ *   options; `strategy` is the retrieval strategy the user picked ('auto' resolves per query) and
+ *   `speaker` an executive named in the question.
+ */
+async function executeSearchTranscript(input, context = {}) {
+  const { ticker, query, fiscalYear, quarter, topK, role, section } = input;
+  // An executive named in the question applies to that company's searches unless the model set one
+  const speaker = input.speaker || (context.speaker?.ticker === ticker ? context.speaker.name : null);
   if (!ticker || !query) {
     throw new Error('Missing required inputs for search_earnings_transcript');
   }
 
+  const { strategy, autoSelected } = resolveRetrievalStrategy(context.strategy, query);
+  // HyDE excerpt / multi-query variants, generated once and reused across the year fallbacks
+  let expansion = null;
+  let variants = null;
+
   // Strategy/tech/market asks benefit from higher recall
   const intendedTopK = Number.isFinite(topK) ? Math.min(topK, 50) : 20;
 
   // Build a tolerant, AND-composed filter
   // Note: Pinecone metadata uses 'company_ticker' as the field name
-  const companyName = COMPANY_NAME_BY_TICKER[ticker] || ticker;
+  const companyName = getCompany(ticker)?.name || ticker;
   const tickerFilter = {
     $or: [
       { company_ticker: ticker },
@@ -260,6 +488,13 @@ async function executeSearchTranscript(input) {
     ]
   };
 
+  // Speaker filters only match chunks from the speaker-aware transcript index
+  const speakerKeys = speaker ? keywordTranscriptRetriever.resolveSpeakerKeys(ticker, speaker) : [];
+  const speakerClauses = [];
+  if (speakerKeys.length) speakerClauses.push({ speaker_key: { $in: speakerKeys } });
+  if (role) speakerClauses.push({ role });
+  if (section) speakerClauses.push({ section });
+
   // Derive candidate fiscal years (prefer most recent available for this ticker)
   const available = financials.listAvailable(ticker) || [];
   const sortedYears = available
@@ -281,7 +516,7 @@ async function executeSearchTranscript(input) {
   const searchedYears = [];
 
   for (const yr of yearsToTry) {
-    const clauses = [tickerFilter];
+    const clauses = [tickerFilter, ...speakerClauses];
     if (yr) clauses.push({ fiscal_year: yr });
     if (quarter) clauses.push({ quarter: normalizeQuarter(quarter) });
     const filters = clauses.length === 1 ? clauses[0] : { $and: clauses };
@@ -289,8 +524,12 @@ async function executeSearchTranscript(input) {
     const res = await retriever.search({
       query,
       filters,
-      topK: intendedTopK
+      topK: intendedTopK,
+      strategy,
+      expansion
     });
+    expansion = res.expansion ?? expansion;
+    variants = res.variants ?? variants;
 
     if (yr) searchedYears.push(yr); else searchedYears.push('all');
 
@@ -300,12 +539,16 @@ async function executeSearchTranscript(input) {
     }
   }
 
-  // Fallback: no-filter search if still empty
-  if (!results?.matches?.length) {
+  // Fallback: no-filter search if still empty (an unfiltered hit would ignore the speaker)
+  if (!results?.matches?.length && !speakerClauses.length) {
     const res = await retriever.search({
       query,
-      topK: intendedTopK
+      topK: intendedTopK,
+      strategy,
+      expansion
     });
+    expansion = res.expansion ?? expansion;
+    variants = res.variants ?? variants;
     searchedYears.push('all');
     if (res?.matches?.length) {
       results = res;
@@ -317,9 +560,19 @@ async function executeSearchTranscript(input) {
   if (!results?.matches?.length) {
     keywordMatches = await keywordTranscriptRetriever.retrieveByKeywords(ticker, query, {
       timeframe: fiscalYear ? `FY ${fiscalYear}` : ''
-    });
+    }, { speakerKeys, role, section });
   }
 
+  const speakerFields = (metadata = {}) => ({
+    speaker: metadata.speaker,
+    role: metadata.role,
+    section: metadata.section,
+    topic: metadata.topic,
+    analyst: metadata.analyst,
+    analystFirm: metadata.analyst_firm,
+    question: metadata.question
+  });
+
   return {
     ticker,
     query,
@@ -331,7 +584,8 @@ async function executeSearchTranscript(input) {
         fiscalYear: m.metadata?.fiscalYear || m.metadata?.fiscal_year,
         quarter: m.metadata?.quarter,
         source: m.metadata?.source || m.metadata?.source_file,
-        type: m.metadata?.type
+        type: m.metadata?.type,
+        ...speakerFields(m.metadata)
       })) ||
       keywordMatches.map((m) => ({
         score: m.score,
@@ -339,13 +593,46 @@ async function executeSearchTranscript(input) {
         fiscalYear: m.metadata?.fiscalYear,
         quarter: m.metadata?.quarter,
         source: m.metadata?.source,
-        type: m.metadata?.type
+        type: m.metadata?.type,
+        ...speakerFields(m.metadata)
       })),
+    ...(speakerClauses.length ? { filters: { speakerKeys, role: role || null, section: section || null } } : {}),
+    // The keyword fallback ignores the strategy, so report it as the strategy that produced the results
+    strategy: results?.matches?.length ? results.strategy : 'keyword-fallback',
+    requestedStrategy: context.strategy || 'auto',
+    autoSelected,
+    ...(expansion?.hypotheticalDocument ? { hypotheticalDocument: expansion.hypotheticalDocument } : {}),
+    ...(expansion?.variations ? { queryVariations: expansion.variations } : {}),
+    ...(variants ? { variants: variants.map(({ ids, ...rest }) => rest) } : {}),
     hadFallback: searchedYears.includes('all'),
     source: 'retriever.search'
   };
 }
 
+async function executeGetGuidanceVsActual(input) {
+  const { ticker, fiscalYear, quarter, metrics } = input || {};
+  if (!ticker) throw new Error('Missing required inputs for get_guidance_vs_actual');
+  const isLatest = !fiscalYear || ['latest', 'most recent'].includes(String(fiscalYear).toLowerCase());
+  const comparison = await compareGuidance(ticker, {
+    fiscalYear: isLatest ? null : normalizeFY(fiscalYear),
+    quarter: normalizeQuarter(quarter),
+    metrics: metrics || []
+  });
+  return {
+    ...comparison,
+    source: 'guidance.loadGuidance + financials.getQuarter'
+  };
+}
+
+async function executeGetThemeTimeline(input) {
+  const { ticker, themes } = input || {};
+  if (!ticker) throw new Error('Missing required inputs for get_theme_timeline');
+  return {
+    ...getThemeTimeline(ticker, { themes: themes || [] }),
+    source: 'themes.getThemeTimeline (earnings call transcripts)'
+  };
+}
+
 async function executeListAvailableData(input) {
   const { ticker } = input || {};
   const listing = financials.listAvailable(ticker || undefined);
@@ -360,9 +647,11 @@ async function executeListAvailableData(input) {
  * Execute a tool call and return structured result.
  * @param {string} toolName
  * @param {object} toolInput
+ * @param {{strategy?: string, speaker?: {ticker: string, name: string}|null}} [context] - Request-level
+ *   options, e.g. the selected retrieval strategy or an executive named in the question.
  * @returns {Promise<{success: boolean, result?: any, error?: string, latencyMs: number}>}
  */
-export async function executeToolCall(toolName, toolInput) {
+export async function executeToolCall(toolName, toolInput, context = {}) {
   const startTime = Date.now();
   try {
     let result;
@@ -376,8 +665,17 @@ export async function executeToolCall(toolName, toolInput) {
       case 'compute_growth_rate':
         result = await executeComputeGrowthRate(toolInput);
         break;
+      case 'compare_companies':
+        result = await executeCompareCompanies(toolInput);
+        break;
       case 'search_earnings_transcript':
-        result = await executeSearchTranscript(toolInput);
+        result = await executeSearchTranscript(toolInput, context);
+        break;
+      case 'get_guidance_vs_actual':
+        result = await executeGetGuidanceVsActual(toolInput);
+        break;
+      case 'get_theme_timeline':
+        result = await executeGetThemeTimeline(toolInput);
         break;
       case 'list_available_data':
         result = await executeListAvailableData(toolInput);
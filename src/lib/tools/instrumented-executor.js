@@ -5,13 +5,15 @@ import { executeToolCall } from './executor.js';
  * @param {string} toolName
  * @param {object} toolInput
  * @param {object|null} trace - Langfuse trace instance
+ * @param {{strategy?: string, speaker?: {ticker: string, name: string}|null}} [context] - Request-level
+ *   options passed to the executor
  */
-export async function executeToolCallWithTracing(toolName, toolInput, trace) {
+export async function executeToolCallWithTracing(toolName, toolInput, trace, context = {}) {
   const span = trace?.span
     ? trace.span({ name: `tool:${toolName}`, input: toolInput })
     : null;
   try {
-    const result = await executeToolCall(toolName, toolInput);
+    const result = await executeToolCall(toolName, toolInput, context);
     span?.end({
       output: result.success ? result.result : { error: result.error },
       metadata: {
@@ -1,11 +1,14 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { normalizeFinancialReport, resolveReport } from '../lib/data/financialNormalizer.js';
 
 class FinancialDataCache {
   constructor() {
     this.cache = new Map();
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
     this.lastCleanup = Date.now();
+    // Latest normalization report per file, keyed like the cache
+    this.validationReports = new Map();
   }
 
   // Generate cache key for a specific company, fiscal year, and quarter
@@ -74,33 +77,51 @@ class FinancialDataCache {
       }
 
       const rawData = JSON.parse(raw);
-      return this.extractFinancialMetrics(rawData);
+      const { data: canonical, report } = normalizeFinancialReport(rawData, {
+        ticker: company,
+        fiscalYear,
+        quarter,
+        file: path.relative(process.cwd(), filePath)
+      });
+      this.recordValidation(company, fiscalYear, quarter, report);
+      if (!canonical) return null;
+      return this.extractFinancialMetrics(rawData, canonical, { fiscalYear: String(fiscalYear), quarter });
     } catch (error) {
       console.error(`Error loading financial data for ${company} FY${fiscalYear} ${quarter}:`, error.message);
       return null;
     }
   }
 
-  // Extract financial metrics (same logic as before, but optimized)
-  extractFinancialMetrics(jsonData) {
+  // Warn once per file when it fails validation, so bad data surfaces at load time
+  recordValidation(company, fiscalYear, quarter, report) {
+    const key = this.generateKey(company, fiscalYear, quarter);
+    if (!report.valid && !this.validationReports.has(key)) {
+      console.warn(`[financialData] ${report.file} failed validation: ${report.errors.join('; ')}`);
+    }
+    this.validationReports.set(key, report);
+  }
+
+  getValidationReport(company, fiscalYear, quarter) {
+    return this.validationReports.get(this.generateKey(company, fiscalYear, quarter)) || null;
+  }
+
+  // Tool-facing metrics from a normalized quarter; segment and growth fields still read the raw shapes
+  extractFinancialMetrics(jsonData, canonical, period = {}) {
     try {
-      const report = jsonData.financial_report || jsonData.financial_reports?.[0];
+      // Same statement node the normalizer read, including MSFT's financial_report.quarters entries
+      const report = resolveReport(jsonData, period);
       if (!report) return null;
       
       const incomeStatement = report.income_statement;
       if (!incomeStatement) return null;
       
-      // Extract revenue - handle different field names
-      let revenue = null;
+      // Revenue composition - handle different field names
       let revenueSegments = {};
       if (incomeStatement.revenue?.total?.value !== undefined) {
-        revenue = incomeStatement.revenue.total.value;
         revenueSegments.composition = incomeStatement.revenue?.composition || incomeStatement.revenue?.by_segment || null;
       } else if (incomeStatement.net_sales?.total?.value !== undefined) {
-        revenue = incomeStatement.net_sales.total.value;
         revenueSegments.composition = incomeStatement.net_sales?.composition || null;
       } else if (incomeStatement.revenues?.total?.value !== undefined) {
-        revenue = incomeStatement.revenues.total.value;
         revenueSegments.composition = incomeStatement.revenues?.composition || incomeStatement.revenues?.by_segment || null;
       }
 
@@ -146,49 +167,6 @@ class FinancialDataCache {
         revenueSegments = null;
       }
       
-      // Extract operating income - handle different structures
-      let profit = null;
-      if (typeof incomeStatement.operating_income === 'number') {
-        profit = incomeStatement.operating_income;
-      } else if (incomeStatement.operating_income?.total !== undefined) {
-        profit = incomeStatement.operating_income.total;
-      } else if (incomeStatement.operating_income?.value !== undefined) {
-        profit = incomeStatement.operating_income.value;
-      } else if (incomeStatement.operating_income?.gaap?.value !== undefined) {
-        profit = incomeStatement.operating_income.gaap.value;
-      } else if (typeof incomeStatement.operating_income?.gaap === 'number') {
-        profit = incomeStatement.operating_income.gaap;
-      } else if (incomeStatement.operating_income?.non_gaap?.value !== undefined) {
-        profit = incomeStatement.operating_income.non_gaap.value;
-      } else if (typeof incomeStatement.operating_income?.non_gaap === 'number') {
-        profit = incomeStatement.operating_income.non_gaap;
-      } else if (incomeStatement.margins?.operating_margin?.gaap?.operating_income !== undefined) {
-        // NVDA structure
-        profit = incomeStatement.margins.operating_margin.gaap.operating_income;
-      } else if (incomeStatement.margins?.operating_margin?.non_gaap?.operating_income !== undefined) {
-        // NVDA non-GAAP structure
-        profit = incomeStatement.margins.operating_margin.non_gaap.operating_income;
-      }
-      
-      // Extract margin - handle different structures
-      let margin = 0;
-      if (incomeStatement.operating_income?.margin_percentage) {
-        margin = parseFloat(incomeStatement.operating_income.margin_percentage);
-      } else if (incomeStatement.margins?.operating_margin?.current_value) {
-        margin = incomeStatement.margins.operating_margin.current_value;
-      } else if (incomeStatement.margins?.operating_margin?.gaap?.value) {
-        margin = parseFloat(incomeStatement.margins.operating_margin.gaap.value);
-      } else if (incomeStatement.margins?.operating_margin?.non_gaap?.value) {
-        margin = parseFloat(incomeStatement.margins.operating_margin.non_gaap.value);
-      } else if (incomeStatement.operating_margin?.current_value) {
-        margin = incomeStatement.operating_margin.current_value;
-      } else if (incomeStatement.operating_margin?.value) {
-        margin = incomeStatement.operating_margin.value;
-      } else if (revenue > 0 && profit !== 0) {
-        // Calculate operating margin if not provided
-        margin = (profit / revenue) * 100;
-      }
-      
       // Extract growth - handle different structures
       let growth = 0;
       if (incomeStatement.revenue?.total?.yoy_growth) {
@@ -210,103 +188,15 @@ class FinancialDataCache {
         growth = parseFloat(incomeStatement.operating_income.yoy_change);
       }
       
-      // Extract net income
-      const netIncome =
-        (typeof incomeStatement.net_income === 'number' && incomeStatement.net_income) ||
-        incomeStatement.net_income?.gaap?.value ||
-        incomeStatement.net_income?.non_gaap?.value ||
-        incomeStatement.net_income?.value ||
-        incomeStatement.net_income?.gaap ||
-        incomeStatement.net_income?.non_gaap ||
-        0;
-      
-      // Extract EPS - handle different structures
-      let eps = 0;
-      let epsDiluted = 0;
-      if (incomeStatement.earnings_per_share?.basic?.value) {
-        eps = incomeStatement.earnings_per_share.basic.value;
-      } else if (incomeStatement.eps?.basic?.value) {
-        eps = incomeStatement.eps.basic.value;
-      } else if (incomeStatement.eps?.gaap?.value) {
-        eps = incomeStatement.eps.gaap.value;
-      }
-      
-      if (incomeStatement.earnings_per_share?.diluted?.value) {
-        epsDiluted = incomeStatement.earnings_per_share.diluted.value;
-      } else if (incomeStatement.eps?.diluted?.value) {
-        epsDiluted = incomeStatement.eps.diluted.value;
-      } else if (incomeStatement.eps?.non_gaap?.value) {
-        epsDiluted = incomeStatement.eps.non_gaap.value;
-      }
-      
-      // Extract gross margin - handle different structures
-      let grossMargin = 0;
-      if (incomeStatement.margins?.gross_margin?.current_value) {
-        // Apple/standard structure
-        grossMargin = parseFloat(incomeStatement.margins.gross_margin.current_value);
-      } else if (incomeStatement.margins?.gross_margin?.gaap?.value) {
-        // NVDA/GAAP structure
-        grossMargin = parseFloat(incomeStatement.margins.gross_margin.gaap.value);
-      } else if (incomeStatement.margins?.gross_margin?.non_gaap?.value) {
-        // Non-GAAP structure
-        grossMargin = parseFloat(incomeStatement.margins.gross_margin.non_gaap.value);
-      } else if (incomeStatement.margins?.gross_margin?.value) {
-        // Simple structure
-        grossMargin = parseFloat(incomeStatement.margins.gross_margin.value);
-      }
-      
-      // Extract gross profit - handle different structures
-      let grossProfit = 0;
-      if (incomeStatement.margins?.gross_margin?.gross_profit) {
-        // Apple structure
-        grossProfit = incomeStatement.margins.gross_margin.gross_profit;
-      } else if (incomeStatement.margins?.gross_margin?.gaap?.gross_profit) {
-        // NVDA/GAAP structure
-        grossProfit = incomeStatement.margins.gross_margin.gaap.gross_profit;
-      } else if (incomeStatement.gross_profit?.value) {
-        // Direct gross_profit field
-        grossProfit = incomeStatement.gross_profit.value;
-      }
-      
-      // Extract cash flow data (handle different structures)
-      let operatingCashFlow = 0;
-      let freeCashFlow = 0;
-      
-      // Try different cash flow structures
-      if (report.cash_flow) {
-        // Q1 2024 structure
-        if (report.cash_flow.operating_cash_flow) {
-          operatingCashFlow = report.cash_flow.operating_cash_flow;
-        }
-        if (report.cash_flow.free_cash_flow) {
-          freeCashFlow = report.cash_flow.free_cash_flow;
-        }
-        
-        // Q2-Q4 2024 structure - free_cash_flow directly under financial_report
-        if (report.free_cash_flow?.value) {
-          freeCashFlow = report.free_cash_flow.value;
-        }
-        
-        // Q2-Q4 2024 structure for operating cash flow
-        if (report.cash_flow.cash_flow_from_operations?.total_operating_cash_flow?.value) {
-          operatingCashFlow = report.cash_flow.cash_flow_from_operations.total_operating_cash_flow.value;
-        }
-        
-        // Try metrics structure for operating cash flow (Q2-Q4)
-        if (report.metrics?.key_metrics?.operating_cash_flow_margin?.components?.operating_cash_flow) {
-          operatingCashFlow = report.metrics.key_metrics.operating_cash_flow_margin.components.operating_cash_flow;
-        }
-        
-        // Try Q2-Q4 2024 structure (fallback)
-        if (report.cash_flow.cash_flow_from_operations?.total_operating_cash_flow?.value) {
-          operatingCashFlow = report.cash_flow.cash_flow_from_operations.total_operating_cash_flow.value;
-        }
-      }
-      
-      // Try key_metrics structure for free cash flow
-      if (report.key_metrics?.free_cash_flow?.value) {
-        freeCashFlow = report.key_metrics.free_cash_flow.value;
-      }
+      const { income_statement: is, margins, cash_flow: cashFlow } = canonical;
+      const revenue = is.revenue;
+      const profit = is.operating_income;
+      const margin = margins.operating_margin ?? 0;
+      const netIncome = is.net_income ?? 0;
+      const grossProfit = is.gross_profit ?? 0;
+      const grossMargin = margins.gross_margin ?? 0;
+      const operatingCashFlow = cashFlow.operating_cash_flow ?? 0;
+      const freeCashFlow = cashFlow.free_cash_flow ?? 0;
       
       // Calculate cash flow margin as operating cash flow / revenue
       const cashFlowMargin = revenue > 0 ? (operatingCashFlow / revenue) * 100 : 0;
@@ -319,12 +209,13 @@ class FinancialDataCache {
         operating_income: profit,
         operating_margin: margin,
         net_income: netIncome,
-        net_margin: revenue > 0 ? (netIncome / revenue) * 100 : 0,
+        net_margin: margins.net_margin ?? 0,
         operating_cash_flow: operatingCashFlow,
         free_cash_flow: freeCashFlow,
         revenue_growth: growth,
-        eps: eps,
-        eps_diluted: epsDiluted,
+        eps: is.eps ?? 0,
+        eps_diluted: is.eps_diluted ?? 0,
+        rd_expense: is.rd_expense,
         
         // Also include camelCase for backwards compatibility
         revenueSegments,